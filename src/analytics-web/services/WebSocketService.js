@@ -132,6 +132,14 @@ class WebSocketService {
         case 'process_change':
           this.handleProcessChange(data);
           break;
+        case 'index_progress':
+          this.handleIndexProgress(data);
+          break;
+        case 'raw_search_results':
+        case 'raw_search_complete':
+        case 'raw_search_error':
+          this.handleRawSearch(data);
+          break;
         case 'subscription_confirmed':
         case 'unsubscription_confirmed':
           this.handleSubscriptionConfirmation(data);
@@ -241,6 +249,22 @@ class WebSocketService {
     this.emit('process_change', data.data);
   }
 
+  /**
+   * Handle indexing progress update
+   * @param {Object} data - Message data
+   */
+  handleIndexProgress(data) {
+    this.emit('index_progress', data.data);
+  }
+
+  /**
+   * Handle a streamed raw search reply (results batch, completion or error)
+   * @param {Object} data - Message data
+   */
+  handleRawSearch(data) {
+    this.emit(data.type, data.data);
+  }
+
   /**
    * Handle subscription confirmation
    * @param {Object} data - Message data
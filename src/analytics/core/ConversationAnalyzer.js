@@ -1,6 +1,8 @@
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
+const ConversationTree = require('./ConversationTree');
+const TranscriptArchive = require('../data/TranscriptArchive');
 
 /**
  * ConversationAnalyzer - Handles conversation data loading, parsing, and analysis
@@ -208,7 +210,17 @@ class ConversationAnalyzer {
     if (this.dataCache) {
       return await this.dataCache.getFileContent(filepath);
     }
-    return await fs.readFile(filepath, 'utf8');
+    return await TranscriptArchive.readText(filepath);
+  }
+
+  /**
+   * Get the branch structure of a conversation (see ConversationTree)
+   * @param {string} filepath - Path to conversation file
+   * @returns {Promise<ConversationTree>} Conversation tree
+   */
+  async getConversationTree(filepath) {
+    const content = await this.getFileContent(filepath);
+    return ConversationTree.fromJsonl(content);
   }
 
   /**
@@ -234,7 +246,7 @@ class ConversationAnalyzer {
     }
     
     // Fallback to direct parsing with tool correlation
-    const content = await fs.readFile(filepath, 'utf8');
+    const content = await TranscriptArchive.readText(filepath);
     const lines = content.trim().split('\n').filter(line => line.trim());
     
     return this.parseAndCorrelateToolMessages(lines);
@@ -314,6 +326,7 @@ class ConversationAnalyzer {
         toolResults: item.toolResults || null, // Include attached tool results
         isCompactSummary: item.isCompactSummary || false, // Preserve compact summary flag
         uuid: item.uuid || null, // Include UUID for message identification
+        parentUuid: item.parentUuid || item.logicalParentUuid || null, // Parent entry, for branch reconstruction
         type: item.type || null // Include type field
       };
 
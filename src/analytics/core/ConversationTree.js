@@ -0,0 +1,223 @@
+// Characters of the first message kept as a branch preview
+const PREVIEW_LENGTH = 200;
+
+/**
+ * ConversationTree - Reconstructs the branch structure of a conversation
+ *
+ * Every JSONL entry carries a `uuid` and the `parentUuid` of the entry it follows.
+ * When the user rewinds (Esc twice, or editing an earlier prompt) the new message
+ * is appended to the file with an earlier entry as its parent, so the file holds a
+ * tree: the path from the root to the newest entry is the conversation as it
+ * continued, and every other subtree hanging off that path is an abandoned attempt.
+ *
+ * After context compaction the new chain starts with a null `parentUuid` and points
+ * back with `logicalParentUuid`, which is followed so compaction doesn't split the tree.
+ * Sidechain entries (old-style Task agents) and entries without a uuid are ignored.
+ */
+class ConversationTree {
+  /**
+   * @param {Array<Object>} entries - Parsed JSONL entries in file order
+   */
+  constructor(entries) {
+    this.nodes = new Map();
+    this.roots = [];
+    this.leaf = null;
+
+    for (const entry of entries) {
+      if (!entry || !entry.uuid || entry.isSidechain || this.nodes.has(entry.uuid)) continue;
+
+      const node = {
+        uuid: entry.uuid,
+        parentUuid: entry.parentUuid || entry.logicalParentUuid || null,
+        type: entry.type || null,
+        timestamp: entry.timestamp || null,
+        isMessage: ConversationTree.isConversationMessage(entry),
+        preview: ConversationTree.extractPreview(entry),
+        order: this.nodes.size,
+        children: []
+      };
+      this.nodes.set(node.uuid, node);
+
+      // The newest message is where the conversation currently stands
+      if (node.isMessage) {
+        this.leaf = node;
+      }
+    }
+
+    for (const node of this.nodes.values()) {
+      const parent = node.parentUuid ? this.nodes.get(node.parentUuid) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        // Includes entries whose parent was never written (e.g. a truncated file)
+        this.roots.push(node);
+      }
+    }
+  }
+
+  /**
+   * Build a tree from raw JSONL content, skipping lines that aren't valid JSON
+   * @param {string} content - File content
+   * @returns {ConversationTree}
+   */
+  static fromJsonl(content) {
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip invalid JSONL lines
+      }
+    }
+    return new ConversationTree(entries);
+  }
+
+  /**
+   * Whether an entry is a user or assistant message shown in the conversation.
+   * User entries that only carry tool results are folded into their tool call.
+   * @param {Object} entry - JSONL entry
+   * @returns {boolean}
+   */
+  static isConversationMessage(entry) {
+    if (!entry.message || (entry.type !== 'user' && entry.type !== 'assistant')) return false;
+
+    const content = entry.message.content;
+    if (entry.type === 'user' && Array.isArray(content) && content.length > 0) {
+      return !content.every(block => block.type === 'tool_result');
+    }
+    return true;
+  }
+
+  /**
+   * Short text preview of an entry's message
+   * @param {Object} entry - JSONL entry
+   * @returns {string|null}
+   */
+  static extractPreview(entry) {
+    const content = entry.message?.content;
+    let text = '';
+
+    if (typeof content === 'string') {
+      text = content;
+    } else if (Array.isArray(content)) {
+      const textBlock = content.find(block => block.type === 'text' && block.text);
+      const toolBlock = content.find(block => block.type === 'tool_use');
+      text = textBlock ? textBlock.text : (toolBlock ? `[${toolBlock.name}]` : '');
+    }
+
+    text = text.trim();
+    return text ? text.slice(0, PREVIEW_LENGTH) : null;
+  }
+
+  /**
+   * Whether any entries had uuids to build a tree from
+   * @returns {boolean}
+   */
+  hasTree() {
+    return this.nodes.size > 0;
+  }
+
+  /**
+   * Get the nodes from the root to the newest message
+   * @returns {Array<Object>} Nodes, root first
+   */
+  getActivePath() {
+    const path = [];
+    const seen = new Set();
+
+    for (let node = this.leaf; node && !seen.has(node.uuid); node = this.nodes.get(node.parentUuid)) {
+      seen.add(node.uuid);
+      path.push(node);
+    }
+
+    return path.reverse();
+  }
+
+  /**
+   * Get the points on the active path where the conversation was rewound, with the
+   * attempts that were abandoned there. Forks inside an abandoned attempt are part
+   * of that attempt. Children without any messages (e.g. system entries) aren't branches.
+   * @returns {Array<Object>} [{ uuid, timestamp, activeChildUuid, resumedAtUuid, branches: [{ uuid,
+   *   messageCount, messageUuids, startedAt, endedAt, preview }] }] in path order. `resumedAtUuid` is
+   *   the first message on the active path after the rewind.
+   */
+  getBranchPoints() {
+    const activePath = this.getActivePath();
+    const branchPoints = [];
+
+    activePath.forEach((node, index) => {
+      if (node.children.length < 2) return;
+
+      const activeChild = activePath[index + 1] || null;
+      const branches = node.children
+        .filter(child => child !== activeChild)
+        .map(child => this._describeBranch(child))
+        .filter(branch => branch.messageCount > 0);
+
+      if (branches.length > 0) {
+        const resumedAt = activePath.slice(index + 1).find(pathNode => pathNode.isMessage);
+        branchPoints.push({
+          uuid: node.uuid,
+          timestamp: node.timestamp,
+          activeChildUuid: activeChild ? activeChild.uuid : null,
+          resumedAtUuid: resumedAt ? resumedAt.uuid : null,
+          branches
+        });
+      }
+    });
+
+    return branchPoints;
+  }
+
+  /**
+   * Summarize the tree for API responses
+   * @returns {Object} { hasTree, activeLeafUuid, activePath, branchPoints, abandonedMessageCount }
+   */
+  toJSON() {
+    const branchPoints = this.getBranchPoints();
+
+    return {
+      hasTree: this.hasTree(),
+      activeLeafUuid: this.leaf ? this.leaf.uuid : null,
+      activePath: this.getActivePath().filter(node => node.isMessage).map(node => node.uuid),
+      branchPoints,
+      abandonedMessageCount: branchPoints.reduce(
+        (sum, point) => sum + point.branches.reduce((branchSum, branch) => branchSum + branch.messageCount, 0),
+        0
+      )
+    };
+  }
+
+  /**
+   * Collect the messages of a subtree in file order
+   * @private
+   */
+  _describeBranch(root) {
+    const nodes = [];
+    const seen = new Set();
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (seen.has(node.uuid)) continue;  // Guards against parentUuid cycles in corrupt files
+      seen.add(node.uuid);
+      nodes.push(node);
+      stack.push(...node.children);
+    }
+
+    const messages = nodes.filter(node => node.isMessage).sort((a, b) => a.order - b.order);
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+
+    return {
+      uuid: root.uuid,
+      messageCount: messages.length,
+      messageUuids: messages.map(node => node.uuid),
+      startedAt: first ? first.timestamp : null,
+      endedAt: last ? last.timestamp : null,
+      preview: first ? first.preview : null
+    };
+  }
+}
+
+module.exports = ConversationTree;
@@ -0,0 +1,312 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+
+/**
+ * Default API prices in USD per million tokens.
+ *
+ * Keys are model ID prefixes; the longest matching prefix wins, so
+ * "claude-opus-4-5-20251101" resolves to "claude-opus-4-5" rather than "claude-opus-4".
+ * cacheWrite is the 5-minute cache write price, cacheWrite1h the 1-hour one.
+ */
+const DEFAULT_PRICING = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheWrite1h: 10, cacheRead: 0.50 },
+  'claude-opus-4-1': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.50 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.50 },
+  'claude-3-opus': { input: 15, output: 75, cacheWrite: 18.75, cacheWrite1h: 30, cacheRead: 1.50 },
+  'claude-sonnet-4-5': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.30 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.30 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.30 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheWrite1h: 6, cacheRead: 0.30 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheWrite1h: 2, cacheRead: 0.10 },
+  'claude-3-5-haiku': { input: 0.80, output: 4, cacheWrite: 1, cacheWrite1h: 1.60, cacheRead: 0.08 },
+  'claude-3-haiku': { input: 0.25, output: 1.25, cacheWrite: 0.30, cacheWrite1h: 0.50, cacheRead: 0.03 }
+};
+
+// Used when a model ID has no prefix match but names a known family (e.g. a new dated release)
+const FAMILY_FALLBACKS = {
+  opus: 'claude-opus-4-5',
+  sonnet: 'claude-sonnet-4-5',
+  haiku: 'claude-haiku-4-5'
+};
+
+// Used when the model is missing or unrecognized
+const DEFAULT_MODEL_KEY = 'claude-sonnet-4-5';
+
+const TOKENS_PER_MILLION = 1000000;
+
+/**
+ * CostCalculator - Prices Claude API usage per model
+ *
+ * Each assistant message is priced with its own model's rates, so sessions that
+ * switch models mid-way get an accurate total and a per-model breakdown.
+ * Prices can be overridden with a JSON file of the same shape as DEFAULT_PRICING.
+ */
+class CostCalculator {
+  /**
+   * @param {Object} options
+   * @param {string} options.pricingPath - Optional JSON file with price overrides
+   * @param {Object} options.pricing - Optional price overrides (takes precedence over the file)
+   */
+  constructor(options = {}) {
+    this.pricingPath = options.pricingPath || null;
+    this.pricing = { ...DEFAULT_PRICING };
+
+    if (this.pricingPath) {
+      this.loadPricingOverrides(this.pricingPath);
+    }
+    if (options.pricing) {
+      this.applyPricingOverrides(options.pricing);
+    }
+  }
+
+  /**
+   * Load price overrides from a JSON file, if it exists
+   * @param {string} pricingPath - Path to pricing JSON
+   * @returns {boolean} True if overrides were loaded
+   */
+  loadPricingOverrides(pricingPath) {
+    try {
+      if (!fs.pathExistsSync(pricingPath)) return false;
+
+      const overrides = fs.readJsonSync(pricingPath);
+      this.applyPricingOverrides(overrides);
+      console.log(chalk.gray(`💲 Loaded model pricing overrides from ${pricingPath}`));
+      return true;
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not load pricing overrides from ${pricingPath}: ${err.message}`));
+      console.warn(chalk.gray('   Using default model pricing.'));
+      return false;
+    }
+  }
+
+  /**
+   * Merge price overrides into the current table.
+   * Partial entries are merged with the existing entry for that model.
+   * @param {Object} overrides - { modelPrefix: { input, output, cacheWrite, cacheWrite1h, cacheRead } }
+   */
+  applyPricingOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object') {
+      throw new Error('Pricing overrides must be an object keyed by model');
+    }
+
+    // Validate everything first so a bad entry doesn't leave the table half-updated
+    for (const [model, prices] of Object.entries(overrides)) {
+      if (!prices || typeof prices !== 'object') {
+        throw new Error(`Invalid pricing for ${model}: expected an object`);
+      }
+      for (const [field, value] of Object.entries(prices)) {
+        if (typeof value !== 'number' || value < 0) {
+          throw new Error(`Invalid ${field} price for ${model}: ${value}`);
+        }
+      }
+    }
+
+    for (const [model, prices] of Object.entries(overrides)) {
+      this.pricing[model] = { ...this.pricing[model], ...prices };
+    }
+  }
+
+  /**
+   * Get the current price table
+   * @returns {Object} Prices per million tokens keyed by model prefix
+   */
+  getPricingTable() {
+    return { ...this.pricing };
+  }
+
+  /**
+   * Resolve the prices for a model ID
+   * @param {string} model - Model ID (e.g. "claude-opus-4-5-20251101")
+   * @returns {Object} { key, match, input, output, cacheWrite, cacheWrite1h, cacheRead }
+   *   match is 'exact' (prefix match), 'family' (matched on opus/sonnet/haiku) or 'default'
+   */
+  getModelPricing(model) {
+    const modelId = (model || '').toLowerCase();
+
+    let key = null;
+    for (const candidate of Object.keys(this.pricing)) {
+      if (modelId.startsWith(candidate) && (!key || candidate.length > key.length)) {
+        key = candidate;
+      }
+    }
+
+    let match = 'exact';
+    if (!key) {
+      const family = Object.keys(FAMILY_FALLBACKS).find(name => modelId.includes(name));
+      key = family ? FAMILY_FALLBACKS[family] : DEFAULT_MODEL_KEY;
+      match = family ? 'family' : 'default';
+    }
+
+    const prices = this.pricing[key] || DEFAULT_PRICING[DEFAULT_MODEL_KEY];
+    return {
+      key,
+      match,
+      input: prices.input || 0,
+      output: prices.output || 0,
+      cacheWrite: prices.cacheWrite || 0,
+      // 1-hour cache writes cost 2x input when not listed explicitly
+      cacheWrite1h: prices.cacheWrite1h ?? (prices.input || 0) * 2,
+      cacheRead: prices.cacheRead || 0
+    };
+  }
+
+  /**
+   * Create an empty token totals record
+   * @returns {Object} Token totals
+   */
+  createTokenTotals() {
+    return { messages: 0, input: 0, output: 0, cacheCreation: 0, cacheCreation1h: 0, cacheRead: 0 };
+  }
+
+  /**
+   * Add one API response's usage to per-model totals
+   * @param {Object} totalsByModel - { model: tokenTotals } (mutated)
+   * @param {string} model - Model that produced the response
+   * @param {Object} usage - Raw usage object from the JSONL entry
+   */
+  addUsage(totalsByModel, model, usage) {
+    if (!usage || this.isSyntheticModel(model)) return;
+
+    const key = model || 'unknown';
+    if (!totalsByModel[key]) {
+      totalsByModel[key] = this.createTokenTotals();
+    }
+
+    const totals = totalsByModel[key];
+    const cacheCreation = usage.cache_creation_input_tokens || 0;
+    // Newer entries split cache writes by TTL; 1-hour writes are priced higher
+    const cacheCreation1h = Math.min(usage.cache_creation?.ephemeral_1h_input_tokens || 0, cacheCreation);
+
+    totals.messages++;
+    totals.input += usage.input_tokens || 0;
+    totals.output += usage.output_tokens || 0;
+    totals.cacheCreation += cacheCreation;
+    totals.cacheCreation1h += cacheCreation1h;
+    totals.cacheRead += usage.cache_read_input_tokens || 0;
+  }
+
+  /**
+   * Aggregate usage per model from parsed messages.
+   *
+   * Claude Code writes one JSONL line per content block of a response, each repeating
+   * the same message ID and usage, so usage is counted once per message ID.
+   *
+   * @param {Array} messages - Parsed messages ({ id, role, model, usage })
+   * @returns {Object} { model: tokenTotals }
+   */
+  aggregateUsage(messages) {
+    const totalsByModel = {};
+    const seenIds = new Set();
+
+    for (const message of messages || []) {
+      if (!message || !message.usage) continue;
+      if (message.role && message.role !== 'assistant') continue;
+
+      if (message.id) {
+        if (seenIds.has(message.id)) continue;
+        seenIds.add(message.id);
+      }
+
+      this.addUsage(totalsByModel, message.model, message.usage);
+    }
+
+    return totalsByModel;
+  }
+
+  /**
+   * Price a single model's token totals
+   * @param {string} model - Model ID
+   * @param {Object} totals - Token totals (see createTokenTotals)
+   * @returns {Object} { input, output, cacheWrite, cacheRead, total } in USD
+   */
+  calculateTokenCost(model, totals) {
+    const prices = this.getModelPricing(model);
+    const cacheCreation1h = totals.cacheCreation1h || 0;
+    const cacheCreation5m = Math.max(0, (totals.cacheCreation || 0) - cacheCreation1h);
+
+    const cost = {
+      input: (totals.input || 0) * prices.input / TOKENS_PER_MILLION,
+      output: (totals.output || 0) * prices.output / TOKENS_PER_MILLION,
+      cacheWrite: (cacheCreation5m * prices.cacheWrite + cacheCreation1h * prices.cacheWrite1h) / TOKENS_PER_MILLION,
+      cacheRead: (totals.cacheRead || 0) * prices.cacheRead / TOKENS_PER_MILLION
+    };
+    cost.total = cost.input + cost.output + cost.cacheWrite + cost.cacheRead;
+
+    return cost;
+  }
+
+  /**
+   * Price per-model token totals
+   * @param {Object} totalsByModel - { model: tokenTotals }
+   * @returns {Object} { total, breakdown: { input, output, cacheWrite, cacheRead }, byModel: [...] }
+   */
+  calculateCost(totalsByModel) {
+    const breakdown = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+    const byModel = [];
+
+    for (const [model, totals] of Object.entries(totalsByModel || {})) {
+      const cost = this.calculateTokenCost(model, totals);
+      const prices = this.getModelPricing(model);
+
+      breakdown.input += cost.input;
+      breakdown.output += cost.output;
+      breakdown.cacheWrite += cost.cacheWrite;
+      breakdown.cacheRead += cost.cacheRead;
+
+      byModel.push({
+        model,
+        pricingKey: prices.key,
+        pricingMatch: prices.match,
+        messages: totals.messages || 0,
+        tokens: {
+          input: totals.input || 0,
+          output: totals.output || 0,
+          cacheCreation: totals.cacheCreation || 0,
+          cacheRead: totals.cacheRead || 0
+        },
+        cost
+      });
+    }
+
+    byModel.sort((a, b) => b.cost.total - a.cost.total);
+
+    return {
+      total: breakdown.input + breakdown.output + breakdown.cacheWrite + breakdown.cacheRead,
+      breakdown,
+      byModel
+    };
+  }
+
+  /**
+   * Price a conversation from its parsed messages
+   * @param {Array} messages - Parsed messages ({ id, role, model, usage })
+   * @returns {Object} Cost result (see calculateCost)
+   */
+  calculateMessagesCost(messages) {
+    return this.calculateCost(this.aggregateUsage(messages));
+  }
+
+  /**
+   * Claude Code records some locally generated messages with a "<synthetic>" model.
+   * They never hit the API and cost nothing.
+   * @param {string} model - Model ID
+   * @returns {boolean}
+   */
+  isSyntheticModel(model) {
+    return model === '<synthetic>';
+  }
+
+  /**
+   * Format a USD amount for display
+   * @param {number} amount - Cost in USD
+   * @returns {string} Formatted cost (e.g. "$1.23", "$0.0042")
+   */
+  formatCost(amount) {
+    const value = amount || 0;
+    return value >= 1 ? `$${value.toFixed(2)}` : `$${value.toFixed(4)}`;
+  }
+}
+
+CostCalculator.DEFAULT_PRICING = DEFAULT_PRICING;
+
+module.exports = CostCalculator;
@@ -17,15 +17,16 @@ class FileWatcher {
 
   /**
    * Setup file watchers for real-time updates
-   * @param {string} claudeDir - Path to Claude directory
+   * @param {string|Array<string>} claudeDirs - Claude directory, or every data root to watch
    * @param {Function} dataRefreshCallback - Callback to refresh data
    * @param {Function} processRefreshCallback - Callback to refresh process data
    * @param {Object} dataCache - DataCache instance for invalidation
    */
-  setupFileWatchers(claudeDir, dataRefreshCallback, processRefreshCallback, dataCache = null, conversationChangeCallback = null) {
+  setupFileWatchers(claudeDirs, dataRefreshCallback, processRefreshCallback, dataCache = null, conversationChangeCallback = null) {
     console.log(chalk.blue('👀 Setting up file watchers for real-time updates...'));
 
-    this.claudeDir = claudeDir;
+    this.claudeDirs = [].concat(claudeDirs);
+    this.claudeDir = this.claudeDirs[0];
     this.dataRefreshCallback = dataRefreshCallback;
     this.processRefreshCallback = processRefreshCallback;
     this.dataCache = dataCache;
@@ -42,9 +43,7 @@ class FileWatcher {
    * Setup watcher for conversation files (.jsonl)
    */
   setupConversationWatcher() {
-    const conversationWatcher = chokidar.watch([
-      path.join(this.claudeDir, '**/*.jsonl')
-    ], {
+    const conversationWatcher = chokidar.watch(this.claudeDirs.map(dir => path.join(dir, '**/*.jsonl')), {
       persistent: true,
       ignoreInitial: true,
     });
@@ -81,7 +80,7 @@ class FileWatcher {
    * Setup watcher for project directories
    */
   setupProjectWatcher() {
-    const projectWatcher = chokidar.watch(this.claudeDir, {
+    const projectWatcher = chokidar.watch(this.claudeDirs, {
       persistent: true,
       ignoreInitial: true,
       depth: 2, // Increased depth to catch subdirectories
@@ -305,7 +304,7 @@ class FileWatcher {
    * Resume all watchers
    */
   resume() {
-    if (!this.isActive && this.claudeDir) {
+    if (!this.isActive && this.claudeDirs) {
       console.log(chalk.green('▶️  Resuming file watchers...'));
       
       // Clear existing watchers
@@ -313,9 +312,11 @@ class FileWatcher {
       
       // Restart watchers
       this.setupFileWatchers(
-        this.claudeDir, 
-        this.dataRefreshCallback, 
-        this.processRefreshCallback
+        this.claudeDirs,
+        this.dataRefreshCallback,
+        this.processRefreshCallback,
+        this.dataCache,
+        this.conversationChangeCallback
       );
     }
   }
@@ -355,7 +356,8 @@ class FileWatcher {
       isActive: this.isActive,
       watcherCount: this.watchers.length,
       intervalCount: this.intervals.length,
-      watchedDir: this.claudeDir
+      watchedDir: this.claudeDir,
+      watchedDirs: this.claudeDirs || []
     };
   }
 
@@ -0,0 +1,200 @@
+/**
+ * SessionChains - Groups resumed and continued sessions into chains
+ *
+ * Resuming a session (or continuing it after compaction) starts a new JSONL file,
+ * so one piece of work can be spread over several sessions. The links between them
+ * come from DatabaseManager.getSessionLinks(); every connected group of linked
+ * sessions is one chain, ordered from the session that started the work to the
+ * newest continuation. A chain is identified by the ID of its first session.
+ */
+class SessionChains {
+  /**
+   * @param {Array<Object>} links - [{ predecessorId, successorId }]
+   */
+  constructor(links = []) {
+    this.predecessors = new Map();  // session ID -> IDs it continues
+    this.successors = new Map();    // session ID -> IDs that continue it
+    this.members = new Map();       // session ID -> Set of every session ID in its chain
+
+    for (const { predecessorId, successorId } of links) {
+      this._addTo(this.successors, predecessorId, successorId);
+      this._addTo(this.predecessors, successorId, predecessorId);
+      this._merge(predecessorId, successorId);
+    }
+  }
+
+  /**
+   * Whether a session is linked to any other session
+   * @param {string} id - Conversation ID
+   * @returns {boolean}
+   */
+  isChained(id) {
+    return this.members.has(id);
+  }
+
+  /**
+   * Get the sessions of a chain in the order the work happened: every session
+   * comes after the sessions it continues, with ties broken by creation time
+   * @param {string} id - ID of any session in the chain
+   * @param {Map<string, Object>} [conversationsById] - Conversations used for creation-time ordering
+   * @returns {Array<string>} Session IDs, first session first ([id] when not chained)
+   */
+  getOrderedIds(id, conversationsById = new Map()) {
+    if (!this.isChained(id)) return [id];
+
+    const members = [...this.members.get(id)];
+    const createdAt = (memberId) => {
+      const conversation = conversationsById.get(memberId);
+      return conversation ? new Date(conversation.created).getTime() || 0 : 0;
+    };
+    const byCreated = (a, b) => createdAt(a) - createdAt(b) || a.localeCompare(b);
+
+    // Kahn's algorithm over the links inside the chain
+    const remaining = new Map(members.map(memberId => [memberId, (this.predecessors.get(memberId) || new Set()).size]));
+    const ordered = [];
+    let ready = members.filter(memberId => remaining.get(memberId) === 0).sort(byCreated);
+
+    while (ready.length > 0) {
+      const next = ready.shift();
+      ordered.push(next);
+      remaining.delete(next);
+      for (const successorId of this.successors.get(next) || []) {
+        if (!remaining.has(successorId)) continue;
+        remaining.set(successorId, remaining.get(successorId) - 1);
+        if (remaining.get(successorId) === 0) {
+          ready.push(successorId);
+          ready.sort(byCreated);
+        }
+      }
+    }
+
+    // Sessions that resume each other in a loop can't be ordered by links
+    ordered.push(...[...remaining.keys()].sort(byCreated));
+    return ordered;
+  }
+
+  /**
+   * Describe a session's place in its chain
+   * @param {string} id - Conversation ID
+   * @param {Map<string, Object>} [conversationsById] - Conversations used for ordering
+   * @returns {Object|null} { id, length, position, sessionIds, previousIds, nextIds }, or null when not chained
+   */
+  describe(id, conversationsById) {
+    if (!this.isChained(id)) return null;
+
+    const sessionIds = this.getOrderedIds(id, conversationsById);
+    return {
+      id: sessionIds[0],
+      length: sessionIds.length,
+      position: sessionIds.indexOf(id) + 1,
+      sessionIds,
+      previousIds: [...(this.predecessors.get(id) || [])],
+      nextIds: [...(this.successors.get(id) || [])]
+    };
+  }
+
+  /**
+   * Collapse each chain in a conversation list into a single entry: the chain's
+   * newest session, with the chain's combined totals and time span. Subagents of
+   * a collapsed session are re-parented to that entry.
+   * @param {Array<Object>} conversations - Conversations in display order
+   * @returns {Array<Object>} New list; chained entries carry a `chain` description
+   */
+  group(conversations) {
+    const byId = new Map(conversations.map(conv => [conv.id, conv]));
+    const representativeOf = new Map();  // session ID -> ID of the entry shown for its chain
+    const grouped = [];
+
+    for (const conv of conversations) {
+      if (conv.isSubagent || !this.isChained(conv.id)) continue;
+      if (representativeOf.has(conv.id)) continue;
+
+      const chain = this.describe(conv.id, byId);
+      const listed = chain.sessionIds.map(memberId => byId.get(memberId)).filter(Boolean);
+      // Listed in chain order, so ties go to the later session
+      const newest = listed.reduce((latest, member) =>
+        new Date(member.lastModified) >= new Date(latest.lastModified) ? member : latest
+      );
+      for (const member of listed) {
+        representativeOf.set(member.id, newest.id);
+      }
+    }
+
+    for (const conv of conversations) {
+      if (conv.isSubagent) {
+        const parentId = representativeOf.get(conv.parentId);
+        grouped.push(parentId && parentId !== conv.parentId ? { ...conv, parentId } : conv);
+      } else if (!representativeOf.has(conv.id)) {
+        grouped.push(conv);
+      } else if (representativeOf.get(conv.id) === conv.id) {
+        const chain = this.describe(conv.id, byId);
+        const sessions = chain.sessionIds.map(memberId => byId.get(memberId)).filter(Boolean);
+        grouped.push({ ...SessionChains.combine(sessions, conv), chain });
+      }
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Combine the sessions of a chain into one conversation-shaped summary
+   * @param {Array<Object>} sessions - Chain sessions, first session first
+   * @param {Object} [base] - Session whose other fields (ID, project, ...) are kept (default: the newest)
+   * @returns {Object} Conversation with summed counts, tokens and cost, spanning all sessions
+   */
+  static combine(sessions, base = sessions[sessions.length - 1]) {
+    const sum = (read) => sessions.reduce((total, session) => total + (read(session) || 0), 0);
+    const usage = (field) => sum(session => session.tokenUsage?.[field]);
+    const times = (field) => sessions.map(session => new Date(session[field]).getTime()).filter(Number.isFinite);
+
+    const combined = {
+      ...base,
+      messageCount: sum(session => session.messageCount),
+      fileSize: sum(session => session.fileSize),
+      tokens: sum(session => session.tokens),
+      tokenUsage: {
+        ...base.tokenUsage,
+        total: usage('total'),
+        input: usage('input'),
+        output: usage('output'),
+        cacheCreation: usage('cacheCreation'),
+        cacheRead: usage('cacheRead'),
+        inputTokens: usage('input'),
+        outputTokens: usage('output'),
+        cacheCreationTokens: usage('cacheCreation'),
+        cacheReadTokens: usage('cacheRead')
+      },
+      created: new Date(Math.min(...times('created'))),
+      lastModified: new Date(Math.max(...times('lastModified')))
+    };
+
+    if (sessions.some(session => session.estimatedCost !== undefined)) {
+      combined.estimatedCost = sum(session => session.estimatedCost);
+    }
+
+    return combined;
+  }
+
+  /**
+   * @private
+   */
+  _addTo(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  }
+
+  /**
+   * Merge the chains of two linked sessions
+   * @private
+   */
+  _merge(a, b) {
+    const first = this.members.get(a) || new Set([a]);
+    const second = this.members.get(b) || new Set([b]);
+    if (first === second) return;
+
+    for (const id of second) first.add(id);
+    for (const id of first) this.members.set(id, first);
+  }
+}
+
+module.exports = SessionChains;
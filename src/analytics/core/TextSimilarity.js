@@ -0,0 +1,169 @@
+/**
+ * TextSimilarity - Finds sessions about the same thing, entirely offline
+ *
+ * Each session is reduced to a bag of terms: the words of its messages plus the
+ * files its tool calls touched (as `file:<path>` terms). The Indexer stores the
+ * counts per conversation; similarity is the cosine of TF-IDF vectors built from
+ * them at query time, so document frequencies always reflect the whole index and
+ * appending to a session only adds to its counts.
+ */
+
+// Terms kept per parse; rarer words of a long session add little once IDF is applied
+const MAX_WORD_TERMS = 300;
+
+// File terms kept per parse
+const MAX_FILE_TERMS = 50;
+
+// Prefix marking a touched file, so paths never collide with words
+const FILE_TERM_PREFIX = 'file:';
+
+// Words that say nothing about what a session was about
+const STOPWORDS = new Set(`
+  about above after again against all also and any are aren because been before being below between both but
+  can cannot could did didn does doesn doing don down during each few for from further had hadn has hasn have
+  haven having her here hers herself him himself his how into isn its itself just let lets more most mustn
+  myself needn nor not now off once only other our ours ourselves out over own same shan she should shouldn
+  some such than that the their theirs them themselves then there these they this those through too under
+  until very was wasn were weren what when where which while who whom why will with won would wouldn you
+  your yours yourself yourselves
+  okay sure yes thanks thank please great good like want need make made use using used get got going one
+  two see look looks well i'll i've i'm you're we're let's it's that's don't can't right first next still
+  done work works working file files code
+`.trim().split(/\s+/));
+
+class TextSimilarity {
+  /**
+   * Count the terms of some session text and touched files
+   * @param {Array<string>} texts - Message texts
+   * @param {Array<string>} [filePaths] - Files read or written by tool calls (repeats count)
+   * @returns {Object} term -> count, capped to the most frequent terms
+   */
+  static extractTerms(texts, filePaths = []) {
+    const words = new Map();
+    for (const text of texts) {
+      for (const word of TextSimilarity.tokenize(text)) {
+        words.set(word, (words.get(word) || 0) + 1);
+      }
+    }
+
+    const files = new Map();
+    for (const filePath of filePaths) {
+      if (!filePath) continue;
+      const term = FILE_TERM_PREFIX + filePath;
+      files.set(term, (files.get(term) || 0) + 1);
+    }
+
+    return Object.fromEntries([
+      ...TextSimilarity._mostFrequent(words, MAX_WORD_TERMS),
+      ...TextSimilarity._mostFrequent(files, MAX_FILE_TERMS)
+    ]);
+  }
+
+  /**
+   * Split text into lowercase word terms: identifiers such as err_module_not_found
+   * stay whole, paths and dotted names split into their parts
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Terms, in order, with stopwords and numbers removed
+   */
+  static tokenize(text) {
+    if (!text) return [];
+
+    const terms = [];
+    for (const [word] of String(text).toLowerCase().matchAll(/[a-z][a-z0-9_']{2,39}/g)) {
+      const term = word.replace(/'+$/, '');
+      if (term.length >= 3 && !STOPWORDS.has(term)) {
+        terms.push(term);
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Weight of a term in a session: sublinear term frequency times inverse document
+   * frequency. A term every session has weighs nothing.
+   * @param {number} count - Occurrences in the session
+   * @param {number} documentFrequency - Sessions containing the term
+   * @param {number} documentCount - Sessions with any terms
+   * @returns {number}
+   */
+  static weight(count, documentFrequency, documentCount) {
+    if (count <= 0 || documentFrequency <= 0) return 0;
+    return (1 + Math.log(count)) * Math.log((1 + documentCount) / (1 + documentFrequency));
+  }
+
+  /**
+   * Rank sessions by cosine similarity to a target session
+   * @param {Object} targetTerms - term -> count of the target session
+   * @param {Map<string, Object>} candidates - conversation ID -> (term -> count), every term of each candidate
+   * @param {Map<string, number>} documentFrequency - term -> sessions containing it, for every term involved
+   * @param {number} documentCount - Sessions with any terms
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Max results (default 5)
+   * @param {number} [options.minScore] - Leave out weaker matches (default 0.05)
+   * @param {number} [options.sharedTerms] - Top shared terms reported per result (default 8)
+   * @returns {Array<Object>} [{ id, score, sharedTerms: [term], sharedFiles: [path] }], most similar first
+   */
+  static rank(targetTerms, candidates, documentFrequency, documentCount, options = {}) {
+    const { limit = 5, minScore = 0.05, sharedTerms = 8 } = options;
+
+    const vectorOf = (terms) => {
+      const vector = new Map();
+      for (const [term, count] of Object.entries(terms)) {
+        const weight = TextSimilarity.weight(count, documentFrequency.get(term) || 0, documentCount);
+        if (weight > 0) vector.set(term, weight);
+      }
+      return vector;
+    };
+    const normOf = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+    const target = vectorOf(targetTerms);
+    const targetNorm = normOf(target);
+    if (targetNorm === 0) return [];
+
+    const results = [];
+    for (const [id, terms] of candidates) {
+      const vector = vectorOf(terms);
+      const norm = normOf(vector);
+      if (norm === 0) continue;
+
+      const contributions = [];
+      let dot = 0;
+      for (const [term, weight] of vector) {
+        if (!target.has(term)) continue;
+        const contribution = weight * target.get(term);
+        dot += contribution;
+        contributions.push([term, contribution]);
+      }
+
+      const score = dot / (norm * targetNorm);
+      if (score < minScore) continue;
+
+      const shared = contributions.sort((a, b) => b[1] - a[1]).map(([term]) => term);
+      results.push({
+        id,
+        score: Math.round(score * 1000) / 1000,
+        sharedTerms: shared.filter(term => !term.startsWith(FILE_TERM_PREFIX)).slice(0, sharedTerms),
+        sharedFiles: shared.filter(term => term.startsWith(FILE_TERM_PREFIX))
+          .slice(0, sharedTerms)
+          .map(term => term.slice(FILE_TERM_PREFIX.length))
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Most frequent entries of a count map, ties broken alphabetically so results are stable
+   * @private
+   * @returns {Array<[string, number]>}
+   */
+  static _mostFrequent(counts, limit) {
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit);
+  }
+}
+
+module.exports = TextSimilarity;
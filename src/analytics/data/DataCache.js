@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const chalk = require('chalk');
+const TranscriptArchive = require('./TranscriptArchive');
 
 /**
  * DataCache - Multi-level caching system for analytics performance optimization
@@ -82,7 +83,7 @@ class DataCache {
       
       // Cache miss - read file
       this.metrics.misses++;
-      const content = await fs.readFile(filepath, 'utf8');
+      const content = await TranscriptArchive.readText(filepath);
       
       this.caches.fileContent.set(filepath, {
         content,
@@ -243,6 +244,7 @@ class DataCache {
         toolResults: item.toolResults || null, // Include attached tool results (populated during correlation)
         isCompactSummary: item.isCompactSummary || false, // Preserve compact summary flag
         uuid: item.uuid || null, // Include UUID for message identification
+        parentUuid: item.parentUuid || item.logicalParentUuid || null, // Parent entry, for branch reconstruction
         type: item.type || null // Include type field
       };
       
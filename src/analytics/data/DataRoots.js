@@ -0,0 +1,100 @@
+const path = require('path');
+const os = require('os');
+
+/**
+ * DataRoots - The Claude Code data directories that get indexed
+ *
+ * A root is a directory laid out like ~/.claude (sessions under projects/), with a
+ * name that labels its conversations as their `source`: one per CLAUDE_CONFIG_DIR,
+ * or a copy synced from another machine. Roots are searched in order, so when the
+ * same session file is in two of them the first one wins.
+ */
+
+// Source name of the single root used when none are configured
+const DEFAULT_ROOT_NAME = 'default';
+
+// Root names end up in URLs and search filters (source:work)
+const ROOT_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,39}$/i;
+
+class DataRootError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataRootError';
+  }
+}
+
+/**
+ * Expand a leading ~ and make a path absolute
+ * @param {string} dir - Path as written in a config file or flag
+ * @param {string} [baseDir] - Directory relative paths are resolved against
+ * @returns {string}
+ */
+function resolvePath(dir, baseDir = process.cwd()) {
+  const expanded = dir === '~' || dir.startsWith(`~${path.sep}`) || dir.startsWith('~/')
+    ? path.join(os.homedir(), dir.slice(1))
+    : dir;
+  return path.resolve(baseDir, expanded);
+}
+
+/**
+ * Validate roots and add their projects directories
+ * @param {Array<{name: string, path: string}>} roots - Roots in priority order
+ * @returns {Array<{name: string, path: string, projectsDir: string}>}
+ * @throws {DataRootError} If there are no roots, a name is invalid or repeated, or roots overlap
+ */
+function normalizeRoots(roots) {
+  if (!Array.isArray(roots) || roots.length === 0) {
+    throw new DataRootError('At least one data root is required');
+  }
+
+  const normalized = [];
+  for (const root of roots) {
+    if (!root || typeof root.name !== 'string' || !ROOT_NAME_PATTERN.test(root.name)) {
+      throw new DataRootError(`Invalid data root name "${root && root.name}": use letters, digits, ".", "_" or "-"`);
+    }
+    if (typeof root.path !== 'string' || !root.path.trim()) {
+      throw new DataRootError(`Data root "${root.name}" needs a path`);
+    }
+
+    const dir = resolvePath(root.path.trim());
+    for (const other of normalized) {
+      if (other.name.toLowerCase() === root.name.toLowerCase()) {
+        throw new DataRootError(`Data root name "${root.name}" is used twice`);
+      }
+      if (isWithin(dir, other.path) || isWithin(other.path, dir)) {
+        throw new DataRootError(`Data roots "${other.name}" and "${root.name}" overlap (${other.path}, ${dir})`);
+      }
+    }
+
+    normalized.push({ name: root.name, path: dir, projectsDir: path.join(dir, 'projects') });
+  }
+
+  return normalized;
+}
+
+/**
+ * Find the root a session file belongs to
+ * @param {Array<Object>} roots - Normalized roots
+ * @param {string} filePath - Absolute path of a JSONL file
+ * @returns {Object|null} The root whose projects directory contains the file
+ */
+function rootForPath(roots, filePath) {
+  return roots.find(root => isWithin(filePath, root.projectsDir)) || null;
+}
+
+/**
+ * Whether a path is a directory or inside it
+ * @private
+ */
+function isWithin(candidate, dir) {
+  const relative = path.relative(dir, candidate);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = {
+  DEFAULT_ROOT_NAME,
+  DataRootError,
+  normalizeRoots,
+  resolvePath,
+  rootForPath
+};
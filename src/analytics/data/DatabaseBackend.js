@@ -3,6 +3,10 @@ const path = require('path');
 const os = require('os');
 const DatabaseManager = require('./DatabaseManager');
 const Indexer = require('./Indexer');
+const TranscriptArchive = require('./TranscriptArchive');
+const CostCalculator = require('../core/CostCalculator');
+const SessionChains = require('../core/SessionChains');
+const { SearchQuery } = require('./SearchQuery');
 
 /**
  * DatabaseBackend - Integration layer between SQLite database and ChatsMobile
@@ -12,8 +16,21 @@ const Indexer = require('./Indexer');
  * conversation data in the same format expected by the existing code.
  */
 class DatabaseBackend {
+  /**
+   * @param {string} claudeDir - Claude data directory (default ~/.claude)
+   * @param {Object} [options]
+   * @param {Array<{name: string, path: string}>} [options.roots] - Data roots to index instead of
+   *   claudeDir alone; the database defaults to the first root's data directory
+   * @param {string} [options.dbPath] - Database file
+   * @param {boolean} [options.backgroundIndex] - Index in the background instead of during initialize()
+   * @param {boolean} [options.initialIndex] - Set to false to query the database as last indexed
+   * @param {Object|null} [options.indexProgressStream] - Where the indexer draws its progress line
+   * @param {Object|null} [options.archive] - Keep copies of indexed transcripts: { dir, compress,
+   *   retentionDays }, with dir defaulting to an archive folder next to the database (default off)
+   */
   constructor(claudeDir, options = {}) {
-    this.claudeDir = claudeDir || path.join(os.homedir(), '.claude');
+    this.roots = options.roots || null;
+    this.claudeDir = claudeDir || (this.roots ? this.roots[0].path : path.join(os.homedir(), '.claude'));
     this.options = options;
 
     // Database path - in a data directory within claude folder
@@ -22,13 +39,33 @@ class DatabaseBackend {
       process.env.CLAUDE_DB_PATH ||
       path.join(this.claudeDir, 'data', 'conversations.db');
 
+    // Price overrides live next to the database so they stay writable
+    // when ~/.claude is mounted read-only
+    this.pricingPath = options.pricingPath ||
+      process.env.CLAUDE_PRICING_PATH ||
+      path.join(path.dirname(this.dbPath), 'pricing.json');
+    this.costCalculator = options.costCalculator ||
+      new CostCalculator({ pricingPath: this.pricingPath });
+
+    this.archive = options.archive
+      ? new TranscriptArchive({
+        ...options.archive,
+        dir: options.archive.dir || path.join(path.dirname(this.dbPath), 'archive')
+      })
+      : null;
+
     this.db = null;
     this.indexer = null;
+    this.indexPromise = null;
     this.isInitialized = false;
   }
 
   /**
    * Initialize the database backend
+   *
+   * With options.backgroundIndex the backend is usable as soon as the database is
+   * open: the initial index runs in the background (see indexPromise and
+   * getIndexStatus()) and queries return whatever has been indexed so far.
    * @returns {Promise<void>}
    */
   async initialize() {
@@ -42,10 +79,27 @@ class DatabaseBackend {
       await this.db.initialize();
 
       // Initialize indexer
-      this.indexer = new Indexer(this.db, this.claudeDir);
+      this.indexer = new Indexer(this.db, this.claudeDir, {
+        roots: this.roots,
+        costCalculator: this.costCalculator,
+        workers: this.options.indexWorkers,
+        onProgress: this.options.onIndexProgress,
+        progressStream: this.options.indexProgressStream,
+        archive: this.archive
+      });
 
       // Run initial indexing
-      await this.runIndex();
+      if (this.options.initialIndex === false) {
+        this.indexPromise = Promise.resolve(null);
+      } else if (this.options.backgroundIndex) {
+        this.indexPromise = this.runIndex().catch(err => {
+          console.error(chalk.red('❌ Background indexing failed:'), err.message);
+          return null;
+        });
+      } else {
+        this.indexPromise = this.runIndex();
+        await this.indexPromise;
+      }
 
       this.isInitialized = true;
       console.log(chalk.green('✅ Database backend initialized'));
@@ -77,10 +131,39 @@ class DatabaseBackend {
     return await this.indexer.runFullIndex();
   }
 
+  /**
+   * Re-parse every session file from the start, e.g. after a parser fix
+   * @returns {Promise<Object>} Indexing statistics
+   */
+  async reindexAll() {
+    if (!this.indexer) {
+      throw new Error('Database not initialized');
+    }
+    this.db.invalidateFileIndex();
+    return await this.indexer.runFullIndex();
+  }
+
+  /**
+   * Get progress of the current (or last) full index run
+   * @returns {Object} Progress snapshot from Indexer.getProgress()
+   */
+  getIndexStatus() {
+    if (!this.indexer) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.indexer.getProgress();
+  }
+
   /**
    * Get all conversations (for API responses)
    * Returns data in the same format expected by the existing frontend
    * @param {Object} options - Query options
+   * @param {boolean} [options.groupChains] - Show each chain of resumed sessions as one entry
+   *   (see SessionChains.group()); otherwise chained sessions are listed separately with a `chain` description
+   * @param {string} [options.gitBranch] - Only conversations with entries on this git branch
+   * @param {string} [options.version] - Only conversations with entries from this Claude Code version
+   * @param {string} [options.source] - Only conversations indexed from this data root
    * @returns {Array} Array of conversation objects
    */
   getConversations(options = {}) {
@@ -91,7 +174,72 @@ class DatabaseBackend {
     const conversations = this.db.getConversations(options);
 
     // Transform to match expected format
-    return conversations.map(conv => this._transformConversation(conv));
+    const transformed = this._attachFacets(this._attachCosts(conversations.map(conv => this._transformConversation(conv))));
+
+    const chains = this.getSessionChains();
+    if (options.groupChains) {
+      return chains.group(transformed);
+    }
+
+    const byId = new Map(transformed.map(conv => [conv.id, conv]));
+    for (const conv of transformed) {
+      conv.chain = chains.describe(conv.id, byId);
+    }
+    return transformed;
+  }
+
+  /**
+   * Get the git branches, Claude Code versions and data sources conversations can be filtered by
+   * @param {Object} options - Query options (project, includeSubagents)
+   * @returns {Object} { gitBranches, versions, sources }, each [{ value, conversations }]
+   */
+  getFacets(options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.db.getFacets(options);
+  }
+
+  /**
+   * Get the links between resumed and continued sessions
+   * @returns {SessionChains}
+   */
+  getSessionChains() {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return new SessionChains(this.db.getSessionLinks());
+  }
+
+  /**
+   * Get the chain of resumed sessions a conversation belongs to
+   * @param {string} id - ID of any session in the chain
+   * @returns {Object|null} { id, length, sessions (first session first, each with its `chain`
+   *   description), combined (SessionChains.combine() of the sessions) }, or null when not chained
+   */
+  getSessionChain(id) {
+    const chains = this.getSessionChains();
+    if (!chains.isChained(id)) return null;
+
+    const members = [...chains.members.get(id)]
+      .map(memberId => this.db.getConversation(memberId))
+      .filter(Boolean)
+      .map(conv => this._transformConversation(conv));
+    const byId = new Map(this._attachFacets(this._attachCosts(members)).map(conv => [conv.id, conv]));
+
+    const sessions = chains.getOrderedIds(id, byId)
+      .filter(memberId => byId.has(memberId))
+      .map(memberId => ({ ...byId.get(memberId), chain: chains.describe(memberId, byId) }));
+    if (sessions.length === 0) return null;
+
+    return {
+      id: sessions[0].chain.id,
+      length: sessions.length,
+      sessions,
+      combined: SessionChains.combine(sessions)
+    };
   }
 
   /**
@@ -106,14 +254,14 @@ class DatabaseBackend {
     }
 
     const conversations = this.db.searchConversations(query, options);
-    return conversations.map(conv => this._transformConversation(conv));
+    return this._attachFacets(this._attachCosts(conversations.map(conv => this._transformConversation(conv))));
   }
 
   /**
    * Search conversations with FTS5 and return snippets
    * @param {string} query - Search query
    * @param {Object} options - Search options
-   * @returns {Array} Matching conversations with snippets
+   * @returns {Array} Matching conversations with snippets and matching messages
    */
   searchConversationsWithSnippets(query, options = {}) {
     if (!this.db) {
@@ -121,12 +269,35 @@ class DatabaseBackend {
     }
 
     const conversations = this.db.searchConversationsWithSnippets(query, options);
-    return conversations.map(conv => ({
-      ...this._transformConversation(conv),
-      snippet: conv.snippet,
-      searchTerm: conv.searchTerm,
-      relevance: conv.relevance
-    }));
+    return this._transformSearchResults(conversations);
+  }
+
+  /**
+   * Search with a parsed query (field filters, phrases and exclusions)
+   * @param {SearchQuery} searchQuery - Parsed query (see SearchQuery.parse)
+   * @param {Object} options - Search options
+   * @returns {Array} Matching conversations with snippets and matching messages
+   */
+  searchWithQuery(searchQuery, options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const conversations = this.db.searchWithQuery(searchQuery, options);
+    return this._transformSearchResults(conversations);
+  }
+
+  /**
+   * Autocomplete a search query part with field names or indexed values
+   * @param {string} token - The part being typed
+   * @returns {Array<Object>} [{ insert, label, description }]
+   */
+  getSearchSuggestions(token) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return SearchQuery.suggest(token, (field, prefix) => this.db.getSearchFieldValues(field, prefix));
   }
 
   /**
@@ -140,19 +311,125 @@ class DatabaseBackend {
     }
 
     const conv = this.db.getConversation(id);
-    return conv ? this._transformConversation(conv) : null;
+    return conv ? this._attachFacets(this._attachCosts([this._transformConversation(conv)]))[0] : null;
+  }
+
+  /**
+   * List the project folders sessions can be imported into
+   * @returns {Array<{folder, project, cwd, source, conversations}>} See DatabaseManager.getProjectFolders()
+   */
+  getProjectFolders() {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.db.getProjectFolders();
+  }
+
+  /**
+   * Find conversation IDs starting with a prefix
+   * @param {string} prefix - Start of a conversation ID
+   * @param {number} [limit] - Max IDs
+   * @returns {Array<string>} Matching IDs
+   */
+  findConversationIds(prefix, limit) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.db.findConversationIds(prefix, limit);
+  }
+
+  /**
+   * Find conversations that read or edited a file
+   * @param {string} filePath - Absolute path, or a relative path matched as a suffix
+   * @param {Object} options - Query options (limit, includeSubagents)
+   * @returns {Array} Conversations with lastTouched, operations and touches
+   */
+  getFileHistory(filePath, options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const results = this.db.getFileTouches(filePath, options);
+    const conversations = this._attachFacets(this._attachCosts(results.map(result => this._transformConversation(result.conversation))));
+
+    return conversations.map((conv, index) => ({
+      ...conv,
+      lastTouched: results[index].lastTouched,
+      operations: results[index].operations,
+      touches: results[index].touches
+    }));
+  }
+
+  /**
+   * Find the sessions most similar to a conversation (message words and touched files)
+   * @param {string} id - Conversation ID
+   * @param {Object} options - Query options (limit, includeSubagents)
+   * @returns {Array} Conversations with score (0-1), sharedTerms and sharedFiles, most similar first
+   */
+  getSimilarConversations(id, options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const results = this.db.getSimilarConversations(id, options);
+    const conversations = this._attachFacets(this._attachCosts(results.map(result => this._transformConversation(result.conversation))));
+
+    return conversations.map((conv, index) => ({
+      ...conv,
+      score: results[index].score,
+      sharedTerms: results[index].sharedTerms,
+      sharedFiles: results[index].sharedFiles
+    }));
+  }
+
+  /**
+   * Get Bash command history across conversations
+   * @param {Object} options - Filters (query, project, dateFrom, dateTo, failedOnly, includeSubagents, limit, offset)
+   * @returns {Object} { commands, total }
+   */
+  getBashCommands(options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    return this.db.getBashCommands(options);
+  }
+
+  /**
+   * Get the per-model cost breakdown for a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Object} Cost result (see CostCalculator.calculateCost)
+   */
+  getConversationCost(id) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const usage = this.db.getModelUsage([id]).get(id) || {};
+    return this.costCalculator.calculateCost(usage);
   }
 
   /**
    * Get summary statistics
+   * @param {Object} [options] - Conversations to count: { since (ms), project, source }; default all
    * @returns {Object} Summary data
    */
-  getSummary() {
+  getSummary(options = {}) {
     if (!this.db) {
       throw new Error('Database not initialized');
     }
 
-    return this.db.getSummary();
+    const summary = this.db.getSummary(options);
+    const cost = this.costCalculator.calculateCost(this.db.getModelUsageStats(options));
+
+    return {
+      ...summary,
+      estimatedCost: cost.total,
+      costBreakdown: cost.breakdown,
+      costByModel: cost.byModel
+    };
   }
 
   /**
@@ -169,14 +446,32 @@ class DatabaseBackend {
 
   /**
    * Get tool usage statistics
+   * @param {Object} [options] - Conversations to count (see getSummary())
    * @returns {Array} Tool usage data
    */
-  getToolUsageStats() {
+  getToolUsageStats(options = {}) {
     if (!this.db) {
       throw new Error('Database not initialized');
     }
 
-    return this.db.getToolUsageStats();
+    return this.db.getToolUsageStats(options);
+  }
+
+  /**
+   * Get conversation, message, token and cost totals per project
+   * @param {Object} [options] - Conversations to count (see getSummary())
+   * @returns {Array<Object>} [{ project, conversations, messages, tokens, estimatedCost }], most conversations first
+   */
+  getProjectStats(options = {}) {
+    if (!this.db) {
+      throw new Error('Database not initialized');
+    }
+
+    const usageByProject = this.db.getProjectModelUsage(options);
+    return this.db.getProjectStats(options).map(stats => ({
+      ...stats,
+      estimatedCost: this.costCalculator.calculateCost(usageByProject.get(stats.project) || {}).total
+    }));
   }
 
   /**
@@ -222,20 +517,20 @@ class DatabaseBackend {
    * @private
    */
   _transformConversation(conv) {
+    // Once the original is deleted, the conversation is read from its archive copy
+    const archived = Boolean(conv.archivedAt && conv.archivePath);
     return {
       id: conv.id,
       filename: conv.filename,
-      filePath: conv.filePath,
+      filePath: archived ? conv.archivePath : conv.filePath,
+      originalPath: conv.filePath,
+      archived,
       messageCount: conv.messageCount,
       fileSize: conv.fileSize,
       lastModified: conv.lastModified,
       created: conv.created,
       tokens: conv.tokens,
-      tokenUsage: conv.tokenUsage || {
-        total: conv.tokens,
-        input: conv.tokenUsage?.input || 0,
-        output: conv.tokenUsage?.output || 0
-      },
+      tokenUsage: this._transformTokenUsage(conv),
       modelInfo: conv.modelInfo || {
         primaryModel: conv.modelInfo?.primaryModel || 'Unknown'
       },
@@ -251,7 +546,82 @@ class DatabaseBackend {
       },
       // Subagent hierarchy fields
       isSubagent: conv.isSubagent || false,
-      parentId: conv.parentId || null
+      parentId: conv.parentId || null,
+      // Data root the conversation was indexed from
+      source: conv.source || null
+    };
+  }
+
+  /**
+   * Transform snippet search results, keeping their snippets and matching messages
+   * @private
+   */
+  _transformSearchResults(conversations) {
+    return this._attachFacets(this._attachCosts(conversations.map(conv => ({
+      ...this._transformConversation(conv),
+      snippet: conv.snippet,
+      searchTerm: conv.searchTerm,
+      relevance: conv.relevance,
+      matchCount: conv.matchCount || 0,
+      matches: conv.matches || [],
+      fuzzy: conv.fuzzy || false,
+      corrections: conv.corrections || null
+    }))));
+  }
+
+  /**
+   * Add an estimatedCost (USD) to each conversation from its per-model usage
+   * @private
+   */
+  _attachCosts(conversations) {
+    const usageById = this.db.getModelUsage(conversations.map(conv => conv.id));
+
+    for (const conv of conversations) {
+      const usage = usageById.get(conv.id) || {};
+      conv.estimatedCost = this.costCalculator.calculateCost(usage).total;
+    }
+
+    return conversations;
+  }
+
+  /**
+   * Add the git branches and Claude Code versions (most used first) each conversation's entries were recorded with
+   * @private
+   */
+  _attachFacets(conversations) {
+    const facetsById = this.db.getConversationFacets(conversations.map(conv => conv.id));
+
+    for (const conv of conversations) {
+      const facets = facetsById.get(conv.id);
+      conv.gitBranches = facets ? facets.gitBranches : [];
+      conv.versions = facets ? facets.versions : [];
+    }
+
+    return conversations;
+  }
+
+  /**
+   * Expand stored token totals into both the database field names and the
+   * ConversationAnalyzer names (inputTokens, cacheReadTokens, ...) read by the analytics route
+   * @private
+   */
+  _transformTokenUsage(conv) {
+    const usage = conv.tokenUsage || {};
+    const input = usage.input || 0;
+    const output = usage.output || 0;
+    const cacheCreation = usage.cacheCreation || 0;
+    const cacheRead = usage.cacheRead || 0;
+
+    return {
+      total: usage.total ?? conv.tokens ?? 0,
+      input,
+      output,
+      cacheCreation,
+      cacheRead,
+      inputTokens: input,
+      outputTokens: output,
+      cacheCreationTokens: cacheCreation,
+      cacheReadTokens: cacheRead
     };
   }
 
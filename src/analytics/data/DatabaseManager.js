@@ -1,6 +1,42 @@
 const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
+const MigrationRunner = require('./MigrationRunner');
+const SCHEMA_MIGRATIONS = require('./SchemaMigrations');
+const TextSimilarity = require('../core/TextSimilarity');
+
+// Sessions sharing the most weighted terms with the target that get fully scored
+const SIMILAR_CANDIDATE_POOL = 50;
+
+// Typo-tolerant search: words of this length or more go in the vocabulary, and
+// query words need one more letter before they're corrected
+const MIN_VOCABULARY_WORD_LENGTH = 4;
+const MAX_VOCABULARY_WORD_LENGTH = 40;
+
+// Query words found in fewer messages than this are looked up for likely misspellings
+const FUZZY_RARE_WORD_MESSAGES = 3;
+
+// Vocabulary words compared per query word (best trigram matches first), and how many
+// of the closest are searched as alternatives
+const FUZZY_CANDIDATES = 200;
+const MAX_FUZZY_ALTERNATIVES = 3;
+
+// Fuzzy matches rank as if their BM25 score were this much weaker than an exact match
+const FUZZY_RELEVANCE_FACTOR = 0.5;
+
+// Columns of message_fts matched in each search scope (null: every column)
+const SEARCH_SCOPE_COLUMNS = {
+  all: null,
+  prose: '{content}',
+  tools: '{tool_input tool_output}'
+};
+
+// bm25() weights for the message_fts columns: prose counts most, then tool calls,
+// then tool output, which is mostly file contents and logs
+const MESSAGE_FTS_WEIGHTS = '0, 0, 0, 0, 0, 4.0, 2.0, 1.0';
+
+// Snippet columns of message_fts, in the order a match is reported from
+const MESSAGE_FTS_FIELDS = [[5, 'prose'], [6, 'toolInput'], [7, 'toolOutput']];
 
 /**
  * DatabaseManager - SQLite + FTS5 backend for efficient conversation storage and search
@@ -45,197 +81,33 @@ class DatabaseManager {
   }
 
   /**
-   * Create database tables and FTS5 virtual table
+   * Create or upgrade the schema by applying pending versioned migrations
    */
   _createSchema() {
-    try {
-      // Main conversations table - stores metadata
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS conversations (
-          id TEXT PRIMARY KEY,
-          file_path TEXT UNIQUE NOT NULL,
-          filename TEXT NOT NULL,
-          project TEXT,
-          message_count INTEGER DEFAULT 0,
-          file_size INTEGER DEFAULT 0,
-          last_modified INTEGER NOT NULL,
-          created INTEGER NOT NULL,
-          tokens_total INTEGER DEFAULT 0,
-          tokens_input INTEGER DEFAULT 0,
-          tokens_output INTEGER DEFAULT 0,
-          primary_model TEXT,
-          indexed_at INTEGER NOT NULL
-        )
-      `);
-
-      // Tool usage tracking
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS tool_usage (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          conversation_id TEXT NOT NULL,
-          tool_name TEXT NOT NULL,
-          call_count INTEGER DEFAULT 1,
-          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
-          UNIQUE(conversation_id, tool_name)
-        )
-      `);
-
-      // FTS5 virtual table for full-text search on conversation content
-      // Tokenize with unicode61 for proper handling of all characters
-      this.db.exec(`
-        CREATE VIRTUAL TABLE IF NOT EXISTS conversation_fts USING fts5(
-          conversation_id,
-          content,
-          project,
-          tokenize='unicode61 remove_diacritics 2'
-        )
-      `);
+    const runner = new MigrationRunner(this.db, SCHEMA_MIGRATIONS);
 
-      // File tracking table - for incremental indexing
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS file_index (
-          file_path TEXT PRIMARY KEY,
-          mtime INTEGER NOT NULL,
-          size INTEGER NOT NULL,
-          indexed_at INTEGER NOT NULL
-        )
-      `);
-
-      // Create indexes for common queries
-      this.db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_conversations_last_modified ON conversations(last_modified DESC);
-        CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations(project);
-        CREATE INDEX IF NOT EXISTS idx_conversations_tokens ON conversations(tokens_total DESC);
-        CREATE INDEX IF NOT EXISTS idx_tool_usage_tool ON tool_usage(tool_name);
-      `);
+    try {
+      runner.run();
     } catch (err) {
       const sqliteVersion = this.db.pragma('sqlite_version', { simple: true });
-      console.error(`❌ Schema creation failed: ${err.message}`);
+      console.error(`❌ Schema migration failed: ${err.message}`);
       console.error(`   SQLite version: ${sqliteVersion}`);
       console.error(`   Database path: ${this.dbPath}`);
       throw new Error(`Database schema creation failed: ${err.message}. Try deleting ${this.dbPath} and restarting.`);
     }
-
-    // Migration: Add subagent columns if they don't exist
-    this._migrateSubagentColumns();
-
-    // Migration: Add cwd column for project name resolution
-    this._migrateCwdColumn();
   }
 
   /**
-   * Migrate database to add cwd column for better project name resolution
-   * @private
+   * Get schema version details
+   * @returns {Object} { version, latestVersion, migrations: [{ version, name, appliedAt, durationMs, reindex }] }
    */
-  _migrateCwdColumn() {
-    try {
-      const columns = this.db.prepare("PRAGMA table_info(conversations)").all();
-      const columnNames = columns.map(c => c.name);
-
-      if (!columnNames.includes('cwd')) {
-        this.db.exec(`ALTER TABLE conversations ADD COLUMN cwd TEXT`);
-      }
-    } catch (err) {
-      console.warn(chalk.yellow(`⚠️ CWD column migration failed: ${err.message}`));
-    }
-  }
-
-  /**
-   * Migrate database to add subagent columns
-   * @private
-   */
-  _migrateSubagentColumns() {
-    try {
-      // Check if columns exist by querying table info
-      const columns = this.db.prepare("PRAGMA table_info(conversations)").all();
-      const columnNames = columns.map(c => c.name);
-
-      let needsDataMigration = false;
-
-      if (!columnNames.includes('is_subagent')) {
-        this.db.exec(`ALTER TABLE conversations ADD COLUMN is_subagent INTEGER DEFAULT 0`);
-        needsDataMigration = true;
-      }
-
-      if (!columnNames.includes('parent_id')) {
-        this.db.exec(`ALTER TABLE conversations ADD COLUMN parent_id TEXT`);
-        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_conversations_parent ON conversations(parent_id)`);
-        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_conversations_subagent ON conversations(is_subagent)`);
-        needsDataMigration = true;
-      }
-
-      // One-time data migration: update existing records based on file_path
-      // Subagent paths contain /subagents/ directory
-      // Run if columns were just added, OR if there are unmigrated records
-      if (needsDataMigration || this._hasUnmigratedSubagents()) {
-        console.log('📦 Running one-time subagent data migration...');
-        this._migrateExistingSubagentData();
-      }
-    } catch (err) {
-      console.error(chalk.red(`⚠️ Subagent column migration failed: ${err.message}`));
-      console.error(chalk.gray('   Subagent hierarchy features may not work correctly.'));
-      // Don't throw - allow the application to continue with reduced functionality
-    }
-  }
-
-  /**
-   * Check if there are subagent records that haven't been migrated
-   * @private
-   */
-  _hasUnmigratedSubagents() {
-    try {
-      const count = this.db.prepare(`
-        SELECT COUNT(*) as cnt FROM conversations
-        WHERE file_path LIKE '%/subagents/%' AND (is_subagent = 0 OR is_subagent IS NULL)
-      `).get();
-      return count && count.cnt > 0;
-    } catch (err) {
-      console.warn(chalk.yellow(`⚠️ Could not check for unmigrated subagents: ${err.message}`));
-      return false; // Assume no migration needed on error
-    }
-  }
-
-  /**
-   * Update existing conversation records to detect subagents from file paths
-   * @private
-   */
-  _migrateExistingSubagentData() {
-    try {
-      // Get all conversations that have /subagents/ in their path
-      const subagentRows = this.db.prepare(`
-        SELECT id, file_path FROM conversations WHERE file_path LIKE '%/subagents/%'
-      `).all();
-
-      if (subagentRows.length === 0) {
-        console.log('📦 No subagent records found to migrate');
-        return;
-      }
-
-      console.log(`📦 Migrating ${subagentRows.length} subagent records...`);
-
-      const updateStmt = this.db.prepare(`
-        UPDATE conversations SET is_subagent = 1, parent_id = ? WHERE id = ?
-      `);
-
-      const transaction = this.db.transaction((rows) => {
-        for (const row of rows) {
-          // Extract parent ID from path: .../parent-id/subagents/agent-xxx.jsonl
-          const parts = row.file_path.split('/');
-          const subagentIdx = parts.indexOf('subagents');
-          if (subagentIdx > 0) {
-            const parentId = parts[subagentIdx - 1];
-            updateStmt.run(parentId, row.id);
-          }
-        }
-      });
-
-      transaction(subagentRows);
-      console.log(`📦 Migrated ${subagentRows.length} subagent records`);
-    } catch (err) {
-      console.error(chalk.red(`⚠️ Subagent data migration failed: ${err.message}`));
-      console.error(chalk.gray('   Some subagent records may not be correctly identified.'));
-      // Don't throw - allow the application to continue
-    }
+  getSchemaInfo() {
+    const runner = new MigrationRunner(this.db, SCHEMA_MIGRATIONS);
+    return {
+      version: runner.getCurrentVersion(),
+      latestVersion: runner.getLatestVersion(),
+      migrations: runner.getAppliedMigrations()
+    };
   }
 
   /**
@@ -255,21 +127,92 @@ class DatabaseManager {
     return row.mtime !== mtime || row.size !== size;
   }
 
+  /**
+   * Get the saved parse position of a file, for resuming an incremental index
+   * @param {string} filePath - Path to JSONL file
+   * @returns {Object|null} { mtime, size, byteOffset, headHash, parseState } or null if never indexed
+   */
+  getFileIndexState(filePath) {
+    const row = this.db.prepare(`
+      SELECT mtime, size, byte_offset, head_hash, parse_state FROM file_index WHERE file_path = ?
+    `).get(filePath);
+
+    if (!row) return null;
+
+    let parseState = null;
+    if (row.parse_state) {
+      try {
+        parseState = JSON.parse(row.parse_state);
+      } catch {
+        // Unreadable state just means the next index is a full parse
+      }
+    }
+
+    return {
+      mtime: row.mtime,
+      size: row.size,
+      byteOffset: row.byte_offset || 0,
+      headHash: row.head_hash || null,
+      parseState
+    };
+  }
+
+  /**
+   * Run a function inside one transaction. Writes made by methods that open their
+   * own transaction (such as upsertConversation) become savepoints within it.
+   * @param {Function} fn - Function doing the writes
+   * @returns {*} Return value of fn
+   */
+  runInTransaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
   /**
    * Insert or update a conversation in the database
    * @param {Object} conversation - Conversation data object
    * @param {string} searchableContent - Text content for FTS indexing
+   * @param {Array<Object>} [messages] - Per-message FTS entries ({ uuid, messageId, role, timestamp, content }).
+   *   When omitted, searchableContent is stored as a single message-less entry.
+   * @param {Object} [options]
+   * @param {boolean} [options.append] - The content, messages, terms, file touches and Bash commands cover only
+   *   lines appended since the last index: add them to the stored rows instead of replacing them, and
+   *   apply conversation.bashResults to commands recorded earlier. Totals are always replaced.
    */
-  upsertConversation(conversation, searchableContent) {
+  upsertConversation(conversation, searchableContent, messages = null, options = {}) {
     const now = Date.now();
+    const append = options.append === true;
 
     // Begin transaction for atomicity
+    // Updated in place rather than replaced: a REPLACE deletes the row first, which
+    // cascades to the file touches and Bash commands an append has to keep
     const insertConv = this.db.prepare(`
-      INSERT OR REPLACE INTO conversations (
+      INSERT INTO conversations (
         id, file_path, filename, project, message_count, file_size,
         last_modified, created, tokens_total, tokens_input, tokens_output,
-        primary_model, indexed_at, is_subagent, parent_id, cwd
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        tokens_cache_creation, tokens_cache_read,
+        primary_model, indexed_at, is_subagent, parent_id, cwd, last_uuid, source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        file_path = excluded.file_path,
+        filename = excluded.filename,
+        source = excluded.source,
+        project = excluded.project,
+        message_count = excluded.message_count,
+        file_size = excluded.file_size,
+        last_modified = excluded.last_modified,
+        created = excluded.created,
+        tokens_total = excluded.tokens_total,
+        tokens_input = excluded.tokens_input,
+        tokens_output = excluded.tokens_output,
+        tokens_cache_creation = excluded.tokens_cache_creation,
+        tokens_cache_read = excluded.tokens_cache_read,
+        primary_model = excluded.primary_model,
+        indexed_at = excluded.indexed_at,
+        is_subagent = excluded.is_subagent,
+        parent_id = excluded.parent_id,
+        cwd = excluded.cwd,
+        last_uuid = excluded.last_uuid,
+        archived_at = NULL
     `);
 
     const deleteOldFts = this.db.prepare(`
@@ -281,9 +224,22 @@ class DatabaseManager {
       VALUES (?, ?, ?)
     `);
 
+    const selectFtsContent = this.db.prepare(`
+      SELECT content FROM conversation_fts WHERE conversation_id = ?
+    `);
+
+    const deleteOldMessages = this.db.prepare(`
+      DELETE FROM message_fts WHERE conversation_id = ?
+    `);
+
+    const insertMessage = this.db.prepare(`
+      INSERT INTO message_fts (conversation_id, message_uuid, message_id, role, timestamp, content, tool_input, tool_output)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
     const updateFileIndex = this.db.prepare(`
-      INSERT OR REPLACE INTO file_index (file_path, mtime, size, indexed_at)
-      VALUES (?, ?, ?, ?)
+      INSERT OR REPLACE INTO file_index (file_path, mtime, size, indexed_at, byte_offset, head_hash, parse_state)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     const deleteOldTools = this.db.prepare(`
@@ -295,6 +251,75 @@ class DatabaseManager {
       VALUES (?, ?, ?)
     `);
 
+    const deleteOldModelUsage = this.db.prepare(`
+      DELETE FROM model_usage WHERE conversation_id = ?
+    `);
+
+    const insertModelUsage = this.db.prepare(`
+      INSERT OR REPLACE INTO model_usage (
+        conversation_id, model, message_count, tokens_input, tokens_output,
+        tokens_cache_creation, tokens_cache_creation_1h, tokens_cache_read
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const deleteOldFileTouches = this.db.prepare(`
+      DELETE FROM file_touches WHERE conversation_id = ?
+    `);
+
+    const insertFileTouch = this.db.prepare(`
+      INSERT INTO file_touches (conversation_id, file_path, operation, message_uuid, timestamp)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const deleteOldCommands = this.db.prepare(`
+      DELETE FROM bash_commands WHERE conversation_id = ?
+    `);
+
+    const insertCommand = this.db.prepare(`
+      INSERT INTO bash_commands (
+        conversation_id, tool_use_id, message_id, command, description,
+        timestamp, exit_code, is_error, output_preview
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const deleteOldFacets = this.db.prepare(`
+      DELETE FROM conversation_facets WHERE conversation_id = ?
+    `);
+
+    const insertFacet = this.db.prepare(`
+      INSERT INTO conversation_facets (conversation_id, facet, value, entry_count) VALUES (?, ?, ?, ?)
+    `);
+
+    const deleteOldLinks = this.db.prepare(`
+      DELETE FROM session_links WHERE conversation_id = ?
+    `);
+
+    const insertLink = this.db.prepare(`
+      INSERT OR IGNORE INTO session_links (conversation_id, leaf_uuid) VALUES (?, ?)
+    `);
+
+    const deleteOldTerms = this.db.prepare(`
+      DELETE FROM conversation_terms WHERE conversation_id = ?
+    `);
+
+    const insertTerm = this.db.prepare(`
+      INSERT INTO conversation_terms (conversation_id, term, count) VALUES (?, ?, ?)
+      ON CONFLICT(conversation_id, term) DO UPDATE SET count = count + excluded.count
+    `);
+
+    const insertVocabulary = this.db.prepare(`
+      INSERT OR IGNORE INTO search_vocabulary (term) VALUES (?)
+    `);
+
+    const insertVocabularyTrigrams = this.db.prepare(`
+      INSERT INTO search_vocabulary_trigrams (rowid, term) VALUES (?, ?)
+    `);
+
+    const updateCommandResult = this.db.prepare(`
+      UPDATE bash_commands SET exit_code = ?, is_error = ?, output_preview = ?
+      WHERE conversation_id = ? AND tool_use_id = ?
+    `);
+
     const transaction = this.db.transaction(() => {
       // Insert/update main conversation record
       insertConv.run(
@@ -309,25 +334,72 @@ class DatabaseManager {
         conversation.tokenUsage?.total || 0,
         conversation.tokenUsage?.input || 0,
         conversation.tokenUsage?.output || 0,
+        conversation.tokenUsage?.cacheCreation || 0,
+        conversation.tokenUsage?.cacheRead || 0,
         conversation.modelInfo?.primaryModel || null,
         now,
         conversation.isSubagent ? 1 : 0,
         conversation.parentId || null,
-        conversation.cwd || null
+        conversation.cwd || null,
+        conversation.lastUuid || null,
+        conversation.source || null
       );
 
       // Update FTS index
+      let ftsContent = searchableContent || '';
+      if (append) {
+        const existing = selectFtsContent.get(conversation.id);
+        if (existing && existing.content) {
+          ftsContent = ftsContent.trim() ? `${existing.content}\n${ftsContent}` : existing.content;
+        }
+      }
       deleteOldFts.run(conversation.id);
-      if (searchableContent && searchableContent.trim()) {
-        insertFts.run(conversation.id, searchableContent, conversation.project || '');
+      if (ftsContent.trim()) {
+        insertFts.run(conversation.id, ftsContent, conversation.project || '');
+      }
+
+      // Update per-message FTS index
+      if (!append) deleteOldMessages.run(conversation.id);
+      const messageEntries = messages || (searchableContent ? [{ content: searchableContent }] : []);
+      const vocabulary = new Set();
+      for (const message of messageEntries) {
+        const content = message.content || '';
+        const toolInput = message.toolInput || '';
+        const toolOutput = message.toolOutput || '';
+        if (!content.trim() && !toolInput.trim() && !toolOutput.trim()) continue;
+        for (const word of this._vocabularyWords(content)) {
+          vocabulary.add(word);
+        }
+        insertMessage.run(
+          conversation.id,
+          message.uuid || null,
+          message.messageId || message.uuid || null,
+          message.role || null,
+          message.timestamp || null,
+          content,
+          toolInput,
+          toolOutput
+        );
+      }
+
+      // Add new words to the typo-tolerant search vocabulary
+      for (const word of vocabulary) {
+        const inserted = insertVocabulary.run(word);
+        if (inserted.changes > 0) {
+          insertVocabularyTrigrams.run(inserted.lastInsertRowid, word);
+        }
       }
 
       // Update file tracking
+      const indexState = conversation.indexState || {};
       updateFileIndex.run(
         conversation.filePath,
         conversation.lastModified?.getTime() || now,
         conversation.fileSize || 0,
-        now
+        now,
+        indexState.byteOffset || 0,
+        indexState.headHash || null,
+        indexState.parseState ? JSON.stringify(indexState.parseState) : null
       );
 
       // Update tool usage
@@ -337,6 +409,80 @@ class DatabaseManager {
           insertTool.run(conversation.id, toolName, count);
         }
       }
+
+      // Update per-model token usage
+      deleteOldModelUsage.run(conversation.id);
+      for (const [model, usage] of Object.entries(conversation.modelUsage || {})) {
+        insertModelUsage.run(
+          conversation.id,
+          model,
+          usage.messages || 0,
+          usage.input || 0,
+          usage.output || 0,
+          usage.cacheCreation || 0,
+          usage.cacheCreation1h || 0,
+          usage.cacheRead || 0
+        );
+      }
+
+      // Update files-touched index
+      if (!append) deleteOldFileTouches.run(conversation.id);
+      for (const touch of conversation.fileTouches || []) {
+        insertFileTouch.run(
+          conversation.id,
+          touch.filePath,
+          touch.operation,
+          touch.messageUuid || null,
+          touch.timestamp ? new Date(touch.timestamp).getTime() || null : null
+        );
+      }
+
+      // Update Bash command history
+      if (!append) deleteOldCommands.run(conversation.id);
+      for (const command of conversation.bashCommands || []) {
+        insertCommand.run(
+          conversation.id,
+          command.toolUseId || null,
+          command.messageId || null,
+          command.command,
+          command.description || null,
+          command.timestamp ? new Date(command.timestamp).getTime() || null : null,
+          command.exitCode ?? null,
+          command.isError === null || command.isError === undefined ? null : (command.isError ? 1 : 0),
+          command.outputPreview ?? null
+        );
+      }
+
+      // Update git branch / CLI version facets (counts are totals, so always replaced)
+      deleteOldFacets.run(conversation.id);
+      for (const [facet, values] of Object.entries(conversation.facets || {})) {
+        for (const [value, count] of Object.entries(values)) {
+          insertFacet.run(conversation.id, facet, value, count);
+        }
+      }
+
+      // Update links to the sessions this one continues
+      if (!append) deleteOldLinks.run(conversation.id);
+      for (const leafUuid of conversation.summaryLeafUuids || []) {
+        insertLink.run(conversation.id, leafUuid);
+      }
+
+      // Update term counts for similar-session lookup
+      if (!append) deleteOldTerms.run(conversation.id);
+      for (const [term, count] of Object.entries(conversation.terms || {})) {
+        insertTerm.run(conversation.id, term, count);
+      }
+
+      // Results that arrived after the command's own line was indexed
+      for (const result of append ? conversation.bashResults || [] : []) {
+        updateCommandResult.run(
+          result.exitCode ?? null,
+          result.isError ? 1 : 0,
+          result.outputPreview ?? null,
+          conversation.id,
+          result.toolUseId
+        );
+      }
     });
 
     transaction();
@@ -350,6 +496,9 @@ class DatabaseManager {
    * @param {string} options.sortBy - Sort field (default 'last_modified')
    * @param {string} options.sortOrder - 'ASC' or 'DESC' (default 'DESC')
    * @param {string} options.project - Filter by project name
+   * @param {string} options.gitBranch - Only conversations with entries on this git branch
+   * @param {string} options.version - Only conversations with entries from this Claude Code version
+   * @param {string} options.source - Only conversations from this data root
    * @returns {Array} Array of conversation objects
    */
   getConversations(options = {}) {
@@ -359,6 +508,9 @@ class DatabaseManager {
       sortBy = 'last_modified',
       sortOrder = 'DESC',
       project = null,
+      gitBranch = null,
+      version = null,
+      source = null,
       includeSubagents = false
     } = options;
 
@@ -369,9 +521,10 @@ class DatabaseManager {
 
     let sql = `
       SELECT
-        id, file_path, filename, project, message_count, file_size,
+        id, file_path, filename, source, project, message_count, file_size,
         last_modified, created, tokens_total, tokens_input, tokens_output,
-        primary_model, indexed_at, is_subagent, parent_id
+        tokens_cache_creation, tokens_cache_read,
+        primary_model, indexed_at, is_subagent, parent_id, archive_path, archived_at
       FROM conversations
     `;
 
@@ -388,6 +541,10 @@ class DatabaseManager {
       params.push(project);
     }
 
+    const facetFilter = this._facetFilter({ gitBranch, version, source }, 'id');
+    conditions.push(...facetFilter.conditions);
+    params.push(...facetFilter.params);
+
     if (conditions.length > 0) {
       sql += ` WHERE ${conditions.join(' AND ')}`;
     }
@@ -423,9 +580,10 @@ class DatabaseManager {
       // FTS5 query with BM25 ranking
       const stmt = this.db.prepare(`
         SELECT
-          c.id, c.file_path, c.filename, c.project, c.message_count, c.file_size,
+          c.id, c.file_path, c.filename, c.source, c.project, c.message_count, c.file_size,
           c.last_modified, c.created, c.tokens_total, c.tokens_input, c.tokens_output,
-          c.primary_model, c.indexed_at, c.is_subagent, c.parent_id,
+          c.tokens_cache_creation, c.tokens_cache_read,
+          c.primary_model, c.indexed_at, c.is_subagent, c.parent_id, c.archive_path, c.archived_at,
           bm25(conversation_fts) as relevance
         FROM conversation_fts fts
         JOIN conversations c ON fts.conversation_id = c.id
@@ -452,48 +610,43 @@ class DatabaseManager {
 
   /**
    * Search conversations with FTS5 and return snippets
+   *
+   * Matches are found per message (message_fts), then grouped by conversation.
+   * Conversations are ranked by their best-matching message; each result carries
+   * that message's snippet plus the top matching messages so the UI can jump to them.
+   * Tool calls and tool output are matched too, ranked below the same words in prose;
+   * each match says which `field` its snippet is from.
+   * Query words that look misspelled are also searched as the indexed words they're
+   * closest to (see _searchWithFuzzy); those results are marked `fuzzy`.
+   *
    * @param {string} query - Search query
    * @param {Object} options - Search options
-   * @returns {Array} Matching conversations with snippets and match counts
+   * @param {number} options.limit - Max conversations (default 50)
+   * @param {number} options.offset - Skip first N conversations (default 0)
+   * @param {boolean} options.includeSubagents - Include subagent conversations
+   * @param {string} options.gitBranch - Only conversations with entries on this git branch
+   * @param {string} options.version - Only conversations with entries from this Claude Code version
+   * @param {string} options.source - Only conversations from this data root
+   * @param {number} options.matchesPerConversation - Max matching messages returned per conversation (default 5)
+   * @param {boolean} options.fuzzy - Blend in matches for likely misspellings (default true)
+   * @param {string} options.scope - 'all' (default), 'prose' for message text only, or 'tools' for tool calls and output
+   * @returns {Array} Matching conversations with snippets, match counts, matching messages and a `fuzzy` flag
    */
   searchConversationsWithSnippets(query, options = {}) {
-    const { limit = 50, offset = 0, includeSubagents = false } = options;
-
     if (!query || !query.trim()) {
       return [];
     }
 
     try {
-      // Build subagent filter
-      const subagentFilter = includeSubagents
-        ? ''
-        : 'AND (c.is_subagent = 0 OR c.is_subagent IS NULL)';
-
-      // FTS5 query with snippet() and highlight() functions
-      const stmt = this.db.prepare(`
-        SELECT
-          c.id, c.file_path, c.filename, c.project, c.message_count, c.file_size,
-          c.last_modified, c.created, c.tokens_total, c.tokens_input, c.tokens_output,
-          c.primary_model, c.indexed_at, c.is_subagent, c.parent_id,
-          bm25(conversation_fts) as relevance,
-          snippet(conversation_fts, 1, '{{MATCH}}', '{{/MATCH}}', '...', 20) as snippet
-        FROM conversation_fts fts
-        JOIN conversations c ON fts.conversation_id = c.id
-        WHERE conversation_fts MATCH ? ${subagentFilter}
-        ORDER BY relevance
-        LIMIT ? OFFSET ?
-      `);
-
       // Escape special FTS5 characters and prepare query
       const safeQuery = this._escapeFtsQuery(query);
-      const rows = stmt.all(safeQuery, limit, offset);
+      const words = safeQuery.split(' ');
+      const fuzzyMatch = corrections => words.map(word => corrections.has(word)
+        ? `(${[word, ...corrections.get(word)].map(term => `"${term}"`).join(' OR ')})`
+        : word).join(' AND ');
 
-      return rows.map(row => ({
-        ...this._rowToConversation(row),
-        relevance: row.relevance,
-        snippet: row.snippet,
-        searchTerm: query
-      }));
+      return this._searchWithFuzzy(safeQuery, words, fuzzyMatch, query,
+        this._facetFilter(options, 'c.id'), { conditions: [], params: [] }, options);
     } catch (err) {
       console.error(chalk.red(`⚠️ FTS5 snippet search failed for query "${query}": ${err.message}`));
       console.error(chalk.gray('   Falling back to basic search without snippets.'));
@@ -502,6 +655,308 @@ class DatabaseManager {
     }
   }
 
+  /**
+   * Search with a parsed query (see SearchQuery): text parts are matched per message
+   * like searchConversationsWithSnippets(), field filters and exclusions restrict the
+   * conversations. A query with only filters lists matching conversations, newest first.
+   *
+   * @param {SearchQuery} searchQuery - Parsed query
+   * @param {Object} options - Same options as searchConversationsWithSnippets()
+   * @returns {Array} Matching conversations with snippets, match counts and matching messages
+   */
+  searchWithQuery(searchQuery, options = {}) {
+    const { limit = 50, offset = 0, includeSubagents = false } = options;
+
+    const facetFilter = this._facetFilter(options, 'c.id');
+    const queryFilter = searchQuery.toSql('c');
+    const filter = {
+      conditions: [...facetFilter.conditions, ...queryFilter.conditions],
+      params: [...facetFilter.params, ...queryFilter.params]
+    };
+
+    if (searchQuery.hasText()) {
+      return this._searchWithFuzzy(searchQuery.toFtsMatch(), searchQuery.getWords(),
+        corrections => searchQuery.toFtsMatch(corrections), searchQuery.getText(), filter, searchQuery.toMessageSql(), options);
+    }
+    if (searchQuery.isEmpty()) {
+      return [];
+    }
+
+    if (!includeSubagents) {
+      filter.conditions.push('(c.is_subagent = 0 OR c.is_subagent IS NULL)');
+    }
+    const where = filter.conditions.length > 0 ? `WHERE ${filter.conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`
+      SELECT c.* FROM conversations c
+      ${where}
+      ORDER BY c.last_modified DESC
+      LIMIT ? OFFSET ?
+    `).all(...filter.params, limit, offset);
+
+    return rows.map(row => ({
+      ...this._rowToConversation(row),
+      relevance: null,
+      snippet: '',
+      matchCount: 0,
+      matches: [],
+      searchTerm: '',
+      fuzzy: false
+    }));
+  }
+
+  /**
+   * Search messages, blending in matches for likely misspellings of the query words.
+   *
+   * A word is treated as possibly misspelled when few messages contain it. Its
+   * alternatives are vocabulary words a small edit distance away (1 edit, or 2 for
+   * words of 8+ letters) that more messages contain, found through the trigram index.
+   * Conversations that only match with the alternatives are ranked with a weakened
+   * score and marked `fuzzy`, with the `corrections` that were used.
+   * @private
+   * @param {string} match - FTS5 MATCH expression for the query as typed
+   * @param {Array<string>} words - Single query words that may be corrected
+   * @param {Function} fuzzyMatch - (Map word -> alternatives) => MATCH expression accepting the alternatives
+   * @param {string} searchTerm - Text reported back as `searchTerm`
+   * @param {Object} filter - { conditions, params } on the conversations table (alias c)
+   * @param {Object} messageFilter - { conditions, params } on message_fts rows
+   * @param {Object} options - { limit, offset, includeSubagents, matchesPerConversation, scope, fuzzy }
+   * @returns {Array} Matching conversations, best first
+   */
+  _searchWithFuzzy(match, words, fuzzyMatch, searchTerm, filter, messageFilter, options) {
+    const { limit = 50, offset = 0, fuzzy = true } = options;
+    // Both searches cover everything up to the requested page, so the blend is the same on every page
+    const window = { ...options, limit: offset + limit, offset: 0 };
+
+    const exact = this._searchMessages(match, searchTerm, filter, messageFilter, window)
+      .map(result => ({ ...result, fuzzy: false }));
+    const corrections = fuzzy ? this._findCorrections(words) : new Map();
+    if (corrections.size === 0) {
+      return exact.slice(offset, offset + limit);
+    }
+
+    const exactIds = new Set(exact.map(result => result.id));
+    const correctedTerm = searchTerm.split(/\s+/).map(word => corrections.has(word) ? corrections.get(word)[0] : word).join(' ');
+    const fuzzyResults = this._searchMessages(fuzzyMatch(corrections), correctedTerm, filter, messageFilter, window)
+      .filter(result => !exactIds.has(result.id))
+      .map(result => ({
+        ...result,
+        relevance: result.relevance * FUZZY_RELEVANCE_FACTOR,
+        fuzzy: true,
+        corrections: Object.fromEntries(corrections)
+      }));
+
+    // BM25 scores are negative, lower is better
+    return [...exact, ...fuzzyResults]
+      .sort((a, b) => a.relevance - b.relevance)
+      .slice(offset, offset + limit);
+  }
+
+  /**
+   * Find indexed words that rarely-seen query words are probably misspellings of
+   * @private
+   * @param {Array<string>} words - Query words as typed
+   * @returns {Map<string, Array<string>>} word as typed -> alternatives, closest first
+   */
+  _findCorrections(words) {
+    const corrections = new Map();
+
+    const countMessages = this.db.prepare(`
+      SELECT doc FROM message_fts_vocab WHERE term = ?
+    `);
+    const findCandidates = this.db.prepare(`
+      SELECT term FROM search_vocabulary_trigrams
+      WHERE search_vocabulary_trigrams MATCH ? AND length(term) BETWEEN ? AND ?
+      ORDER BY rank
+      LIMIT ?
+    `);
+
+    for (const typed of new Set(words)) {
+      const [word] = this._vocabularyWords(typed);
+      if (!word || word.length <= MIN_VOCABULARY_WORD_LENGTH || word.length !== typed.length) continue;
+
+      const wordMessages = countMessages.get(word)?.doc || 0;
+      if (wordMessages >= FUZZY_RARE_WORD_MESSAGES) continue;
+
+      const trigrams = new Set();
+      for (let i = 0; i + 3 <= word.length; i++) {
+        trigrams.add(`"${word.slice(i, i + 3)}"`);
+      }
+      const maxDistance = word.length >= 8 ? 2 : 1;
+
+      const alternatives = findCandidates.all([...trigrams].join(' OR '), word.length - maxDistance, word.length + maxDistance, FUZZY_CANDIDATES)
+        .filter(row => row.term !== word)
+        .map(row => ({ term: row.term, distance: this._editDistance(word, row.term) }))
+        .filter(candidate => candidate.distance <= maxDistance)
+        .map(candidate => ({ ...candidate, messages: countMessages.get(candidate.term)?.doc || 0 }))
+        .filter(candidate => candidate.messages > wordMessages)
+        .sort((a, b) => a.distance - b.distance || b.messages - a.messages)
+        .slice(0, MAX_FUZZY_ALTERNATIVES)
+        .map(candidate => candidate.term);
+
+      if (alternatives.length > 0) {
+        corrections.set(typed, alternatives);
+      }
+    }
+
+    return corrections;
+  }
+
+  /**
+   * Words of some text as the message_fts tokenizer (unicode61, diacritics removed) sees them,
+   * keeping only those long enough to be worth correcting
+   * @private
+   * @returns {Array<string>}
+   */
+  _vocabularyWords(text) {
+    const words = String(text).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.filter(word => word.length >= MIN_VOCABULARY_WORD_LENGTH &&
+      word.length <= MAX_VOCABULARY_WORD_LENGTH && /\p{L}/u.test(word));
+  }
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and swaps of adjacent letters
+   * @private
+   * @returns {number}
+   */
+  _editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Rank conversations by their best-matching message and collect snippets
+   * @private
+   * @param {string} match - FTS5 MATCH expression over message_fts
+   * @param {string} searchTerm - Text reported back as `searchTerm`
+   * @param {Object} filter - { conditions, params } on the conversations table (alias c)
+   * @param {Object} messageFilter - { conditions, params } on message_fts rows
+   * @param {Object} options - { limit, offset, includeSubagents, matchesPerConversation, scope }
+   * @returns {Array} Matching conversations with snippets, match counts and matching messages
+   */
+  _searchMessages(match, searchTerm, filter, messageFilter, options) {
+    const { limit = 50, offset = 0, includeSubagents = false, matchesPerConversation = 5, scope = 'all' } = options;
+
+    if (!(scope in SEARCH_SCOPE_COLUMNS)) {
+      throw new Error(`Unknown search scope: ${scope}`);
+    }
+    const columns = SEARCH_SCOPE_COLUMNS[scope];
+    const scopedMatch = columns ? `${columns} : (${match})` : match;
+
+    // Build subagent filter
+    const subagentFilter = includeSubagents
+      ? ''
+      : 'AND (c.is_subagent = 0 OR c.is_subagent IS NULL)';
+    const filterSql = filter.conditions.map(condition => `AND ${condition}`).join(' ');
+    const messageSql = messageFilter.conditions.map(condition => `AND ${condition}`).join(' ');
+
+    // Step 1: rank conversations by their best-matching message (BM25, lower is better)
+    // The CTE is materialized because bm25() can't run once SQLite flattens it into the join
+    const rankStmt = this.db.prepare(`
+      WITH message_hits AS MATERIALIZED (
+        SELECT conversation_id, bm25(message_fts, ${MESSAGE_FTS_WEIGHTS}) as score
+        FROM message_fts
+        WHERE message_fts MATCH ? ${messageSql}
+      )
+      SELECT
+        c.id, c.file_path, c.filename, c.source, c.project, c.message_count, c.file_size,
+        c.last_modified, c.created, c.tokens_total, c.tokens_input, c.tokens_output,
+        c.tokens_cache_creation, c.tokens_cache_read,
+        c.primary_model, c.indexed_at, c.is_subagent, c.parent_id, c.archive_path, c.archived_at,
+        hits.relevance, hits.match_count
+      FROM (
+        SELECT conversation_id, MIN(score) as relevance, COUNT(*) as match_count
+        FROM message_hits
+        GROUP BY conversation_id
+      ) hits
+      JOIN conversations c ON hits.conversation_id = c.id
+      WHERE 1 = 1 ${subagentFilter} ${filterSql}
+      ORDER BY hits.relevance
+      LIMIT ? OFFSET ?
+    `);
+
+    const rows = rankStmt.all(scopedMatch, ...messageFilter.params, ...filter.params, limit, offset);
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // Step 2: find the best messages of the conversations on this page
+    const placeholders = rows.map(() => '?').join(', ');
+    const messageStmt = this.db.prepare(`
+      SELECT
+        rowid, conversation_id, message_uuid, message_id, role, timestamp,
+        bm25(message_fts, ${MESSAGE_FTS_WEIGHTS}) as relevance
+      FROM message_fts
+      WHERE message_fts MATCH ? ${messageSql} AND conversation_id IN (${placeholders})
+      ORDER BY relevance
+    `);
+
+    const matchesByConversation = new Map();
+    const matchesByRowid = new Map();
+    for (const hit of messageStmt.all(scopedMatch, ...messageFilter.params, ...rows.map(row => row.id))) {
+      if (!matchesByConversation.has(hit.conversation_id)) {
+        matchesByConversation.set(hit.conversation_id, []);
+      }
+      const matches = matchesByConversation.get(hit.conversation_id);
+      if (matches.length < matchesPerConversation) {
+        const entry = {
+          messageUuid: hit.message_uuid,
+          messageId: hit.message_id,
+          role: hit.role,
+          timestamp: hit.timestamp,
+          snippet: '',
+          field: null,
+          relevance: hit.relevance
+        };
+        matches.push(entry);
+        matchesByRowid.set(hit.rowid, entry);
+      }
+    }
+
+    // Step 3: snippets for the kept messages only, from the first column that matched
+    if (matchesByRowid.size > 0) {
+      const snippetColumns = MESSAGE_FTS_FIELDS
+        .map(([column, field]) => `snippet(message_fts, ${column}, '{{MATCH}}', '{{/MATCH}}', '...', 20) as ${field}`)
+        .join(', ');
+      const snippetStmt = this.db.prepare(`
+        SELECT rowid, ${snippetColumns}
+        FROM message_fts
+        WHERE message_fts MATCH ? AND rowid IN (${[...matchesByRowid.keys()].map(() => 'CAST(? AS INTEGER)').join(', ')})
+      `);
+      // Rowids are cast because FTS5 ignores a rowid constraint bound as a float,
+      // which is how JavaScript numbers arrive
+      for (const snippets of snippetStmt.all(scopedMatch, ...matchesByRowid.keys())) {
+        const entry = matchesByRowid.get(snippets.rowid);
+        if (!entry) continue;
+        const [, field] = MESSAGE_FTS_FIELDS.find(([, name]) => snippets[name].includes('{{MATCH}}')) || [null, 'prose'];
+        entry.snippet = snippets[field];
+        entry.field = field;
+      }
+    }
+
+    return rows.map(row => {
+      const matches = matchesByConversation.get(row.id) || [];
+      return {
+        ...this._rowToConversation(row),
+        relevance: row.relevance,
+        snippet: matches.length > 0 ? matches[0].snippet : '',
+        matchCount: row.match_count,
+        matches,
+        searchTerm
+      };
+    });
+  }
+
   /**
    * Get conversation by ID
    * @param {string} id - Conversation ID
@@ -515,6 +970,42 @@ class DatabaseManager {
     return row ? this._rowToConversation(row) : null;
   }
 
+  /**
+   * Find conversations whose ID starts with a prefix, for abbreviated IDs
+   * @param {string} prefix - Start of a conversation ID
+   * @param {number} limit - Max IDs (default 10)
+   * @returns {Array<string>} Matching IDs
+   */
+  findConversationIds(prefix, limit = 10) {
+    return this.db.prepare(`
+      SELECT id FROM conversations WHERE id LIKE ? ESCAPE '\\' ORDER BY id LIMIT ?
+    `).all(`${this._escapeLikePattern(prefix)}%`, limit).map(row => row.id);
+  }
+
+  /**
+   * List the project folders sessions were indexed from, described by the latest session in each
+   * @returns {Array<{folder: string, project: string, cwd: string|null, source: string|null, conversations: number}>}
+   *   Most recently active first
+   */
+  getProjectFolders() {
+    const rows = this.db.prepare(`
+      SELECT file_path, project, cwd, source FROM conversations
+      WHERE (is_subagent = 0 OR is_subagent IS NULL) AND archived_at IS NULL
+      ORDER BY last_modified DESC
+    `).all();
+
+    const folders = new Map();
+    for (const row of rows) {
+      const folder = path.dirname(row.file_path);
+      if (folders.has(folder)) {
+        folders.get(folder).conversations++;
+      } else {
+        folders.set(folder, { folder, project: row.project, cwd: row.cwd || null, source: row.source || null, conversations: 1 });
+      }
+    }
+    return Array.from(folders.values());
+  }
+
   /**
    * Get total conversation count
    * @param {string} project - Optional project filter
@@ -548,42 +1039,533 @@ class DatabaseManager {
 
   /**
    * Get aggregated tool usage statistics
+   * @param {Object} options - Conversations to count (see getSummary())
    * @returns {Object} Tool usage summary
    */
-  getToolUsageStats() {
+  getToolUsageStats(options = {}) {
+    const scope = this._statsScope(options);
     const stmt = this.db.prepare(`
       SELECT tool_name, SUM(call_count) as total_calls, COUNT(DISTINCT conversation_id) as conversations
       FROM tool_usage
+      ${scope.where ? `WHERE conversation_id IN (SELECT id FROM conversations ${scope.where})` : ''}
       GROUP BY tool_name
       ORDER BY total_calls DESC
     `);
-    return stmt.all();
+    return stmt.all(...scope.params);
+  }
+
+  /**
+   * Get conversation, message and token totals per project
+   * @param {Object} options - Conversations to count (see getSummary())
+   * @returns {Array<Object>} [{ project, conversations, messages, tokens }], most conversations first
+   */
+  getProjectStats(options = {}) {
+    const scope = this._statsScope(options);
+    return this.db.prepare(`
+      SELECT project, COUNT(*) as conversations, SUM(message_count) as messages, SUM(tokens_total) as tokens
+      FROM conversations
+      ${scope.where}
+      GROUP BY project
+      ORDER BY conversations DESC, project
+    `).all(...scope.params).map(row => ({
+      project: row.project,
+      conversations: row.conversations,
+      messages: row.messages || 0,
+      tokens: row.tokens || 0
+    }));
+  }
+
+  /**
+   * Find conversations whose tool calls read or wrote a file.
+   * Absolute paths match exactly; relative paths (e.g. "src/index.js") match
+   * any recorded path ending in "/src/index.js".
+   * @param {string} filePath - File path to look up
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max conversations (default 50)
+   * @param {boolean} options.includeSubagents - Include subagent sessions (default true,
+   *   since subagents edit files on behalf of their parent)
+   * @returns {Array} [{ conversation, lastTouched, operations, touches }], most recently touched first
+   */
+  getFileTouches(filePath, options = {}) {
+    const { limit = 50, includeSubagents = true } = options;
+
+    const normalizedPath = (filePath || '').trim().replace(/\/+$/, '');
+    if (!normalizedPath) return [];
+
+    let pathClause = 'ft.file_path = ?';
+    const params = [normalizedPath];
+    if (!normalizedPath.startsWith('/')) {
+      const escaped = this._escapeLikePattern(normalizedPath.replace(/^\.\//, ''));
+      pathClause = `(ft.file_path = ? OR ft.file_path LIKE ? ESCAPE '\\')`;
+      params.push(`%/${escaped}`);
+    }
+    const subagentClause = includeSubagents ? '' : 'AND c.is_subagent = 0';
+
+    const rows = this.db.prepare(`
+      SELECT ft.conversation_id, ft.file_path, ft.operation, ft.message_uuid, ft.timestamp
+      FROM file_touches ft
+      JOIN conversations c ON c.id = ft.conversation_id
+      WHERE ${pathClause} ${subagentClause}
+      ORDER BY ft.timestamp DESC, ft.id DESC
+    `).all(...params);
+
+    // Group touches by conversation, keeping the most recently touched conversations first
+    const grouped = new Map();
+    for (const row of rows) {
+      if (!grouped.has(row.conversation_id)) {
+        if (grouped.size >= limit) continue;
+        grouped.set(row.conversation_id, {
+          lastTouched: row.timestamp ? new Date(row.timestamp) : null,
+          operations: {},
+          touches: []
+        });
+      }
+
+      const entry = grouped.get(row.conversation_id);
+      entry.operations[row.operation] = (entry.operations[row.operation] || 0) + 1;
+      entry.touches.push({
+        filePath: row.file_path,
+        operation: row.operation,
+        messageUuid: row.message_uuid,
+        timestamp: row.timestamp ? new Date(row.timestamp) : null
+      });
+    }
+
+    const results = [];
+    for (const [conversationId, entry] of grouped) {
+      const conversation = this.getConversation(conversationId);
+      if (conversation) {
+        results.push({ conversation, ...entry });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Get Bash commands across all conversations, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.query - Substring to find in the command text
+   * @param {string} options.project - Filter by project name (substring, case-insensitive)
+   * @param {Date|string|number} options.dateFrom - Only commands run at or after this time
+   * @param {Date|string|number} options.dateTo - Only commands run at or before this time
+   * @param {boolean} options.failedOnly - Only commands that errored or exited non-zero
+   * @param {boolean} options.includeSubagents - Include commands run by subagents (default true)
+   * @param {number} options.limit - Max results (default 100)
+   * @param {number} options.offset - Skip first N results (default 0)
+   * @returns {Object} { commands, total }
+   */
+  getBashCommands(options = {}) {
+    const {
+      query = null,
+      project = null,
+      dateFrom = null,
+      dateTo = null,
+      failedOnly = false,
+      includeSubagents = true,
+      limit = 100,
+      offset = 0
+    } = options;
+
+    const conditions = [];
+    const params = [];
+
+    if (query && query.trim()) {
+      conditions.push(`bc.command LIKE ? ESCAPE '\\'`);
+      params.push(`%${this._escapeLikePattern(query.trim())}%`);
+    }
+    if (project && project.trim()) {
+      conditions.push(`c.project LIKE ? ESCAPE '\\'`);
+      params.push(`%${this._escapeLikePattern(project.trim())}%`);
+    }
+    if (dateFrom) {
+      conditions.push('bc.timestamp >= ?');
+      params.push(new Date(dateFrom).getTime());
+    }
+    if (dateTo) {
+      conditions.push('bc.timestamp <= ?');
+      params.push(new Date(dateTo).getTime());
+    }
+    if (failedOnly) {
+      conditions.push('(bc.is_error = 1 OR bc.exit_code != 0)');
+    }
+    if (!includeSubagents) {
+      conditions.push('c.is_subagent = 0');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = this.db.prepare(`
+      SELECT COUNT(*) as count
+      FROM bash_commands bc
+      JOIN conversations c ON c.id = bc.conversation_id
+      ${whereClause}
+    `).get(...params).count;
+
+    const rows = this.db.prepare(`
+      SELECT bc.*, c.project, c.is_subagent
+      FROM bash_commands bc
+      JOIN conversations c ON c.id = bc.conversation_id
+      ${whereClause}
+      ORDER BY bc.timestamp DESC, bc.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      commands: rows.map(row => ({
+        id: row.id,
+        conversationId: row.conversation_id,
+        project: row.project,
+        isSubagent: row.is_subagent === 1,
+        toolUseId: row.tool_use_id,
+        messageId: row.message_id,
+        command: row.command,
+        description: row.description,
+        timestamp: row.timestamp ? new Date(row.timestamp) : null,
+        exitCode: row.exit_code,
+        isError: row.is_error === null ? null : row.is_error === 1,
+        outputPreview: row.output_preview
+      })),
+      total
+    };
+  }
+
+  /**
+   * Escape LIKE wildcards so user input matches literally (use with ESCAPE '\')
+   * @private
+   */
+  _escapeLikePattern(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+  }
+
+  /**
+   * Get per-model token usage for specific conversations
+   * @param {Array<string>} conversationIds - Conversation IDs
+   * @returns {Map<string, Object>} conversation ID -> { model: tokenTotals }
+   */
+  getModelUsage(conversationIds) {
+    const usageByConversation = new Map();
+    if (!conversationIds || conversationIds.length === 0) return usageByConversation;
+
+    const placeholders = conversationIds.map(() => '?').join(',');
+    const rows = this.db.prepare(`
+      SELECT * FROM model_usage
+      WHERE conversation_id IN (${placeholders})
+    `).all(...conversationIds);
+
+    for (const row of rows) {
+      if (!usageByConversation.has(row.conversation_id)) {
+        usageByConversation.set(row.conversation_id, {});
+      }
+      usageByConversation.get(row.conversation_id)[row.model] = this._rowToModelUsage(row);
+    }
+
+    return usageByConversation;
+  }
+
+  /**
+   * Get per-model token usage summed across all conversations
+   * @param {Object} options - Conversations to count (see getSummary())
+   * @returns {Object} { model: tokenTotals }
+   */
+  getModelUsageStats(options = {}) {
+    const scope = this._statsScope(options);
+    const rows = this.db.prepare(`
+      SELECT
+        model,
+        SUM(message_count) as message_count,
+        SUM(tokens_input) as tokens_input,
+        SUM(tokens_output) as tokens_output,
+        SUM(tokens_cache_creation) as tokens_cache_creation,
+        SUM(tokens_cache_creation_1h) as tokens_cache_creation_1h,
+        SUM(tokens_cache_read) as tokens_cache_read
+      FROM model_usage
+      ${scope.where ? `WHERE conversation_id IN (SELECT id FROM conversations ${scope.where})` : ''}
+      GROUP BY model
+    `).all(...scope.params);
+
+    const totalsByModel = {};
+    for (const row of rows) {
+      totalsByModel[row.model] = this._rowToModelUsage(row);
+    }
+    return totalsByModel;
+  }
+
+  /**
+   * Get per-model token usage summed for each project
+   * @param {Object} options - Conversations to count (see getSummary())
+   * @returns {Map<string, Object>} project -> { model: tokenTotals }
+   */
+  getProjectModelUsage(options = {}) {
+    const scope = this._statsScope(options);
+    const rows = this.db.prepare(`
+      SELECT
+        c.project as project,
+        m.model as model,
+        SUM(m.message_count) as message_count,
+        SUM(m.tokens_input) as tokens_input,
+        SUM(m.tokens_output) as tokens_output,
+        SUM(m.tokens_cache_creation) as tokens_cache_creation,
+        SUM(m.tokens_cache_creation_1h) as tokens_cache_creation_1h,
+        SUM(m.tokens_cache_read) as tokens_cache_read
+      FROM model_usage m
+      JOIN conversations c ON c.id = m.conversation_id
+      ${scope.where ? `WHERE m.conversation_id IN (SELECT id FROM conversations ${scope.where})` : ''}
+      GROUP BY c.project, m.model
+    `).all(...scope.params);
+
+    const usageByProject = new Map();
+    for (const row of rows) {
+      if (!usageByProject.has(row.project)) {
+        usageByProject.set(row.project, {});
+      }
+      usageByProject.get(row.project)[row.model] = this._rowToModelUsage(row);
+    }
+    return usageByProject;
+  }
+
+  /**
+   * Get the git branches and Claude Code versions of specific conversations
+   * @param {Array<string>} conversationIds - Conversation IDs
+   * @returns {Map<string, Object>} conversation ID -> { gitBranches, versions }, most used first
+   */
+  getConversationFacets(conversationIds) {
+    const facetsByConversation = new Map();
+    if (!conversationIds || conversationIds.length === 0) return facetsByConversation;
+
+    const placeholders = conversationIds.map(() => '?').join(',');
+    const rows = this.db.prepare(`
+      SELECT conversation_id, facet, value FROM conversation_facets
+      WHERE conversation_id IN (${placeholders})
+      ORDER BY entry_count DESC, value
+    `).all(...conversationIds);
+
+    for (const row of rows) {
+      if (!facetsByConversation.has(row.conversation_id)) {
+        facetsByConversation.set(row.conversation_id, { gitBranches: [], versions: [] });
+      }
+      const facets = facetsByConversation.get(row.conversation_id);
+      (row.facet === 'gitBranch' ? facets.gitBranches : facets.versions).push(row.value);
+    }
+
+    return facetsByConversation;
+  }
+
+  /**
+   * Get every git branch and Claude Code version seen, with how many conversations have each
+   * @param {Object} options - Query options
+   * @param {string} options.project - Only count conversations in this project
+   * @param {boolean} options.includeSubagents - Count subagent conversations
+   * @returns {Object} { gitBranches: [{ value, conversations }], versions: [{ value, conversations }],
+   *   sources: [{ value, conversations }] }. Branches and sources are ordered by conversation count,
+   *   versions newest first.
+   */
+  getFacets(options = {}) {
+    const { project = null, includeSubagents = false } = options;
+
+    const conditions = [];
+    const params = [];
+    if (!includeSubagents) {
+      conditions.push('(c.is_subagent = 0 OR c.is_subagent IS NULL)');
+    }
+    if (project) {
+      conditions.push('c.project = ?');
+      params.push(project);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT f.facet, f.value, COUNT(DISTINCT f.conversation_id) as conversations
+      FROM conversation_facets f
+      JOIN conversations c ON c.id = f.conversation_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY f.facet, f.value
+      ORDER BY conversations DESC, f.value
+    `).all(...params);
+
+    const sources = this.db.prepare(`
+      SELECT c.source as value, COUNT(*) as conversations
+      FROM conversations c
+      WHERE c.source IS NOT NULL ${conditions.length > 0 ? `AND ${conditions.join(' AND ')}` : ''}
+      GROUP BY c.source
+      ORDER BY conversations DESC, c.source
+    `).all(...params);
+
+    const toEntry = row => ({ value: row.value, conversations: row.conversations });
+    return {
+      gitBranches: rows.filter(row => row.facet === 'gitBranch').map(toEntry),
+      versions: rows.filter(row => row.facet === 'version').map(toEntry)
+        .sort((a, b) => b.value.localeCompare(a.value, undefined, { numeric: true })),
+      sources: sources.map(toEntry)
+    };
+  }
+
+  /**
+   * Get indexed values of a search field starting with a prefix, for autocomplete
+   * @param {string} field - project, tool, model, branch, version or source
+   * @param {string} prefix - Typed start of the value (case-insensitive)
+   * @param {number} limit - Max values (default 10)
+   * @returns {Array<Object>} [{ value, conversations }], most conversations first
+   */
+  getSearchFieldValues(field, prefix = '', limit = 10) {
+    const sources = {
+      project: { table: 'conversations', column: 'project', conversation: 'id' },
+      tool: { table: 'tool_usage', column: 'tool_name', conversation: 'conversation_id' },
+      model: { table: 'model_usage', column: 'model', conversation: 'conversation_id' },
+      branch: { table: 'conversation_facets', column: 'value', conversation: 'conversation_id', where: "facet = 'gitBranch'" },
+      version: { table: 'conversation_facets', column: 'value', conversation: 'conversation_id', where: "facet = 'version'" },
+      source: { table: 'conversations', column: 'source', conversation: 'id' }
+    };
+    const source = sources[field];
+    if (!source) return [];
+
+    const pattern = `${this._escapeLikePattern(prefix)}%`;
+    return this.db.prepare(`
+      SELECT ${source.column} as value, COUNT(DISTINCT ${source.conversation}) as conversations
+      FROM ${source.table}
+      WHERE ${source.column} LIKE ? ESCAPE '\\' ${source.where ? `AND ${source.where}` : ''}
+      GROUP BY ${source.column}
+      ORDER BY conversations DESC, value
+      LIMIT ?
+    `).all(pattern, limit);
+  }
+
+  /**
+   * Get every resume link between indexed sessions: a session whose summary entries
+   * point at the last entry of another session continues that session
+   * @returns {Array<Object>} [{ predecessorId, successorId }]
+   */
+  getSessionLinks() {
+    const rows = this.db.prepare(`
+      SELECT DISTINCT predecessor.id AS predecessor_id, link.conversation_id AS successor_id
+      FROM session_links link
+      JOIN conversations predecessor ON predecessor.last_uuid = link.leaf_uuid
+      WHERE predecessor.id != link.conversation_id
+    `).all();
+
+    return rows.map(row => ({ predecessorId: row.predecessor_id, successorId: row.successor_id }));
+  }
+
+  /**
+   * Find the sessions most similar to a conversation, by TF-IDF cosine over message
+   * words and touched files (see TextSimilarity). The conversation's own subagents
+   * are left out.
+   * @param {string} id - Conversation ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max results (default 5)
+   * @param {boolean} options.includeSubagents - Include subagent sessions (default false)
+   * @returns {Array} [{ conversation, score, sharedTerms, sharedFiles }], most similar first
+   */
+  getSimilarConversations(id, options = {}) {
+    const { limit = 5, includeSubagents = false } = options;
+
+    const targetRows = this.db.prepare(`
+      SELECT term, count FROM conversation_terms WHERE conversation_id = ?
+    `).all(id);
+    if (targetRows.length === 0) return [];
+
+    const targetTerms = Object.fromEntries(targetRows.map(row => [row.term, row.count]));
+    const documentCount = this.db.prepare(`
+      SELECT COUNT(DISTINCT conversation_id) as count FROM conversation_terms
+    `).get().count;
+
+    const documentFrequency = new Map();
+    const termPlaceholders = targetRows.map(() => '?').join(',');
+    for (const row of this.db.prepare(`
+      SELECT term, COUNT(*) as df FROM conversation_terms
+      WHERE term IN (${termPlaceholders})
+      GROUP BY term
+    `).all(...targetRows.map(row => row.term))) {
+      documentFrequency.set(row.term, row.df);
+    }
+
+    // Step 1: shortlist sessions by the weight of the terms they share with the target
+    const subagentClause = includeSubagents ? '' : 'AND (c.is_subagent = 0 OR c.is_subagent IS NULL)';
+    const overlap = new Map();
+    for (const row of this.db.prepare(`
+      SELECT t.conversation_id, t.term, t.count
+      FROM conversation_terms t
+      JOIN conversations c ON c.id = t.conversation_id
+      WHERE t.term IN (${termPlaceholders}) AND t.conversation_id != ?
+        AND (c.parent_id IS NULL OR c.parent_id != ?) ${subagentClause}
+    `).all(...targetRows.map(row => row.term), id, id)) {
+      const df = documentFrequency.get(row.term) || 0;
+      const shared = TextSimilarity.weight(row.count, df, documentCount) *
+        TextSimilarity.weight(targetTerms[row.term], df, documentCount);
+      overlap.set(row.conversation_id, (overlap.get(row.conversation_id) || 0) + shared);
+    }
+
+    const shortlist = [...overlap.entries()]
+      .filter(([, shared]) => shared > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SIMILAR_CANDIDATE_POOL)
+      .map(([conversationId]) => conversationId);
+    if (shortlist.length === 0) return [];
+
+    // Step 2: score the shortlist with every term, for the vector lengths
+    const candidates = new Map(shortlist.map(conversationId => [conversationId, {}]));
+    for (const row of this.db.prepare(`
+      SELECT t.conversation_id, t.term, t.count,
+        (SELECT COUNT(*) FROM conversation_terms d WHERE d.term = t.term) as df
+      FROM conversation_terms t
+      WHERE t.conversation_id IN (${shortlist.map(() => '?').join(',')})
+    `).all(...shortlist)) {
+      candidates.get(row.conversation_id)[row.term] = row.count;
+      documentFrequency.set(row.term, row.df);
+    }
+
+    const ranked = TextSimilarity.rank(targetTerms, candidates, documentFrequency, documentCount, { limit });
+    const results = [];
+    for (const match of ranked) {
+      const conversation = this.getConversation(match.id);
+      if (conversation) {
+        results.push({
+          conversation,
+          score: match.score,
+          sharedTerms: match.sharedTerms,
+          sharedFiles: match.sharedFiles
+        });
+      }
+    }
+    return results;
   }
 
   /**
    * Get summary statistics
+   * @param {Object} options - Conversations to count (default all)
+   * @param {number} [options.since] - Only conversations active at or after this time (ms)
+   * @param {string} [options.project] - Only conversations in this project
+   * @param {string} [options.source] - Only conversations from this data root
    * @returns {Object} Summary data
    */
-  getSummary() {
+  getSummary(options = {}) {
+    const scope = this._statsScope(options);
     const stats = this.db.prepare(`
       SELECT
         COUNT(*) as total_conversations,
         SUM(message_count) as total_messages,
         SUM(tokens_total) as total_tokens,
+        SUM(tokens_input) as total_input_tokens,
+        SUM(tokens_output) as total_output_tokens,
+        SUM(tokens_cache_creation) as total_cache_creation_tokens,
+        SUM(tokens_cache_read) as total_cache_read_tokens,
         SUM(file_size) as total_size,
         COUNT(DISTINCT project) as total_projects
       FROM conversations
-    `).get();
+      ${scope.where}
+    `).get(...scope.params);
 
     const recentActivity = this.db.prepare(`
       SELECT COUNT(*) as count FROM conversations
-      WHERE last_modified > ?
-    `).get(Date.now() - 24 * 60 * 60 * 1000); // Last 24 hours
+      WHERE ${['last_modified > ?', ...scope.conditions].join(' AND ')}
+    `).get(Date.now() - 24 * 60 * 60 * 1000, ...scope.params); // Last 24 hours
 
     return {
       totalConversations: stats.total_conversations || 0,
       totalMessages: stats.total_messages || 0,
       totalTokens: stats.total_tokens || 0,
+      totalInputTokens: stats.total_input_tokens || 0,
+      totalOutputTokens: stats.total_output_tokens || 0,
+      totalCacheCreationTokens: stats.total_cache_creation_tokens || 0,
+      totalCacheReadTokens: stats.total_cache_read_tokens || 0,
       totalSize: stats.total_size || 0,
       totalProjects: stats.total_projects || 0,
       activeToday: recentActivity.count || 0
@@ -597,12 +1579,33 @@ class DatabaseManager {
   removeConversation(id) {
     const transaction = this.db.transaction(() => {
       this.db.prepare('DELETE FROM conversation_fts WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM message_fts WHERE conversation_id = ?').run(id);
       this.db.prepare('DELETE FROM tool_usage WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM model_usage WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM file_touches WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM bash_commands WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM session_links WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM conversation_facets WHERE conversation_id = ?').run(id);
+      this.db.prepare('DELETE FROM conversation_terms WHERE conversation_id = ?').run(id);
       this.db.prepare('DELETE FROM conversations WHERE id = ?').run(id);
     });
     transaction();
   }
 
+  /**
+   * Label the conversations of files under a directory with a data source
+   * @param {string} dir - Projects directory of a data root
+   * @param {string} source - Name of the root
+   * @returns {number} Conversations relabelled
+   */
+  setSourceForPath(dir, source) {
+    const prefix = dir.endsWith(path.sep) ? dir : dir + path.sep;
+    return this.db.prepare(`
+      UPDATE conversations SET source = ?
+      WHERE substr(file_path, 1, ?) = ? AND source IS NOT ?
+    `).run(source, prefix.length, prefix, source).changes;
+  }
+
   /**
    * Remove file from tracking (for deleted files)
    * @param {string} filePath - File path
@@ -622,7 +1625,14 @@ class DatabaseManager {
 
         // Inline the deletion to keep it atomic
         this.db.prepare('DELETE FROM conversation_fts WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM message_fts WHERE conversation_id = ?').run(conv.id);
         this.db.prepare('DELETE FROM tool_usage WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM model_usage WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM file_touches WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM bash_commands WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM session_links WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM conversation_facets WHERE conversation_id = ?').run(conv.id);
+        this.db.prepare('DELETE FROM conversation_terms WHERE conversation_id = ?').run(conv.id);
         this.db.prepare('DELETE FROM conversations WHERE id = ?').run(conv.id);
       }
       this.db.prepare('DELETE FROM file_index WHERE file_path = ?').run(filePath);
@@ -630,6 +1640,95 @@ class DatabaseManager {
     transaction();
   }
 
+  /**
+   * Get the archive copy of a file's conversation
+   * @param {string} filePath - Original session file
+   * @returns {Object|null} { archivePath, archiveBytes, archivedAt } or null if the file isn't indexed
+   */
+  getArchiveState(filePath) {
+    const row = this.db.prepare(`
+      SELECT archive_path, archive_bytes, archived_at FROM conversations WHERE file_path = ?
+    `).get(filePath);
+
+    if (!row) return null;
+    return {
+      archivePath: row.archive_path || null,
+      archiveBytes: row.archive_bytes || 0,
+      archivedAt: row.archived_at || null
+    };
+  }
+
+  /**
+   * Record the archive copy of a file's conversation
+   * @param {string} filePath - Original session file
+   * @param {string} archivePath - Copy
+   * @param {number} archiveBytes - Bytes of the original the copy holds
+   */
+  setArchiveState(filePath, archivePath, archiveBytes) {
+    this.db.prepare(`
+      UPDATE conversations SET archive_path = ?, archive_bytes = ? WHERE file_path = ?
+    `).run(archivePath, archiveBytes, filePath);
+  }
+
+  /**
+   * Get the files whose conversations have no archive copy yet
+   * @returns {Set<string>} Set of file paths
+   */
+  getUnarchivedFilePaths() {
+    const stmt = this.db.prepare('SELECT file_path FROM conversations WHERE archive_path IS NULL');
+    return new Set(stmt.all().map(row => row.file_path));
+  }
+
+  /**
+   * Keep the conversation of a deleted file, to be read from its archive copy from now on
+   * @param {string} filePath - Deleted session file
+   * @param {number} [archivedAt] - When the deletion was noticed (ms since epoch)
+   * @returns {boolean} False if the conversation has no archive copy
+   */
+  markArchived(filePath, archivedAt = Date.now()) {
+    const transaction = this.db.transaction(() => {
+      const changes = this.db.prepare(`
+        UPDATE conversations SET archived_at = ? WHERE file_path = ? AND archive_path IS NOT NULL
+      `).run(archivedAt, filePath).changes;
+      if (changes > 0) {
+        this.db.prepare('DELETE FROM file_index WHERE file_path = ?').run(filePath);
+      }
+      return changes > 0;
+    });
+    return transaction();
+  }
+
+  /**
+   * Remove archived conversations with no activity since a cutoff
+   * @param {number} before - Cutoff (ms since epoch) compared with the last modification
+   * @returns {Array<string>} Archive copies of the removed conversations, for the caller to delete
+   */
+  removeArchivedBefore(before) {
+    const transaction = this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT id, archive_path FROM conversations WHERE archived_at IS NOT NULL AND last_modified < ?
+      `).all(before);
+
+      for (const row of rows) {
+        this.db.prepare('UPDATE conversations SET parent_id = NULL WHERE parent_id = ?').run(row.id);
+        this.removeConversation(row.id);
+      }
+      return rows.map(row => row.archive_path);
+    });
+    return transaction();
+  }
+
+  /**
+   * Make the next index run re-parse every file from the start. Unlike clearing
+   * file tracking, files deleted since are still noticed and removed.
+   * @returns {number} Number of tracked files
+   */
+  invalidateFileIndex() {
+    return this.db.prepare(`
+      UPDATE file_index SET mtime = 0, byte_offset = 0, head_hash = NULL, parse_state = NULL
+    `).run().changes;
+  }
+
   /**
    * Get all indexed file paths
    * @returns {Set<string>} Set of file paths
@@ -639,6 +1738,21 @@ class DatabaseManager {
     return new Set(stmt.all().map(row => row.file_path));
   }
 
+  /**
+   * Convert model_usage row to token totals (CostCalculator shape)
+   * @private
+   */
+  _rowToModelUsage(row) {
+    return {
+      messages: row.message_count || 0,
+      input: row.tokens_input || 0,
+      output: row.tokens_output || 0,
+      cacheCreation: row.tokens_cache_creation || 0,
+      cacheCreation1h: row.tokens_cache_creation_1h || 0,
+      cacheRead: row.tokens_cache_read || 0
+    };
+  }
+
   /**
    * Convert database row to conversation object
    * @private
@@ -648,6 +1762,7 @@ class DatabaseManager {
       id: row.id,
       filePath: row.file_path,
       filename: row.filename,
+      source: row.source || null,
       project: row.project,
       messageCount: row.message_count,
       fileSize: row.file_size,
@@ -657,17 +1772,73 @@ class DatabaseManager {
       tokenUsage: {
         total: row.tokens_total,
         input: row.tokens_input,
-        output: row.tokens_output
+        output: row.tokens_output,
+        cacheCreation: row.tokens_cache_creation || 0,
+        cacheRead: row.tokens_cache_read || 0
       },
       modelInfo: {
         primaryModel: row.primary_model
       },
       indexedAt: new Date(row.indexed_at),
       isSubagent: row.is_subagent === 1,
-      parentId: row.parent_id || null
+      parentId: row.parent_id || null,
+      archivePath: row.archive_path || null,
+      archivedAt: row.archived_at ? new Date(row.archived_at) : null
     };
   }
 
+  /**
+   * Build the WHERE clause on the conversations table for statistics queries
+   * @private
+   * @param {Object} options - { since, project, source } (see getSummary())
+   * @returns {{where: string, conditions: Array<string>, params: Array}}
+   */
+  _statsScope(options) {
+    const conditions = [];
+    const params = [];
+
+    if (options.since) {
+      conditions.push('last_modified >= ?');
+      params.push(options.since);
+    }
+    if (options.project) {
+      conditions.push('project = ?');
+      params.push(options.project);
+    }
+    if (options.source) {
+      conditions.push('source = ?');
+      params.push(options.source);
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', conditions, params };
+  }
+
+  /**
+   * Build SQL conditions restricting conversations to a git branch, CLI version and/or data source
+   * @private
+   * @param {Object} options - { gitBranch, version, source }
+   * @param {string} idColumn - Conversation ID column to filter on
+   * @returns {{conditions: Array<string>, params: Array<string>}}
+   */
+  _facetFilter(options, idColumn) {
+    const conditions = [];
+    const params = [];
+
+    if (options.source) {
+      conditions.push(`${idColumn} IN (SELECT id FROM conversations WHERE source = ?)`);
+      params.push(options.source);
+    }
+
+    for (const [facet, value] of [['gitBranch', options.gitBranch], ['version', options.version]]) {
+      if (value) {
+        conditions.push(`${idColumn} IN (SELECT conversation_id FROM conversation_facets WHERE facet = ? AND value = ?)`);
+        params.push(facet, value);
+      }
+    }
+
+    return { conditions, params };
+  }
+
   /**
    * Escape special FTS5 query characters
    * @private
@@ -794,3 +1965,4 @@ class DatabaseManager {
 }
 
 module.exports = DatabaseManager;
+module.exports.SEARCH_SCOPES = Object.keys(SEARCH_SCOPE_COLUMNS);
@@ -0,0 +1,20 @@
+/**
+ * IndexWorker - worker_threads entry point used by IndexWorkerPool
+ *
+ * Receives { filePath, size, previous } messages, parses the file with the same
+ * code the main thread uses, and posts back { result } or { error, code }.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const Indexer = require('./Indexer');
+
+// Parsing never touches the database, so the worker's Indexer has none
+const indexer = new Indexer(null, workerData.claudeDir);
+
+parentPort.on('message', async ({ filePath, size, previous }) => {
+  try {
+    const result = await indexer._parseFile(filePath, size, previous);
+    parentPort.postMessage({ result });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message, code: err.code || 'UNKNOWN' });
+  }
+});
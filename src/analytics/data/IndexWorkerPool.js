@@ -0,0 +1,141 @@
+const { Worker } = require('worker_threads');
+const chalk = require('chalk');
+const os = require('os');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, 'IndexWorker.js');
+
+/**
+ * IndexWorkerPool - Runs JSONL parsing on a pool of worker threads
+ *
+ * Parsing is the CPU-heavy part of indexing. Moving it off the main thread keeps
+ * the HTTP and WebSocket servers responsive while thousands of sessions are indexed;
+ * the main thread only does the SQLite writes.
+ *
+ * Each worker parses one file at a time. Tasks wait in a FIFO queue until a worker
+ * is free, and a worker that crashes fails its task and is replaced.
+ */
+class IndexWorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} [options.size] - Number of workers (default: one less than the CPU count, 1-4)
+   * @param {string} options.claudeDir - Claude data directory, passed to each worker's Indexer
+   */
+  constructor(options = {}) {
+    this.size = options.size || IndexWorkerPool.defaultSize();
+    this.claudeDir = options.claudeDir;
+    this.workers = [];
+    this.queue = [];
+    this.closed = false;
+
+    for (let i = 0; i < this.size; i++) {
+      this._spawn();
+    }
+  }
+
+  /**
+   * Default pool size: leave a core for the main thread, but always use at least one worker
+   * @returns {number}
+   */
+  static defaultSize() {
+    return Math.max(1, Math.min(os.cpus().length - 1, 4));
+  }
+
+  /**
+   * Parse a file on the next free worker
+   * @param {string} filePath - Path to JSONL file
+   * @param {number} size - Current file size in bytes
+   * @param {Object|null} previous - Saved index state from DatabaseManager.getFileIndexState()
+   * @returns {Promise<Object>} Result of Indexer._parseFile()
+   */
+  parse(filePath, size, previous) {
+    if (this.closed) {
+      return Promise.reject(new Error('Index worker pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ payload: { filePath, size, previous }, resolve, reject });
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Terminate all workers. Queued tasks are rejected.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('Index worker pool is closed'));
+    }
+
+    await Promise.all(this.workers.map(entry => entry.worker.terminate()));
+    this.workers = [];
+  }
+
+  /**
+   * Hand queued tasks to idle workers
+   * @private
+   */
+  _dispatch() {
+    for (const entry of this.workers) {
+      if (this.queue.length === 0) return;
+      if (entry.task) continue;
+
+      entry.task = this.queue.shift();
+      entry.worker.postMessage(entry.task.payload);
+    }
+  }
+
+  /**
+   * Start a worker and wire up its result and failure handling
+   * @private
+   */
+  _spawn() {
+    const entry = { worker: new Worker(WORKER_SCRIPT, { workerData: { claudeDir: this.claudeDir } }), task: null };
+
+    entry.worker.on('message', (message) => {
+      const task = entry.task;
+      entry.task = null;
+
+      if (task) {
+        if (message.error) {
+          const err = new Error(message.error);
+          err.code = message.code;
+          task.reject(err);
+        } else {
+          task.resolve(message.result);
+        }
+      }
+
+      this._dispatch();
+    });
+
+    entry.worker.on('error', (err) => {
+      console.warn(chalk.yellow(`⚠️ Index worker failed: ${err.message}`));
+      if (entry.task) {
+        entry.task.reject(err);
+        entry.task = null;
+      }
+    });
+
+    entry.worker.on('exit', () => {
+      this.workers = this.workers.filter(other => other !== entry);
+      if (entry.task) {
+        entry.task.reject(new Error('Index worker exited unexpectedly'));
+        entry.task = null;
+      }
+
+      // Replace crashed workers so queued tasks still run
+      if (!this.closed) {
+        this._spawn();
+        this._dispatch();
+      }
+    });
+
+    this.workers.push(entry);
+  }
+}
+
+module.exports = IndexWorkerPool;
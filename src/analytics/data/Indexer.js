@@ -1,93 +1,310 @@
 const chalk = require('chalk');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
-const readline = require('readline');
+const CostCalculator = require('../core/CostCalculator');
+const TextSimilarity = require('../core/TextSimilarity');
+const IndexWorkerPool = require('./IndexWorkerPool');
+const { DEFAULT_ROOT_NAME, normalizeRoots, rootForPath } = require('./DataRoots');
+
+// Cap on the conversation-level FTS content
+const MAX_SEARCHABLE_CONTENT_CHARS = 100000;
+
+// Per-message cap for the message-level FTS index. Generous enough for long
+// answers and pasted logs, but keeps a single giant paste from bloating the DB.
+const MAX_MESSAGE_FTS_CHARS = 50000;
+
+// Per-message caps for tool calls and tool results in the message-level index.
+// Tool output is mostly file contents and logs, so only its start is kept.
+const MAX_TOOL_INPUT_FTS_CHARS = 10000;
+const MAX_TOOL_OUTPUT_FTS_CHARS = 4000;
+
+// Output kept per Bash command in the command history
+const MAX_COMMAND_OUTPUT_PREVIEW = 500;
+
+// Bytes at the start of a file hashed to tell an appended file from a rewritten one
+const HEAD_HASH_BYTES = 4096;
+
+// API message IDs carried between incremental parses for usage deduplication
+const RECENT_MESSAGE_IDS = 100;
+
+// Bash calls still waiting for their result carried between incremental parses;
+// older ones belong to interrupted sessions and are given up on
+const PENDING_COMMAND_IDS = 100;
+
+const NEWLINE = 0x0a;
+
+// Full index runs with fewer changed files than this parse on the main thread
+const MIN_FILES_FOR_WORKERS = 20;
+
+// Parsed files written per SQLite transaction during a full index run
+const WRITE_BATCH_SIZE = 25;
+
+// Minimum gap between progress reports
+const PROGRESS_INTERVAL_MS = 500;
+
+// Entry fields stored as filterable facets, with a count of entries per value
+const FACET_FIELDS = ['gitBranch', 'version'];
+
+// Tools whose file path argument is recorded in the files-touched index,
+// mapped to the input field holding the path
+const FILE_PATH_TOOLS = {
+  Read: 'file_path',
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  Write: 'file_path',
+  NotebookEdit: 'notebook_path'
+};
 
 /**
  * Indexer - Efficiently indexes JSONL conversation files into SQLite database
  *
  * Features:
- * - Incremental indexing: only processes changed files
+ * - Incremental indexing: only processes changed files, and only the appended
+ *   lines of files that grew
  * - Streaming parsing: never loads entire file into memory
+ * - Worker threads: large runs parse on a worker pool while the main thread
+ *   writes the results
  * - Batched inserts: reduces SQLite transaction overhead
- * - Progress reporting: shows indexing progress
+ * - Progress reporting: files, bytes and ETA via getProgress() and onProgress
+ * - Archiving: with a TranscriptArchive, indexed files are copied to the archive, and
+ *   conversations whose file is deleted stay indexed and are read from their copy
  */
 class Indexer {
-  constructor(databaseManager, claudeDir) {
+  /**
+   * @param {DatabaseManager|null} databaseManager - Database to write to (null in parse-only workers)
+   * @param {string} claudeDir - Claude data directory
+   * @param {Object} [options]
+   * @param {Array<{name: string, path: string}>} [options.roots] - Data roots to index instead of
+   *   claudeDir alone (see DataRoots); each root's name is the `source` of its conversations
+   * @param {CostCalculator} [options.costCalculator] - Shared cost engine
+   * @param {number} [options.workers] - Worker threads for full index runs (0 parses on the main thread)
+   * @param {Function} [options.onProgress] - Called with getProgress() snapshots during a full index run
+   * @param {Object|null} [options.progressStream] - Where the progress line is drawn (default
+   *   process.stdout; null for none)
+   * @param {TranscriptArchive|null} [options.archive] - Archive to copy indexed files to (default none)
+   */
+  constructor(databaseManager, claudeDir, options = {}) {
     this.db = databaseManager;
-    this.claudeDir = claudeDir;
-    this.projectsDir = path.join(claudeDir, 'projects');
+    this.roots = normalizeRoots(options.roots || [{ name: DEFAULT_ROOT_NAME, path: claudeDir }]);
+    this.claudeDir = this.roots[0].path;
+    this.projectsDir = this.roots[0].projectsDir;
+    this.costCalculator = options.costCalculator || new CostCalculator();
+    this.workerCount = options.workers ?? IndexWorkerPool.defaultSize();
+    this.onProgress = options.onProgress || null;
+    this.progressStream = options.progressStream === undefined ? process.stdout : options.progressStream;
+    this.archive = options.archive || null;
+
+    this.activeRun = null;
+    this.fileLocks = new Map();  // filePath -> tail of the queue of index operations on it
+    this.progress = {
+      state: 'idle',
+      filesTotal: 0,
+      filesDone: 0,
+      bytesTotal: 0,
+      bytesDone: 0,
+      errors: 0,
+      workers: 0,
+      startedAt: null,
+      finishedAt: null
+    };
+    this.lastProgressEmit = 0;
   }
 
   /**
    * Run full indexing process
+   * A call made while a run is in progress joins that run instead of starting another.
    * @returns {Promise<Object>} Indexing statistics
    */
   async runFullIndex() {
+    if (!this.activeRun) {
+      this.activeRun = this._runFullIndex().finally(() => {
+        this.activeRun = null;
+      });
+    }
+    return this.activeRun;
+  }
+
+  /**
+   * Get the progress of the current (or last) full index run
+   * @returns {Object} { state: 'idle'|'scanning'|'indexing'|'complete'|'error', filesTotal, filesDone,
+   *   bytesTotal, bytesDone, errors, workers, percent, etaSeconds, startedAt, finishedAt }
+   */
+  getProgress() {
+    const progress = { ...this.progress };
+
+    if (progress.state === 'complete') {
+      progress.percent = 100;
+    } else if (progress.bytesTotal > 0) {
+      progress.percent = Math.floor((progress.bytesDone / progress.bytesTotal) * 100);
+    } else {
+      progress.percent = 0;
+    }
+
+    // ETA by bytes rather than files - session sizes vary by orders of magnitude
+    progress.etaSeconds = null;
+    if (progress.state === 'indexing' && progress.bytesDone > 0) {
+      const elapsed = Date.now() - progress.startedAt;
+      progress.etaSeconds = Math.round((elapsed / progress.bytesDone) * (progress.bytesTotal - progress.bytesDone) / 1000);
+    }
+
+    return progress;
+  }
+
+  /**
+   * Full index run (see runFullIndex)
+   * @private
+   */
+  async _runFullIndex() {
     console.log(chalk.yellow('📊 Starting conversation indexing...'));
     const startTime = Date.now();
 
     const stats = {
       filesScanned: 0,
       filesIndexed: 0,
+      filesAppended: 0,
       filesSkipped: 0,
       filesRemoved: 0,
+      filesArchived: 0,
+      archivesPruned: 0,
       errors: 0
     };
 
+    this._setProgress({
+      state: 'scanning',
+      filesTotal: 0,
+      filesDone: 0,
+      bytesTotal: 0,
+      bytesDone: 0,
+      errors: 0,
+      workers: 0,
+      startedAt: startTime,
+      finishedAt: null
+    }, true);
+
+    let pool = null;
+
     try {
-      // Get all JSONL files
-      const files = await this._findJsonlFiles(this.projectsDir);
-      stats.filesScanned = files.length;
-      console.log(chalk.gray(`Found ${files.length} JSONL files to process`));
+      // Label conversations indexed before their root was named (or renamed)
+      for (const root of this.roots) {
+        this.db.setSourceForPath(root.projectsDir, root.name);
+      }
 
       // Get currently indexed files to detect deletions
       const indexedPaths = this.db.getIndexedFilePaths();
+      // Unchanged files indexed before archiving was turned on still need a copy
+      const unarchivedPaths = this.archive ? this.db.getUnarchivedFilePaths() : new Set();
+      const toArchive = [];
 
-      // Process files in batches for progress reporting
-      const batchSize = 50;
-      for (let i = 0; i < files.length; i += batchSize) {
-        const batch = files.slice(i, i + batchSize);
+      // Get all JSONL files
+      const files = [];
+      const seen = new Set();  // Paths relative to projects/; a session in two roots is indexed from the first
+      for (const root of this.roots) {
+        if (!(await fs.pathExists(root.projectsDir))) {
+          // A synced copy that isn't mounted right now keeps its conversations
+          console.warn(chalk.yellow(`⚠️ No projects directory in data root "${root.name}" (${root.path})`));
+          for (const indexedPath of indexedPaths) {
+            if (rootForPath([root], indexedPath)) indexedPaths.delete(indexedPath);
+          }
+          continue;
+        }
 
-        for (const filePath of batch) {
-          try {
-            const fileStats = await fs.stat(filePath);
-            const mtime = fileStats.mtime.getTime();
-            const size = fileStats.size;
+        for (const filePath of await this._findJsonlFiles(root.projectsDir)) {
+          const relativePath = path.relative(root.projectsDir, filePath);
+          if (seen.has(relativePath)) continue;
+          seen.add(relativePath);
+          files.push(filePath);
+        }
+      }
+      stats.filesScanned = files.length;
+      console.log(chalk.gray(`Found ${files.length} JSONL files to process in ${this.roots.length} data root${this.roots.length === 1 ? '' : 's'}`));
 
-            // Remove from tracked set (remaining = deleted files)
-            indexedPaths.delete(filePath);
+      // Work out what changed up front so progress has totals to report against
+      const jobs = [];
+      for (const filePath of files) {
+        try {
+          const fileStats = await fs.stat(filePath);
 
-            // Check if file needs indexing
-            if (!this.db.needsIndexing(filePath, mtime, size)) {
-              stats.filesSkipped++;
-              continue;
-            }
+          // Remove from tracked set (remaining = deleted files)
+          indexedPaths.delete(filePath);
 
-            // Index the file
-            await this._indexFile(filePath, fileStats);
-            stats.filesIndexed++;
+          // Check if file needs indexing
+          if (!this.db.needsIndexing(filePath, fileStats.mtime.getTime(), fileStats.size)) {
+            stats.filesSkipped++;
+            if (unarchivedPaths.has(filePath)) toArchive.push(filePath);
+            continue;
+          }
 
+          jobs.push({ filePath, fileStats });
+        } catch (err) {
+          console.warn(chalk.yellow(`Warning: Could not process ${path.basename(filePath)}: ${err.message}`));
+          stats.errors++;
+        }
+      }
+
+      pool = this._createWorkerPool(jobs.length);
+      this._setProgress({
+        state: 'indexing',
+        filesTotal: jobs.length,
+        bytesTotal: jobs.reduce((sum, job) => sum + job.fileStats.size, 0),
+        errors: stats.errors,
+        workers: pool ? pool.size : 0
+      }, true);
+
+      const onFileDone = (job, result, err) => {
+        if (err) {
+          console.warn(chalk.yellow(`Warning: Could not process ${path.basename(job.filePath)}: ${err.message}`));
+          stats.errors++;
+        } else {
+          stats.filesIndexed++;
+          if (result.mode === 'append') stats.filesAppended++;
+        }
+
+        this._setProgress({
+          filesDone: this.progress.filesDone + 1,
+          bytesDone: this.progress.bytesDone + job.fileStats.size,
+          errors: stats.errors
+        });
+      };
+
+      if (pool) {
+        await this._indexWithPool(jobs, pool, onFileDone);
+      } else {
+        for (const job of jobs) {
+          try {
+            onFileDone(job, await this._indexFile(job.filePath, job.fileStats));
           } catch (err) {
-            console.warn(chalk.yellow(`Warning: Could not process ${path.basename(filePath)}: ${err.message}`));
-            stats.errors++;
+            onFileDone(job, null, err);
           }
         }
+      }
 
-        // Progress update
-        const processed = Math.min(i + batchSize, files.length);
-        const percent = Math.round((processed / files.length) * 100);
-        process.stdout.write(`\r${chalk.cyan('⏳')} Indexing progress: ${percent}% (${processed}/${files.length})`);
+      if (jobs.length > 0) {
+        this._setProgress({}, true);  // Final count, in case the last update was throttled
+        console.log(); // New line after progress
       }
 
-      console.log(); // New line after progress
+      for (const filePath of toArchive) {
+        await this._withFileLock(filePath, async () => {
+          const previous = this.db.getFileIndexState(filePath);
+          if (previous) await this._archiveFile(filePath, previous.byteOffset || previous.size, false);
+        });
+      }
 
-      // Remove deleted files from database
+      // Remove deleted files from database, keeping those with an archive copy
       for (const deletedPath of indexedPaths) {
+        if (await this._hasArchiveCopy(deletedPath) && this.db.markArchived(deletedPath)) {
+          stats.filesArchived++;
+          continue;
+        }
         this.db.removeFile(deletedPath);
         stats.filesRemoved++;
       }
 
+      if (this.archive && this.archive.retentionDays !== null) {
+        stats.archivesPruned = await this._pruneArchive();
+      }
+
       // Resolve any encoded project names using proper names from the same folder
       const resolveResult = this.db.resolveEncodedProjectNames();
       if (resolveResult.resolved > 0) {
@@ -97,13 +314,129 @@ class Indexer {
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       console.log(chalk.green(`✅ Indexing complete in ${duration}s`));
-      console.log(chalk.gray(`   Indexed: ${stats.filesIndexed}, Skipped: ${stats.filesSkipped}, Removed: ${stats.filesRemoved}, Errors: ${stats.errors}`));
+      console.log(chalk.gray(`   Indexed: ${stats.filesIndexed} (${stats.filesAppended} appended), Skipped: ${stats.filesSkipped}, Removed: ${stats.filesRemoved}, Archived: ${stats.filesArchived}, Errors: ${stats.errors}`));
 
+      this._setProgress({ state: 'complete', finishedAt: Date.now() }, true);
       return stats;
 
     } catch (err) {
       console.error(chalk.red('Indexing failed:'), err.message);
+      this._setProgress({ state: 'error', error: err.message, finishedAt: Date.now() }, true);
       throw err;
+    } finally {
+      if (pool) {
+        await pool.close();
+      }
+    }
+  }
+
+  /**
+   * Parse files on the worker pool and write the results in batched transactions
+   * @private
+   * @param {Array<{filePath: string, fileStats: fs.Stats}>} jobs - Files to index
+   * @param {IndexWorkerPool} pool - Worker pool to parse on
+   * @param {Function} onFileDone - Called with (job, result, err) as each file finishes
+   */
+  async _indexWithPool(jobs, pool, onFileDone) {
+    let batch = [];
+    let parsesRemaining = jobs.length;
+
+    const flush = () => {
+      const writes = batch;
+      batch = [];
+      this.db.runInTransaction(() => {
+        for (const write of writes) {
+          try {
+            write.resolve(this._storeParsedFile(write.job.filePath, write.job.fileStats, write.parsed));
+          } catch (err) {
+            write.reject(err);
+          }
+        }
+      });
+    };
+
+    await Promise.all(jobs.map(job => this._withFileLock(job.filePath, async () => {
+      const previous = this.db.getFileIndexState(job.filePath);
+
+      let parsed;
+      try {
+        parsed = await pool.parse(job.filePath, job.fileStats.size, previous);
+      } catch (err) {
+        // The last parse to finish flushes whatever is waiting, even if it failed itself
+        if (--parsesRemaining === 0 && batch.length > 0) flush();
+        throw err;
+      }
+      parsesRemaining--;
+
+      const stored = new Promise((resolve, reject) => batch.push({ job, parsed, resolve, reject }));
+      if (batch.length >= WRITE_BATCH_SIZE || parsesRemaining === 0) flush();
+      const result = await stored;
+      await this._archiveFile(job.filePath, parsed.parseResult.endOffset, parsed.resume);
+      return result;
+    }).then(
+      result => onFileDone(job, result),
+      err => onFileDone(job, null, err)
+    )));
+  }
+
+  /**
+   * Start a worker pool for a run, or return null to parse on the main thread
+   * @private
+   */
+  _createWorkerPool(fileCount) {
+    // Small runs (restarts, the odd new session) finish before workers would start
+    if (this.workerCount <= 0 || fileCount < MIN_FILES_FOR_WORKERS) return null;
+
+    try {
+      return new IndexWorkerPool({ size: Math.min(this.workerCount, fileCount), claudeDir: this.claudeDir });
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not start index workers, parsing on the main thread: ${err.message}`));
+      return null;
+    }
+  }
+
+  /**
+   * Update progress and report it (throttled unless forced)
+   * @private
+   */
+  _setProgress(changes, force = false) {
+    Object.assign(this.progress, changes);
+
+    const now = Date.now();
+    if (!force && now - this.lastProgressEmit < PROGRESS_INTERVAL_MS) return;
+    this.lastProgressEmit = now;
+
+    const progress = this.getProgress();
+    if (progress.state === 'indexing' && progress.filesTotal > 0 && this.progressStream) {
+      this.progressStream.write(`\r${chalk.cyan('⏳')} Indexing progress: ${progress.percent}% (${progress.filesDone}/${progress.filesTotal})`);
+    }
+
+    if (this.onProgress) {
+      try {
+        this.onProgress(progress);
+      } catch (err) {
+        console.warn(chalk.yellow(`⚠️ Index progress listener failed: ${err.message}`));
+      }
+    }
+  }
+
+  /**
+   * Run index operations on one file one at a time. Appends resume from the state the
+   * previous operation saved, so a watcher update racing a full index run must wait.
+   * @private
+   */
+  async _withFileLock(filePath, fn) {
+    const previous = this.fileLocks.get(filePath) || Promise.resolve();
+    const current = previous.then(fn);
+    const tail = current.catch(() => {});
+    this.fileLocks.set(filePath, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.fileLocks.get(filePath) === tail) {
+        this.fileLocks.delete(filePath);
+      }
     }
   }
 
@@ -113,9 +446,14 @@ class Indexer {
    */
   async indexSingleFile(filePath) {
     try {
+      const shadowedBy = await this._shadowingRoot(filePath);
+      if (shadowedBy) {
+        return { success: true, mode: 'skipped', shadowedBy: shadowedBy.name };
+      }
+
       const fileStats = await fs.stat(filePath);
-      await this._indexFile(filePath, fileStats);
-      return { success: true };
+      const { mode } = await this._indexFile(filePath, fileStats);
+      return { success: true, mode };
     } catch (err) {
       const errorInfo = {
         success: false,
@@ -131,8 +469,113 @@ class Indexer {
   /**
    * Internal method to index a single file
    * @private
+   * @returns {Promise<{mode: 'full'|'append'}>}
    */
   async _indexFile(filePath, fileStats) {
+    return this._withFileLock(filePath, async () => {
+      const previous = this.db.getFileIndexState(filePath);
+      const parsed = await this._parseFile(filePath, fileStats.size, previous);
+      const result = this._storeParsedFile(filePath, fileStats, parsed);
+      await this._archiveFile(filePath, parsed.parseResult.endOffset, parsed.resume);
+      return result;
+    });
+  }
+
+  /**
+   * Copy the complete lines of an indexed file to the archive. An append extends
+   * the copy from where it stopped; anything else rewrites it.
+   * Failures are logged: the file is still indexed, and the next change retries.
+   * @private
+   * @param {string} filePath - Indexed session file
+   * @param {number} endOffset - Byte offset of the end of its last complete line
+   * @param {boolean} resume - Whether the index run only parsed appended lines
+   */
+  async _archiveFile(filePath, endOffset, resume) {
+    const root = this.archive ? rootForPath(this.roots, filePath) : null;
+    if (!root) return;
+
+    try {
+      const archivePath = this.archive.pathFor(root.name, path.relative(root.projectsDir, filePath));
+      const previous = this.db.getArchiveState(filePath);
+      const canAppend = resume && previous && previous.archivePath === archivePath &&
+        previous.archiveBytes > 0 && previous.archiveBytes <= endOffset &&
+        await fs.pathExists(archivePath);
+
+      await this.archive.store(filePath, archivePath, canAppend ? previous.archiveBytes : 0, endOffset);
+      this.db.setArchiveState(filePath, archivePath, endOffset);
+    } catch (err) {
+      console.warn(chalk.yellow(`⚠️ Could not archive ${path.basename(filePath)}: ${err.message}`));
+    }
+  }
+
+  /**
+   * Whether a deleted file's conversation can be kept and read from an archive copy
+   * @private
+   */
+  async _hasArchiveCopy(filePath) {
+    if (!this.archive) return false;
+    const state = this.db.getArchiveState(filePath);
+    return Boolean(state && state.archivePath && await fs.pathExists(state.archivePath));
+  }
+
+  /**
+   * Remove archived conversations older than the archive's retention period, and their copies
+   * @private
+   * @returns {Promise<number>} Conversations removed
+   */
+  async _pruneArchive() {
+    const cutoff = Date.now() - this.archive.retentionDays * 24 * 60 * 60 * 1000;
+    const archivePaths = this.db.removeArchivedBefore(cutoff);
+
+    for (const archivePath of archivePaths) {
+      try {
+        await this.archive.remove(archivePath);
+      } catch (err) {
+        console.warn(chalk.yellow(`⚠️ Could not delete archive copy ${archivePath}: ${err.message}`));
+      }
+    }
+
+    if (archivePaths.length > 0) {
+      console.log(chalk.gray(`   Pruned ${archivePaths.length} archived conversation${archivePaths.length === 1 ? '' : 's'} past the retention period`));
+    }
+    return archivePaths.length;
+  }
+
+  /**
+   * Parse a file, resuming from its saved offset when possible. Reads the file
+   * only, never the database, so it can run in a worker thread.
+   * @private
+   * @param {string} filePath - Path to JSONL file
+   * @param {number} size - Current file size in bytes
+   * @param {Object|null} previous - Saved index state from getFileIndexState()
+   * @returns {Promise<{resume: boolean, parseResult: Object, headHash: string}>}
+   */
+  async _parseFile(filePath, size, previous) {
+    // Sessions only ever grow, so resume from where the last parse stopped when we can
+    const resume = await this._canResume(filePath, size, previous);
+
+    // Parse file with streaming to avoid memory issues
+    const parseResult = resume
+      ? await this._parseJsonlStreaming(filePath, { startOffset: previous.byteOffset, state: previous.parseState })
+      : await this._parseJsonlStreaming(filePath);
+
+    // The hashed head stops changing once the file is longer than HEAD_HASH_BYTES
+    const headHash = resume && previous.byteOffset >= HEAD_HASH_BYTES
+      ? previous.headHash
+      : await this._hashFileHead(filePath, parseResult.endOffset);
+
+    return { resume, parseResult, headHash };
+  }
+
+  /**
+   * Write a parsed file to the database
+   * @private
+   * @param {string} filePath - Path to JSONL file
+   * @param {fs.Stats} fileStats - File stats taken before parsing
+   * @param {Object} parsed - Result of _parseFile()
+   * @returns {{mode: 'full'|'append'}}
+   */
+  _storeParsedFile(filePath, fileStats, { resume, parseResult, headHash }) {
     const filename = path.basename(filePath);
 
     // Detect subagent from path structure first (needed for ID generation)
@@ -145,9 +588,6 @@ class Indexer {
     const baseId = filename.replace('.jsonl', '');
     const id = isSubagent && parentId ? `${parentId}_${baseId}` : baseId;
 
-    // Parse file with streaming to avoid memory issues
-    const parseResult = await this._parseJsonlStreaming(filePath);
-
     // Extract project name: prefer cwd from file content, fallback to path decoding
     // Note: subagents spawned from subdirectories will get the subdirectory name initially
     // (e.g., "cli-tool" instead of "claude-chats-monitor"), but resolveEncodedProjectNames()
@@ -162,10 +602,12 @@ class Indexer {
     }
 
     // Build conversation object
+    const root = rootForPath(this.roots, filePath);
     const conversation = {
       id,
       filePath,
       filename,
+      source: root ? root.name : null,
       project,
       cwd: parseResult.cwd,  // Store original cwd for project name resolution
       messageCount: parseResult.messageCount,
@@ -174,49 +616,118 @@ class Indexer {
       created: fileStats.birthtime,
       tokenUsage: parseResult.tokenUsage,
       modelInfo: parseResult.modelInfo,
+      modelUsage: parseResult.modelUsage,
       toolUsage: parseResult.toolUsage,
+      fileTouches: parseResult.fileTouches,
+      bashCommands: parseResult.bashCommands,
+      bashResults: parseResult.bashResults,
+      lastUuid: parseResult.lastUuid,
+      summaryLeafUuids: parseResult.summaryLeafUuids,
+      facets: parseResult.facets,
+      terms: parseResult.terms,
       isSubagent,
-      parentId
+      parentId,
+      indexState: {
+        byteOffset: parseResult.endOffset,
+        headHash,
+        parseState: parseResult.state
+      }
     };
 
     // Insert into database
-    this.db.upsertConversation(conversation, parseResult.searchableContent);
+    this.db.upsertConversation(conversation, parseResult.searchableContent, parseResult.messages, { append: resume });
+
+    return { mode: resume ? 'append' : 'full' };
+  }
+
+  /**
+   * Check whether a file can be parsed from its last indexed offset: it must not
+   * have shrunk, and the bytes before that offset must still start the same way
+   * @private
+   * @param {string} filePath - Path to JSONL file
+   * @param {number} size - Current file size in bytes
+   * @param {Object|null} previous - Saved index state from getFileIndexState()
+   * @returns {Promise<boolean>} True to resume, false for a full reparse
+   */
+  async _canResume(filePath, size, previous) {
+    if (!previous || !previous.parseState || !previous.headHash || previous.byteOffset <= 0) {
+      return false;
+    }
+    if (size < previous.byteOffset) {
+      return false;
+    }
+
+    const headHash = await this._hashFileHead(filePath, previous.byteOffset);
+    return headHash === previous.headHash;
+  }
+
+  /**
+   * Hash the first bytes of a file (at most HEAD_HASH_BYTES, and never past `length`)
+   * @private
+   * @returns {Promise<string>} Hex SHA-1 digest
+   */
+  async _hashFileHead(filePath, length) {
+    const buffer = Buffer.alloc(Math.min(length, HEAD_HASH_BYTES));
+    const fd = await fs.open(filePath, 'r');
+    try {
+      const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, 0);
+      return crypto.createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex');
+    } finally {
+      await fs.close(fd);
+    }
   }
 
   /**
    * Parse JSONL file using streaming to avoid memory issues
+   *
+   * With a start offset and the state saved by an earlier parse, only the lines from
+   * that offset on are read: totals continue from the saved state, while content,
+   * messages, terms, file touches and Bash commands cover the new lines only.
+   *
    * @private
+   * @param {string} filePath - Path to JSONL file
+   * @param {Object} [options]
+   * @param {number} [options.startOffset] - Byte offset to resume from (start of a line)
+   * @param {Object} [options.state] - parseState returned by the parse that ended at startOffset
+   * @returns {Promise<Object>} Parse result, including endOffset and the state to resume from
    */
-  async _parseJsonlStreaming(filePath) {
+  async _parseJsonlStreaming(filePath, options = {}) {
+    const startOffset = options.startOffset || 0;
+    const previous = options.state || null;
+
     return new Promise((resolve, reject) => {
       const result = {
-        messageCount: 0,
-        tokenUsage: { total: 0, input: 0, output: 0 },
+        messageCount: previous ? previous.messageCount : 0,
+        tokenUsage: { total: 0, input: 0, output: 0, cacheCreation: 0, cacheRead: 0, ...previous?.tokenUsage },
         modelInfo: { primaryModel: null, models: {} },
-        toolUsage: { total: 0, tools: {} },
+        modelUsage: { ...previous?.modelUsage },  // Per-model token totals for cost calculation
+        toolUsage: { total: previous?.toolUsage.total || 0, tools: { ...previous?.toolUsage.tools } },
+        fileTouches: [],  // Files read or written by tool calls
+        bashCommands: [],  // Bash tool calls with their results
+        bashResults: [],  // Results for commands recorded by the previous parse
         searchableContent: '',
-        cwd: null  // Extract working directory for project name
+        messages: [],  // Per-message entries for message-level FTS
+        terms: {},  // Term counts for finding similar sessions (see TextSimilarity)
+        cwd: previous ? previous.cwd : null,  // Extract working directory for project name
+        lastUuid: previous?.lastUuid || null,  // Newest message entry, where a resumed session links in
+        summaryLeafUuids: [],  // leafUuids of summary entries: the end of the session this one continues
+        facets: Object.fromEntries(FACET_FIELDS.map(field => [field, { ...previous?.facets?.[field] }])),
+        endOffset: startOffset,
+        state: null
       };
 
       const contentParts = [];
-      const modelCounts = {};
-      let lineCount = 0;
+      let contentLength = previous ? previous.contentLength : 0;
+      const modelCounts = { ...previous?.modelCounts };
+      const pricedMessageIds = new Set(previous?.recentMessageIds);
+      const pendingCommands = new Map();  // tool_use_id -> bash command awaiting its result
+      const toolCallMessages = new Map();  // tool_use_id -> index entry of the message that made the call
+      const earlierPendingIds = new Set(previous?.pendingCommandIds);
+      let lineCount = previous ? previous.lineCount : 0;
       let parseErrorCount = 0;
       const filename = path.basename(filePath);
 
-      const readStream = fs.createReadStream(filePath, { encoding: 'utf8' });
-      const rl = readline.createInterface({
-        input: readStream,
-        crlfDelay: Infinity
-      });
-
-      // Cleanup function to properly close resources
-      const cleanup = () => {
-        rl.close();
-        readStream.destroy();
-      };
-
-      rl.on('line', (line) => {
+      const handleLine = (line) => {
         lineCount++;
         if (!line.trim()) return;
 
@@ -233,22 +744,82 @@ class Indexer {
             }
           }
 
+          // Git branch and CLI version, counted per entry
+          for (const field of FACET_FIELDS) {
+            const value = typeof item[field] === 'string' ? item[field].trim() : '';
+            if (value) {
+              result.facets[field][value] = (result.facets[field][value] || 0) + 1;
+            }
+          }
+
+          // A resumed or continued session starts with summaries of the session it
+          // continues, each pointing at that session's last entry
+          if (item.type === 'summary' && item.leafUuid && !result.summaryLeafUuids.includes(item.leafUuid)) {
+            result.summaryLeafUuids.push(item.leafUuid);
+          }
+
           // Only count user/assistant messages
           if (item.message && (item.type === 'assistant' || item.type === 'user')) {
             result.messageCount++;
+            if (item.uuid && !item.isSidechain) result.lastUuid = item.uuid;
 
             // Extract searchable content
             const content = this._extractTextContent(item.message.content);
-            if (content) {
+            if (content && contentLength < MAX_SEARCHABLE_CONTENT_CHARS) {
               // Limit content per message to prevent huge FTS entries
-              contentParts.push(content.slice(0, 2000));
+              const part = content.slice(0, 2000);
+              contentParts.push(part);
+              contentLength += part.length + 1;
             }
 
-            // Track token usage from assistant messages
+            // Message-level entry keeps the full text (up to its own cap) so
+            // matches deep in long sessions are still findable
+            const toolInput = this._extractToolInputText(item.message.content);
+            if (content || toolInput) {
+              const entry = {
+                uuid: item.uuid || null,
+                messageId: item.message.id || item.uuid || null,
+                role: item.message.role || item.type,
+                timestamp: item.timestamp || null,
+                content: content.slice(0, MAX_MESSAGE_FTS_CHARS),
+                toolInput: toolInput.slice(0, MAX_TOOL_INPUT_FTS_CHARS),
+                toolOutput: ''
+              };
+              result.messages.push(entry);
+              for (const block of Array.isArray(item.message.content) ? item.message.content : []) {
+                if (block.type === 'tool_use' && block.id) toolCallMessages.set(block.id, entry);
+              }
+            }
+
+            // Tool results are indexed under the message that made the call, which is
+            // where the conversation view shows them. A call from before an incremental
+            // parse is no longer at hand, so its result keeps its own location.
+            for (const { toolUseId, text } of this._extractToolResults(item.message.content)) {
+              const call = toolCallMessages.get(toolUseId);
+              result.messages.push({
+                uuid: call ? call.uuid : item.uuid || null,
+                messageId: call ? call.messageId : item.message.id || item.uuid || null,
+                role: 'assistant',
+                timestamp: item.timestamp || null,
+                content: '',
+                toolInput: '',
+                toolOutput: text.slice(0, MAX_TOOL_OUTPUT_FTS_CHARS)
+              });
+            }
+
+            // Track token usage from assistant messages. Each content block of a response
+            // is its own line repeating the same usage, so each API message ID counts once
             if (item.type === 'assistant' && item.message.usage) {
               const usage = item.message.usage;
-              result.tokenUsage.input += usage.input_tokens || 0;
-              result.tokenUsage.output += usage.output_tokens || 0;
+              const messageId = item.message.id;
+              if (!messageId || !pricedMessageIds.has(messageId)) {
+                if (messageId) pricedMessageIds.add(messageId);
+                result.tokenUsage.input += usage.input_tokens || 0;
+                result.tokenUsage.output += usage.output_tokens || 0;
+                result.tokenUsage.cacheCreation += usage.cache_creation_input_tokens || 0;
+                result.tokenUsage.cacheRead += usage.cache_read_input_tokens || 0;
+                this.costCalculator.addUsage(result.modelUsage, item.message.model, usage);
+              }
             }
 
             // Track model usage
@@ -264,6 +835,43 @@ class Indexer {
                 result.toolUsage.tools[tool] = (result.toolUsage.tools[tool] || 0) + 1;
                 result.toolUsage.total++;
               }
+
+              for (const touch of this._extractFileTouches(item.message.content)) {
+                result.fileTouches.push({
+                  ...touch,
+                  messageUuid: item.uuid || null,
+                  timestamp: item.timestamp || null
+                });
+              }
+
+              for (const command of this._extractBashCommands(item.message.content)) {
+                const entry = {
+                  ...command,
+                  messageId: item.message.id || item.uuid || null,
+                  timestamp: item.timestamp || null,
+                  exitCode: null,
+                  isError: null,
+                  outputPreview: null
+                };
+                result.bashCommands.push(entry);
+                if (entry.toolUseId) pendingCommands.set(entry.toolUseId, entry);
+              }
+            }
+
+            // Attach tool results to the Bash commands that produced them
+            if (item.type === 'user' && (pendingCommands.size > 0 || earlierPendingIds.size > 0) &&
+                Array.isArray(item.message.content)) {
+              for (const block of item.message.content) {
+                if (block.type !== 'tool_result') continue;
+
+                if (pendingCommands.has(block.tool_use_id)) {
+                  Object.assign(pendingCommands.get(block.tool_use_id), this._parseBashResult(block));
+                  pendingCommands.delete(block.tool_use_id);
+                } else if (earlierPendingIds.has(block.tool_use_id)) {
+                  result.bashResults.push({ toolUseId: block.tool_use_id, ...this._parseBashResult(block) });
+                  earlierPendingIds.delete(block.tool_use_id);
+                }
+              }
             }
           }
         } catch (parseErr) {
@@ -275,9 +883,60 @@ class Indexer {
             console.warn(chalk.yellow(`⚠️ Additional parse errors suppressed for ${filename}`));
           }
         }
+      };
+
+      // Lines are split on raw bytes so endOffset always lands on a line boundary
+      const readStream = fs.createReadStream(filePath, { start: startOffset });
+      let partialChunks = [];
+
+      readStream.on('data', (chunk) => {
+        let newline = chunk.indexOf(NEWLINE);
+        if (newline === -1) {
+          partialChunks.push(chunk);
+          return;
+        }
+
+        let buffer = chunk;
+        if (partialChunks.length > 0) {
+          newline += partialChunks.reduce((sum, part) => sum + part.length, 0);
+          buffer = Buffer.concat([...partialChunks, chunk]);
+          partialChunks = [];
+        }
+
+        let lineStart = 0;
+        while (newline !== -1) {
+          handleLine(buffer.toString('utf8', lineStart, newline));
+          lineStart = newline + 1;
+          newline = buffer.indexOf(NEWLINE, lineStart);
+        }
+
+        result.endOffset += lineStart;
+        if (lineStart < buffer.length) {
+          partialChunks.push(buffer.subarray(lineStart));
+        }
       });
 
-      rl.on('close', () => {
+      readStream.on('end', () => {
+        // An unterminated last line is kept if it's complete JSON; otherwise it's
+        // probably still being written, so leave it for the next parse
+        if (partialChunks.length > 0) {
+          const tail = Buffer.concat(partialChunks);
+          const line = tail.toString('utf8');
+          let complete = !line.trim();
+          if (!complete) {
+            try {
+              JSON.parse(line);
+              complete = true;
+            } catch {
+              complete = false;
+            }
+          }
+          if (complete) {
+            handleLine(line);
+            result.endOffset += tail.length;
+          }
+        }
+
         // Calculate total tokens
         result.tokenUsage.total = result.tokenUsage.input + result.tokenUsage.output;
 
@@ -292,18 +951,41 @@ class Indexer {
         result.modelInfo.models = modelCounts;
 
         // Join searchable content (limit total size)
-        result.searchableContent = contentParts.join('\n').slice(0, 100000);
+        const contentBudget = MAX_SEARCHABLE_CONTENT_CHARS - (previous ? previous.contentLength : 0);
+        result.searchableContent = contentParts.join('\n').slice(0, Math.max(contentBudget, 0));
+
+        result.terms = TextSimilarity.extractTerms(
+          result.messages.map(message => message.content),
+          result.fileTouches.map(touch => touch.filePath)
+        );
+
+        // Lines of one response are adjacent, so the most recent IDs are enough
+        // to keep deduplicating usage across an append
+        result.state = {
+          lineCount,
+          messageCount: result.messageCount,
+          tokenUsage: {
+            input: result.tokenUsage.input,
+            output: result.tokenUsage.output,
+            cacheCreation: result.tokenUsage.cacheCreation,
+            cacheRead: result.tokenUsage.cacheRead
+          },
+          modelCounts,
+          modelUsage: result.modelUsage,
+          toolUsage: result.toolUsage,
+          cwd: result.cwd,
+          lastUuid: result.lastUuid,
+          facets: result.facets,
+          contentLength: Math.min(contentLength, MAX_SEARCHABLE_CONTENT_CHARS),
+          recentMessageIds: [...pricedMessageIds].slice(-RECENT_MESSAGE_IDS),
+          pendingCommandIds: [...earlierPendingIds, ...pendingCommands.keys()].slice(-PENDING_COMMAND_IDS)
+        };
 
         resolve(result);
       });
 
-      rl.on('error', (err) => {
-        cleanup();
-        reject(err);
-      });
-
       readStream.on('error', (err) => {
-        cleanup();
+        readStream.destroy();
         reject(err);
       });
     });
@@ -334,6 +1016,54 @@ class Indexer {
     return '';
   }
 
+  /**
+   * Searchable text of the tool calls in message content: each tool's name, then
+   * every string in its input (commands, patterns, edited code), nested ones included
+   * @private
+   */
+  _extractToolInputText(content) {
+    if (!content || typeof content === 'string') return '';
+
+    const parts = [];
+    const collect = (value) => {
+      if (typeof value === 'string') {
+        parts.push(value);
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(collect);
+      }
+    };
+
+    for (const block of Array.isArray(content) ? content : [content]) {
+      if (block.type !== 'tool_use') continue;
+      if (block.name) parts.push(block.name);
+      collect(block.input);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Extract the text of tool_result blocks
+   * @private
+   * @returns {Array<{toolUseId: string, text: string}>}
+   */
+  _extractToolResults(content) {
+    const results = [];
+
+    if (!content || typeof content === 'string') return results;
+
+    for (const block of Array.isArray(content) ? content : [content]) {
+      if (block.type !== 'tool_result') continue;
+
+      const text = this._extractTextContent(block.content);
+      if (text.trim()) {
+        results.push({ toolUseId: block.tool_use_id || null, text });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Extract tool names from message content
    * @private
@@ -354,6 +1084,81 @@ class Indexer {
     return tools;
   }
 
+  /**
+   * Extract file paths from Read/Edit/MultiEdit/Write/NotebookEdit tool calls
+   * @private
+   * @returns {Array<{filePath: string, operation: string}>}
+   */
+  _extractFileTouches(content) {
+    const touches = [];
+
+    if (!content) return touches;
+
+    const blocks = Array.isArray(content) ? content : [content];
+
+    for (const block of blocks) {
+      if (block.type !== 'tool_use' || !FILE_PATH_TOOLS[block.name]) continue;
+
+      const filePath = block.input?.[FILE_PATH_TOOLS[block.name]];
+      if (typeof filePath === 'string' && filePath.trim()) {
+        touches.push({ filePath: filePath.trim(), operation: block.name });
+      }
+    }
+
+    return touches;
+  }
+
+  /**
+   * Extract commands from Bash tool calls
+   * @private
+   * @returns {Array<{toolUseId: string, command: string, description: string}>}
+   */
+  _extractBashCommands(content) {
+    const commands = [];
+
+    if (!content) return commands;
+
+    const blocks = Array.isArray(content) ? content : [content];
+
+    for (const block of blocks) {
+      if (block.type !== 'tool_use' || block.name !== 'Bash') continue;
+
+      const command = block.input?.command;
+      if (typeof command === 'string' && command.trim()) {
+        commands.push({
+          toolUseId: block.id || null,
+          command,
+          description: block.input.description || null
+        });
+      }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Derive exit status and an output preview from a Bash tool_result block.
+   * Failed commands come back flagged is_error with output starting "Exit code N".
+   * @private
+   * @returns {{exitCode: number|null, isError: boolean, outputPreview: string}}
+   */
+  _parseBashResult(block) {
+    const output = this._extractTextContent(block.content) || '';
+    const isError = block.is_error === true;
+
+    let exitCode = isError ? null : 0;
+    const exitMatch = output.match(/^Exit code (\d+)/);
+    if (exitMatch) {
+      exitCode = parseInt(exitMatch[1], 10);
+    }
+
+    return {
+      exitCode,
+      isError,
+      outputPreview: output.slice(0, MAX_COMMAND_OUTPUT_PREVIEW)
+    };
+  }
+
   /**
    * Extract project name from file path
    * @private
@@ -368,7 +1173,8 @@ class Indexer {
   _extractProjectFromPath(filePath) {
     // Path format: ~/.claude/projects/-Users-username-project-name/session.jsonl
     // Or subagent: ~/.claude/projects/-Users-username-project-name/{parent-id}/subagents/agent-{id}.jsonl
-    const relativePath = filePath.replace(this.projectsDir, '');
+    const root = rootForPath(this.roots, filePath);
+    const relativePath = root ? path.relative(root.projectsDir, filePath) : filePath;
     const parts = relativePath.split(path.sep).filter(Boolean);
 
     if (parts.length > 0) {
@@ -414,6 +1220,23 @@ class Indexer {
     return { isSubagent: false, parentId: null };
   }
 
+  /**
+   * Find an earlier root holding the same session file, which is indexed instead
+   * @private
+   * @param {string} filePath - Path to JSONL file
+   * @returns {Promise<Object|null>} The root the file is indexed from, if not its own
+   */
+  async _shadowingRoot(filePath) {
+    const root = rootForPath(this.roots, filePath);
+    if (!root) return null;
+
+    const relativePath = path.relative(root.projectsDir, filePath);
+    for (const earlier of this.roots.slice(0, this.roots.indexOf(root))) {
+      if (await fs.pathExists(path.join(earlier.projectsDir, relativePath))) return earlier;
+    }
+    return null;
+  }
+
   /**
    * Find all JSONL files recursively
    * @private
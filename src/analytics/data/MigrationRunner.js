@@ -0,0 +1,194 @@
+const chalk = require('chalk');
+
+/**
+ * MigrationRunner - Applies versioned schema migrations to a SQLite database
+ *
+ * The schema version lives in SQLite's `user_version` pragma. Each migration runs in
+ * its own transaction together with the version bump and its schema_migrations record,
+ * so a failure leaves the database at the last fully applied version.
+ *
+ * Migrations are objects of the form:
+ *   {
+ *     version: 3,                       // Unique, ascending integer
+ *     name: 'cwd_column',               // Short identifier recorded in schema_migrations
+ *     reindex: 'cache token totals',    // Optional: data only the JSONL files can provide,
+ *                                       // schedules a full reindex after the migration
+ *     up(db) { ... }                    // Receives the better-sqlite3 database
+ *   }
+ */
+class MigrationRunner {
+  /**
+   * @param {Object} db - better-sqlite3 database
+   * @param {Array<Object>} migrations - Migration definitions
+   */
+  constructor(db, migrations) {
+    this.db = db;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    const versions = new Set();
+    for (const migration of this.migrations) {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error(`Invalid migration version: ${migration.version}`);
+      }
+      if (versions.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${migration.version} has no up() function`);
+      }
+      versions.add(migration.version);
+    }
+  }
+
+  /**
+   * Get the schema version the database is currently at
+   * @returns {number} user_version (0 for a new or pre-versioning database)
+   */
+  getCurrentVersion() {
+    return this.db.pragma('user_version', { simple: true });
+  }
+
+  /**
+   * Get the version the database will be at once every migration has run
+   * @returns {number} Highest known migration version
+   */
+  getLatestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Get migrations newer than the current schema version
+   * @returns {Array<Object>} Pending migrations in order
+   */
+  getPendingMigrations() {
+    const current = this.getCurrentVersion();
+    return this.migrations.filter(migration => migration.version > current);
+  }
+
+  /**
+   * Get the record of applied migrations
+   * @returns {Array<Object>} [{ version, name, appliedAt, durationMs, reindex }]
+   */
+  getAppliedMigrations() {
+    this._ensureMigrationsTable();
+
+    return this.db.prepare(`
+      SELECT version, name, applied_at, duration_ms, reindex
+      FROM schema_migrations
+      ORDER BY version
+    `).all().map(row => ({
+      version: row.version,
+      name: row.name,
+      appliedAt: new Date(row.applied_at),
+      durationMs: row.duration_ms,
+      reindex: row.reindex === 1
+    }));
+  }
+
+  /**
+   * Apply all pending migrations in order
+   * @returns {Object} { fromVersion, toVersion, applied: [names], reindexReasons: [reasons] }
+   * @throws {Error} If a migration fails (earlier migrations stay applied)
+   */
+  run() {
+    this._ensureMigrationsTable();
+
+    const fromVersion = this.getCurrentVersion();
+    const latestVersion = this.getLatestVersion();
+    const result = { fromVersion, toVersion: fromVersion, applied: [], reindexReasons: [] };
+
+    if (fromVersion > latestVersion) {
+      console.warn(chalk.yellow(`⚠️ Database schema version ${fromVersion} is newer than this release supports (${latestVersion}).`));
+      console.warn(chalk.gray('   It was probably created by a newer version. Some features may not work correctly.'));
+      return result;
+    }
+
+    const pending = this.getPendingMigrations();
+    if (pending.length === 0) return result;
+
+    console.log(`📦 Migrating database schema from version ${fromVersion} to ${latestVersion}...`);
+
+    // Counted up front because reindexing migrations clear file tracking as they run
+    const indexedFileCount = this._countIndexedFiles();
+
+    for (const migration of pending) {
+      this._applyMigration(migration);
+      result.toVersion = migration.version;
+      result.applied.push(migration.name);
+      if (migration.reindex) {
+        result.reindexReasons.push(migration.reindex);
+      }
+    }
+
+    if (result.reindexReasons.length > 0) {
+      if (indexedFileCount === 0) {
+        // Nothing indexed yet - the first index run builds everything anyway
+        result.reindexReasons = [];
+      } else {
+        console.log(`📦 Scheduled full reindex of ${indexedFileCount} files to build ${result.reindexReasons.join(', ')}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Run one migration, its version bump and its record in a single transaction
+   * @private
+   */
+  _applyMigration(migration) {
+    const startTime = Date.now();
+
+    const apply = this.db.transaction(() => {
+      migration.up(this.db);
+
+      // Clearing file tracking makes the next index run re-parse every file,
+      // and doing it here means the reindex can't be lost if we crash afterwards
+      if (migration.reindex) {
+        this.db.prepare('DELETE FROM file_index').run();
+      }
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO schema_migrations (version, name, applied_at, duration_ms, reindex)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(migration.version, migration.name, Date.now(), Date.now() - startTime, migration.reindex ? 1 : 0);
+
+      this.db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (err) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Count tracked files (0 before the file_index table exists)
+   * @private
+   */
+  _countIndexedFiles() {
+    const table = this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name = 'file_index'"
+    ).get();
+    return table ? this.db.prepare('SELECT COUNT(*) as count FROM file_index').get().count : 0;
+  }
+
+  /**
+   * Create the table recording when each migration ran
+   * @private
+   */
+  _ensureMigrationsTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at INTEGER NOT NULL,
+        duration_ms INTEGER DEFAULT 0,
+        reindex INTEGER DEFAULT 0
+      )
+    `);
+  }
+}
+
+module.exports = MigrationRunner;
@@ -0,0 +1,175 @@
+const { Worker } = require('worker_threads');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, 'RawSearchWorker.js');
+
+// Longer patterns are almost always pasted by mistake, and slow every line down
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * RawSearch - Regex and literal search over the raw JSONL files
+ *
+ * The FTS index tokenizes words, so it can't find things like ERR_MODULE_NOT_FOUND,
+ * partial paths or stack-trace fragments, and it leaves out tool inputs and outputs.
+ * RawSearch scans the files themselves on a worker thread and reports matches as
+ * they are found.
+ *
+ * The worker is bounded: it has a memory limit, stops after `maxMatches`, and is
+ * terminated when the search is cancelled or runs past `timeoutMs` (which also
+ * guards against patterns with catastrophic backtracking).
+ */
+class RawSearch {
+  /**
+   * @param {Array<Object>} files - Files to scan in order: [{ path, conversationId, project }]
+   * @param {{source: string, flags: string}} pattern - From RawSearch.compile()
+   * @param {Object} [options]
+   * @param {Function} [options.onResults] - (matches, progress) => void, called for each batch;
+   *   `matches` is empty when only progress changed
+   * @param {number} [options.maxMatches] - Stop after this many matches (default: 500)
+   * @param {number} [options.timeoutMs] - Terminate the search after this long (default: 60s)
+   * @param {number} [options.contextChars] - Characters of context on each side of a match (default: 80)
+   */
+  constructor(files, pattern, options = {}) {
+    this.files = files;
+    this.pattern = pattern;
+    this.onResults = options.onResults || (() => {});
+    this.maxMatches = options.maxMatches || 500;
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.contextChars = options.contextChars || 80;
+
+    this.worker = null;
+    this.matchCount = 0;
+    this.filesSearched = 0;
+    this.cancelled = false;
+    this.timedOut = false;
+  }
+
+  /**
+   * Turn what the user typed into a regular expression
+   * @param {string} text - Pattern as typed
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'literal' (default) or 'regex'
+   * @param {boolean} [options.caseSensitive] - Match case (default: false)
+   * @returns {{source: string, flags: string}}
+   * @throws {Error} With code INVALID_PATTERN for empty, overlong or invalid patterns
+   */
+  static compile(text, options = {}) {
+    const pattern = String(text || '');
+    const mode = options.mode || 'literal';
+
+    if (mode !== 'literal' && mode !== 'regex') {
+      throw RawSearch._invalid(`Unknown search mode: ${mode}`);
+    }
+    if (!pattern) {
+      throw RawSearch._invalid('Pattern is empty');
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw RawSearch._invalid(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    const source = mode === 'regex' ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const flags = options.caseSensitive ? '' : 'i';
+
+    let regex;
+    try {
+      regex = new RegExp(source, flags);
+    } catch (err) {
+      throw RawSearch._invalid(err.message);
+    }
+    if (regex.test('')) {
+      throw RawSearch._invalid('Pattern matches empty text');
+    }
+
+    return { source, flags };
+  }
+
+  /**
+   * Scan the files
+   * @returns {Promise<Object>} { filesSearched, totalFiles, matchCount, truncated, cancelled, timedOut, durationMs }
+   */
+  run() {
+    const startedAt = Date.now();
+
+    return new Promise((resolve, reject) => {
+      let truncated = false;
+      let failure = null;
+
+      this.worker = new Worker(WORKER_SCRIPT, {
+        workerData: {
+          files: this.files,
+          source: this.pattern.source,
+          flags: this.pattern.flags,
+          maxMatches: this.maxMatches,
+          contextChars: this.contextChars
+        },
+        resourceLimits: { maxOldGenerationSizeMb: 256 }
+      });
+
+      const timer = setTimeout(() => {
+        this.timedOut = true;
+        this.worker.terminate();
+      }, this.timeoutMs);
+
+      this.worker.on('message', (message) => {
+        if (message.type === 'results') {
+          this.matchCount += message.matches.length;
+          if (message.filesSearched !== null) this.filesSearched = message.filesSearched;
+          this.onResults(message.matches, this._progress());
+        } else if (message.type === 'done') {
+          this.filesSearched = message.filesSearched;
+          truncated = message.truncated;
+          this.worker.terminate();
+        } else if (message.type === 'error') {
+          failure = Object.assign(new Error(message.error), { code: message.code });
+          this.worker.terminate();
+        }
+      });
+
+      this.worker.on('error', (err) => {
+        failure = failure || err;
+      });
+
+      this.worker.on('exit', () => {
+        clearTimeout(timer);
+        this.worker = null;
+
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        resolve({
+          ...this._progress(),
+          truncated,
+          cancelled: this.cancelled,
+          timedOut: this.timedOut,
+          durationMs: Date.now() - startedAt
+        });
+      });
+    });
+  }
+
+  /**
+   * Stop the search. run() resolves with `cancelled: true` and the matches found so far.
+   */
+  cancel() {
+    if (!this.worker) return;
+    this.cancelled = true;
+    this.worker.terminate();
+  }
+
+  /**
+   * @private
+   */
+  _progress() {
+    return { filesSearched: this.filesSearched, totalFiles: this.files.length, matchCount: this.matchCount };
+  }
+
+  /**
+   * @private
+   */
+  static _invalid(message) {
+    return Object.assign(new Error(message), { code: 'INVALID_PATTERN' });
+  }
+}
+
+module.exports = RawSearch;
@@ -0,0 +1,193 @@
+/**
+ * RawSearchWorker - worker_threads entry point used by RawSearch
+ *
+ * Scans JSONL files line by line for a regular expression, including the tool
+ * inputs and outputs the FTS index leaves out. Matches are posted back in batches
+ * as { type: 'results', matches, filesSearched }, then { type: 'done', filesSearched, truncated }.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const readline = require('readline');
+const TranscriptArchive = require('./TranscriptArchive');
+
+const { files, source, flags, maxMatches, contextChars } = workerData;
+const regex = new RegExp(source, flags);
+
+// Post a batch early when one file has many matches, so results keep streaming
+const BATCH_SIZE = 50;
+// Files without matches only report progress this often
+const PROGRESS_INTERVAL_MS = 250;
+
+let batch = [];
+let matchCount = 0;
+let lastPostAt = 0;
+
+/**
+ * Snippet of text around a match, on one line
+ * @param {string} text - Searched text
+ * @param {number} index - Match offset
+ * @param {number} length - Match length
+ * @returns {{snippet: string, matchStart: number}}
+ */
+function snippetAround(text, index, length) {
+  const start = Math.max(0, index - contextChars);
+  const end = Math.min(text.length, index + length + contextChars);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  // Whitespace is replaced one-for-one so matchStart stays valid
+  const snippet = prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix;
+  return { snippet, matchStart: prefix.length + index - start };
+}
+
+/**
+ * Visit every searchable string in a JSONL entry: message text, thinking,
+ * tool inputs, tool results and summaries. Signatures and bookkeeping fields are skipped.
+ * @param {Object} entry - Parsed JSONL line
+ * @param {Function} visit - (text, location, label) => void
+ */
+function visitEntry(entry, visit) {
+  const walk = (value, location, label) => {
+    if (typeof value === 'string') {
+      visit(value, location, label);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${location}[${i}]`, label));
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key !== 'signature') walk(child, `${location}.${key}`, label);
+      }
+    }
+  };
+
+  if (typeof entry.summary === 'string') {
+    visit(entry.summary, 'summary', 'summary');
+  }
+
+  const content = entry.message && entry.message.content;
+  const role = (entry.message && entry.message.role) || entry.type;
+  if (typeof content === 'string') {
+    visit(content, 'message.content', role);
+  } else if (Array.isArray(content)) {
+    content.forEach((block, i) => {
+      if (!block) return;
+      const location = `message.content[${i}]`;
+      switch (block.type) {
+        case 'text':
+          walk(block.text, `${location}.text`, role);
+          break;
+        case 'thinking':
+          walk(block.thinking, `${location}.thinking`, 'thinking');
+          break;
+        case 'tool_use':
+          walk(block.input, `${location}.input`, `${block.name || 'tool'} input`);
+          break;
+        case 'tool_result':
+          walk(block.content, `${location}.content`, 'tool result');
+          break;
+      }
+    });
+  }
+
+  if (entry.toolUseResult !== undefined) {
+    walk(entry.toolUseResult, 'toolUseResult', 'tool result');
+  }
+}
+
+/**
+ * Search one file, adding matches to the batch
+ * @param {Object} file - { path, conversationId, project }
+ * @returns {Promise<void>}
+ */
+async function searchFile(file) {
+  // Archived conversations may be read from a gzipped copy
+  const stream = TranscriptArchive.createReadStream(file.path);
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // Truncated or corrupt line: search it as-is
+      }
+
+      // toolUseResult often repeats a tool_result, so identical snippets on a line are reported once
+      const seen = new Set();
+      const visit = (text, location, label) => {
+        if (matchCount >= maxMatches) return;
+        const match = regex.exec(text);
+        if (!match) return;
+
+        const { snippet, matchStart } = snippetAround(text, match.index, match[0].length);
+        if (seen.has(snippet)) return;
+        seen.add(snippet);
+
+        matchCount++;
+        batch.push({
+          conversationId: file.conversationId,
+          project: file.project,
+          filePath: file.path,
+          line: lineNumber,
+          uuid: (entry && entry.uuid) || null,
+          messageId: (entry && ((entry.message && entry.message.id) || entry.uuid)) || null,
+          type: (entry && entry.type) || null,
+          timestamp: (entry && entry.timestamp) || null,
+          location,
+          label,
+          snippet,
+          matchStart,
+          matchLength: match[0].length
+        });
+      };
+
+      if (entry && typeof entry === 'object') {
+        visitEntry(entry, visit);
+      } else {
+        visit(line, null, 'raw');
+      }
+
+      if (batch.length >= BATCH_SIZE) flush(null);
+      if (matchCount >= maxMatches) break;
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Post the pending matches
+ * @param {number|null} filesSearched - Files finished so far, when a file just finished
+ */
+function flush(filesSearched) {
+  if (batch.length === 0 && (filesSearched === null || Date.now() - lastPostAt < PROGRESS_INTERVAL_MS)) return;
+  parentPort.postMessage({ type: 'results', matches: batch, filesSearched });
+  batch = [];
+  lastPostAt = Date.now();
+}
+
+async function run() {
+  let filesSearched = 0;
+
+  for (const file of files) {
+    try {
+      await searchFile(file);
+    } catch (err) {
+      // A file removed since it was listed is skipped, not fatal
+      if (err.code !== 'ENOENT') throw err;
+    }
+    filesSearched++;
+    flush(filesSearched);
+    if (matchCount >= maxMatches) break;
+  }
+
+  parentPort.postMessage({ type: 'done', filesSearched, truncated: matchCount >= maxMatches });
+}
+
+run().catch((err) => {
+  parentPort.postMessage({ type: 'error', error: err.message, code: err.code || 'UNKNOWN' });
+});
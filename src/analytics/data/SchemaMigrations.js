@@ -0,0 +1,404 @@
+/**
+ * SchemaMigrations - Ordered schema history for the conversation database
+ *
+ * Append new migrations to the end with the next version number; never edit or
+ * reorder one that has shipped. Set `reindex` when a migration adds data that can
+ * only be extracted from the JSONL files, so existing conversations get backfilled.
+ *
+ * Databases created before versioning (user_version 0) already have some of these
+ * changes, so each step is written to be safe to run against them.
+ */
+
+/**
+ * Add a column unless it already exists
+ * @param {Object} db - better-sqlite3 database
+ * @returns {boolean} True if the column was added
+ */
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (columns.includes(column)) return false;
+
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    up(db) {
+      // Main conversations table - stores metadata
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id TEXT PRIMARY KEY,
+          file_path TEXT UNIQUE NOT NULL,
+          filename TEXT NOT NULL,
+          project TEXT,
+          message_count INTEGER DEFAULT 0,
+          file_size INTEGER DEFAULT 0,
+          last_modified INTEGER NOT NULL,
+          created INTEGER NOT NULL,
+          tokens_total INTEGER DEFAULT 0,
+          tokens_input INTEGER DEFAULT 0,
+          tokens_output INTEGER DEFAULT 0,
+          primary_model TEXT,
+          indexed_at INTEGER NOT NULL
+        )
+      `);
+
+      // Tool usage tracking
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS tool_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          tool_name TEXT NOT NULL,
+          call_count INTEGER DEFAULT 1,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+          UNIQUE(conversation_id, tool_name)
+        )
+      `);
+
+      // FTS5 virtual table for full-text search on conversation content
+      // Tokenize with unicode61 for proper handling of all characters
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS conversation_fts USING fts5(
+          conversation_id,
+          content,
+          project,
+          tokenize='unicode61 remove_diacritics 2'
+        )
+      `);
+
+      // File tracking table - for incremental indexing
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS file_index (
+          file_path TEXT PRIMARY KEY,
+          mtime INTEGER NOT NULL,
+          size INTEGER NOT NULL,
+          indexed_at INTEGER NOT NULL
+        )
+      `);
+
+      // Create indexes for common queries
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_last_modified ON conversations(last_modified DESC);
+        CREATE INDEX IF NOT EXISTS idx_conversations_project ON conversations(project);
+        CREATE INDEX IF NOT EXISTS idx_conversations_tokens ON conversations(tokens_total DESC);
+        CREATE INDEX IF NOT EXISTS idx_tool_usage_tool ON tool_usage(tool_name);
+      `);
+    }
+  },
+
+  {
+    version: 2,
+    name: 'subagent_columns',
+    up(db) {
+      addColumnIfMissing(db, 'conversations', 'is_subagent', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'conversations', 'parent_id', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_parent ON conversations(parent_id);
+        CREATE INDEX IF NOT EXISTS idx_conversations_subagent ON conversations(is_subagent);
+      `);
+
+      // Mark conversations indexed before subagent detection.
+      // Subagent paths look like .../parent-id/subagents/agent-xxx.jsonl
+      const subagentRows = db.prepare(`
+        SELECT id, file_path FROM conversations
+        WHERE file_path LIKE '%/subagents/%' AND (is_subagent = 0 OR is_subagent IS NULL)
+      `).all();
+
+      const updateStmt = db.prepare(`
+        UPDATE conversations SET is_subagent = 1, parent_id = ? WHERE id = ?
+      `);
+      for (const row of subagentRows) {
+        const parts = row.file_path.split('/');
+        const subagentIdx = parts.indexOf('subagents');
+        if (subagentIdx > 0) {
+          updateStmt.run(parts[subagentIdx - 1], row.id);
+        }
+      }
+    }
+  },
+
+  {
+    version: 3,
+    name: 'cwd_column',
+    up(db) {
+      // Original working directory, used for project name resolution
+      addColumnIfMissing(db, 'conversations', 'cwd', 'TEXT');
+    }
+  },
+
+  {
+    version: 4,
+    name: 'message_fts',
+    reindex: 'message-level search index',
+    up(db) {
+      // Per-message FTS5 table - lets search results point at the exact message
+      // that matched instead of just the conversation. Only content is tokenized;
+      // the other columns locate the message in the UI.
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS message_fts USING fts5(
+          conversation_id UNINDEXED,
+          message_uuid UNINDEXED,
+          message_id UNINDEXED,
+          role UNINDEXED,
+          timestamp UNINDEXED,
+          content,
+          tokenize='unicode61 remove_diacritics 2'
+        )
+      `);
+    }
+  },
+
+  {
+    version: 5,
+    name: 'cache_token_columns',
+    reindex: 'cache token totals',
+    up(db) {
+      addColumnIfMissing(db, 'conversations', 'tokens_cache_creation', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'conversations', 'tokens_cache_read', 'INTEGER DEFAULT 0');
+    }
+  },
+
+  {
+    version: 6,
+    name: 'model_usage',
+    reindex: 'per-model cost data',
+    up(db) {
+      // Per-model token usage - lets cost be priced per model at query time,
+      // so editing the price table applies without reindexing
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS model_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          model TEXT NOT NULL,
+          message_count INTEGER DEFAULT 0,
+          tokens_input INTEGER DEFAULT 0,
+          tokens_output INTEGER DEFAULT 0,
+          tokens_cache_creation INTEGER DEFAULT 0,
+          tokens_cache_creation_1h INTEGER DEFAULT 0,
+          tokens_cache_read INTEGER DEFAULT 0,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+          UNIQUE(conversation_id, model)
+        );
+        CREATE INDEX IF NOT EXISTS idx_model_usage_conversation ON model_usage(conversation_id);
+      `);
+    }
+  },
+
+  {
+    version: 7,
+    name: 'file_touches',
+    reindex: 'files-touched index',
+    up(db) {
+      // Files read or written by tool calls - answers "which session touched this file?"
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS file_touches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          file_path TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          message_uuid TEXT,
+          timestamp INTEGER,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_file_touches_path ON file_touches(file_path);
+        CREATE INDEX IF NOT EXISTS idx_file_touches_conversation ON file_touches(conversation_id);
+      `);
+    }
+  },
+
+  {
+    version: 8,
+    name: 'bash_commands',
+    reindex: 'Bash command history',
+    up(db) {
+      // Bash commands run by tool calls, with their outcome - a cross-session command history
+      // is_error is NULL when the result wasn't recorded (e.g. the session ended mid-command)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS bash_commands (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id TEXT NOT NULL,
+          tool_use_id TEXT,
+          message_id TEXT,
+          command TEXT NOT NULL,
+          description TEXT,
+          timestamp INTEGER,
+          exit_code INTEGER,
+          is_error INTEGER,
+          output_preview TEXT,
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_bash_commands_timestamp ON bash_commands(timestamp DESC);
+        CREATE INDEX IF NOT EXISTS idx_bash_commands_conversation ON bash_commands(conversation_id);
+      `);
+    }
+  },
+
+  {
+    version: 9,
+    name: 'incremental_index_state',
+    up(db) {
+      // Where the last parse stopped, plus the running totals at that point, so
+      // appended lines can be parsed on their own. Files without saved state get a
+      // full parse the next time they change, so no reindex is needed.
+      addColumnIfMissing(db, 'file_index', 'byte_offset', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'file_index', 'head_hash', 'TEXT');
+      addColumnIfMissing(db, 'file_index', 'parse_state', 'TEXT');
+    }
+  },
+
+  {
+    version: 10,
+    name: 'session_chains',
+    reindex: 'resumed session links',
+    up(db) {
+      // A resumed or continued session is a new file whose summary entries point at
+      // the last entry (leafUuid) of the session it continues. Each side is stored
+      // per conversation and joined at query time, so files can be indexed in any order.
+      addColumnIfMissing(db, 'conversations', 'last_uuid', 'TEXT');
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_conversations_last_uuid ON conversations(last_uuid);
+        CREATE TABLE IF NOT EXISTS session_links (
+          conversation_id TEXT NOT NULL,
+          leaf_uuid TEXT NOT NULL,
+          PRIMARY KEY (conversation_id, leaf_uuid),
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_session_links_leaf ON session_links(leaf_uuid);
+      `);
+    }
+  },
+
+  {
+    version: 11,
+    name: 'conversation_facets',
+    reindex: 'git branch and CLI version metadata',
+    up(db) {
+      // Per-entry metadata a session can have several values of (it can switch
+      // branches or be resumed with a newer CLI), with how many entries had each
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_facets (
+          conversation_id TEXT NOT NULL,
+          facet TEXT NOT NULL,
+          value TEXT NOT NULL,
+          entry_count INTEGER DEFAULT 0,
+          PRIMARY KEY (conversation_id, facet, value),
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_conversation_facets_value ON conversation_facets(facet, value);
+      `);
+    }
+  },
+
+  {
+    version: 12,
+    name: 'conversation_terms',
+    reindex: 'similar-session terms',
+    up(db) {
+      // Term counts per conversation (message words and touched files) for finding
+      // similar sessions; IDF is worked out from this table at query time
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversation_terms (
+          conversation_id TEXT NOT NULL,
+          term TEXT NOT NULL,
+          count INTEGER DEFAULT 0,
+          PRIMARY KEY (conversation_id, term),
+          FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+        );
+        CREATE INDEX IF NOT EXISTS idx_conversation_terms_term ON conversation_terms(term);
+      `);
+    }
+  },
+
+  {
+    version: 13,
+    name: 'fuzzy_search_vocabulary',
+    reindex: 'typo-tolerant search vocabulary',
+    up(db) {
+      // Every word indexed in message_fts, with a trigram index over the words so a
+      // misspelled query word can be matched to the words it's a few edits away from.
+      // message_fts_vocab exposes how many messages contain each word. Words are never
+      // removed; one left over from a deleted session just matches no messages.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS search_vocabulary (
+          id INTEGER PRIMARY KEY,
+          term TEXT UNIQUE NOT NULL
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_vocabulary_trigrams USING fts5(
+          term,
+          content='search_vocabulary',
+          content_rowid='id',
+          tokenize='trigram'
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS message_fts_vocab USING fts5vocab(message_fts, 'row');
+      `);
+    }
+  },
+
+  {
+    version: 14,
+    name: 'message_fts_tool_columns',
+    reindex: 'tool inputs and outputs in search',
+    up(db) {
+      // Tool calls and their results get their own columns so search can be scoped
+      // to prose or tools and rank prose above long tool dumps. FTS5 tables can't
+      // gain columns, so message_fts is rebuilt empty and the reindex fills it.
+      db.exec(`
+        DROP TABLE IF EXISTS message_fts_vocab;
+        DROP TABLE IF EXISTS message_fts;
+        CREATE VIRTUAL TABLE message_fts USING fts5(
+          conversation_id UNINDEXED,
+          message_uuid UNINDEXED,
+          message_id UNINDEXED,
+          role UNINDEXED,
+          timestamp UNINDEXED,
+          content,
+          tool_input,
+          tool_output,
+          tokenize='unicode61 remove_diacritics 2'
+        );
+        CREATE VIRTUAL TABLE message_fts_vocab USING fts5vocab(message_fts, 'row');
+      `);
+    }
+  },
+
+  {
+    version: 15,
+    name: 'conversation_source',
+    up(db) {
+      // Name of the data root a conversation was indexed from. Existing rows are
+      // labelled by the Indexer from their file paths, so no reindex is needed.
+      addColumnIfMissing(db, 'conversations', 'source', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_source ON conversations(source)');
+    }
+  },
+
+  {
+    version: 16,
+    name: 'conversation_archive',
+    up(db) {
+      // Explorer-owned copy of the transcript (see TranscriptArchive): where it is,
+      // how many bytes of the original it holds, and when the original was deleted.
+      // Conversations with archived_at set are read from their copy.
+      addColumnIfMissing(db, 'conversations', 'archive_path', 'TEXT');
+      addColumnIfMissing(db, 'conversations', 'archive_bytes', 'INTEGER DEFAULT 0');
+      addColumnIfMissing(db, 'conversations', 'archived_at', 'INTEGER');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_archived_at ON conversations(archived_at)');
+    }
+  },
+
+  {
+    version: 17,
+    name: 'dedupe_token_totals',
+    reindex: 'token totals counted once per response',
+    up() {
+      // Token totals added every content-block line of a response, each repeating
+      // its usage; nothing changes in the schema, the reindex recounts them.
+    }
+  }
+];
+
+module.exports = MIGRATIONS;
+module.exports.addColumnIfMissing = addColumnIfMissing;
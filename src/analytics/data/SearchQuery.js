@@ -0,0 +1,327 @@
+/**
+ * SearchQuery - Parses the search box syntax and compiles it to SQL and FTS5 MATCH
+ *
+ * A query is a list of space-separated parts:
+ *   word            message text must contain the word
+ *   "exact phrase"  message text must contain the phrase
+ *   field:value     conversation filter, e.g. project:api tool:Bash model:opus after:2026-09-01
+ *   field:"a b"     filter value with spaces
+ *   -part           exclude: conversations containing the word or phrase, or matching the filter
+ *
+ * Parts that look like a field but use an unknown name (URLs, "TypeError: ...") are searched
+ * as text. Text parts are ANDed and matched per message, so `role:` picks whose messages count.
+ */
+
+const FIELDS = {
+  project: { description: 'Project name contains' },
+  tool: { description: 'Used a tool' },
+  model: { description: 'Used a model (name contains, e.g. opus)' },
+  role: { description: 'Text appears in messages from user or assistant', values: ['user', 'assistant'] },
+  branch: { description: 'Git branch' },
+  version: { description: 'Claude Code version' },
+  source: { description: 'Data root the session was indexed from' },
+  after: { description: 'Started on or after a date (YYYY-MM-DD)', date: true },
+  before: { description: 'Started before a date (YYYY-MM-DD)', date: true }
+};
+
+// Suggestions returned for one autocomplete request
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * Error for a query that can't be parsed; `position` is the offset of the offending part
+ */
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+class SearchQuery {
+  /**
+   * @param {Array<Object>} terms - [{ text, phrase, negated }]
+   * @param {Array<Object>} filters - [{ field, value, negated }]
+   */
+  constructor(terms = [], filters = []) {
+    this.terms = terms;
+    this.filters = filters;
+  }
+
+  /**
+   * Field names with descriptions, for help text and autocomplete
+   * @returns {Object}
+   */
+  static get FIELDS() {
+    return FIELDS;
+  }
+
+  /**
+   * Parse a query string
+   * @param {string} text - Query as typed
+   * @returns {SearchQuery}
+   * @throws {QuerySyntaxError} For unterminated quotes, missing or invalid filter values, or a lone '-'
+   */
+  static parse(text) {
+    const input = String(text || '');
+    const terms = [];
+    const filters = [];
+    let i = 0;
+
+    const isSpace = (char) => /\s/.test(char);
+    const readUntilSpace = () => {
+      const start = i;
+      while (i < input.length && !isSpace(input[i])) i++;
+      return input.slice(start, i);
+    };
+    const readQuoted = () => {
+      const start = i;
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QuerySyntaxError(`Unterminated quote: ${input.slice(start)}`, start);
+      }
+      i = end + 1;
+      return input.slice(start + 1, end);
+    };
+
+    while (i < input.length) {
+      if (isSpace(input[i])) {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      const negated = input[i] === '-';
+      if (negated) {
+        i++;
+        if (i >= input.length || isSpace(input[i])) {
+          throw new QuerySyntaxError("Nothing to exclude after '-'", start);
+        }
+      }
+
+      if (input[i] === '"') {
+        const phrase = readQuoted().trim();
+        if (phrase) terms.push({ text: phrase, phrase: true, negated });
+        continue;
+      }
+
+      const fieldMatch = /^([a-z]+):/i.exec(input.slice(i));
+      const field = fieldMatch && fieldMatch[1].toLowerCase();
+      if (!field || !FIELDS[field]) {
+        terms.push({ text: readUntilSpace(), phrase: false, negated });
+        continue;
+      }
+
+      i += fieldMatch[0].length;
+      const value = (input[i] === '"' ? readQuoted() : readUntilSpace()).trim();
+      filters.push({ field, value: SearchQuery._validateValue(field, value, start), negated });
+    }
+
+    return new SearchQuery(terms, filters);
+  }
+
+  /**
+   * Autocomplete the part being typed: field names, or values of a field
+   * @param {string} token - The part under the cursor (e.g. "pro", "tool:Ba", "-model:")
+   * @param {Function} lookupValues - (field, prefix) => [{ value, conversations }] of indexed values
+   * @returns {Array<Object>} [{ insert, label, description }], `insert` replacing the whole part
+   */
+  static suggest(token, lookupValues) {
+    const raw = String(token || '');
+    const negation = raw.startsWith('-') ? '-' : '';
+    const body = raw.slice(negation.length);
+    const colon = body.indexOf(':');
+
+    if (colon === -1) {
+      const prefix = body.toLowerCase();
+      return Object.entries(FIELDS)
+        .filter(([name]) => name.startsWith(prefix))
+        .map(([name, field]) => ({ insert: `${negation}${name}:`, label: `${name}:`, description: field.description }));
+    }
+
+    const field = body.slice(0, colon).toLowerCase();
+    const definition = FIELDS[field];
+    if (!definition || definition.date) return [];
+
+    const prefix = body.slice(colon + 1).replace(/^"/, '');
+    const values = definition.values
+      ? definition.values.filter(value => value.startsWith(prefix.toLowerCase())).map(value => ({ value }))
+      : lookupValues(field, prefix);
+
+    return values.slice(0, MAX_SUGGESTIONS).map(({ value, conversations }) => ({
+      insert: `${negation}${field}:${/\s/.test(value) ? `"${value}"` : value}`,
+      label: value,
+      description: conversations !== undefined ? `${conversations} conversation${conversations === 1 ? '' : 's'}` : definition.description
+    }));
+  }
+
+  /**
+   * Whether the query has text that messages must contain
+   * @returns {boolean}
+   */
+  hasText() {
+    return this.terms.some(term => !term.negated);
+  }
+
+  /**
+   * Whether the query has nothing to search or filter by
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.terms.length === 0 && this.filters.length === 0;
+  }
+
+  /**
+   * The text being searched for, without filters or exclusions (for highlighting)
+   * @returns {string}
+   */
+  getText() {
+    return this.terms.filter(term => !term.negated).map(term => term.text).join(' ');
+  }
+
+  /**
+   * Unquoted text parts, the ones typo-tolerant search may correct
+   * @returns {Array<string>}
+   */
+  getWords() {
+    return this.terms.filter(term => !term.negated && !term.phrase).map(term => term.text);
+  }
+
+  /**
+   * FTS5 MATCH expression requiring every text part; each part is quoted, so
+   * FTS5 operators and punctuation in it are searched literally
+   * @param {Map<string, Array<string>>} [corrections] - Word -> alternatives that may match instead of it
+   * @returns {string|null} Expression, or null when the query has no text
+   */
+  toFtsMatch(corrections = null) {
+    const parts = this.terms.filter(term => !term.negated).map(term => {
+      const alternatives = !term.phrase && corrections ? corrections.get(term.text) : null;
+      return alternatives
+        ? `(${[term.text, ...alternatives].map(text => SearchQuery._quote(text)).join(' OR ')})`
+        : SearchQuery._quote(term.text);
+    });
+    // FTS5 only allows implicit AND between phrases, so groups need it spelled out
+    return parts.length > 0 ? parts.join(corrections ? ' AND ' : ' ') : null;
+  }
+
+  /**
+   * Conditions on message_fts rows from `role:` filters
+   * @returns {{conditions: Array<string>, params: Array<string>}}
+   */
+  toMessageSql() {
+    const conditions = [];
+    const params = [];
+
+    for (const filter of this.filters.filter(f => f.field === 'role')) {
+      conditions.push(filter.negated ? 'role <> ?' : 'role = ?');
+      params.push(filter.value);
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Conditions on the conversations table from field filters and excluded text
+   * @param {string} alias - Alias of the conversations table in the query
+   * @returns {{conditions: Array<string>, params: Array}}
+   */
+  toSql(alias = 'c') {
+    const conditions = [];
+    const params = [];
+    const add = (negated, condition, ...values) => {
+      conditions.push(negated ? `NOT (${condition})` : condition);
+      params.push(...values);
+    };
+
+    for (const { field, value, negated } of this.filters) {
+      switch (field) {
+        case 'project':
+          add(negated, `${alias}.project LIKE ? ESCAPE '\\'`, `%${SearchQuery._escapeLike(value)}%`);
+          break;
+        case 'tool':
+          add(negated, `EXISTS (SELECT 1 FROM tool_usage t WHERE t.conversation_id = ${alias}.id AND t.tool_name LIKE ? ESCAPE '\\')`,
+            SearchQuery._escapeLike(value));
+          break;
+        case 'model':
+          add(negated, `EXISTS (SELECT 1 FROM model_usage m WHERE m.conversation_id = ${alias}.id AND m.model LIKE ? ESCAPE '\\')`,
+            `%${SearchQuery._escapeLike(value)}%`);
+          break;
+        case 'branch':
+        case 'version':
+          add(negated, `${alias}.id IN (SELECT conversation_id FROM conversation_facets WHERE facet = ? AND value = ?)`,
+            field === 'branch' ? 'gitBranch' : 'version', value);
+          break;
+        case 'source':
+          add(negated, `${alias}.source = ?`, value);
+          break;
+        case 'after':
+          add(negated, `${alias}.created >= ?`, Date.parse(value));
+          break;
+        case 'before':
+          add(negated, `${alias}.created < ?`, Date.parse(value));
+          break;
+        // role: applies to messages (see toMessageSql)
+      }
+    }
+
+    const excluded = this.terms.filter(term => term.negated);
+    if (excluded.length > 0) {
+      add(true, `${alias}.id IN (SELECT conversation_id FROM conversation_fts WHERE conversation_fts MATCH ?)`,
+        excluded.map(term => SearchQuery._quote(term.text)).join(' OR '));
+    }
+
+    return { conditions, params };
+  }
+
+  /**
+   * Plain description of the parsed query for API responses
+   * @returns {Object} { terms, filters }
+   */
+  toJSON() {
+    return { terms: this.terms, filters: this.filters };
+  }
+
+  /**
+   * @private
+   */
+  static _validateValue(field, value, position) {
+    if (!value) {
+      throw new QuerySyntaxError(`Missing value for ${field}:`, position);
+    }
+
+    const definition = FIELDS[field];
+    // Round-tripped so impossible dates like 2026-02-31 aren't rolled over
+    const time = Date.parse(value);
+    if (definition.date && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(time) ||
+        new Date(time).toISOString().slice(0, 10) !== value)) {
+      throw new QuerySyntaxError(`Invalid date for ${field}: "${value}" (use YYYY-MM-DD)`, position);
+    }
+    if (definition.values) {
+      const normalized = value.toLowerCase();
+      if (!definition.values.includes(normalized)) {
+        throw new QuerySyntaxError(`Invalid ${field}: "${value}" (use ${definition.values.join(' or ')})`, position);
+      }
+      return normalized;
+    }
+
+    return value;
+  }
+
+  /**
+   * Quote text as an FTS5 string
+   * @private
+   */
+  static _quote(text) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Escape LIKE wildcards so values match literally (use with ESCAPE '\')
+   * @private
+   */
+  static _escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+  }
+}
+
+module.exports = { SearchQuery, QuerySyntaxError };
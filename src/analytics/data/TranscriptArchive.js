@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+
+// Suffix of compressed archive copies
+const COMPRESSED_EXTENSION = '.gz';
+
+/**
+ * TranscriptArchive - Explorer-owned copies of session transcripts
+ *
+ * Claude Code deletes transcripts after its cleanup period. The Indexer copies
+ * each file here as it indexes it, so a conversation whose original is gone can
+ * still be read from its copy. Copies are laid out like the projects directory,
+ * one folder per data root:
+ *
+ *   <dir>/<root name>/<encoded project>/<session>.jsonl[.gz]
+ *
+ * Sessions only grow, so a copy is extended with the lines appended since it was
+ * last written. A compressed copy gets each addition as a new gzip member, and
+ * gzip readers decompress concatenated members as one stream.
+ */
+class TranscriptArchive {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Archive directory
+   * @param {boolean} [options.compress] - Gzip the copies
+   * @param {number|null} [options.retentionDays] - Days after its last activity an archived
+   *   conversation is kept once its original is deleted (null keeps it forever)
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.compress = options.compress === true;
+    this.retentionDays = options.retentionDays ?? null;
+  }
+
+  /**
+   * Where the copy of a session file goes
+   * @param {string} rootName - Data root the file belongs to
+   * @param {string} relativePath - Path of the file within the root's projects directory
+   * @returns {string} Absolute archive path
+   */
+  pathFor(rootName, relativePath) {
+    const archivePath = path.join(this.dir, rootName, relativePath);
+    return this.compress ? archivePath + COMPRESSED_EXTENSION : archivePath;
+  }
+
+  /**
+   * Copy a byte range of a session file into its archive copy
+   * @param {string} sourcePath - Session file
+   * @param {string} archivePath - Copy, from pathFor()
+   * @param {number} start - First byte to copy; 0 rewrites the copy, anything else appends to it
+   * @param {number} end - Byte offset to copy up to (exclusive)
+   * @returns {Promise<void>}
+   */
+  async store(sourcePath, archivePath, start, end) {
+    if (start > 0 && end <= start) return;
+
+    await fs.ensureDir(path.dirname(archivePath));
+
+    // A rewrite goes to a temporary file first, so a failed copy keeps the old one
+    const target = start === 0 ? `${archivePath}.tmp` : archivePath;
+    const input = end > start
+      ? fs.createReadStream(sourcePath, { start, end: end - 1 })
+      : null;
+    const output = fs.createWriteStream(target, { flags: start === 0 ? 'w' : 'a' });
+
+    if (!input) {
+      output.end();
+      await new Promise((resolve, reject) => output.on('finish', resolve).on('error', reject));
+    } else if (TranscriptArchive.isCompressed(archivePath)) {
+      await pipeline(input, zlib.createGzip(), output);
+    } else {
+      await pipeline(input, output);
+    }
+
+    if (target !== archivePath) {
+      await fs.move(target, archivePath, { overwrite: true });
+    }
+  }
+
+  /**
+   * Delete an archive copy, and the folders it leaves empty
+   * @param {string} archivePath - Copy to delete
+   * @returns {Promise<void>}
+   */
+  async remove(archivePath) {
+    await fs.remove(archivePath);
+
+    let dir = path.dirname(archivePath);
+    while (dir.startsWith(this.dir + path.sep)) {
+      try {
+        await fs.rmdir(dir);
+      } catch {
+        break;  // Not empty
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * @param {string} filePath - Transcript or archive copy
+   * @returns {boolean} Whether the file is gzip compressed
+   */
+  static isCompressed(filePath) {
+    return filePath.endsWith(COMPRESSED_EXTENSION);
+  }
+
+  /**
+   * Read a transcript or archive copy as text
+   * @param {string} filePath - File to read
+   * @returns {Promise<string>}
+   */
+  static async readText(filePath) {
+    if (!TranscriptArchive.isCompressed(filePath)) {
+      return fs.readFile(filePath, 'utf8');
+    }
+    const compressed = await fs.readFile(filePath);
+    return (await new Promise((resolve, reject) => {
+      zlib.gunzip(compressed, (err, text) => (err ? reject(err) : resolve(text)));
+    })).toString('utf8');
+  }
+
+  /**
+   * Stream a transcript or archive copy as text
+   * @param {string} filePath - File to read
+   * @returns {stream.Readable}
+   */
+  static createReadStream(filePath) {
+    if (!TranscriptArchive.isCompressed(filePath)) {
+      return fs.createReadStream(filePath, { encoding: 'utf8' });
+    }
+    // pipeline() passes a read error on to the gunzip stream the caller consumes
+    const text = zlib.createGunzip();
+    stream.pipeline(fs.createReadStream(filePath), text, () => {});
+    text.setEncoding('utf8');
+    return text;
+  }
+}
+
+module.exports = TranscriptArchive;
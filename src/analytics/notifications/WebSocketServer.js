@@ -163,6 +163,12 @@ class WebSocketServer {
         case 'refresh_request':
           this.handleRefreshRequest(clientId);
           break;
+        case 'raw_search':
+          this.handleRawSearchRequest(clientId, data);
+          break;
+        case 'raw_search_cancel':
+          this.emit('raw_search_cancelled', { clientId });
+          break;
         default:
           console.warn(chalk.yellow(`Unknown message type from ${clientId}: ${data.type}`));
       }
@@ -217,6 +223,16 @@ class WebSocketServer {
     this.emit('refresh_requested', { clientId });
   }
 
+  /**
+   * Handle raw JSONL search request from client
+   * The main server runs the search and streams matches back with sendToClient()
+   * @param {string} clientId - Client ID
+   * @param {Object} data - { searchId, query, options: { mode, caseSensitive, includeSubagents, project } }
+   */
+  handleRawSearchRequest(clientId, data) {
+    this.emit('raw_search_requested', { clientId, searchId: data.searchId, query: data.query, options: data.options || {} });
+  }
+
   /**
    * Handle client disconnection
    * @param {string} clientId - Client ID
@@ -225,6 +241,7 @@ class WebSocketServer {
    */
   handleClientDisconnect(clientId, code, reason) {
     this.clients.delete(clientId);
+    this.emit('client_disconnected', { clientId });
     console.log(chalk.yellow(`🔗 WebSocket client disconnected: ${clientId} (${this.clients.size} remaining)`));
     console.log(chalk.gray(`   Close code: ${code}, Reason: ${reason || 'No reason provided'}`));
 
@@ -254,8 +271,10 @@ class WebSocketServer {
    * Broadcast message to all connected clients
    * @param {Object} message - Message to broadcast
    * @param {string} channel - Optional channel filter
+   * @param {Object} options - Broadcast options
+   * @param {boolean} options.queue - Queue the message when no clients are connected (default true)
    */
-  broadcast(message, channel = null) {
+  broadcast(message, channel = null, options = {}) {
     const messageStr = JSON.stringify({
       ...message,
       timestamp: Date.now(),
@@ -285,7 +304,7 @@ class WebSocketServer {
     }
 
     // Queue message if no clients connected
-    if (sentCount === 0 && this.clients.size === 0) {
+    if (sentCount === 0 && this.clients.size === 0 && options.queue !== false) {
       this.queueMessage(message);
     }
   }
@@ -389,6 +408,18 @@ class WebSocketServer {
     }, 'system_updates');
   }
 
+  /**
+   * Notify clients of indexing progress
+   * Not queued: a stale progress report is useless, and new clients ask /api/index/status
+   * @param {Object} progress - Progress snapshot from Indexer.getProgress()
+   */
+  notifyIndexProgress(progress) {
+    this.broadcast({
+      type: 'index_progress',
+      data: progress
+    }, 'system_updates', { queue: false });
+  }
+
   /**
    * Start heartbeat mechanism
    */
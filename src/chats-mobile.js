@@ -3,7 +3,6 @@ const fs = require('fs-extra');
 const path = require('path');
 const express = require('express');
 const open = require('open');
-const os = require('os');
 const { spawn } = require('child_process');
 const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
 const StateCalculator = require('./analytics/core/StateCalculator');
@@ -12,34 +11,75 @@ const DataCache = require('./analytics/data/DataCache');
 const AgentAnalyzer = require('./analytics/core/AgentAnalyzer');
 const WebSocketServer = require('./analytics/notifications/WebSocketServer');
 const SessionSharing = require('./session-sharing');
+const { SessionFileError, BULK_EXPORT_FORMATS } = require('./session-sharing');
+const { ShareBundleError } = require('./share-bundle');
+const { ShareTargetError } = require('./share-targets');
+const { LOCAL_WRITE_CONTENT_TYPE, localJsonWriteGuard, localWriteGuard } = require('./local-request');
+const { ARCHIVE_FORMATS } = require('./export-archive');
 const DatabaseBackend = require('./analytics/data/DatabaseBackend');
+const { SEARCH_SCOPES } = require('./analytics/data/DatabaseManager');
+const { SearchQuery, QuerySyntaxError } = require('./analytics/data/SearchQuery');
+const RawSearch = require('./analytics/data/RawSearch');
+const { ExplorerConfig } = require('./explorer-config');
+
+// Largest session file accepted by the import endpoints
+const IMPORT_SIZE_LIMIT = '50mb';
+
+// Largest JSON request body; a bulk export's selection lists every conversation ID
+const JSON_BODY_LIMIT = '5mb';
+
+// Most content search matches a bulk export of a search includes
+const BULK_EXPORT_SEARCH_LIMIT = 10000;
 
 class ChatsMobile {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Settings from ExplorerConfig.load() (default: environment and config file)
+   * @param {boolean} [options.verbose] - Log debug messages
+   */
   constructor(options = {}) {
+    this.config = options.config || ExplorerConfig.load();
     this.app = express();
-    this.port = 9876; // Uncommon port for chats mobile
+    this.port = this.config.port;
     this.fileWatcher = new FileWatcher();
     this.stateCalculator = new StateCalculator();
     this.dataCache = new DataCache();
     this.httpServer = null;
     this.refreshTimeout = null;
     this.webSocketServer = null;
+    this.rawSearches = new Map(); // clientId -> running RawSearch
     this.options = options;
     this.verbose = options.verbose || false;
     
-    // Initialize ConversationAnalyzer with proper parameters
-    const homeDir = os.homedir();
-    const claudeDir = path.join(homeDir, '.claude');
+    // Data roots are indexed in order; the first one also backs the file-based fallback
+    this.roots = this.config.roots;
+    const claudeDir = this.roots[0].path;
     this.claudeDir = claudeDir;
     this.conversationAnalyzer = new ConversationAnalyzer(claudeDir, this.dataCache);
 
-    // Initialize SessionSharing for export/import functionality
-    this.sessionSharing = new SessionSharing(this.conversationAnalyzer);
-
     // Initialize DatabaseBackend for efficient conversation storage
     // Uses SQLite + FTS5 instead of loading all files into memory
+    // The initial index runs in the background so the server can report its progress
     this.databaseBackend = new DatabaseBackend(claudeDir, {
-      dbPath: process.env.CLAUDE_DB_PATH // Allows Docker to specify writable location
+      roots: this.roots,
+      dbPath: this.config.dbPath || undefined, // Allows Docker to specify writable location
+      archive: this.config.archive,
+      backgroundIndex: true,
+      onIndexProgress: (progress) => {
+        if (this.webSocketServer) {
+          this.webSocketServer.notifyIndexProgress(progress);
+        }
+      }
+    });
+
+    // Per-model pricing shared by analytics, summaries and exports
+    this.costCalculator = this.databaseBackend.costCalculator;
+
+    // Initialize SessionSharing for export/import functionality
+    this.sessionSharing = new SessionSharing(this.conversationAnalyzer, {
+      costCalculator: this.costCalculator,
+      redaction: this.config.redaction,
+      share: this.config.share
     });
     this.useDatabaseBackend = true; // Enable database mode by default
 
@@ -112,6 +152,17 @@ class ChatsMobile {
       // Load initial data
       await this.loadInitialData();
 
+      // Reload once the background index has caught up with the files on disk
+      if (this.useDatabaseBackend && this.databaseBackend.indexPromise) {
+        this.databaseBackend.indexPromise.then((stats) => {
+          if (stats && stats.filesIndexed + stats.filesRemoved > 0) {
+            return this.loadInitialData();
+          }
+        }).catch((error) => {
+          console.warn(chalk.yellow('⚠️  Could not reload data after indexing:', error.message));
+        });
+      }
+
       // Setup WebSocket server
       await this.setupWebSocket();
 
@@ -126,7 +177,7 @@ class ChatsMobile {
    * Setup Express middleware
    */
   setupMiddleware() {
-    this.app.use(express.json());
+    this.app.use(express.json({ limit: JSON_BODY_LIMIT }));
     
     // Serve static files from analytics-web directory (for services, components, etc.)
     this.app.use('/services', express.static(path.join(__dirname, 'analytics-web', 'services')));
@@ -142,13 +193,20 @@ class ChatsMobile {
     this.app.get('/api/conversations', (req, res) => {
       try {
         const includeSubagents = req.query.includeSubagents === 'true';
+        // Show resumed sessions as one entry per chain (database only)
+        const groupChains = req.query.groupChains === 'true';
+        const { gitBranch, version, source } = req.query;
 
         let conversations;
         if (this.useDatabaseBackend && this.databaseBackend.isInitialized) {
           // Get conversations from database with subagent filter
           conversations = this.databaseBackend.getConversations({
             limit: 10000,
-            includeSubagents
+            includeSubagents,
+            groupChains,
+            gitBranch,
+            version,
+            source
           });
 
           // If including subagents, group them under parents
@@ -157,7 +215,7 @@ class ChatsMobile {
           }
         } else {
           // Fallback: filter in-memory
-          conversations = this.data.conversations;
+          conversations = this._filterByFacets(this.data.conversations, { gitBranch, version, source });
           if (!includeSubagents) {
             conversations = conversations.filter(c => !c.isSubagent);
           } else {
@@ -169,7 +227,11 @@ class ChatsMobile {
           conversations,
           timestamp: new Date().toISOString(),
           lastUpdate: this.data.lastUpdate,
-          includeSubagents
+          includeSubagents,
+          groupChains,
+          gitBranch: gitBranch || null,
+          version: version || null,
+          source: source || null
         });
       } catch (error) {
         console.error('Error serving conversations:', error);
@@ -271,78 +333,162 @@ class ChatsMobile {
       }
     });
 
-    // API to search conversations with advanced filters
-    this.app.post('/api/search', async (req, res) => {
+    // API to get the model price table used for cost estimates
+    this.app.get('/api/pricing', (req, res) => {
+      res.json({
+        pricing: this.costCalculator.getPricingTable(),
+        unit: 'USD per 1M tokens',
+        overridesPath: this.costCalculator.pricingPath,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // API to get index-wide totals, including per-model cost estimates
+    this.app.get('/api/summary', (req, res) => {
       try {
-        const { query, workingDirectory, dateFrom, dateTo, contentSearch, includeSubagents = false } = req.body;
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Summary requires the database backend' });
+        }
 
-        let results = [...this.data.conversations];
+        res.json({
+          ...this.databaseBackend.getSummary(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting summary:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-        // Filter subagents unless explicitly included
-        if (!includeSubagents) {
-          results = results.filter(c => !c.isSubagent);
+    // API to get progress of the background index
+    this.app.get('/api/index/status', (req, res) => {
+      try {
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Index status requires the database backend' });
         }
 
-        // Filter by working directory (project)
-        if (workingDirectory && workingDirectory.trim()) {
-          results = results.filter(conv => {
-            if (!conv.project) return false;
-            return conv.project.toLowerCase().includes(workingDirectory.toLowerCase());
-          });
+        res.json({
+          ...this.databaseBackend.getIndexStatus(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting index status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to list conversations that read or edited a file
+    this.app.get('/api/files', (req, res) => {
+      try {
+        const filePath = (req.query.path || '').trim();
+        if (!filePath) {
+          return res.status(400).json({ error: 'Missing required query parameter: path' });
+        }
+
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'File history requires the database backend' });
         }
 
-        // Filter by date range
-        if (dateFrom) {
-          const fromDate = new Date(dateFrom);
-          results = results.filter(conv => new Date(conv.created) >= fromDate);
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const includeSubagents = req.query.includeSubagents !== 'false';
+        const conversations = this.databaseBackend.getFileHistory(filePath, { limit, includeSubagents });
+
+        res.json({
+          path: filePath,
+          conversations,
+          count: conversations.length,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting file history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to get the git branches and Claude Code versions conversations can be filtered by
+    this.app.get('/api/facets', (req, res) => {
+      try {
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Facets require the database backend' });
         }
 
+        const facets = this.databaseBackend.getFacets({
+          project: req.query.project,
+          includeSubagents: req.query.includeSubagents === 'true'
+        });
+
+        res.json({
+          ...facets,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting facets:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to get Bash command history across all conversations
+    this.app.get('/api/commands', (req, res) => {
+      try {
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Command history requires the database backend' });
+        }
+
+        const { q, project, dateFrom, dateTo } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const offset = parseInt(req.query.offset) || 0;
+
+        let toDate = null;
         if (dateTo) {
-          const toDate = new Date(dateTo);
+          toDate = new Date(dateTo);
           toDate.setHours(23, 59, 59, 999); // Include entire day
-          results = results.filter(conv => new Date(conv.created) <= toDate);
         }
 
-        // Filter by conversation metadata (filename, id)
-        if (query && query.trim()) {
-          const searchTerm = query.toLowerCase();
-          results = results.filter(conv =>
-            conv.filename.toLowerCase().includes(searchTerm) ||
-            conv.id.toLowerCase().includes(searchTerm) ||
-            (conv.project && conv.project.toLowerCase().includes(searchTerm))
-          );
-        }
+        const result = this.databaseBackend.getBashCommands({
+          query: q,
+          project,
+          dateFrom: dateFrom ? new Date(dateFrom) : null,
+          dateTo: toDate,
+          failedOnly: req.query.failedOnly === 'true',
+          includeSubagents: req.query.includeSubagents === 'true',
+          limit,
+          offset
+        });
 
-        // Search within message content using FTS5 (fast)
-        if (contentSearch && contentSearch.trim()) {
-          if (this.useDatabaseBackend && this.databaseBackend.isInitialized) {
-            // Use FTS5 for sub-millisecond search with snippets
-            const ftsResults = this.databaseBackend.searchConversationsWithSnippets(contentSearch, {
-              limit: 100,
-              includeSubagents
-            });
+        res.json({
+          commands: result.commands,
+          total: result.total,
+          hasMore: offset + result.commands.length < result.total,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error getting command history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
 
-            // If we had other filters applied, intersect with FTS results
-            if (workingDirectory || dateFrom || dateTo || query) {
-              const resultIds = new Set(results.map(r => r.id));
-              results = ftsResults.filter(r => resultIds.has(r.id));
-            } else {
-              results = ftsResults;
-            }
-          } else {
-            // Fallback: filter in-memory (slow, limited to metadata only)
-            console.warn(chalk.yellow('⚠️  FTS5 search unavailable, using limited metadata search'));
-            results = results.filter(conv => {
-              const searchableText = [conv.project, conv.filename, conv.id].filter(Boolean).join(' ').toLowerCase();
-              return searchableText.includes(contentSearch.toLowerCase());
-            });
-            // Flag degraded search mode in results
-            results._searchDegraded = true;
-          }
+    // API to search conversations with advanced filters
+    this.app.post('/api/search', async (req, res) => {
+      try {
+        const { query, workingDirectory, dateFrom, dateTo, contentSearch, gitBranch, version, source, includeSubagents = false, scope = 'all' } = req.body;
+
+        // Content search covers message text, tool calls and tool output unless scoped to one side
+        if (!SEARCH_SCOPES.includes(scope)) {
+          return res.status(400).json({ error: 'Invalid search scope', message: `scope must be one of: ${SEARCH_SCOPES.join(', ')}` });
         }
 
-        // Sort by last modified (most recent first)
-        results.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+        // Content search uses the query syntax (project:api tool:Bash "exact phrase" -excluded ...)
+        let search;
+        try {
+          search = this._searchConversations(req.body);
+        } catch (error) {
+          if (error instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: 'Invalid search query', message: error.message, position: error.position });
+          }
+          throw error;
+        }
+        const { searchQuery } = search;
+        let { results } = search;
 
         // If including subagents, group them under parents with stubs
         if (includeSubagents) {
@@ -358,8 +504,13 @@ class ChatsMobile {
             dateFrom,
             dateTo,
             contentSearch,
-            includeSubagents
+            gitBranch,
+            version,
+            source,
+            includeSubagents,
+            scope
           },
+          parsedQuery: searchQuery,
           searchDegraded: !!results._searchDegraded,
           timestamp: new Date().toISOString()
         });
@@ -369,6 +520,21 @@ class ChatsMobile {
       }
     });
 
+    // API to autocomplete the search box: field names, then indexed values of the field
+    this.app.get('/api/search/suggestions', (req, res) => {
+      try {
+        const token = req.query.q || '';
+        const suggestions = this.useDatabaseBackend && this.databaseBackend.isInitialized
+          ? this.databaseBackend.getSearchSuggestions(token)
+          : SearchQuery.suggest(token, () => []);
+
+        res.json({ suggestions, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('Error getting search suggestions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
     // API to search within a specific conversation
     this.app.post('/api/conversations/:id/search', async (req, res) => {
       try {
@@ -487,8 +653,11 @@ class ChatsMobile {
           return res.status(404).json({ error: 'Conversation not found' });
         }
 
-        // Get the actual parsed messages from the conversation file
-        const allMessages = await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
+        // Get the actual parsed messages from the conversation file, or from every
+        // session of its chain as one timeline
+        const allMessages = req.query.chain === 'true'
+          ? await this.getChainMessages(conversation)
+          : await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
         
         // Parse pagination parameters
         const page = parseInt(req.query.page) || 0;
@@ -540,29 +709,136 @@ class ChatsMobile {
       }
     });
 
-    // API to download a conversation session as markdown
+    // API to get the branch structure of a conversation: the active path plus the
+    // attempts that were abandoned when the user rewound
+    this.app.get('/api/conversations/:id/tree', async (req, res) => {
+      try {
+        const conversationId = req.params.id;
+        const conversation = this.data.conversations.find(conv => conv.id === conversationId);
+
+        if (!conversation) {
+          return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const tree = await this.conversationAnalyzer.getConversationTree(conversation.filePath);
+
+        res.json({
+          conversationId,
+          ...tree.toJSON(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error serving conversation tree:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to get the chain of resumed sessions a conversation belongs to, with combined totals
+    this.app.get('/api/conversations/:id/chain', (req, res) => {
+      try {
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Session chains require the database backend' });
+        }
+
+        const conversation = this.databaseBackend.getConversation(req.params.id);
+        if (!conversation) {
+          return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        // A session that was never resumed is a chain of one
+        const chain = this.databaseBackend.getSessionChain(conversation.id) ||
+          { id: conversation.id, length: 1, sessions: [conversation], combined: conversation };
+
+        res.json({
+          ...chain,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error serving session chain:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to find earlier sessions about the same thing (shared words and touched files)
+    this.app.get('/api/conversations/:id/similar', (req, res) => {
+      try {
+        if (!this.useDatabaseBackend || !this.databaseBackend.isInitialized) {
+          return res.status(503).json({ error: 'Similar sessions require the database backend' });
+        }
+
+        const conversation = this.databaseBackend.getConversation(req.params.id);
+        if (!conversation) {
+          return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+        const includeSubagents = req.query.includeSubagents === 'true';
+        const conversations = this.databaseBackend.getSimilarConversations(conversation.id, { limit, includeSubagents });
+
+        res.json({
+          conversationId: conversation.id,
+          conversations,
+          count: conversations.length,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error finding similar sessions:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to list what an export of a conversation would mask (&subagents=true to scan them too)
+    this.app.get('/api/conversations/:id/redactions', async (req, res) => {
+      try {
+        const conversation = this.data.conversations.find(conv => conv.id === req.params.id);
+        if (!conversation) {
+          return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const preview = await this.sessionSharing.previewRedactions(conversation, {
+          includeSubagents: req.query.subagents === 'true'
+        });
+        res.json({ conversationId: conversation.id, ...preview });
+      } catch (error) {
+        console.error('Error previewing redactions:', error);
+        res.status(500).json({ error: 'Failed to scan session', message: error.message });
+      }
+    });
+
+    // API to download a conversation session as markdown, or as an HTML page with { format: 'html' };
+    // secrets are masked unless { redact: false }
     this.app.post('/api/conversations/:id/download', async (req, res) => {
       try {
         const conversationId = req.params.id;
         const conversation = this.data.conversations.find(conv => conv.id === conversationId);
+        const format = (req.body && req.body.format) || 'markdown';
+        const redact = !(req.body && req.body.redact === false);
 
         if (!conversation) {
           return res.status(404).json({ error: 'Conversation not found' });
         }
+        if (!['markdown', 'html'].includes(format)) {
+          return res.status(400).json({ error: `Unknown export format: ${format}` });
+        }
 
-        console.log(chalk.cyan(`📥 Exporting conversation ${conversationId} as markdown...`));
+        console.log(chalk.cyan(`📥 Exporting conversation ${conversationId} as ${format}...`));
 
-        // Export the session as markdown using SessionSharing module
-        const exportResult = await this.sessionSharing.exportSessionAsMarkdown(conversationId, conversation);
+        // Export the session using SessionSharing module
+        const exportResult = format === 'html'
+          ? await this.sessionSharing.exportSessionAsHtml(conversationId, conversation, { redact })
+          : await this.sessionSharing.exportSessionAsMarkdown(conversationId, conversation, { redact });
 
         res.json({
           success: true,
           conversationId: conversationId,
+          format,
           markdown: exportResult.markdown,
+          html: exportResult.html,
           filename: exportResult.filename,
           messageCount: exportResult.messageCount,
           totalMessageCount: exportResult.totalMessageCount,
           wasLimited: exportResult.wasLimited,
+          redactions: exportResult.redactions,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -574,20 +850,253 @@ class ChatsMobile {
       }
     });
 
+    // API to share a session as an encrypted bundle uploaded to the share target: the link
+    // carries the key unless { passphrase } locks it instead; secrets are masked unless { redact: false }.
+    // It sends the session off this machine, so localJsonWriteGuard turns away requests other web
+    // pages could make.
+    this.app.post('/api/conversations/:id/share', localJsonWriteGuard, async (req, res) => {
+      const conversation = this.data.conversations.find(conv => conv.id === req.params.id);
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      const { passphrase = null, redact = true } = req.body || {};
+
+      try {
+        const result = await this.sessionSharing.shareSession(conversation, { passphrase, redact: redact !== false });
+        res.json({ success: true, conversationId: conversation.id, ...result });
+      } catch (error) {
+        if (error instanceof ShareBundleError) {
+          return res.status(400).json({ error: error.message, code: error.code });
+        }
+        console.error('Error sharing conversation:', error);
+        res.status(error instanceof ShareTargetError ? 502 : 500).json({ error: 'Failed to share session', message: error.message });
+      }
+    });
+
+    // API to export a session's full transcript: the JSONL file as written (?format=jsonl),
+    // or an export bundle of its lines that the import takes (?format=json, &subagents=true);
+    // secrets are masked unless &redact=false
+    this.app.get('/api/conversations/:id/export', async (req, res) => {
+      const conversationId = req.params.id;
+      const conversation = this.data.conversations.find(conv => conv.id === conversationId);
+      const format = req.query.format || 'json';
+
+      if (!conversation) {
+        return res.status(404).json({ error: 'Conversation not found' });
+      }
+      if (!['json', 'jsonl'].includes(format)) {
+        return res.status(400).json({ error: `Unknown export format: ${format}` });
+      }
+
+      res.type(format === 'json' ? 'application/json' : 'application/x-ndjson');
+      res.attachment(format === 'json' ? `claude-session-${conversationId}.json` : `${conversationId}.jsonl`);
+
+      try {
+        await this.sessionSharing.writeFullExport(conversation, res, {
+          format,
+          includeSubagents: req.query.subagents === 'true',
+          redact: req.query.redact !== 'false'
+        });
+        res.end();
+      } catch (error) {
+        console.error('Error exporting conversation:', error);
+        // Part of the file may be sent already, so cut the download off rather than finish it
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          res.status(500).json({ error: 'Failed to export session', message: error.message });
+        }
+      }
+    });
+
+    // API to export many sessions as one zip or tar.gz: the conversations picked in the list
+    // ({ ids }), a project, or a date range and search filters as posted to /api/search
+    this.app.post('/api/export', async (req, res) => {
+      const { ids, project, format = 'json', archive = 'zip', includeSubagents = false, redact = true, ...filters } = req.body || {};
+
+      if (!BULK_EXPORT_FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown export format: ${format}` });
+      }
+      if (!ARCHIVE_FORMATS.includes(archive)) {
+        return res.status(400).json({ error: `Unknown archive format: ${archive}` });
+      }
+
+      let conversations;
+      if (Array.isArray(ids)) {
+        const selected = new Set(ids);
+        conversations = this.data.conversations.filter(conv => selected.has(conv.id));
+      } else {
+        const hasFilter = ['query', 'workingDirectory', 'dateFrom', 'dateTo', 'contentSearch', 'gitBranch', 'version', 'source']
+          .some(key => filters[key]);
+        if (!project && !hasFilter) {
+          return res.status(400).json({ error: 'Choose what to export: ids, a project, a date range or search filters' });
+        }
+        try {
+          conversations = this._searchConversations({ ...filters, includeSubagents }, { limit: BULK_EXPORT_SEARCH_LIMIT }).results;
+        } catch (error) {
+          if (error instanceof QuerySyntaxError) {
+            return res.status(400).json({ error: 'Invalid search query', message: error.message, position: error.position });
+          }
+          throw error;
+        }
+        if (project) {
+          conversations = conversations.filter(conv => conv.project === project);
+        }
+      }
+
+      if (conversations.length === 0) {
+        return res.status(404).json({ error: 'No conversations to export' });
+      }
+
+      const date = new Date().toISOString().split('T')[0];
+      const name = project ? `claude-sessions-${this.sessionSharing.sanitizeProjectName(project)}-${date}` : `claude-sessions-${date}`;
+      res.type(archive === 'zip' ? 'application/zip' : 'application/gzip');
+      res.attachment(`${name}.${archive}`);
+
+      console.log(chalk.cyan(`📦 Exporting ${conversations.length} conversations as ${format} in a ${archive}...`));
+
+      try {
+        const index = await this.sessionSharing.writeBulkExport(conversations, res, {
+          format,
+          archive,
+          includeSubagents,
+          redact: redact !== false,
+          selection: Array.isArray(ids) ? { ids: conversations.map(conv => conv.id) } : { project: project || null, ...filters }
+        });
+        res.end();
+        console.log(chalk.green(`✅ Exported ${index.totals.conversations} conversations` +
+          (index.totals.redactions ? `, masked ${index.totals.redactions} secrets` : '') +
+          (index.totals.failed ? chalk.yellow(`, ${index.totals.failed} could not be read`) : '')));
+      } catch (error) {
+        console.error('Error exporting conversations:', error);
+        // The archive is partly sent, so cut the download off rather than finish it
+        res.destroy(error);
+      }
+    });
+
+    // Session import: the file is posted as the raw application/octet-stream body (an export's
+    // JSON, a transcript's JSONL or an encrypted share bundle), with the file name and target in
+    // the query string and a bundle's passphrase (percent-encoded) or key in X-Share-Passphrase or
+    // X-Share-Key. Imports write to the Claude data directory, so localWriteGuard turns away
+    // requests other web pages could make.
+    const importBody = [localWriteGuard, express.text({ type: LOCAL_WRITE_CONTENT_TYPE, limit: IMPORT_SIZE_LIMIT })];
+    const decodeHeader = value => {
+      try {
+        return value && decodeURIComponent(value);
+      } catch {
+        return value;
+      }
+    };
+    const importSecrets = req => ({ passphrase: decodeHeader(req.get('X-Share-Passphrase')), key: req.get('X-Share-Key') });
+    const bundleError = (res, error) => res.status(400).json({ error: 'Could not open share bundle', code: error.code, message: error.message });
+
+    // API to list where an imported session can go
+    this.app.get('/api/import/targets', (req, res) => {
+      try {
+        const projects = this.useDatabaseBackend && this.databaseBackend.isInitialized
+          ? this.databaseBackend.getProjectFolders()
+          : [];
+
+        res.json({
+          roots: this.roots.map(root => ({ name: root.name, path: root.path })),
+          projects: projects.sort((a, b) => a.project.toLowerCase().localeCompare(b.project.toLowerCase())),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        console.error('Error listing import targets:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to check an uploaded session file and summarize it before importing
+    this.app.post('/api/import/preview', importBody, async (req, res) => {
+      try {
+        const sessionData = await this.sessionSharing.openSessionFile(req.body, req.query.filename, importSecrets(req));
+        const preview = this.sessionSharing.previewSession(sessionData);
+        const existing = this.data.conversations.find(conv => conv.id === preview.conversationId);
+
+        res.json({
+          preview,
+          existing: existing ? { project: existing.project, filePath: existing.filePath } : null
+        });
+      } catch (error) {
+        if (error instanceof SessionFileError) {
+          return res.status(400).json({ error: 'Invalid session file', message: error.message });
+        }
+        if (error instanceof ShareBundleError) {
+          return bundleError(res, error);
+        }
+        console.error('Error previewing session import:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // API to install an uploaded session and index it straight away
+    this.app.post('/api/import', importBody, async (req, res) => {
+      try {
+        const sessionData = await this.sessionSharing.openSessionFile(req.body, req.query.filename, importSecrets(req));
+
+        let installOptions;
+        try {
+          installOptions = this._importTarget(req.query);
+        } catch (error) {
+          return res.status(400).json({ error: 'Invalid import target', message: error.message });
+        }
+
+        const result = await this.sessionSharing.installSession(sessionData, {
+          ...installOptions,
+          overwrite: req.query.overwrite === 'true'
+        });
+        console.log(chalk.cyan(`📥 Imported session ${result.conversationId} to ${result.sessionPath}`));
+
+        if (this.useDatabaseBackend && this.databaseBackend.isInitialized) {
+          await this.databaseBackend.indexFile(result.sessionPath);
+        }
+        await this.loadInitialData();
+
+        res.json({
+          success: true,
+          conversationId: result.conversationId,
+          sessionPath: result.sessionPath,
+          conversation: this.data.conversations.find(conv => conv.id === result.conversationId) || null
+        });
+      } catch (error) {
+        if (error instanceof SessionFileError) {
+          return res.status(400).json({ error: 'Invalid session file', message: error.message });
+        }
+        if (error instanceof ShareBundleError) {
+          return bundleError(res, error);
+        }
+        if (error.code === 'SESSION_EXISTS') {
+          return res.status(409).json({ error: 'Session already exists', message: error.message });
+        }
+        console.error('Error importing session:', error);
+        res.status(500).json({ error: 'Failed to import session', message: error.message });
+      }
+    });
+
     // API to get detailed analytics for a conversation
     this.app.get('/api/conversations/:id/analytics', async (req, res) => {
       try {
         const conversationId = req.params.id;
-        const conversation = this.data.conversations.find(conv => conv.id === conversationId);
+        const session = this.data.conversations.find(conv => conv.id === conversationId);
 
-        if (!conversation) {
+        if (!session) {
           return res.status(404).json({ error: 'Conversation not found' });
         }
 
         console.log(chalk.cyan(`📊 Fetching analytics for conversation ${conversationId}...`));
 
+        // With ?chain=true, report on every session of the chain combined
+        const chain = req.query.chain === 'true' && this.useDatabaseBackend && this.databaseBackend.isInitialized
+          ? this.databaseBackend.getSessionChain(conversationId)
+          : null;
+        const conversation = chain ? { ...session, ...chain.combined } : session;
+
         // Get parsed messages for this conversation
-        const messages = await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
+        const messages = chain
+          ? await this.getChainMessages(session)
+          : await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
 
         // Calculate session duration and timing breakdown
         const startTime = messages.length > 0 ? new Date(messages[0].timestamp) : null;
@@ -640,14 +1149,8 @@ class ChatsMobile {
           ? Math.round((conversation.tokenUsage?.cacheReadTokens || 0) / cacheTotal * 100)
           : 0;
 
-        // Estimate cost (approximate Claude API pricing)
-        // Sonnet 4.5: $3/1M input, $15/1M output
-        // Cache write: $3.75/1M, Cache read: $0.30/1M
-        const inputCost = (conversation.tokenUsage?.inputTokens || 0) / 1000000 * 3;
-        const outputCost = (conversation.tokenUsage?.outputTokens || 0) / 1000000 * 15;
-        const cacheWriteCost = (conversation.tokenUsage?.cacheCreationTokens || 0) / 1000000 * 3.75;
-        const cacheReadCost = (conversation.tokenUsage?.cacheReadTokens || 0) / 1000000 * 0.30;
-        const totalCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
+        // Estimate cost - each response is priced with its own model's rates
+        const cost = this.costCalculator.calculateMessagesCost(messages);
 
         // Detect agents, hooks, and components used
         const agentAnalyzer = new AgentAnalyzer();
@@ -743,6 +1246,9 @@ class ChatsMobile {
 
         // Prepare detailed analytics response
         const analytics = {
+          // Sessions covered, when combined across a chain
+          chain: chain ? { id: chain.id, length: chain.length, sessionIds: chain.sessions.map(member => member.id) } : null,
+
           // Overview
           messageCount: messages.length,
           totalTokens: conversation.tokenUsage?.total || 0,
@@ -760,13 +1266,21 @@ class ChatsMobile {
 
           // Cost estimate
           costEstimate: {
-            total: totalCost.toFixed(4),
+            total: cost.total.toFixed(4),
             breakdown: {
-              input: inputCost.toFixed(4),
-              output: outputCost.toFixed(4),
-              cacheWrite: cacheWriteCost.toFixed(4),
-              cacheRead: cacheReadCost.toFixed(4)
-            }
+              input: cost.breakdown.input.toFixed(4),
+              output: cost.breakdown.output.toFixed(4),
+              cacheWrite: cost.breakdown.cacheWrite.toFixed(4),
+              cacheRead: cost.breakdown.cacheRead.toFixed(4)
+            },
+            byModel: cost.byModel.map(entry => ({
+              model: entry.model,
+              pricingKey: entry.pricingKey,
+              estimatedPricing: entry.pricingMatch !== 'exact',
+              messages: entry.messages,
+              tokens: entry.tokens,
+              total: entry.cost.total.toFixed(4)
+            }))
           },
 
           // Model info with usage percentages
@@ -876,16 +1390,48 @@ class ChatsMobile {
     });
   }
 
+  /**
+   * Work out where an imported session goes from the import request's query
+   * @private
+   * @param {Object} query - { root, folder, cwd }: an existing project folder in a data root,
+   *   or the working directory of a new one; with neither, the session's own project
+   * @returns {Object} installSession() options
+   * @throws {Error} If the root is unknown, the folder isn't a project folder or cwd isn't absolute
+   */
+  _importTarget(query) {
+    if (query.folder) {
+      const folder = path.resolve(query.folder);
+      const root = this.roots.find(candidate => path.dirname(folder) === candidate.projectsDir);
+      if (!root) {
+        throw new Error(`Not a project folder in a data root: ${query.folder}`);
+      }
+      // Imported sessions take the working directory of the folder's other sessions
+      const known = this.useDatabaseBackend && this.databaseBackend.isInitialized
+        ? this.databaseBackend.getProjectFolders().find(project => project.folder === folder)
+        : null;
+      return { claudeDir: root.path, projectDir: folder, cwd: known ? known.cwd || undefined : undefined };
+    }
+
+    const root = query.root ? this.roots.find(candidate => candidate.name === query.root) : this.roots[0];
+    if (!root) {
+      throw new Error(`Unknown data root: ${query.root}`);
+    }
+    if (query.cwd) {
+      if (!path.isAbsolute(query.cwd)) {
+        throw new Error(`Working directory must be an absolute path: ${query.cwd}`);
+      }
+      return { claudeDir: root.path, cwd: query.cwd };
+    }
+    return { claudeDir: root.path };
+  }
+
   /**
    * Setup file watching for Claude Code conversations
    */
   async setupFileWatching() {
     try {
-      const homeDir = os.homedir();
-      const claudeDir = path.join(homeDir, '.claude');
-      
       this.fileWatcher.setupFileWatchers(
-        claudeDir,
+        this.roots.map(root => root.path),
         this.handleDataRefresh.bind(this),
         () => {}, // processRefreshCallback (not needed for mobile)
         this.dataCache,
@@ -939,8 +1485,13 @@ class ChatsMobile {
   /**
    * Handle conversation changes
    */
-  async handleConversationChange(conversationId) {
+  async handleConversationChange(conversationId, filePath) {
     this.log('info', chalk.gray(`💬 Conversation ${conversationId.slice(-8)} changed`));
+
+    // Keep the index current - only the appended lines are parsed
+    if (filePath && this.useDatabaseBackend && this.databaseBackend.isInitialized) {
+      await this.databaseBackend.indexFile(filePath);
+    }
     
     // Get the conversation to find new messages
     const conversation = this.data.conversations.find(conv => conv.id === conversationId);
@@ -1039,6 +1590,73 @@ class ChatsMobile {
     console.log(chalk.gray('🔧 WebSocket server setup prepared'));
   }
 
+  /**
+   * Run raw JSONL searches requested over the WebSocket
+   * Each client has at most one search; a new request or a disconnect cancels the old one.
+   */
+  setupRawSearch() {
+    this.webSocketServer.on('raw_search_requested', ({ clientId, searchId, query, options }) => {
+      this.startRawSearch(clientId, searchId, query, options);
+    });
+    this.webSocketServer.on('raw_search_cancelled', ({ clientId }) => this.cancelRawSearch(clientId));
+    this.webSocketServer.on('client_disconnected', ({ clientId }) => this.cancelRawSearch(clientId));
+  }
+
+  /**
+   * Start a raw search for a client, streaming matches back as they are found
+   * @param {string} clientId - WebSocket client ID
+   * @param {string} searchId - Client-chosen ID echoed in every reply, so late replies to an old search can be ignored
+   * @param {string} query - Literal text or regular expression
+   * @param {Object} options - { mode, caseSensitive, includeSubagents, project }
+   */
+  startRawSearch(clientId, searchId, query, options = {}) {
+    this.cancelRawSearch(clientId);
+
+    const send = (type, data) => this.webSocketServer.sendToClient(clientId, { type, data: { searchId, ...data } });
+
+    let pattern;
+    try {
+      pattern = RawSearch.compile(query, options);
+    } catch (error) {
+      send('raw_search_error', { error: error.message, code: error.code });
+      return;
+    }
+
+    // Newest conversations first, so the likeliest matches arrive first
+    const files = this.data.conversations
+      .filter(c => c.filePath && (options.includeSubagents || !c.isSubagent))
+      .filter(c => !options.project || c.project === options.project)
+      .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified))
+      .map(c => ({ path: c.filePath, conversationId: c.id, project: c.project }));
+
+    const search = new RawSearch(files, pattern, {
+      onResults: (matches, progress) => send('raw_search_results', { matches, ...progress })
+    });
+    this.rawSearches.set(clientId, search);
+    this.log('info', chalk.blue(`🔎 Raw search for ${clientId}: /${pattern.source}/${pattern.flags} over ${files.length} files`));
+
+    search.run()
+      .then(summary => send('raw_search_complete', summary))
+      .catch(error => send('raw_search_error', { error: error.message, code: error.code }))
+      .finally(() => {
+        if (this.rawSearches.get(clientId) === search) {
+          this.rawSearches.delete(clientId);
+        }
+      });
+  }
+
+  /**
+   * Cancel a client's running raw search, if any
+   * @param {string} clientId - WebSocket client ID
+   */
+  cancelRawSearch(clientId) {
+    const search = this.rawSearches.get(clientId);
+    if (search) {
+      search.cancel();
+      this.rawSearches.delete(clientId);
+    }
+  }
+
   /**
    * Helper function to get message preview with context
    */
@@ -1059,6 +1677,149 @@ class ChatsMobile {
     return preview;
   }
 
+  /**
+   * Get the messages of every session in a conversation's chain of resumed sessions
+   * as one timeline. Each message is tagged with the `sessionId` it came from, and
+   * messages a resumed session repeats from an earlier one are kept only once.
+   * @param {Object} conversation - Any session of the chain
+   * @returns {Promise<Array>} Parsed messages, first session first
+   */
+  async getChainMessages(conversation) {
+    const chain = this.useDatabaseBackend && this.databaseBackend.isInitialized
+      ? this.databaseBackend.getSessionChain(conversation.id)
+      : null;
+    const sessions = chain ? chain.sessions : [conversation];
+
+    const seenUuids = new Set();
+    const messages = [];
+    for (const session of sessions) {
+      let sessionMessages;
+      try {
+        sessionMessages = await this.conversationAnalyzer.getParsedConversation(session.filePath);
+      } catch (error) {
+        // An earlier session's file may have been cleaned up; show the rest of the chain
+        console.warn(chalk.yellow(`⚠️ Skipping chained session ${session.id}: ${error.message}`));
+        continue;
+      }
+      for (const message of sessionMessages) {
+        if (message.uuid) {
+          if (seenUuids.has(message.uuid)) continue;
+          seenUuids.add(message.uuid);
+        }
+        messages.push({ ...message, sessionId: session.id });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Keep conversations with entries on a git branch and/or from a Claude Code version and/or data root
+   * @param {Array} conversations - Conversations carrying gitBranches, versions and source
+   * @param {Object} facets - { gitBranch, version, source }; empty values don't filter
+   * @returns {Array} Matching conversations
+   */
+  _filterByFacets(conversations, { gitBranch, version, source }) {
+    return conversations.filter(conv =>
+      (!gitBranch || (conv.gitBranches || []).includes(gitBranch)) &&
+      (!version || (conv.versions || []).includes(version)) &&
+      (!source || conv.source === source)
+    );
+  }
+
+  /**
+   * Conversations matching the search panel's filters and content search, most recent first
+   * @param {Object} filters - { query, workingDirectory, dateFrom, dateTo, contentSearch, gitBranch,
+   *   version, source, includeSubagents, scope }, as posted to /api/search
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Most content search matches to use (default 100)
+   * @returns {{results: Array<Object>, searchQuery: SearchQuery|null}} `results._searchDegraded` is set
+   *   when content search fell back to metadata
+   * @throws {QuerySyntaxError} For a malformed content search
+   * @private
+   */
+  _searchConversations(filters, options = {}) {
+    const { query, workingDirectory, dateFrom, dateTo, contentSearch, gitBranch, version, source, includeSubagents = false, scope = 'all' } = filters;
+    const searchQuery = contentSearch && contentSearch.trim() ? SearchQuery.parse(contentSearch) : null;
+
+    let results = [...this.data.conversations];
+
+    // Filter subagents unless explicitly included
+    if (!includeSubagents) {
+      results = results.filter(c => !c.isSubagent);
+    }
+
+    // Filter by working directory (project)
+    if (workingDirectory && workingDirectory.trim()) {
+      results = results.filter(conv => {
+        if (!conv.project) return false;
+        return conv.project.toLowerCase().includes(workingDirectory.toLowerCase());
+      });
+    }
+
+    // Filter by date range
+    if (dateFrom) {
+      const fromDate = new Date(dateFrom);
+      results = results.filter(conv => new Date(conv.created) >= fromDate);
+    }
+
+    if (dateTo) {
+      const toDate = new Date(dateTo);
+      toDate.setHours(23, 59, 59, 999); // Include entire day
+      results = results.filter(conv => new Date(conv.created) <= toDate);
+    }
+
+    // Filter by conversation metadata (filename, id)
+    if (query && query.trim()) {
+      const searchTerm = query.toLowerCase();
+      results = results.filter(conv =>
+        conv.filename.toLowerCase().includes(searchTerm) ||
+        conv.id.toLowerCase().includes(searchTerm) ||
+        (conv.project && conv.project.toLowerCase().includes(searchTerm))
+      );
+    }
+
+    // Filter by git branch, Claude Code version and data root
+    results = this._filterByFacets(results, { gitBranch, version, source });
+
+    // Search within message content using FTS5 (fast)
+    if (searchQuery) {
+      if (this.useDatabaseBackend && this.databaseBackend.isInitialized) {
+        // Use FTS5 for sub-millisecond search with snippets
+        const ftsResults = this.databaseBackend.searchWithQuery(searchQuery, {
+          limit: options.limit || 100,
+          includeSubagents,
+          gitBranch,
+          version,
+          source,
+          scope
+        });
+
+        // If we had other filters applied, intersect with FTS results
+        if (workingDirectory || dateFrom || dateTo || query) {
+          const resultIds = new Set(results.map(r => r.id));
+          results = ftsResults.filter(r => resultIds.has(r.id));
+        } else {
+          results = ftsResults;
+        }
+      } else {
+        // Fallback: filter in-memory (slow, limited to metadata only)
+        console.warn(chalk.yellow('⚠️  FTS5 search unavailable, using limited metadata search'));
+        results = results.filter(conv => {
+          const searchableText = [conv.project, conv.filename, conv.id].filter(Boolean).join(' ').toLowerCase();
+          return searchableText.includes(contentSearch.toLowerCase());
+        });
+        // Flag degraded search mode in results
+        results._searchDegraded = true;
+      }
+    }
+
+    // Sort by last modified (most recent first)
+    results.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+
+    return { results, searchQuery };
+  }
+
   /**
    * Group subagents under their parents in search/list results
    * When a subagent matches but its parent doesn't, inject parent as a stub
@@ -1146,9 +1907,9 @@ class ChatsMobile {
    */
   async loadInitialData() {
     try {
-      const claudeDataDir = this.claudeDir;
+      const rootsExist = await Promise.all(this.roots.map(root => fs.pathExists(root.path)));
 
-      if (await fs.pathExists(claudeDataDir)) {
+      if (rootsExist.some(Boolean)) {
         let conversations;
 
         // Use database backend if available (much faster, lower memory)
@@ -1199,7 +1960,7 @@ class ChatsMobile {
         }
       } else {
         console.log(chalk.yellow('⚠️  No Claude Code data directory found'));
-        console.log(chalk.gray(`    Expected directory: ${claudeDataDir}`));
+        console.log(chalk.gray(`    Expected directory: ${this.roots.map(root => root.path).join(', ')}`));
       }
     } catch (error) {
       console.error(chalk.red('❌ Failed to load initial data:'), error.message);
@@ -1229,6 +1990,7 @@ class ChatsMobile {
             path: '/ws'
           });
           await this.webSocketServer.initialize();
+          this.setupRawSearch();
           this.log('info', chalk.green('🌐 WebSocket server initialized'));
         } catch (error) {
           this.log('warn', chalk.yellow('⚠️  WebSocket server failed to initialize:', error.message));
@@ -1374,6 +2136,10 @@ class ChatsMobile {
       }
     }
 
+    for (const clientId of Array.from(this.rawSearches.keys())) {
+      this.cancelRawSearch(clientId);
+    }
+
     if (this.webSocketServer) {
       try {
         console.log(chalk.gray('🔌 Closing WebSocket server...'));
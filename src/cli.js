@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+const chalk = require('chalk');
+const { ExplorerConfig, ConfigError } = require('./explorer-config');
+const { HeadlessCli, CliError, COMMANDS } = require('./headless-cli');
+
+const USAGE = `Usage: chat-explorer [serve] [options]
+       chat-explorer <command> [arguments] [options]
+
+Commands:
+  serve                Start the web interface (the default)
+${Object.values(COMMANDS).map(command => `  ${command.usage}\n      ${command.description}`).join('\n')}
+
+Options:
+  --root [name=]path   Claude data directory to index; repeat for several roots
+  --port <port>        Port for the web server (default 9876)
+  --db <file>          SQLite database location
+  --archive-dir <dir>  Where copies of transcripts are kept (default next to the database)
+  --no-archive         Don't copy transcripts to the archive
+  --config <file>      JSON config file (default ~/.config/claude-code-chat-explorer/config.json)
+  --no-open            Don't open a browser
+  --no-index           Query the database as last indexed, without checking for changed files
+  --verbose            Log debug messages
+`;
+
+function fail(message) {
+  console.error(chalk.red(`❌ ${message}`));
+  console.error(USAGE);
+  process.exit(1);
+}
+
+/**
+ * Keep stdout for command output: log messages from the indexer and exporters
+ * go to stderr with --verbose, and are dropped otherwise
+ */
+function quietConsole(verbose) {
+  const toStderr = verbose ? (...args) => console.error(...args) : () => {};
+  console.log = toStderr;
+  console.info = toStderr;
+  console.warn = toStderr;
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (argv[0] === 'help' || argv.includes('--help')) {
+    process.stdout.write(USAGE);
+    return;
+  }
+
+  // The command comes first; anything else (or nothing) starts the server
+  const command = argv.length > 0 && !argv[0].startsWith('--') ? argv[0] : 'serve';
+  if (command !== 'serve' && !COMMANDS[command]) {
+    fail(`Unknown command: ${command}`);
+  }
+
+  let config;
+  try {
+    config = ExplorerConfig.load({
+      argv: command === 'serve' && argv[0] !== 'serve' ? argv : argv.slice(1),
+      commandFlags: command === 'serve' ? {} : COMMANDS[command].flags
+    });
+  } catch (error) {
+    if (error instanceof ConfigError) fail(error.message);
+    throw error;
+  }
+
+  if (command === 'serve') {
+    if (config.args.length > 0) {
+      fail(`Unexpected argument: ${config.args[0]}`);
+    }
+    // Loaded on demand so headless commands don't pull in the server
+    const { startChatsMobile } = require('./chats-mobile');
+    await startChatsMobile({ config, noOpen: !config.open, verbose: config.verbose });
+    return;
+  }
+
+  // `chat-explorer search ... | head` closes stdout early, which isn't an error
+  process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+  });
+
+  quietConsole(config.verbose);
+  try {
+    await new HeadlessCli(config).run(command, config.args, config.options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    if (!(error instanceof CliError)) {
+      console.error(chalk.gray(error.stack));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
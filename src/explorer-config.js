@@ -0,0 +1,308 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { DEFAULT_ROOT_NAME, DataRootError, normalizeRoots, resolvePath } = require('./analytics/data/DataRoots');
+const Redactor = require('./redaction');
+const { RedactionError } = require('./redaction');
+const { ShareTargetError, createShareTarget } = require('./share-targets');
+
+// Uncommon port so it doesn't clash with dev servers
+const DEFAULT_PORT = 9876;
+
+// Read when no --config flag or CLAUDE_EXPLORER_CONFIG is given, if it exists
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.config', 'claude-code-chat-explorer', 'config.json');
+
+// Flags taking a value; --root may be repeated
+const VALUE_FLAGS = new Set(['config', 'root', 'port', 'db', 'archive-dir']);
+const BOOLEAN_FLAGS = new Set(['open', 'verbose', 'archive']);
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * ExplorerConfig - Data roots, port and database location for the explorer
+ *
+ * Each setting comes from the first of: command line flags, environment variables,
+ * the JSON config file, defaults. The config file looks like:
+ *
+ *   {
+ *     "port": 9876,
+ *     "dbPath": "~/.local/share/claude-code-chat-explorer/conversations.db",
+ *     "roots": [
+ *       { "name": "work", "path": "~/.claude-work" },
+ *       { "name": "personal", "path": "~/.claude" },
+ *       { "name": "laptop", "path": "~/Sync/laptop/.claude" }
+ *     ],
+ *     "archive": { "dir": "~/claude-archive", "compress": true, "retentionDays": 365 },
+ *     "redaction": { "rules": [{ "name": "customer-id", "pattern": "CUST-\\d{6}" }], "disable": ["email"] },
+ *     "share": { "target": "directory", "dir": "~/Shared/claude-sessions" }
+ *   }
+ *
+ * Without configured roots, the one root is CLAUDE_CONFIG_DIR, CLAUDE_HOME or ~/.claude.
+ * The transcript archive is on unless "archive" is false or --no-archive is given.
+ * "redaction" adds rules to, or turns off detectors of, the masking applied to exports,
+ * and "share" picks where shared sessions are uploaded (the public host by default).
+ */
+class ExplorerConfig {
+  /**
+   * Build the configuration
+   * @param {Object} [options]
+   * @param {Array<string>} [options.argv] - Command line arguments (without node and the script)
+   * @param {Object} [options.env] - Environment variables (default process.env)
+   * @param {Object} [options.commandFlags] - Flags a subcommand accepts besides the
+   *   settings: { value: [names], boolean: [names] }
+   * @returns {Object} { roots: [{ name, path, projectsDir }], port, dbPath, archive, redaction, share, open, verbose, configPath, args, options }
+   *   where archive is { dir, compress, retentionDays } or null when archiving is off
+   *   where redaction is { rules, disable } for the Redactor and share the settings for createShareTarget()
+   *   where args holds the arguments that aren't flags and options the subcommand flags given
+   * @throws {ConfigError} For unknown flags, an unreadable config file or invalid values
+   */
+  static load(options = {}) {
+    const { argv = [], env = process.env, commandFlags = {} } = options;
+    const flags = ExplorerConfig.parseArgs(argv, commandFlags);
+
+    const explicitConfigPath = flags.config || env.CLAUDE_EXPLORER_CONFIG || null;
+    const configPath = explicitConfigPath ? resolvePath(explicitConfigPath) : DEFAULT_CONFIG_PATH;
+    const file = ExplorerConfig._readConfigFile(configPath, Boolean(explicitConfigPath));
+    const configDir = path.dirname(configPath);
+
+    let roots;
+    if (flags.root.length > 0) {
+      roots = flags.root.map(spec => ExplorerConfig.parseRootSpec(spec));
+    } else if (file.roots !== undefined) {
+      if (!Array.isArray(file.roots)) {
+        throw new ConfigError(`"roots" in ${configPath} must be a list of { "name", "path" }`);
+      }
+      roots = file.roots.map(root => ({
+        ...root,
+        path: typeof root.path === 'string' ? resolvePath(root.path, configDir) : root.path
+      }));
+    } else {
+      roots = [{ name: DEFAULT_ROOT_NAME, path: env.CLAUDE_CONFIG_DIR || env.CLAUDE_HOME || path.join(os.homedir(), '.claude') }];
+    }
+
+    let normalizedRoots;
+    try {
+      normalizedRoots = normalizeRoots(roots);
+    } catch (err) {
+      if (err instanceof DataRootError) throw new ConfigError(err.message);
+      throw err;
+    }
+
+    const dbPath = flags.db || env.CLAUDE_DB_PATH ||
+      (file.dbPath ? resolvePath(file.dbPath, configDir) : null);
+
+    return {
+      roots: normalizedRoots,
+      port: ExplorerConfig._parsePort(flags.port ?? file.port ?? DEFAULT_PORT),
+      dbPath: dbPath ? resolvePath(dbPath) : null,
+      archive: ExplorerConfig._archiveSettings(flags, env, file, configPath),
+      redaction: ExplorerConfig._redactionSettings(file, configPath),
+      share: ExplorerConfig._shareSettings(file, configPath),
+      open: flags.open ?? true,
+      verbose: flags.verbose ?? false,
+      configPath: file.loaded ? configPath : null,
+      args: flags._,
+      options: flags.command
+    };
+  }
+
+  /**
+   * Parse command line flags: --name value, --name=value, --flag and --no-flag
+   * @param {Array<string>} argv - Arguments
+   * @param {Object} [commandFlags] - Extra flags: { value: [names], boolean: [names] }
+   * @returns {Object} { config, root: [spec], port, db, 'archive-dir', open, verbose, archive,
+   *   command: { extra flags }, _: [other arguments] }
+   * @throws {ConfigError} For unknown flags or a missing value
+   */
+  static parseArgs(argv, commandFlags = {}) {
+    const flags = { root: [], command: {}, _: [] };
+    const commandValueFlags = new Set(commandFlags.value || []);
+    const commandBooleanFlags = new Set(commandFlags.boolean || []);
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (!arg.startsWith('--')) {
+        flags._.push(arg);
+        continue;
+      }
+
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (VALUE_FLAGS.has(name)) {
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined || value === '') {
+          throw new ConfigError(`--${name} needs a value`);
+        }
+        if (name === 'root') {
+          flags.root.push(value);
+        } else {
+          flags[name] = value;
+        }
+      } else if (commandValueFlags.has(name)) {
+        const value = inlineValue ?? argv[++i];
+        if (value === undefined || value === '') {
+          throw new ConfigError(`--${name} needs a value`);
+        }
+        flags.command[name] = value;
+      } else if (BOOLEAN_FLAGS.has(name) && inlineValue === undefined) {
+        flags[name] = true;
+      } else if (name.startsWith('no-') && BOOLEAN_FLAGS.has(name.slice(3)) && inlineValue === undefined) {
+        flags[name.slice(3)] = false;
+      } else if (commandBooleanFlags.has(name) && inlineValue === undefined) {
+        flags.command[name] = true;
+      } else if (name.startsWith('no-') && commandBooleanFlags.has(name.slice(3)) && inlineValue === undefined) {
+        flags.command[name.slice(3)] = false;
+      } else {
+        throw new ConfigError(`Unknown option: ${arg}`);
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Parse a --root value: name=path, or just a path named after its directory
+   * (~/.claude-work is "claude-work")
+   * @param {string} spec - Flag value
+   * @returns {{name: string, path: string}}
+   */
+  static parseRootSpec(spec) {
+    const separator = spec.indexOf('=');
+    if (separator > 0) {
+      return { name: spec.slice(0, separator), path: spec.slice(separator + 1) };
+    }
+
+    const dir = resolvePath(spec);
+    return { name: path.basename(dir).replace(/^\.+/, '') || DEFAULT_ROOT_NAME, path: dir };
+  }
+
+  /**
+   * Read the JSON config file
+   * @private
+   * @param {string} configPath - File to read
+   * @param {boolean} required - Whether a missing file is an error
+   * @returns {Object} Settings, with `loaded` set when the file was read
+   */
+  static _readConfigFile(configPath, required) {
+    let text;
+    try {
+      text = fs.readFileSync(configPath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' && !required) return {};
+      throw new ConfigError(`Could not read config file ${configPath}: ${err.message}`);
+    }
+
+    let settings;
+    try {
+      settings = JSON.parse(text);
+    } catch (err) {
+      throw new ConfigError(`Config file ${configPath} is not valid JSON: ${err.message}`);
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new ConfigError(`Config file ${configPath} must hold a JSON object`);
+    }
+
+    return { ...settings, loaded: true };
+  }
+
+  /**
+   * Settings for the transcript archive: "archive" in the config file is true, false
+   * or { "enabled", "dir", "compress", "retentionDays" }
+   * @private
+   * @returns {Object|null} { dir, compress, retentionDays }, or null when archiving is off;
+   *   a null dir means the default next to the database
+   */
+  static _archiveSettings(flags, env, file, configPath) {
+    const setting = file.archive ?? true;
+    if (typeof setting !== 'boolean' && (!setting || typeof setting !== 'object' || Array.isArray(setting))) {
+      throw new ConfigError(`"archive" in ${configPath} must be true, false or { "dir", "compress", "retentionDays" }`);
+    }
+
+    const options = typeof setting === 'object' ? setting : { enabled: setting };
+    const enabled = flags.archive ?? (flags['archive-dir'] ? true : options.enabled !== false);
+    if (!enabled) return null;
+
+    const retentionDays = options.retentionDays ?? null;
+    if (retentionDays !== null && !(typeof retentionDays === 'number' && retentionDays > 0)) {
+      throw new ConfigError(`Invalid archive retentionDays: ${retentionDays}`);
+    }
+
+    const dir = flags['archive-dir'] || env.CLAUDE_ARCHIVE_DIR ||
+      (options.dir ? resolvePath(options.dir, path.dirname(configPath)) : null);
+
+    return {
+      dir: dir ? resolvePath(dir) : null,
+      compress: options.compress === true,
+      retentionDays
+    };
+  }
+
+  /**
+   * Rules for masking secrets in exports: "redaction" in the config file is
+   * { "rules": [{ "name", "pattern", "label", "flags" }], "disable": [detector IDs] }
+   * @private
+   * @returns {Object} { rules, disable }
+   */
+  static _redactionSettings(file, configPath) {
+    const setting = file.redaction ?? {};
+    if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+      throw new ConfigError(`"redaction" in ${configPath} must be { "rules", "disable" }`);
+    }
+    const { rules = [], disable = [] } = setting;
+    if (!Array.isArray(rules) || !Array.isArray(disable)) {
+      throw new ConfigError(`"redaction" rules and disable in ${configPath} must be lists`);
+    }
+
+    // Compile the rules now so a bad pattern is reported at startup
+    try {
+      new Redactor({ rules, disable });
+    } catch (err) {
+      if (err instanceof RedactionError) throw new ConfigError(err.message);
+      throw err;
+    }
+    return { rules, disable };
+  }
+
+  /**
+   * Where shared sessions go: "share" in the config file is { "target": "x0" },
+   * { "target": "http", "url", "field", "headers" } or { "target": "directory", "dir", "baseUrl" }
+   * @private
+   * @returns {Object} Settings for createShareTarget(), with dir resolved
+   */
+  static _shareSettings(file, configPath) {
+    const setting = file.share ?? { target: 'x0' };
+    if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+      throw new ConfigError(`"share" in ${configPath} must be { "target", ... }`);
+    }
+
+    const share = { ...setting, target: setting.target || 'x0' };
+    if (typeof share.dir === 'string') {
+      share.dir = resolvePath(share.dir, path.dirname(configPath));
+    }
+    try {
+      createShareTarget(share);
+    } catch (err) {
+      if (err instanceof ShareTargetError) throw new ConfigError(err.message);
+      throw err;
+    }
+    return share;
+  }
+
+  /**
+   * @private
+   * @returns {number} A valid TCP port
+   */
+  static _parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new ConfigError(`Invalid port: ${value}`);
+    }
+    return port;
+  }
+}
+
+module.exports = { ExplorerConfig, ConfigError, DEFAULT_CONFIG_PATH, DEFAULT_PORT };
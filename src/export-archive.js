@@ -0,0 +1,267 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const { promisify } = require('util');
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Archive formats a bulk export can be written as
+const ARCHIVE_FORMATS = ['zip', 'tar.gz'];
+
+// Zip without the Zip64 extension: 16-bit entry counts and 32-bit sizes and offsets
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_OFFSET = 0xffffffff;
+
+const TAR_BLOCK = 512;
+
+// CRC-32 (IEEE) lookup table for zip entries
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * An export too big for, or otherwise not writable in, the chosen archive format
+ */
+class ExportArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportArchiveError';
+  }
+}
+
+/**
+ * Write a chunk, waiting while the stream's buffer is full. Fails once `output`
+ * (the stream itself, or the one it's piped into) is closed, as when the client
+ * cancels a download, instead of waiting for a drain that never comes.
+ * @param {stream.Writable} target - Stream to write to
+ * @param {string|Buffer} chunk - Data
+ * @param {stream.Writable} [output] - Final destination of the data
+ * @returns {Promise<void>}
+ */
+async function writeChunk(target, chunk, output = target) {
+  if (output.destroyed) {
+    throw new ExportArchiveError('The output was closed before the export finished');
+  }
+  if (target.write(chunk) !== false) {
+    return;
+  }
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(target, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal }).then(() => {
+        throw new ExportArchiveError('The output was closed before the export finished');
+      })
+    ]);
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * ExportArchive - Writes files into a zip or tar.gz archive as a stream
+ *
+ * Each file is held in memory only while it's added, so an export of many
+ * sessions needs no more memory than its largest session. Zip entries are
+ * deflated one by one and the central directory is written by finish(); a
+ * tar.gz is a tar stream through gzip.
+ */
+class ExportArchive {
+  /**
+   * @param {stream.Writable} output - Stream the archive is written to; left open by finish()
+   * @param {string} format - One of ARCHIVE_FORMATS
+   */
+  constructor(output, format) {
+    if (!ARCHIVE_FORMATS.includes(format)) {
+      throw new ExportArchiveError(`Unknown archive format: ${format}`);
+    }
+    this.format = format;
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+
+    if (format === 'tar.gz') {
+      this.gzip = zlib.createGzip();
+      this.gzip.pipe(output, { end: false });
+    }
+  }
+
+  /**
+   * Add a file
+   * @param {string} name - Path inside the archive, with / separators
+   * @param {string|Buffer} content - File content
+   * @param {Date} [modified] - Modification time recorded for the file
+   * @returns {Promise<void>}
+   */
+  async addFile(name, content, modified = new Date()) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    if (this.format === 'zip') {
+      await this._addZipEntry(name, data, modified);
+    } else {
+      await this._write(this._tarHeader(name, data.length, modified));
+      await this._write(data);
+      const padding = (TAR_BLOCK - (data.length % TAR_BLOCK)) % TAR_BLOCK;
+      if (padding > 0) await this._write(Buffer.alloc(padding));
+    }
+  }
+
+  /**
+   * Write the end of the archive. The output stream is not ended.
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    if (this.format === 'zip') {
+      await this._writeZipDirectory();
+      return;
+    }
+
+    await this._write(Buffer.alloc(TAR_BLOCK * 2));
+    this.gzip.end();
+    await once(this.gzip, 'end');
+  }
+
+  /** @private */
+  async _addZipEntry(name, data, modified) {
+    if (this.entries.length >= ZIP_MAX_ENTRIES) {
+      throw new ExportArchiveError(`A zip export holds at most ${ZIP_MAX_ENTRIES} files; use tar.gz`);
+    }
+
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = await deflateRaw(data);
+    if (this.offset + 30 + nameBytes.length + compressed.length > ZIP_MAX_OFFSET || data.length > ZIP_MAX_OFFSET) {
+      throw new ExportArchiveError('Export is larger than 4 GB, the most a zip export holds; use tar.gz');
+    }
+
+    const entry = {
+      nameBytes,
+      crc: crc32(data),
+      size: data.length,
+      compressedSize: compressed.length,
+      offset: this.offset,
+      ...this._dosTime(modified)
+    };
+    this.entries.push(entry);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);       // Local file header signature
+    header.writeUInt16LE(20, 4);               // Version needed: 2.0 (deflate)
+    header.writeUInt16LE(0x0800, 6);           // Flags: UTF-8 names
+    header.writeUInt16LE(8, 8);                // Method: deflate
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);               // Extra field length
+
+    await this._write(header);
+    await this._write(nameBytes);
+    await this._write(compressed);
+  }
+
+  /** @private */
+  async _writeZipDirectory() {
+    const start = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);     // Central directory header signature
+      header.writeUInt16LE(20, 4);             // Version made by
+      header.writeUInt16LE(20, 6);             // Version needed
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBytes.length, 28);
+      // Extra field, comment, disk number, internal and external attributes stay 0
+      header.writeUInt32LE(entry.offset, 42);
+      await this._write(header);
+      await this._write(entry.nameBytes);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);          // End of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await this._write(end);
+  }
+
+  /**
+   * A ustar header; a name over 100 bytes is split into prefix and name at a /
+   * @private
+   */
+  _tarHeader(name, size, modified) {
+    let prefix = '';
+    let base = name;
+    if (Buffer.byteLength(base) > 100) {
+      const split = name.lastIndexOf('/');
+      prefix = name.slice(0, split);
+      base = name.slice(split + 1);
+      if (split < 0 || Buffer.byteLength(base) > 100 || Buffer.byteLength(prefix) > 155) {
+        throw new ExportArchiveError(`File name too long for tar: ${name}`);
+      }
+    }
+
+    const header = Buffer.alloc(TAR_BLOCK);
+    const field = (value, offset, length) => header.write(value, offset, length, 'utf8');
+    const octal = (value, offset, length) => field(value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+
+    field(base, 0, 100);
+    octal(0o644, 100, 8);                      // Mode
+    octal(0, 108, 8);                          // uid
+    octal(0, 116, 8);                          // gid
+    octal(size, 124, 12);
+    octal(Math.floor(modified.getTime() / 1000), 136, 12);
+    field('        ', 148, 8);                 // Checksum counts as spaces while it's summed
+    field('0', 156, 1);                        // Type: regular file
+    field('ustar\0', 257, 6);
+    field('00', 263, 2);
+    field(prefix, 345, 155);
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    field(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    return header;
+  }
+
+  /**
+   * MS-DOS date and time fields, in local time as zip tools expect
+   * @private
+   */
+  _dosTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /** @private */
+  async _write(chunk) {
+    this.offset += chunk.length;
+    await writeChunk(this.gzip || this.output, chunk, this.output);
+  }
+}
+
+module.exports = ExportArchive;
+module.exports.ExportArchiveError = ExportArchiveError;
+module.exports.ARCHIVE_FORMATS = ARCHIVE_FORMATS;
+module.exports.writeChunk = writeChunk;
@@ -0,0 +1,755 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const DatabaseBackend = require('./analytics/data/DatabaseBackend');
+const { SEARCH_SCOPES } = require('./analytics/data/DatabaseManager');
+const { SearchQuery, QuerySyntaxError } = require('./analytics/data/SearchQuery');
+const ConversationAnalyzer = require('./analytics/core/ConversationAnalyzer');
+const SessionSharing = require('./session-sharing');
+const { SessionFileError } = require('./session-sharing');
+const { ShareBundleError } = require('./share-bundle');
+const { ShareTargetError } = require('./share-targets');
+
+// --format values: output for reading, or for piping into jq and other tools
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+const EXPORT_FORMATS = ['md', 'json', 'jsonl', 'html'];
+
+// Tool calls and results are cut to this many characters in `show` text output
+const TOOL_PREVIEW_CHARS = 200;
+
+/**
+ * Subcommands: the method running each, its usage line and the flags it takes
+ * besides the settings (--root, --db, --config). Every command but reindex
+ * first indexes changed files, unless given --no-index.
+ */
+const COMMANDS = {
+  search: {
+    method: 'search',
+    usage: 'search <query> [--scope all|prose|tools] [--limit n] [--format text|json|ndjson]',
+    description: 'Search messages, with the same syntax as the search box',
+    flags: { value: ['format', 'limit', 'scope'], boolean: ['index'] }
+  },
+  show: {
+    method: 'show',
+    usage: 'show <id> [--limit n] [--format text|json|ndjson]',
+    description: 'Print a conversation (IDs can be abbreviated)',
+    flags: { value: ['format', 'limit'], boolean: ['index'] }
+  },
+  stats: {
+    method: 'stats',
+    usage: 'stats [--since 2026-09-01|7d|12h] [--project name] [--source name] [--format text|json|ndjson]',
+    description: 'Conversations, tokens and estimated cost, by model, project and tool',
+    flags: { value: ['format', 'since', 'project', 'source'], boolean: ['index'] }
+  },
+  export: {
+    method: 'exportConversation',
+    usage: 'export <id> [--format md|json|jsonl|html] [--full] [--subagents] [--no-redact] [--output file] [--limit n]',
+    description: 'Export a conversation to stdout or a file, with secrets masked unless --no-redact; jsonl and --full keep every transcript line as written',
+    flags: { value: ['format', 'output', 'limit'], boolean: ['index', 'full', 'subagents', 'redact'] }
+  },
+  share: {
+    method: 'share',
+    usage: 'share <id> [--passphrase] [--no-redact] [--format text|json]',
+    description: 'Upload a conversation as an encrypted bundle and print its link; the key is in the link unless --passphrase asks for a passphrase or CLAUDE_SHARE_PASSPHRASE holds one',
+    flags: { value: ['format'], boolean: ['index', 'passphrase', 'redact'] }
+  },
+  clone: {
+    method: 'clone',
+    usage: 'clone <link> [--cwd dir] [--overwrite]',
+    description: 'Download a shared conversation, decrypt it and add it to Claude Code; asks for its passphrase unless CLAUDE_SHARE_PASSPHRASE holds it',
+    flags: { value: ['cwd'], boolean: ['index', 'overwrite'] }
+  },
+  reindex: {
+    method: 'reindex',
+    usage: 'reindex [--full] [--format text|json]',
+    description: 'Index changed session files; --full re-parses every file',
+    flags: { value: ['format'], boolean: ['full'] }
+  }
+};
+
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+/**
+ * HeadlessCli - Runs queries and exports against the conversation database
+ * without starting the web server, for scripts and SSH sessions.
+ *
+ * Results go to stdout as text, JSON or NDJSON; progress and log output are left
+ * to the caller (cli.js sends them to stderr).
+ */
+class HeadlessCli {
+  /**
+   * @param {Object} config - Settings from ExplorerConfig.load()
+   * @param {Object} [options]
+   * @param {Object} [options.stdout] - Stream results are written to (default process.stdout)
+   * @param {Date} [options.now] - Current time, for relative --since values
+   * @param {Function} [options.prompt] - Asks for a passphrase: (question) => Promise<string>;
+   *   by default it's read from the terminal without echoing it
+   */
+  constructor(config, options = {}) {
+    this.config = config;
+    this.stdout = options.stdout || process.stdout;
+    this.now = options.now || new Date();
+    this.prompt = options.prompt || null;
+    this.backend = null;
+  }
+
+  /**
+   * Run a subcommand
+   * @param {string} command - Name in COMMANDS
+   * @param {Array<string>} args - Arguments after the command name
+   * @param {Object} options - Flags from ExplorerConfig.load() (config.options)
+   * @returns {Promise<void>}
+   * @throws {CliError} For bad arguments or a conversation that isn't indexed
+   */
+  async run(command, args, options = {}) {
+    const definition = COMMANDS[command];
+    if (!definition) {
+      throw new CliError(`Unknown command: ${command}`);
+    }
+
+    await this._openBackend(command !== 'reindex' && options.index !== false);
+    try {
+      await this[definition.method](args, options);
+    } finally {
+      this.backend.close();
+      this.backend = null;
+    }
+  }
+
+  /**
+   * search <query>: matching conversations with their best message snippets
+   */
+  async search(args, options) {
+    const format = this._format(options.format, OUTPUT_FORMATS);
+    const text = args.join(' ').trim();
+    if (!text) {
+      throw new CliError('search needs a query');
+    }
+    const scope = options.scope || 'all';
+    if (!SEARCH_SCOPES.includes(scope)) {
+      throw new CliError(`--scope must be one of: ${SEARCH_SCOPES.join(', ')}`);
+    }
+
+    let searchQuery;
+    try {
+      searchQuery = SearchQuery.parse(text);
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) throw new CliError(`Invalid search query: ${error.message}`);
+      throw error;
+    }
+
+    const results = this.backend.searchWithQuery(searchQuery, { limit: this._limit(options.limit, 20), scope })
+      .map(conv => ({
+        ...this._summarize(conv),
+        matchCount: conv.matchCount,
+        fuzzy: conv.fuzzy,
+        matches: conv.matches.map(match => ({
+          messageUuid: match.messageUuid,
+          role: match.role,
+          field: match.field,
+          timestamp: match.timestamp ? new Date(match.timestamp).toISOString() : null,
+          snippet: match.snippet
+        }))
+      }));
+
+    if (format !== 'text') {
+      this._writeRecords(format, results);
+      return;
+    }
+
+    if (results.length === 0) {
+      this._print('No matches');
+      return;
+    }
+    for (const result of results) {
+      this._print(`${chalk.bold(result.id)}  ${this._formatTime(result.lastModified)}  ${result.project}` +
+        chalk.gray(`  ${result.matchCount} match${result.matchCount === 1 ? '' : 'es'}${result.fuzzy ? ' (similar spelling)' : ''}`));
+      for (const match of result.matches) {
+        const label = match.field === 'toolInput' ? 'tool call' : match.field === 'toolOutput' ? 'tool output' : match.role;
+        this._print(`    ${chalk.gray(`${label}:`)} ${this._highlight(match.snippet)}`);
+      }
+    }
+  }
+
+  /**
+   * show <id>: a conversation's details and messages
+   */
+  async show(args, options) {
+    const format = this._format(options.format, OUTPUT_FORMATS);
+    const conversation = this._findConversation(args);
+    const analyzer = new ConversationAnalyzer(this.config.roots[0].path);
+    const allMessages = await analyzer.getParsedConversation(conversation.filePath);
+    const messages = options.limit ? allMessages.slice(-this._limit(options.limit)) : allMessages;
+
+    if (format === 'json') {
+      this._print(JSON.stringify({ conversation: this._summarize(conversation), messages }, null, 2));
+      return;
+    }
+    if (format === 'ndjson') {
+      this._writeRecords(format, messages);
+      return;
+    }
+
+    this._print(chalk.bold(`${conversation.project} · ${conversation.id}`));
+    this._print(chalk.gray([
+      conversation.source ? `Source: ${conversation.source}` : null,
+      `Started: ${this._formatTime(conversation.created)}`,
+      `Messages: ${conversation.messageCount}`,
+      `Tokens: ${this._formatNumber(conversation.tokens)}`,
+      `Cost: ${this.backend.costCalculator.formatCost(conversation.estimatedCost)}`
+    ].filter(Boolean).join('   ')));
+    this._print(chalk.gray(conversation.archived
+      ? `File: ${conversation.filePath} (archived; original ${conversation.originalPath} was deleted)`
+      : `File: ${conversation.filePath}`));
+    if (messages.length < allMessages.length) {
+      this._print(chalk.gray(`Last ${messages.length} of ${allMessages.length} messages`));
+    }
+
+    for (const message of messages) {
+      const role = message.role === 'user' ? 'User' : 'Assistant';
+      this._print('');
+      this._print(chalk.cyan(`── ${role} · ${this._formatTime(message.timestamp)}${message.model ? ` · ${message.model}` : ''}`));
+      for (const line of this._messageLines(message)) {
+        this._print(line);
+      }
+    }
+  }
+
+  /**
+   * stats: totals for a period, by model, project and tool
+   */
+  async stats(args, options) {
+    const format = this._format(options.format, OUTPUT_FORMATS);
+    const since = options.since ? this._parseSince(options.since) : null;
+    const scope = { since: since ? since.getTime() : null, project: options.project, source: options.source };
+
+    const summary = this.backend.getSummary(scope);
+    const models = summary.costByModel.map(entry => ({
+      model: entry.model,
+      messages: entry.messages,
+      tokens: entry.tokens,
+      estimatedCost: entry.cost.total
+    }));
+    const projects = this.backend.getProjectStats(scope);
+    const tools = this.backend.getToolUsageStats(scope).map(row => ({
+      tool: row.tool_name,
+      calls: row.total_calls,
+      conversations: row.conversations
+    }));
+    const totals = {
+      since: since ? since.toISOString() : null,
+      project: options.project || null,
+      source: options.source || null,
+      conversations: summary.totalConversations,
+      messages: summary.totalMessages,
+      tokens: {
+        total: summary.totalTokens,
+        input: summary.totalInputTokens,
+        output: summary.totalOutputTokens,
+        cacheCreation: summary.totalCacheCreationTokens,
+        cacheRead: summary.totalCacheReadTokens
+      },
+      estimatedCost: summary.estimatedCost
+    };
+
+    if (format === 'json') {
+      this._print(JSON.stringify({ ...totals, models, projects, tools }, null, 2));
+      return;
+    }
+    if (format === 'ndjson') {
+      this._writeRecords(format, [
+        { type: 'summary', ...totals },
+        ...models.map(row => ({ type: 'model', ...row })),
+        ...projects.map(row => ({ type: 'project', ...row })),
+        ...tools.map(row => ({ type: 'tool', ...row }))
+      ]);
+      return;
+    }
+
+    const formatCost = amount => this.backend.costCalculator.formatCost(amount);
+    const scopeLabel = [
+      since ? `since ${this._formatTime(since)}` : 'all time',
+      options.project ? `project ${options.project}` : null,
+      options.source ? `source ${options.source}` : null
+    ].filter(Boolean).join(' · ');
+
+    this._print(chalk.bold(`Claude Code usage, ${scopeLabel}`));
+    this._print(`Conversations   ${this._formatNumber(totals.conversations)}`);
+    this._print(`Messages        ${this._formatNumber(totals.messages)}`);
+    this._print(`Tokens          ${this._formatNumber(totals.tokens.total)}` + chalk.gray(
+      ` (input ${this._formatNumber(totals.tokens.input)}, output ${this._formatNumber(totals.tokens.output)},` +
+      ` cache write ${this._formatNumber(totals.tokens.cacheCreation)}, cache read ${this._formatNumber(totals.tokens.cacheRead)})`));
+    this._print(`Estimated cost  ${formatCost(totals.estimatedCost)}`);
+
+    if (models.length > 0) {
+      this._print('');
+      this._printTable(['Model', 'Messages', 'Cost'], models.map(row => [row.model, this._formatNumber(row.messages), formatCost(row.estimatedCost)]));
+    }
+    if (projects.length > 0) {
+      this._print('');
+      this._printTable(['Project', 'Conversations', 'Messages', 'Tokens', 'Cost'], projects.map(row => [
+        row.project || 'Unknown',
+        this._formatNumber(row.conversations),
+        this._formatNumber(row.messages),
+        this._formatNumber(row.tokens),
+        formatCost(row.estimatedCost)
+      ]));
+    }
+    if (tools.length > 0) {
+      this._print('');
+      this._print(`Top tools: ${tools.slice(0, 10).map(row => `${row.tool} ${this._formatNumber(row.calls)}`).join(', ')}`);
+    }
+  }
+
+  /**
+   * export <id>: Markdown, JSON or HTML, to stdout or --output
+   */
+  async exportConversation(args, options) {
+    const format = this._format(options.format, EXPORT_FORMATS, 'md');
+    const conversation = this._findConversation(args);
+    const sessionSharing = this._sessionSharing();
+    const redact = options.redact !== false;
+
+    // Full exports stream the transcript lines as written, without parsing them into messages
+    if (format === 'jsonl' || options.full || options.subagents) {
+      if (format !== 'json' && format !== 'jsonl') {
+        throw new CliError('--full and --subagents need --format json or jsonl');
+      }
+      if (options.subagents && format === 'jsonl') {
+        throw new CliError('--subagents needs --format json');
+      }
+      if (options.limit) {
+        throw new CliError('--limit does not apply to full exports');
+      }
+      await this._writeFullExport(sessionSharing, conversation, {
+        format,
+        includeSubagents: options.subagents === true,
+        redact
+      }, options.output);
+      return;
+    }
+
+    // The whole conversation unless --limit asks for the last messages only
+    const exportOptions = { messageLimit: options.limit ? this._limit(options.limit) : Infinity, redact };
+
+    let content;
+    let redactions;
+    if (format === 'md') {
+      ({ markdown: content, redactions } = await sessionSharing.exportSessionAsMarkdown(conversation.id, conversation, exportOptions));
+    } else if (format === 'html') {
+      ({ html: content, redactions } = await sessionSharing.exportSessionAsHtml(conversation.id, conversation, exportOptions));
+    } else {
+      const exported = await sessionSharing.exportSessionData(conversation.id, conversation, exportOptions);
+      content = JSON.stringify(exported, null, 2);
+      redactions = { total: exported.metadata.redactions };
+    }
+
+    if (options.output) {
+      await fs.outputFile(options.output, content, 'utf8');
+      process.stderr.write(`Exported ${conversation.id} to ${options.output}${this._maskedNote(redactions)}\n`);
+    } else {
+      this._print(content);
+    }
+  }
+
+  /**
+   * Stream a full export to stdout or a file
+   * @private
+   */
+  async _writeFullExport(sessionSharing, conversation, exportOptions, outputPath) {
+    if (!outputPath) {
+      await sessionSharing.writeFullExport(conversation, this.stdout, exportOptions);
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(outputPath));
+    const output = fs.createWriteStream(outputPath);
+    const finished = new Promise((resolve, reject) => output.on('finish', resolve).on('error', reject));
+    try {
+      const result = await sessionSharing.writeFullExport(conversation, output, exportOptions);
+      output.end();
+      await finished;
+      process.stderr.write(`Exported ${conversation.id} (${result.lineCount} lines` +
+        (result.subagentCount ? `, ${result.subagentCount} subagents` : '') + `) to ${outputPath}${this._maskedNote(result.redactions)}\n`);
+    } catch (error) {
+      output.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * share <id>: encrypt a conversation, upload it to the share target and print the link
+   */
+  async share(args, options) {
+    const format = this._format(options.format, ['text', 'json']);
+    if (options.passphrase === true && args.length > 1) {
+      throw new CliError('--passphrase takes no value; it asks for one, or reads CLAUDE_SHARE_PASSPHRASE');
+    }
+    const conversation = this._findConversation(args);
+
+    // Never taken as a flag value, which would end up in ps output and shell history
+    let passphrase = process.env.CLAUDE_SHARE_PASSPHRASE || null;
+    if (options.passphrase === true && !passphrase) {
+      passphrase = await this._askPassphrase('Passphrase: ');
+      if (!passphrase) {
+        throw new CliError('No passphrase entered; share without --passphrase to put the key in the link');
+      }
+      if (await this._askPassphrase('Repeat the passphrase: ') !== passphrase) {
+        throw new CliError('The passphrases do not match');
+      }
+    }
+
+    let result;
+    try {
+      result = await this._sessionSharing().shareSession(conversation, {
+        passphrase,
+        redact: options.redact !== false
+      });
+    } catch (error) {
+      if (error instanceof ShareBundleError || error instanceof ShareTargetError) throw new CliError(error.message);
+      throw error;
+    }
+
+    if (format === 'json') {
+      this._print(JSON.stringify({ conversationId: conversation.id, ...result }, null, 2));
+      return;
+    }
+    this._print(result.shareUrl);
+    process.stderr.write(`Shared ${conversation.id} through ${result.target}` +
+      (result.passphraseProtected ? ', locked with the passphrase' : '; anyone with the link can open it') +
+      `${this._maskedNote(result.redactions)}\n`);
+  }
+
+  /**
+   * clone <link>: download a shared conversation into the first data root and index it
+   */
+  async clone(args, options) {
+    const link = args[0];
+    if (!link) {
+      throw new CliError('clone needs a share link');
+    }
+
+    let result;
+    try {
+      result = await this._sessionSharing().cloneSession(link, {
+        claudeDir: this.config.roots[0].path,
+        cwd: options.cwd ? path.resolve(options.cwd) : undefined,
+        overwrite: options.overwrite === true,
+        passphrase: process.env.CLAUDE_SHARE_PASSPHRASE || null,
+        askPassphrase: this._canPrompt() ? () => this._askPassphrase('Passphrase: ') : null
+      });
+    } catch (error) {
+      if (error instanceof ShareBundleError || error instanceof ShareTargetError || error instanceof SessionFileError) {
+        throw new CliError(error.message);
+      }
+      if (error.code === 'SESSION_EXISTS') throw new CliError(`${error.message}; use --overwrite to replace it`);
+      throw error;
+    }
+
+    await this.backend.indexFile(result.sessionPath);
+    this._print(`Cloned ${result.conversationId} to ${result.sessionPath}`);
+    this._print(`Resume it with: claude --resume ${result.conversationId}`);
+  }
+
+  /**
+   * Whether a passphrase can be asked for
+   * @private
+   */
+  _canPrompt() {
+    return Boolean(this.prompt || process.stdin.isTTY);
+  }
+
+  /**
+   * Ask for a passphrase, reading it from the terminal without echoing it
+   * @private
+   * @throws {CliError} When there's no terminal to ask on
+   */
+  async _askPassphrase(question) {
+    if (this.prompt) {
+      return this.prompt(question);
+    }
+    if (!process.stdin.isTTY) {
+      throw new CliError('No terminal to enter the passphrase on; set CLAUDE_SHARE_PASSPHRASE instead');
+    }
+
+    // Echo goes through a stream that drops what's typed
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk);
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+    process.stderr.write(question);
+    muted = true;
+    try {
+      return await new Promise(resolve => rl.question('', resolve));
+    } finally {
+      rl.close();
+      process.stderr.write('\n');
+    }
+  }
+
+  /**
+   * SessionSharing with the configured redaction rules and share target
+   * @private
+   */
+  _sessionSharing() {
+    return new SessionSharing(new ConversationAnalyzer(this.config.roots[0].path), {
+      costCalculator: this.backend.costCalculator,
+      redaction: this.config.redaction,
+      share: this.config.share
+    });
+  }
+
+  /**
+   * How many secrets an export masked, for the line reporting it
+   * @private
+   */
+  _maskedNote(redactions) {
+    return redactions && redactions.total > 0 ? `, masking ${redactions.total} secrets` : '';
+  }
+
+  /**
+   * reindex: index changed files, or every file with --full
+   */
+  async reindex(args, options) {
+    const format = this._format(options.format, ['text', 'json']);
+    const startedAt = Date.now();
+    const stats = options.full ? await this.backend.reindexAll() : await this.backend.runIndex();
+
+    if (format === 'json') {
+      this._print(JSON.stringify({ ...stats, full: Boolean(options.full), durationMs: Date.now() - startedAt }, null, 2));
+      return;
+    }
+
+    this._print(`Indexed ${stats.filesIndexed} of ${stats.filesScanned} files in ${((Date.now() - startedAt) / 1000).toFixed(1)}s` +
+      ` (${stats.filesAppended} appended, ${stats.filesSkipped} unchanged, ${stats.filesRemoved} removed,` +
+      ` ${stats.filesArchived} archived, ${stats.errors} errors)`);
+  }
+
+  /**
+   * Open the database, indexing changed files first unless told not to
+   * @private
+   */
+  async _openBackend(index) {
+    this.backend = new DatabaseBackend(this.config.roots[0].path, {
+      roots: this.config.roots,
+      dbPath: this.config.dbPath || undefined,
+      archive: this.config.archive,
+      initialIndex: index,
+      // stdout is for results
+      indexProgressStream: this.config.verbose ? process.stderr : null
+    });
+    await this.backend.initialize();
+  }
+
+  /**
+   * Look up the conversation named by the first argument, accepting a unique ID prefix
+   * @private
+   */
+  _findConversation(args) {
+    const id = args[0];
+    if (!id) {
+      throw new CliError('A conversation ID is required');
+    }
+
+    const exact = this.backend.getConversation(id);
+    if (exact) return exact;
+
+    const ids = this.backend.findConversationIds(id, 6);
+    if (ids.length === 0) {
+      throw new CliError(`Conversation not found: ${id}`);
+    }
+    if (ids.length > 1) {
+      throw new CliError(`Conversation ID ${id} is ambiguous: ${ids.slice(0, 5).join(', ')}${ids.length > 5 ? ', ...' : ''}`);
+    }
+    return this.backend.getConversation(ids[0]);
+  }
+
+  /**
+   * Text lines for a message: its text, then one line per tool call and result
+   * @private
+   */
+  _messageLines(message) {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : (Array.isArray(message.content) ? message.content : []);
+    const lines = [];
+
+    for (const block of blocks) {
+      if (block.type === 'text' && block.text) {
+        lines.push(block.text);
+      } else if (block.type === 'tool_use') {
+        lines.push(chalk.yellow(`⚙ ${block.name}: `) + this._preview(JSON.stringify(block.input || {})));
+      } else if (block.type === 'tool_result') {
+        lines.push(chalk.gray(`→ ${this._preview(this._resultText(block))}`));
+      }
+    }
+    for (const result of message.toolResults || []) {
+      lines.push(chalk.gray(`→ ${this._preview(this._resultText(result))}`));
+    }
+
+    return lines;
+  }
+
+  /**
+   * @private
+   */
+  _resultText(block) {
+    if (typeof block.content === 'string') return block.content;
+    if (Array.isArray(block.content)) {
+      return block.content.map(part => part.text || '').join('\n');
+    }
+    return JSON.stringify(block.content ?? '');
+  }
+
+  /**
+   * One line of at most TOOL_PREVIEW_CHARS characters
+   * @private
+   */
+  _preview(text) {
+    const line = String(text).replace(/\s+/g, ' ').trim();
+    return line.length > TOOL_PREVIEW_CHARS ? `${line.slice(0, TOOL_PREVIEW_CHARS)}…` : line;
+  }
+
+  /**
+   * The fields of a conversation worth printing or piping
+   * @private
+   */
+  _summarize(conv) {
+    return {
+      id: conv.id,
+      project: conv.project,
+      source: conv.source,
+      created: conv.created ? new Date(conv.created).toISOString() : null,
+      lastModified: conv.lastModified ? new Date(conv.lastModified).toISOString() : null,
+      messageCount: conv.messageCount,
+      tokens: conv.tokens,
+      estimatedCost: conv.estimatedCost,
+      model: conv.modelInfo ? conv.modelInfo.primaryModel : null,
+      isSubagent: conv.isSubagent,
+      parentId: conv.parentId,
+      filePath: conv.filePath,
+      archived: conv.archived
+    };
+  }
+
+  /**
+   * Parse --since: a date (2026-09-01), or a span back from now (12h, 7d, 2w)
+   * @private
+   * @returns {Date}
+   */
+  _parseSince(value) {
+    const relative = value.match(/^(\d+)([hdw])$/);
+    if (relative) {
+      const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2]] * Number(relative[1]);
+      return new Date(this.now.getTime() - hours * 60 * 60 * 1000);
+    }
+
+    // A bare date means local midnight, like the date filters in the web UI
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new CliError(`Invalid --since value: ${value} (use a date like 2026-09-01, or 12h, 7d, 2w)`);
+    }
+    return date;
+  }
+
+  /**
+   * @private
+   * @returns {string} The chosen format
+   */
+  _format(value, allowed, fallback = allowed[0]) {
+    const format = value || fallback;
+    if (!allowed.includes(format)) {
+      throw new CliError(`--format must be one of: ${allowed.join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * @private
+   * @returns {number} A positive whole number
+   */
+  _limit(value, fallback) {
+    if (value === undefined) return fallback;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new CliError(`Invalid --limit: ${value}`);
+    }
+    return limit;
+  }
+
+  /**
+   * Write records as one JSON array or one JSON object per line
+   * @private
+   */
+  _writeRecords(format, records) {
+    if (format === 'ndjson') {
+      for (const record of records) {
+        this._print(JSON.stringify(record));
+      }
+    } else {
+      this._print(JSON.stringify(records, null, 2));
+    }
+  }
+
+  /**
+   * Print rows under a header, the first column left-aligned and the rest right-aligned
+   * @private
+   */
+  _printTable(header, rows) {
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+    const format = row => row.map((cell, column) => column === 0
+      ? String(cell).padEnd(widths[column])
+      : String(cell).padStart(widths[column])).join('  ');
+
+    this._print(chalk.gray(format(header)));
+    for (const row of rows) {
+      this._print(format(row));
+    }
+  }
+
+  /**
+   * Turn FTS snippet markers into bold text (plain when not writing to a terminal)
+   * @private
+   */
+  _highlight(snippet) {
+    return (snippet || '').replace(/\{\{MATCH\}\}(.*?)\{\{\/MATCH\}\}/g, (match, text) => chalk.bold(text)).replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Local date and time to the minute
+   * @private
+   */
+  _formatTime(value) {
+    if (!value) return '-';
+    const date = new Date(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatNumber(value) {
+    return (value || 0).toLocaleString('en-US');
+  }
+
+  /**
+   * @private
+   */
+  _print(text) {
+    this.stdout.write(`${text}\n`);
+  }
+}
+
+module.exports = { HeadlessCli, CliError, COMMANDS };
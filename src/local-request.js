@@ -0,0 +1,98 @@
+const net = require('net');
+const os = require('os');
+
+// Header the web UI sends with requests that write to the Claude data directory or
+// send sessions out
+const LOCAL_WRITE_HEADER = 'X-Chat-Explorer-Import';
+
+// Body type of those requests; unlike text/plain, browsers can't send it cross-site without a preflight
+const LOCAL_WRITE_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Whether a Host name is one this machine is reached at: localhost, an IP address
+ * or the machine's own name. Other names could be an attacker's domain pointed at
+ * this machine (DNS rebinding).
+ * @param {string} hostname - Host name without the port
+ * @returns {boolean}
+ */
+function isLocalHostname(hostname) {
+  const name = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const machine = os.hostname().toLowerCase();
+  return name === 'localhost' || name.endsWith('.localhost') || net.isIP(name) !== 0 ||
+    name === machine || name === `${machine}.local`;
+}
+
+/**
+ * Why a request that writes to the Claude data directory or sends a session out
+ * should be refused, or null if it comes from the explorer's own page (or a local
+ * script). The server has no login, so these requests must be ones no other web
+ * page can make: a custom header and a non-simple body type, which browsers only
+ * send cross-site after a CORS preflight this server never answers, from an Origin
+ * matching a local Host.
+ * @param {Object} req - Express request
+ * @param {string} [contentType] - Body type the request must have
+ * @returns {{status: number, error: string}|null}
+ */
+function rejectNonLocalWrite(req, contentType = LOCAL_WRITE_CONTENT_TYPE) {
+  const host = req.get('host') || '';
+  let hostname;
+  try {
+    hostname = new URL(`http://${host}`).hostname;
+  } catch {
+    hostname = '';
+  }
+  if (!hostname || !isLocalHostname(hostname)) {
+    return { status: 403, error: `Requests for host ${host || '(none)'} are not accepted` };
+  }
+
+  const origin = req.get('origin');
+  if (origin !== undefined) {
+    let originHost = null;
+    try {
+      originHost = new URL(origin).host;
+    } catch {
+      // "null" and other opaque origins
+    }
+    if (!originHost || originHost.toLowerCase() !== host.toLowerCase()) {
+      return { status: 403, error: `Requests from ${origin} are not accepted` };
+    }
+  }
+
+  if (!req.get(LOCAL_WRITE_HEADER)) {
+    return { status: 403, error: `Missing ${LOCAL_WRITE_HEADER} header` };
+  }
+  if (!req.is(contentType)) {
+    return { status: 415, error: `Send the body as ${contentType}` };
+  }
+  return null;
+}
+
+/**
+ * Express middleware refusing requests rejectNonLocalWrite() objects to
+ * @param {string} contentType - Body type the request must have
+ * @returns {Function}
+ */
+function localWriteGuardFor(contentType) {
+  return (req, res, next) => {
+    const rejection = rejectNonLocalWrite(req, contentType);
+    if (rejection) {
+      return res.status(rejection.status).json({ error: rejection.error });
+    }
+    next();
+  };
+}
+
+// For imports, which post the file as the raw body
+const localWriteGuard = localWriteGuardFor(LOCAL_WRITE_CONTENT_TYPE);
+
+// For requests with a JSON body, which browsers can't send cross-site without a preflight either
+const localJsonWriteGuard = localWriteGuardFor('application/json');
+
+module.exports = {
+  LOCAL_WRITE_CONTENT_TYPE,
+  LOCAL_WRITE_HEADER,
+  isLocalHostname,
+  localJsonWriteGuard,
+  localWriteGuard,
+  rejectNonLocalWrite
+};
@@ -0,0 +1,265 @@
+// Names a rule in its placeholder, [REDACTED:name]
+const RULE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Redacted examples kept per detector for the preview
+const MAX_EXAMPLES = 3;
+
+/**
+ * Built-in detectors, run in this order. Where a pattern has a `secret` group, only
+ * that part of the match is masked, after the `prefix` group (the variable name of
+ * an assignment), so the masked text still reads naturally.
+ */
+const DETECTORS = [
+  {
+    id: 'private-key',
+    label: 'Private key',
+    // A key cut off before its END line is masked to the end of the text
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g
+  },
+  {
+    id: 'aws-access-key',
+    label: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  {
+    id: 'aws-secret-key',
+    label: 'AWS secret access key',
+    pattern: /(?<prefix>\baws_?secret_?access_?key["']?\s*[:=]\s*["']?)(?<secret>[A-Za-z0-9/+=]{40})/gi
+  },
+  {
+    id: 'api-key',
+    label: 'API key or token',
+    // Anthropic, OpenAI, GitHub, GitLab, Slack, Stripe and Google keys
+    pattern: /\b(?:sk-ant-[A-Za-z0-9_-]{20,}|sk-(?:proj-)?[A-Za-z0-9_-]{32,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,}|glpat-[A-Za-z0-9_-]{20,}|xox[abprs]-[A-Za-z0-9-]{10,}|[rs]k_(?:live|test)_[A-Za-z0-9]{16,}|AIza[0-9A-Za-z_-]{35})/g
+  },
+  {
+    id: 'jwt',
+    label: 'JSON Web Token',
+    pattern: /eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    id: 'url-credentials',
+    label: 'Password in a URL',
+    pattern: /(?<prefix>\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)(?<secret>[^\s@/]+)(?=@)/gi
+  },
+  {
+    id: 'env-assignment',
+    label: 'Secret in an assignment',
+    // API_KEY=..., export DB_PASSWORD="...": values that are variables or placeholders are left alone
+    pattern: /(?<prefix>\b[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|CREDENTIALS?)[A-Z0-9_]*\s*=\s*["']?)(?<secret>[^\s"'$<[{][^\s"']*)/g
+  },
+  {
+    id: 'email',
+    label: 'Email address',
+    // Not git@host remotes
+    pattern: /\b(?!git@)[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  }
+];
+
+/**
+ * A rule that can't be used: a bad pattern, name or unknown detector
+ */
+class RedactionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedactionError';
+  }
+}
+
+/**
+ * Redactor - Masks secrets and personal data in text before it leaves the machine
+ *
+ * Each match becomes [REDACTED:<detector>]. The built-in DETECTORS run first,
+ * then the user's rules, given in the config file as:
+ *
+ *   "redaction": {
+ *     "rules": [{ "name": "customer-id", "pattern": "CUST-\\d{6}", "label": "Customer ID" }],
+ *     "disable": ["email"]
+ *   }
+ *
+ * A rule's pattern is a regular expression, matched case-sensitively unless its
+ * "flags" say otherwise; like the detectors, it can mask just a `(?<secret>...)`
+ * group. Methods take an optional `findings` object that collects what was
+ * masked, keyed by detector: { [id]: { label, count, examples } }.
+ */
+class Redactor {
+  /**
+   * @param {Object} [settings]
+   * @param {Array<Object>} [settings.rules] - { name, pattern, label?, flags? }
+   * @param {Array<string>} [settings.disable] - IDs of built-in detectors to skip
+   * @throws {RedactionError} For unknown detectors or rules that don't compile
+   */
+  constructor(settings = {}) {
+    const { rules = [], disable = [] } = settings || {};
+    const known = new Set(DETECTORS.map(detector => detector.id));
+    for (const id of disable) {
+      if (!known.has(id)) {
+        throw new RedactionError(`Unknown redaction detector: ${id} (use ${[...known].join(', ')})`);
+      }
+    }
+
+    this.detectors = [
+      ...DETECTORS.filter(detector => !disable.includes(detector.id)),
+      ...rules.map(rule => Redactor._compileRule(rule))
+    ];
+  }
+
+  /**
+   * Mask text
+   * @param {string} text - Text to redact
+   * @param {Object} [findings] - Collects what was masked
+   * @returns {string} The text with each match replaced
+   */
+  redactText(text, findings = null) {
+    let result = text;
+    for (const detector of this.detectors) {
+      detector.pattern.lastIndex = 0;
+      result = result.replace(detector.pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const placeholder = `[REDACTED:${detector.id}]`;
+        if (groups?.secret === undefined) {
+          if (findings) Redactor._record(findings, detector, match);
+          return placeholder;
+        }
+
+        const start = groups.prefix !== undefined ? groups.prefix.length : match.indexOf(groups.secret);
+        if (findings) Redactor._record(findings, detector, groups.secret);
+        return match.slice(0, start) + placeholder + match.slice(start + groups.secret.length);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Mask every string in a value: arrays and plain objects are copied, anything
+   * else (numbers, dates) is kept as it is
+   * @param {*} value - Value to redact
+   * @param {Object} [findings] - Collects what was masked
+   * @returns {*} The redacted copy
+   */
+  redactValue(value, findings = null) {
+    if (typeof value === 'string') {
+      return this.redactText(value, findings);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, findings));
+    }
+    if (value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+      const copy = {};
+      for (const [key, item] of Object.entries(value)) {
+        copy[key] = this.redactValue(item, findings);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Mask a transcript line. The strings inside JSON are redacted and the line
+   * written again, so it stays valid JSON; a line with nothing to mask is
+   * returned exactly as it was.
+   * @param {string} line - A JSONL line
+   * @param {Object} [findings] - Collects what was masked
+   * @returns {string} The redacted line
+   */
+  redactLine(line, findings = null) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return this.redactText(line, findings);
+    }
+
+    const found = {};
+    const redacted = this.redactValue(entry, found);
+    if (Object.keys(found).length === 0) {
+      return line;
+    }
+    if (findings) Redactor.mergeFindings(findings, found);
+    return JSON.stringify(redacted);
+  }
+
+  /**
+   * Add one findings object to another
+   * @param {Object} target - Findings to add to
+   * @param {Object} source - Findings to add
+   */
+  static mergeFindings(target, source) {
+    for (const [id, finding] of Object.entries(source)) {
+      const entry = target[id] || (target[id] = { label: finding.label, count: 0, examples: [] });
+      entry.count += finding.count;
+      for (const example of finding.examples) {
+        if (entry.examples.length < MAX_EXAMPLES && !entry.examples.includes(example)) {
+          entry.examples.push(example);
+        }
+      }
+    }
+  }
+
+  /**
+   * Findings as a list for previews and export results
+   * @param {Object} findings - Collected findings
+   * @returns {Object} { total, findings: [{ id, label, count, examples }] }, most found first
+   */
+  static summarize(findings) {
+    const list = Object.entries(findings)
+      .map(([id, finding]) => ({ id, label: finding.label, count: finding.count, examples: finding.examples }))
+      .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id));
+    return { total: list.reduce((sum, finding) => sum + finding.count, 0), findings: list };
+  }
+
+  /**
+   * Enough of a masked value to recognize it, without giving it away
+   * @private
+   */
+  static _example(secret) {
+    const firstLine = secret.split('\n')[0];
+    if (firstLine.startsWith('-----BEGIN')) {
+      return `${firstLine}…`;
+    }
+    return secret.length >= 12 ? `${secret.slice(0, 4)}… (${secret.length} characters)` : `… (${secret.length} characters)`;
+  }
+
+  /** @private */
+  static _record(findings, detector, secret) {
+    const entry = findings[detector.id] || (findings[detector.id] = { label: detector.label, count: 0, examples: [] });
+    entry.count++;
+    const example = Redactor._example(secret);
+    if (entry.examples.length < MAX_EXAMPLES && !entry.examples.includes(example)) {
+      entry.examples.push(example);
+    }
+  }
+
+  /**
+   * A user rule as a detector
+   * @private
+   */
+  static _compileRule(rule) {
+    if (!rule || typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+      throw new RedactionError(`Redaction rules need a name of letters, digits, - and _: ${JSON.stringify(rule?.name)}`);
+    }
+    if (DETECTORS.some(detector => detector.id === rule.name)) {
+      throw new RedactionError(`Redaction rule ${rule.name} has the name of a built-in detector`);
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+      throw new RedactionError(`Redaction rule ${rule.name} needs a pattern`);
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(rule.pattern, `${(rule.flags || '').replace(/g/g, '')}g`);
+    } catch (error) {
+      throw new RedactionError(`Invalid pattern for redaction rule ${rule.name}: ${error.message}`);
+    }
+    if (pattern.test('')) {
+      throw new RedactionError(`Redaction rule ${rule.name} matches empty text`);
+    }
+
+    return { id: rule.name, label: rule.label || rule.name, pattern };
+  }
+}
+
+module.exports = Redactor;
+module.exports.RedactionError = RedactionError;
+module.exports.DETECTORS = DETECTORS;
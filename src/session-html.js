@@ -0,0 +1,370 @@
+const CostCalculator = require('./analytics/core/CostCalculator');
+
+// Page styles, inlined so the export is a single file that opens anywhere
+const PAGE_STYLE = `
+:root { --fg: #1f2328; --muted: #656d76; --border: #d0d7de; --code: #f6f8fa; --accent: #0969da; }
+* { box-sizing: border-box; }
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 960px; margin: 0 auto; padding: 16px; color: var(--fg); line-height: 1.5; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.session { color: var(--muted); font-size: 13px; margin: 0 0 12px; }
+.stats { display: grid; grid-template-columns: repeat(auto-fill, minmax(150px, 1fr)); gap: 8px; margin: 12px 0; }
+.stat { border: 1px solid var(--border); border-radius: 6px; padding: 8px 10px; }
+.stat .label { color: var(--muted); font-size: 11px; text-transform: uppercase; letter-spacing: 0.04em; }
+.stat .value { font-size: 16px; font-weight: 600; }
+.detail { color: var(--muted); font-size: 12px; }
+.controls { position: sticky; top: 0; background: #fff; padding: 8px 0; border-bottom: 1px solid var(--border); display: flex; gap: 8px; z-index: 1; }
+.controls button { font: inherit; font-size: 12px; padding: 4px 10px; border: 1px solid var(--border); border-radius: 6px; background: var(--code); cursor: pointer; }
+.message { border-bottom: 1px solid var(--border); padding: 12px 0; }
+.message.user .role { color: var(--accent); }
+.role { font-weight: 600; } .time { color: var(--muted); font-size: 12px; margin-left: 8px; }
+.time a { color: inherit; text-decoration: none; }
+.summary-note { color: var(--muted); font-size: 12px; margin-left: 8px; }
+.text { white-space: pre-wrap; overflow-wrap: anywhere; margin: 8px 0; }
+pre { background: var(--code); padding: 8px; margin: 6px 0; overflow-x: auto; font-size: 12px; border-radius: 6px; white-space: pre-wrap; overflow-wrap: anywhere; }
+details { border: 1px solid var(--border); border-radius: 6px; margin: 6px 0; padding: 0 8px; }
+details > summary { cursor: pointer; padding: 6px 0; font-size: 13px; }
+details[open] > summary { border-bottom: 1px solid var(--border); margin-bottom: 6px; }
+.tool > summary { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+.tool-name { font-weight: 600; }
+.tool.error > summary::after { content: " · error"; color: #cf222e; }
+.thinking { border-style: dashed; color: var(--muted); }
+.thinking .text { font-style: italic; }
+body.hide-thinking .thinking { display: none; }
+.label { color: var(--muted); font-size: 11px; text-transform: uppercase; margin-top: 6px; }
+.terminal { background: #0d1117; color: #e6edf3; }
+.terminal .prompt { color: #7ee787; }
+.output.error { background: #ffebe9; }
+.diff { padding: 0; }
+.diff span { display: block; padding: 0 8px; }
+.diff .add { background: #dafbe1; }
+.diff .del { background: #ffebe9; }
+.todos { margin: 6px 0; padding-left: 20px; font-size: 13px; }
+.todos .completed { text-decoration: line-through; color: var(--muted); }
+footer { color: var(--muted); font-size: 12px; margin-top: 16px; }
+`;
+
+// Expand/collapse all tool calls and show/hide thinking. The page works without it.
+const PAGE_SCRIPT = `
+document.querySelectorAll('[data-toggle]').forEach(function (button) {
+  button.addEventListener('click', function () {
+    var action = button.getAttribute('data-toggle');
+    if (action === 'thinking') {
+      document.body.classList.toggle('hide-thinking');
+      return;
+    }
+    document.querySelectorAll('details.tool').forEach(function (el) { el.open = action === 'expand'; });
+  });
+});
+`;
+
+/**
+ * SessionHtmlRenderer - Renders a conversation as a self-contained HTML page
+ *
+ * The page is for readers who don't have the explorer, such as reviewers of a
+ * pull request or an incident: styles and the few lines of script are inlined,
+ * and nothing is loaded from elsewhere. Tool calls render like the app shows
+ * them: Bash as a terminal block with its output, Edit and MultiEdit as diffs,
+ * Write as the file written, with results attached to the call they answer.
+ */
+class SessionHtmlRenderer {
+  /**
+   * @param {Object} [options]
+   * @param {CostCalculator} [options.costCalculator] - Formats costs
+   */
+  constructor(options = {}) {
+    this.costCalculator = options.costCalculator || new CostCalculator();
+  }
+
+  /**
+   * Render the page
+   * @param {Array} messages - Parsed conversation messages, with toolResults attached
+   * @param {Object} conversationData - Conversation metadata
+   * @param {Object} stats - Export statistics ({ messageCount, totalMessageCount, wasLimited, cost })
+   * @returns {string} HTML document
+   */
+  render(messages, conversationData, stats) {
+    const heading = conversationData.project || 'Claude Code session';
+    const lines = [];
+
+    lines.push('<!DOCTYPE html>');
+    lines.push('<html lang="en"><head><meta charset="utf-8">');
+    lines.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+    lines.push(`<title>${this.escape(`${heading} (${conversationData.id || ''})`)}</title>`);
+    lines.push(`<style>${PAGE_STYLE}</style>`);
+    lines.push('</head><body>');
+    lines.push(`<h1>${this.escape(heading)}</h1>`);
+    lines.push(`<p class="session">Session ${this.escape(conversationData.id || '')}` +
+      (conversationData.cwd ? ` · ${this.escape(conversationData.cwd)}` : '') + '</p>');
+    lines.push(this.renderStats(messages, stats));
+    lines.push('<nav class="controls">' +
+      '<button type="button" data-toggle="expand">Expand tool calls</button>' +
+      '<button type="button" data-toggle="collapse">Collapse tool calls</button>' +
+      '<button type="button" data-toggle="thinking">Show/hide thinking</button>' +
+      '</nav>');
+
+    messages.forEach((msg, index) => {
+      lines.push(this.renderMessage(msg, index + 1));
+    });
+
+    lines.push(`<footer>Exported ${this.escape(new Date().toISOString())} by Claude Chats Monitor</footer>`);
+    lines.push(`<script>${PAGE_SCRIPT}</script>`);
+    lines.push('</body></html>');
+    return lines.join('\n');
+  }
+
+  /**
+   * Header cards: messages, time span, tool calls, tokens and estimated cost
+   * @param {Array} messages - Exported messages
+   * @param {Object} stats - Export statistics
+   * @returns {string} HTML
+   */
+  renderStats(messages, stats) {
+    const card = (label, value, detail = '') => '<div class="stat">' +
+      `<div class="label">${this.escape(label)}</div><div class="value">${this.escape(value)}</div>` +
+      (detail ? `<div class="detail">${this.escape(detail)}</div>` : '') + '</div>';
+    const number = value => (value || 0).toLocaleString('en-US');
+    const cards = [];
+
+    cards.push(card('Messages', number(stats.messageCount),
+      stats.wasLimited ? `most recent of ${number(stats.totalMessageCount)}` : ''));
+
+    const times = messages.map(msg => new Date(msg.timestamp).getTime()).filter(time => !Number.isNaN(time));
+    if (times.length > 0) {
+      const start = times.reduce((min, time) => Math.min(min, time));
+      const end = times.reduce((max, time) => Math.max(max, time));
+      cards.push(card('Started', new Date(start).toLocaleString(), this.formatDuration(end - start)));
+    }
+
+    const toolCalls = messages.reduce((count, msg) => count + this.contentBlocks(msg.content)
+      .filter(block => block.type === 'tool_use').length, 0);
+    cards.push(card('Tool calls', number(toolCalls)));
+
+    if (stats.cost) {
+      const tokens = { input: 0, output: 0, cacheCreation: 0, cacheRead: 0 };
+      for (const entry of stats.cost.byModel) {
+        for (const key of Object.keys(tokens)) tokens[key] += entry.tokens[key] || 0;
+      }
+      cards.push(card('Tokens', number(tokens.input + tokens.output + tokens.cacheCreation + tokens.cacheRead),
+        `in ${number(tokens.input)} · out ${number(tokens.output)} · cache write ${number(tokens.cacheCreation)} · cache read ${number(tokens.cacheRead)}`));
+      cards.push(card('Estimated cost', this.costCalculator.formatCost(stats.cost.total),
+        stats.cost.byModel.map(entry => `${entry.model} ${this.costCalculator.formatCost(entry.cost.total)}`).join(', ')));
+    }
+
+    return `<section class="stats">${cards.join('')}</section>`;
+  }
+
+  /**
+   * @param {Object} msg - Parsed message
+   * @param {number} number - Position in the export, used as its anchor
+   * @returns {string} HTML
+   */
+  renderMessage(msg, number) {
+    const role = msg.role === 'user' ? 'user' : 'assistant';
+    const timestamp = msg.timestamp ? new Date(msg.timestamp).toLocaleString() : '';
+    const results = msg.toolResults || [];
+    const parts = this.contentBlocks(msg.content).map(block => this.renderBlock(block, results));
+
+    return `<section class="message ${role}" id="m${number}">` +
+      `<div><span class="role">${role === 'user' ? 'User' : 'Assistant'}</span>` +
+      `<span class="time"><a href="#m${number}">#${number}</a> · ${this.escape(timestamp)}</span>` +
+      (msg.isCompactSummary ? '<span class="summary-note">compacted summary</span>' : '') + '</div>' +
+      parts.join('\n') + '</section>';
+  }
+
+  /**
+   * @param {Object} block - Content block
+   * @param {Array} results - Tool results attached to the message
+   * @returns {string} HTML
+   */
+  renderBlock(block, results) {
+    switch (block.type) {
+      case 'text':
+        return `<div class="text">${this.escape(block.text)}</div>`;
+      case 'thinking':
+        return '<details class="thinking"><summary>Thinking</summary>' +
+          `<div class="text">${this.escape(block.thinking || '')}</div></details>`;
+      case 'redacted_thinking':
+        return '<details class="thinking"><summary>Thinking (redacted)</summary></details>';
+      case 'tool_use':
+        return this.renderToolCall(block, results.find(result => result.tool_use_id === block.id));
+      case 'tool_result':
+        // A result whose call isn't in the export
+        return this.renderOutput(this.resultText(block.content), block.is_error);
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * A collapsible tool call: a one-line summary, then its input and result
+   * @param {Object} block - tool_use block
+   * @param {Object} [result] - Matching tool_result block
+   * @returns {string} HTML
+   */
+  renderToolCall(block, result) {
+    const name = block.name || 'tool';
+    const input = block.input || {};
+    const summary = this.toolSummary(name, input);
+    const output = result ? this.resultText(result.content) : null;
+    let body;
+
+    switch (name) {
+      case 'Bash':
+        body = '<pre class="terminal">' +
+          `<span class="prompt">$ </span>${this.escape(input.command || '')}</pre>` +
+          (input.description ? `<div class="detail">${this.escape(input.description)}</div>` : '');
+        break;
+      case 'Edit':
+        body = this.renderDiff(input.old_string, input.new_string);
+        break;
+      case 'MultiEdit':
+        body = (input.edits || []).map(edit => this.renderDiff(edit.old_string, edit.new_string)).join('');
+        break;
+      case 'Write':
+        body = `<pre>${this.escape(input.content || '')}</pre>`;
+        break;
+      case 'TodoWrite':
+        body = '<ul class="todos">' + (input.todos || []).map(todo =>
+          `<li class="${this.escape(todo.status || '')}">${this.escape(todo.content || '')}</li>`).join('') + '</ul>';
+        break;
+      default:
+        body = `<pre>${this.escape(JSON.stringify(input, null, 2))}</pre>`;
+    }
+
+    // Edits and writes answer with a confirmation; show it only when they failed
+    const quietResult = ['Edit', 'MultiEdit', 'Write', 'TodoWrite'].includes(name) && !(result && result.is_error);
+    if (output !== null && !quietResult) {
+      body += '<div class="label">Output</div>' + this.renderOutput(output, result.is_error, name === 'Bash');
+    }
+
+    return `<details class="tool${result && result.is_error ? ' error' : ''}">` +
+      `<summary><span class="tool-name">${this.escape(name)}</span>${summary ? ` ${this.escape(summary)}` : ''}</summary>` +
+      body + '</details>';
+  }
+
+  /**
+   * @param {string} text - Tool output
+   * @param {boolean} isError - Whether the tool reported an error
+   * @param {boolean} [terminal] - Style as terminal output
+   * @returns {string} HTML
+   */
+  renderOutput(text, isError, terminal = false) {
+    const classes = ['output', terminal ? 'terminal' : '', isError ? 'error' : ''].filter(Boolean).join(' ');
+    return `<pre class="${classes}">${this.escape(text)}</pre>`;
+  }
+
+  /**
+   * A line diff of a replacement. The lines both sides share at the start and
+   * end are context; the rest of the old text is removed and the new added.
+   * @param {string} oldText - Text replaced
+   * @param {string} newText - Replacement
+   * @returns {string} HTML
+   */
+  renderDiff(oldText, newText) {
+    const before = String(oldText ?? '').split('\n');
+    const after = String(newText ?? '').split('\n');
+
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+      before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+    const line = (type, marker, text) => `<span class="${type}">${marker} ${this.escape(text)}</span>`;
+    const lines = [
+      ...before.slice(0, prefix).map(text => line('ctx', ' ', text)),
+      ...before.slice(prefix, before.length - suffix).map(text => line('del', '-', text)),
+      ...after.slice(prefix, after.length - suffix).map(text => line('add', '+', text)),
+      ...before.slice(before.length - suffix).map(text => line('ctx', ' ', text))
+    ];
+    return `<pre class="diff">${lines.join('')}</pre>`;
+  }
+
+  /**
+   * The argument shown next to a tool name, as in the app's compact command
+   * @param {string} name - Tool name
+   * @param {Object} input - Tool input
+   * @returns {string} Plain text
+   */
+  toolSummary(name, input) {
+    switch (name) {
+      case 'Bash':
+        return input.command ? this.truncate(input.command.split('\n')[0], 120) : '';
+      case 'Read':
+      case 'Edit':
+      case 'MultiEdit':
+      case 'Write':
+        return input.file_path || '';
+      case 'Glob':
+      case 'Grep':
+        return input.pattern ? `"${input.pattern}"${input.path ? ` in ${input.path}` : ''}` : '';
+      case 'TodoWrite':
+        return `${Array.isArray(input.todos) ? input.todos.length : 0} todos`;
+      case 'Task':
+        return input.description || '';
+      case 'WebFetch':
+        return input.url || '';
+      case 'WebSearch':
+        return input.query || '';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * @param {string|Array|Object} content - Message content
+   * @returns {Array} Content blocks
+   */
+  contentBlocks(content) {
+    if (typeof content === 'string') return [{ type: 'text', text: content }];
+    if (Array.isArray(content)) return content;
+    return content ? [content] : [];
+  }
+
+  /**
+   * @param {string|Array} content - tool_result content: a string or text and image blocks
+   * @returns {string} Plain text
+   */
+  resultText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return JSON.stringify(content, null, 2);
+    return content
+      .map(part => (part.type === 'text' ? part.text : `[${part.type}]`))
+      .join('\n');
+  }
+
+  /**
+   * @param {number} ms - Duration
+   * @returns {string} e.g. "2h 5m", "45s"
+   */
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  /**
+   * @param {string} text - Text to shorten
+   * @param {number} length - Maximum length
+   * @returns {string}
+   */
+  truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+
+  /**
+   * @param {*} text - Text to put in the page
+   * @returns {string} HTML-escaped text
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = SessionHtmlRenderer;
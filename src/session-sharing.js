@@ -2,24 +2,74 @@ const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
+const crypto = require('crypto');
+const readline = require('readline');
+const { Writable } = require('stream');
 const QRCode = require('qrcode');
+const CostCalculator = require('./analytics/core/CostCalculator');
+const SessionHtmlRenderer = require('./session-html');
+const TranscriptArchive = require('./analytics/data/TranscriptArchive');
+const ExportArchive = require('./export-archive');
+const { writeChunk } = require('./export-archive');
+const Redactor = require('./redaction');
+const { entryLine, parseExport, parseLine } = require('./transcript-lines');
+const { ShareBundleError, decryptBundle, encryptBundle, isEncryptedBundle, splitShareUrl } = require('./share-bundle');
+const { createShareTarget, fetchSharedFile } = require('./share-targets');
+
+// Session IDs are file names: UUIDs, or agent-<id> for subagents
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Export format of full-fidelity exports, which add subagent transcripts
+const FULL_EXPORT_VERSION = '1.1.0';
+
+// Subagent transcripts, in their parent session's <session id>/subagents folder
+const SUBAGENT_FOLDER = 'subagents';
+const TRANSCRIPT_FILE_PATTERN = /\.jsonl(\.gz)?$/;
+
+// Formats a bulk export writes each session in, with their file extensions
+const BULK_EXPORT_FORMATS = { json: 'json', jsonl: 'jsonl', md: 'md', html: 'html' };
+
+// Length of the first prompt shown in an import preview
+const PREVIEW_PROMPT_CHARS = 300;
+
+/**
+ * An uploaded or downloaded file that isn't a usable session
+ */
+class SessionFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionFileError';
+  }
+}
 
 /**
  * SessionSharing - Handles exporting Claude Code sessions as downloadable context
+ *
+ * Every export and upload masks secrets and personal data with the Redactor
+ * unless its options say `redact: false`. Shared sessions are uploaded as
+ * encrypted bundles (see share-bundle.js) to a pluggable share target.
  */
 class SessionSharing {
-  constructor(conversationAnalyzer) {
+  /**
+   * @param {ConversationAnalyzer} conversationAnalyzer - Parses transcripts
+   * @param {Object} [options]
+   * @param {CostCalculator} [options.costCalculator] - Pricing for cost estimates
+   * @param {Object} [options.redaction] - Redactor settings: { rules, disable }
+   * @param {Object} [options.share] - Share target settings for createShareTarget()
+   * @param {Object} [options.shareTarget] - Target to upload to instead: { name, upload(content, filename) }
+   */
+  constructor(conversationAnalyzer, options = {}) {
     this.conversationAnalyzer = conversationAnalyzer;
+    this.costCalculator = options.costCalculator || new CostCalculator();
+    this.redactor = new Redactor(options.redaction);
+    this.shareTarget = options.shareTarget || createShareTarget(options.share);
   }
 
   /**
    * Export conversation session as downloadable markdown file
    * @param {string} conversationId - Conversation ID to export
    * @param {Object} conversationData - Full conversation data object
-   * @param {Object} options - Export options (messageLimit, etc.)
+   * @param {Object} options - Export options (messageLimit, redact)
    * @returns {Promise<Object>} Export result with markdown content and filename
    */
   async exportSessionAsMarkdown(conversationId, conversationData, options = {}) {
@@ -31,13 +81,14 @@ class SessionSharing {
 
       // Limit messages to avoid large file sizes (default: last 100 messages)
       const messageLimit = options.messageLimit || 100;
-      const messages = allMessages.slice(-messageLimit);
+      const { messages, redactions } = this._redactMessages(allMessages.slice(-messageLimit), options);
 
       // 2. Convert to markdown format
       const markdown = this.convertToMarkdown(messages, conversationData, {
         messageCount: messages.length,
         totalMessageCount: allMessages.length,
-        wasLimited: allMessages.length > messageLimit
+        wasLimited: allMessages.length > messageLimit,
+        cost: this.costCalculator.calculateMessagesCost(allMessages)
       });
 
       // 3. Generate filename
@@ -46,7 +97,7 @@ class SessionSharing {
       const filename = `claude-context-${projectName}-${date}.md`;
 
       console.log(chalk.green(`✅ Session exported successfully!`));
-      console.log(chalk.gray(`📊 Exported ${messages.length} messages`));
+      console.log(chalk.gray(`📊 Exported ${messages.length} messages` + (redactions?.total ? `, masked ${redactions.total} secrets` : '')));
 
       return {
         success: true,
@@ -54,7 +105,8 @@ class SessionSharing {
         filename,
         messageCount: messages.length,
         totalMessageCount: allMessages.length,
-        wasLimited: allMessages.length > messageLimit
+        wasLimited: allMessages.length > messageLimit,
+        redactions
       };
     } catch (error) {
       console.error(chalk.red('❌ Failed to export session:'), error.message);
@@ -78,6 +130,12 @@ class SessionSharing {
     lines.push(`**Project:** ${conversationData.project || 'Unknown'}`);
     lines.push(`**Date:** ${new Date().toISOString().split('T')[0]}`);
     lines.push(`**Messages in this export:** ${stats.messageCount}${stats.wasLimited ? ` (most recent from a total of ${stats.totalMessageCount})` : ''}`);
+    if (stats.cost && stats.cost.byModel.length > 0) {
+      const models = stats.cost.byModel
+        .map(entry => `${entry.model} ${this.costCalculator.formatCost(entry.cost.total)}`)
+        .join(', ');
+      lines.push(`**Estimated session cost:** ${this.costCalculator.formatCost(stats.cost.total)} (${models})`);
+    }
     lines.push('');
     lines.push('---');
     lines.push('');
@@ -125,11 +183,56 @@ class SessionSharing {
     return lines.join('\n');
   }
 
+  /**
+   * Export conversation session as a standalone HTML page
+   * @param {string} conversationId - Conversation ID to export
+   * @param {Object} conversationData - Full conversation data object
+   * @param {Object} options - Export options (messageLimit, redact)
+   * @returns {Promise<Object>} Export result with html content and filename
+   */
+  async exportSessionAsHtml(conversationId, conversationData, options = {}) {
+    const allMessages = await this.conversationAnalyzer.getParsedConversation(conversationData.filePath);
+
+    const messageLimit = options.messageLimit || 100;
+    const { messages, redactions } = this._redactMessages(allMessages.slice(-messageLimit), options);
+
+    const html = this.convertToHtml(messages, conversationData, {
+      messageCount: messages.length,
+      totalMessageCount: allMessages.length,
+      wasLimited: allMessages.length > messageLimit,
+      cost: this.costCalculator.calculateMessagesCost(allMessages)
+    });
+
+    const projectName = (conversationData.project || 'session').replace(/[^a-zA-Z0-9-_]/g, '-');
+    const date = new Date().toISOString().split('T')[0];
+
+    return {
+      success: true,
+      html,
+      filename: `claude-session-${projectName}-${date}.html`,
+      messageCount: messages.length,
+      totalMessageCount: allMessages.length,
+      wasLimited: allMessages.length > messageLimit,
+      redactions
+    };
+  }
+
+  /**
+   * Convert conversation messages to a self-contained HTML page
+   * @param {Array} messages - Parsed conversation messages
+   * @param {Object} conversationData - Conversation metadata
+   * @param {Object} stats - Export statistics
+   * @returns {string} HTML document
+   */
+  convertToHtml(messages, conversationData, stats) {
+    return new SessionHtmlRenderer({ costCalculator: this.costCalculator }).render(messages, conversationData, stats);
+  }
+
   /**
    * Export session data to standardized format
    * @param {string} conversationId - Conversation ID
    * @param {Object} conversationData - Conversation metadata
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options (messageLimit, redact)
    * @returns {Promise<Object>} Exported session object
    */
   async exportSessionData(conversationId, conversationData, options = {}) {
@@ -138,7 +241,7 @@ class SessionSharing {
 
     // Limit messages to avoid large file sizes (default: last 100 messages)
     const messageLimit = options.messageLimit || 100;
-    const messages = allMessages.slice(-messageLimit);
+    const { messages, redactions } = this._redactMessages(allMessages.slice(-messageLimit), options);
 
     // Convert parsed messages back to JSONL format (original Claude Code format)
     const jsonlMessages = messages.map(msg => {
@@ -185,6 +288,7 @@ class SessionSharing {
         totalMessageCount: allMessages.length,
         wasLimited: allMessages.length > messageLimit,
         tokens: conversationData.tokens,
+        estimatedCost: Number(this.costCalculator.calculateMessagesCost(allMessages).total.toFixed(4)),
         model: conversationData.modelInfo?.primaryModel || 'claude-sonnet-4-5-20250929'
       },
       messages: jsonlMessages,
@@ -192,6 +296,8 @@ class SessionSharing {
         exportTool: 'claude-chats-monitor',
         exportVersion: require('../package.json').version || '1.0.0',
         messageLimit: messageLimit,
+        redacted: redactions !== null,
+        redactions: redactions ? redactions.total : 0,
         description: 'Claude Code session export'
       }
     };
@@ -207,68 +313,379 @@ class SessionSharing {
   }
 
   /**
-   * Upload session to x0.at
-   * @param {Object} sessionData - Session export data
-   * @param {string} conversationId - Conversation ID for filename
-   * @returns {Promise<string>} Upload URL
+   * Stream a full-fidelity export: every line of the transcript as Claude Code wrote
+   * it, with nothing cut off or rebuilt from parsed messages.
+   *
+   * As 'jsonl' the output is the transcript file itself. As 'json' it's an export
+   * that parseSessionFile() and installSession() take, with the transcript lines in
+   * `messages` and, with includeSubagents, each subagent's lines in `subagents`.
+   * A JSON export must stay valid, so lines that don't parse (one cut off while
+   * Claude Code was writing it) are left out and counted in metadata.skippedLines.
+   * Redaction rewrites just the lines holding something to mask.
+   * @param {Object} conversationData - Conversation metadata, with filePath
+   * @param {stream.Writable} output - Stream the export is written to
+   * @param {Object} [options]
+   * @param {string} [options.format] - 'json' (default) or 'jsonl'
+   * @param {boolean} [options.includeSubagents] - Add the subagent transcripts ('json' only)
+   * @param {boolean} [options.redact] - Mask secrets (default true)
+   * @returns {Promise<Object>} { lineCount, skippedLines, subagentCount, redactions }
    */
-  async uploadToX0(sessionData, conversationId) {
-    const tmpDir = path.join(os.tmpdir(), 'claude-code-sessions');
-    await fs.ensureDir(tmpDir);
+  async writeFullExport(conversationData, output, options = {}) {
+    const write = chunk => writeChunk(output, chunk);
+    const findings = options.redact === false ? null : {};
+    const readLines = filePath => readline.createInterface({ input: TranscriptArchive.createReadStream(filePath), crlfDelay: Infinity });
+
+    if (options.format === 'jsonl') {
+      let lineCount = 0;
+      if (!findings) {
+        for await (const chunk of TranscriptArchive.createReadStream(conversationData.filePath)) {
+          lineCount += chunk.split('\n').length - 1;
+          await write(chunk);
+        }
+        return { lineCount, skippedLines: 0, subagentCount: 0, redactions: null };
+      }
 
-    const tmpFile = path.join(tmpDir, `session-${conversationId}.json`);
+      for await (const line of readLines(conversationData.filePath)) {
+        await write(this.redactor.redactLine(line, findings) + '\n');
+        lineCount++;
+      }
+      return { lineCount, skippedLines: 0, subagentCount: 0, redactions: Redactor.summarize(findings) };
+    }
 
-    try {
-      // Write session data to temp file
-      await fs.writeFile(tmpFile, JSON.stringify(sessionData, null, 2), 'utf8');
-
-      console.log(chalk.gray(`📁 Created temp file: ${tmpFile}`));
-      console.log(chalk.gray(`📤 Uploading to x0.at...`));
-
-      // Upload to x0.at using curl with form data
-      // x0.at API: curl -F'file=@yourfile.png' https://x0.at
-      // Response: Direct URL in plain text
-      const { stdout, stderr } = await execAsync(
-        `curl -s -F "file=@${tmpFile}" ${this.uploadUrl}`,
-        { maxBuffer: 10 * 1024 * 1024 } // 10MB buffer
-      );
-
-      // x0.at returns URL directly in plain text
-      const uploadUrl = stdout.trim();
-
-      // Validate response
-      if (!uploadUrl || !uploadUrl.startsWith('http')) {
-        throw new Error(`Invalid response from x0.at: ${uploadUrl || stderr}`);
+    const subagents = options.includeSubagents ? await this.findSubagentTranscripts(conversationData) : [];
+    let lineCount = 0;
+    let skippedLines = 0;
+
+    // Each line goes into the array as it was read, one per output line
+    const writeLines = async filePath => {
+      let separator = '\n';
+      for await (const line of readLines(filePath)) {
+        if (!line.trim()) continue;
+        try {
+          JSON.parse(line);
+        } catch {
+          skippedLines++;
+          continue;
+        }
+        await write(separator + (findings ? this.redactor.redactLine(line.trim(), findings) : line.trim()));
+        separator = ',\n';
+        lineCount++;
       }
+      await write('\n]');
+    };
 
-      console.log(chalk.green(`✅ Uploaded to x0.at successfully`));
-      console.log(chalk.yellow(`⚠️  Files kept for 3-100 days (based on size)`));
-      console.log(chalk.gray(`🔓 Note: Files are not encrypted by default`));
+    const header = {
+      version: FULL_EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      conversation: {
+        id: conversationData.id,
+        project: conversationData.project || 'shared-session',
+        created: conversationData.created,
+        lastModified: conversationData.lastModified,
+        messageCount: conversationData.messageCount,
+        totalMessageCount: conversationData.messageCount,
+        wasLimited: false,
+        tokens: conversationData.tokens,
+        model: conversationData.modelInfo?.primaryModel || null
+      }
+    };
+    await write(JSON.stringify(header).slice(0, -1) + ',"messages":[');
+    await writeLines(conversationData.filePath);
+
+    if (subagents.length > 0) {
+      await write(',"subagents":[');
+      for (const [index, subagent] of subagents.entries()) {
+        await write(`${index > 0 ? ',' : ''}\n{"id":${JSON.stringify(subagent.id)},"messages":[`);
+        await writeLines(subagent.filePath);
+        await write('}');
+      }
+      await write('\n]');
+    }
 
-      // Clean up temp file
-      await fs.remove(tmpFile);
+    const redactions = findings ? Redactor.summarize(findings) : null;
+    const metadata = {
+      exportTool: 'claude-chats-monitor',
+      exportVersion: require('../package.json').version || '1.0.0',
+      fullFidelity: true,
+      lineCount,
+      skippedLines,
+      redacted: redactions !== null,
+      redactions: redactions ? redactions.total : 0,
+      description: 'Claude Code session export (full transcript)'
+    };
+    await write(`,"metadata":${JSON.stringify(metadata)}}\n`);
 
-      return uploadUrl;
-    } catch (error) {
-      // Clean up temp file on error
-      await fs.remove(tmpFile).catch(() => {});
-      throw error;
+    return { lineCount, skippedLines, subagentCount: subagents.length, redactions };
+  }
+
+  /**
+   * Stream a bulk export: an archive with each session in the chosen format under
+   * its project's folder, and an index.json listing every session with its metadata
+   * and estimated cost. JSON and JSONL are full exports (see writeFullExport());
+   * Markdown and HTML pages hold every message. A session that can't be read is
+   * listed in the index with its error instead of failing the whole export. The
+   * index records how many secrets were masked in each session.
+   * @param {Array<Object>} conversations - Conversations to export
+   * @param {stream.Writable} output - Stream the archive is written to; not ended
+   * @param {Object} [options]
+   * @param {string} [options.format] - Key of BULK_EXPORT_FORMATS (default 'json')
+   * @param {string} [options.archive] - 'zip' (default) or 'tar.gz'
+   * @param {boolean} [options.includeSubagents] - Add subagent transcripts to JSON exports
+   * @param {boolean} [options.redact] - Mask secrets (default true)
+   * @param {Object} [options.selection] - How the conversations were chosen, recorded in the index
+   * @returns {Promise<Object>} The index
+   */
+  async writeBulkExport(conversations, output, options = {}) {
+    const format = options.format || 'json';
+    if (!BULK_EXPORT_FORMATS[format]) {
+      throw new SessionFileError(`Unknown export format: ${format}`);
+    }
+    const archive = new ExportArchive(output, options.archive || 'zip');
+    const redact = options.redact !== false;
+
+    const index = {
+      version: FULL_EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      format,
+      selection: options.selection || null,
+      redacted: redact,
+      totals: { conversations: 0, messages: 0, tokens: 0, estimatedCost: 0, redactions: 0, failed: 0 },
+      conversations: []
+    };
+
+    for (const conversation of conversations) {
+      const file = `${this.sanitizeProjectName(conversation.project || 'unknown').slice(0, 100)}/${conversation.id}.${BULK_EXPORT_FORMATS[format]}`;
+      const entry = {
+        id: conversation.id,
+        project: conversation.project || null,
+        source: conversation.source || null,
+        created: conversation.created || null,
+        lastModified: conversation.lastModified || null,
+        messageCount: conversation.messageCount || 0,
+        tokens: conversation.tokens || 0,
+        estimatedCost: typeof conversation.estimatedCost === 'number' ? Number(conversation.estimatedCost.toFixed(4)) : null,
+        model: conversation.modelInfo?.primaryModel || null,
+        archived: conversation.archived === true,
+        file
+      };
+
+      try {
+        const { content, redactions } = await this._renderForBulkExport(conversation, format, {
+          includeSubagents: options.includeSubagents === true,
+          redact
+        });
+        await archive.addFile(file, content, conversation.lastModified ? new Date(conversation.lastModified) : new Date());
+        entry.redactions = redactions ? redactions.total : 0;
+        index.totals.conversations++;
+        index.totals.messages += entry.messageCount;
+        index.totals.tokens += entry.tokens;
+        index.totals.estimatedCost += entry.estimatedCost || 0;
+        index.totals.redactions += entry.redactions;
+      } catch (error) {
+        // The archive itself failing (the download was cancelled) ends the export
+        if (error instanceof ExportArchive.ExportArchiveError) {
+          throw error;
+        }
+        entry.file = null;
+        entry.error = error.message;
+        index.totals.failed++;
+      }
+      index.conversations.push(entry);
+    }
+
+    index.totals.estimatedCost = Number(index.totals.estimatedCost.toFixed(4));
+    await archive.addFile('index.json', JSON.stringify(index, null, 2) + '\n');
+    await archive.finish();
+    return index;
+  }
+
+  /**
+   * One session's file in a bulk export
+   * @private
+   * @returns {Promise<Object>} { content, redactions }
+   */
+  async _renderForBulkExport(conversation, format, options) {
+    if (format === 'json' || format === 'jsonl') {
+      const { content, result } = await this._fullExportBuffer(conversation, { format, ...options });
+      return { content, redactions: result.redactions };
+    }
+
+    const allMessages = await this.conversationAnalyzer.getParsedConversation(conversation.filePath);
+    const { messages, redactions } = this._redactMessages(allMessages, options);
+    const stats = {
+      messageCount: messages.length,
+      totalMessageCount: messages.length,
+      wasLimited: false,
+      cost: this.costCalculator.calculateMessagesCost(allMessages)
+    };
+    const content = format === 'md'
+      ? this.convertToMarkdown(messages, conversation, stats)
+      : this.convertToHtml(messages, conversation, stats);
+    return { content, redactions };
+  }
+
+  /**
+   * A full export held in memory
+   * @private
+   * @returns {Promise<Object>} { content, result } with result as from writeFullExport()
+   */
+  async _fullExportBuffer(conversation, options) {
+    const chunks = [];
+    const collector = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      }
+    });
+    const result = await this.writeFullExport(conversation, collector, options);
+    return { content: Buffer.concat(chunks), result };
+  }
+
+  /**
+   * Mask secrets and personal data in parsed messages, unless options.redact is false
+   * @private
+   * @returns {Object} { messages, redactions } with redactions as from Redactor.summarize(), or null
+   */
+  _redactMessages(messages, options = {}) {
+    if (options.redact === false) {
+      return { messages, redactions: null };
     }
+    const findings = {};
+    const redacted = messages.map(message => this.redactor.redactValue(message, findings));
+    return { messages: redacted, redactions: Redactor.summarize(findings) };
+  }
+
+  /**
+   * Everything an export of the session would mask, to show before it's downloaded
+   * or shared. Covers the whole transcript, and the subagent transcripts if asked.
+   * @param {Object} conversationData - Conversation metadata, with id and filePath
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSubagents] - Scan the subagent transcripts too
+   * @returns {Promise<Object>} { total, findings: [{ id, label, count, examples }] }
+   */
+  async previewRedactions(conversationData, options = {}) {
+    const files = [conversationData.filePath];
+    if (options.includeSubagents) {
+      files.push(...(await this.findSubagentTranscripts(conversationData)).map(subagent => subagent.filePath));
+    }
+
+    const findings = {};
+    for (const filePath of files) {
+      const lines = readline.createInterface({ input: TranscriptArchive.createReadStream(filePath), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (line.trim()) this.redactor.redactLine(line, findings);
+      }
+    }
+    return Redactor.summarize(findings);
+  }
+
+  /**
+   * Mask secrets in a session export before it's shared: the messages of the
+   * session and its subagents
+   * @param {Object} sessionData - Session export data
+   * @param {Object} [findings] - Collects what was masked
+   * @returns {Object} A redacted copy
+   */
+  redactSessionData(sessionData, findings = null) {
+    // Line by line like a JSONL export: entries with nothing to mask keep the line they were read from
+    const redactEntries = entries => entries.map(entry => {
+      const line = entryLine(entry);
+      const redacted = this.redactor.redactLine(line, findings);
+      return redacted === line ? entry : parseLine(redacted);
+    });
+
+    const redacted = { ...sessionData, messages: redactEntries(sessionData.messages) };
+    if (Array.isArray(sessionData.subagents)) {
+      redacted.subagents = sessionData.subagents.map(subagent => ({
+        ...subagent,
+        messages: redactEntries(subagent.messages)
+      }));
+    }
+    return redacted;
+  }
+
+  /**
+   * Find the transcripts of a session's subagents. They're kept next to the
+   * session file, in <session id>/subagents/, in the projects folder and archive alike.
+   * @param {Object} conversationData - Conversation metadata, with id and filePath
+   * @returns {Promise<Array<{id, filePath}>>} Sorted by ID
+   */
+  async findSubagentTranscripts(conversationData) {
+    const folder = path.join(path.dirname(conversationData.filePath), conversationData.id, SUBAGENT_FOLDER);
+    if (!await fs.pathExists(folder)) {
+      return [];
+    }
+
+    return (await fs.readdir(folder))
+      .filter(name => TRANSCRIPT_FILE_PATTERN.test(name))
+      .sort()
+      .map(name => ({ id: name.replace(TRANSCRIPT_FILE_PATTERN, ''), filePath: path.join(folder, name) }));
+  }
+
+  /**
+   * Share a session: its full transcript and subagents, with secrets masked unless
+   * options.redact is false, encrypted and uploaded to the share target
+   * @param {Object} conversationData - Conversation metadata, with id and filePath
+   * @param {Object} [options]
+   * @param {string} [options.passphrase] - Lock the bundle with a passphrase instead of a key in the link
+   * @param {boolean} [options.redact] - Mask secrets (default true)
+   * @returns {Promise<Object>} { url, shareUrl, passphraseProtected, target, messageCount, subagentCount, redactions }
+   *   where shareUrl is the link to hand over: url with the key in its fragment, unless a passphrase was given
+   */
+  async shareSession(conversationData, options = {}) {
+    const { content } = await this._fullExportBuffer(conversationData, { format: 'json', includeSubagents: true, redact: false });
+    const sessionData = parseExport(content.toString('utf8'));
+    const result = await this.uploadSession(sessionData, options);
+
+    console.log(chalk.green(`✅ Shared session ${conversationData.id} through ${result.target}`) +
+      (result.redactions?.total ? chalk.gray(`, masked ${result.redactions.total} secrets`) : ''));
+
+    return {
+      ...result,
+      messageCount: sessionData.messages.length,
+      subagentCount: (sessionData.subagents || []).length
+    };
+  }
+
+  /**
+   * Upload a session export as an encrypted bundle. Secrets are masked first
+   * unless options.redact is false; nothing is sent in plain text.
+   * @param {Object} sessionData - Session export data
+   * @param {Object} [options] - { passphrase, redact }
+   * @returns {Promise<Object>} { url, shareUrl, passphraseProtected, target, redactions }
+   */
+  async uploadSession(sessionData, options = {}) {
+    const findings = options.redact === false ? null : {};
+    const shared = findings ? this.redactSessionData(sessionData, findings) : sessionData;
+    const { bundle, key } = await encryptBundle(shared, { passphrase: options.passphrase });
+
+    // A random name, so the file name gives away neither the project nor the session
+    const filename = `claude-session-${crypto.randomBytes(8).toString('hex')}.json`;
+    const url = await this.shareTarget.upload(Buffer.from(JSON.stringify(bundle), 'utf8'), filename);
+
+    return {
+      url,
+      shareUrl: key ? `${url}#key=${key}` : url,
+      passphraseProtected: !key,
+      target: this.shareTarget.name || 'custom',
+      redactions: findings ? Redactor.summarize(findings) : null
+    };
   }
 
   /**
    * Clone a session from a shared URL
    * Downloads the session and places it in the correct Claude Code location
-   * @param {string} url - URL to download session from
-   * @param {Object} options - Clone options
+   * @param {string} url - Share link, with #key=... for bundles shared without a passphrase
+   * @param {Object} options - Clone options: installSession() options and downloadSession()'s
+   *   { passphrase, askPassphrase }
    * @returns {Promise<Object>} Result with session path
    */
   async cloneSession(url, options = {}) {
-    console.log(chalk.blue(`📥 Downloading session from ${url}...`));
+    console.log(chalk.blue(`📥 Downloading session from ${splitShareUrl(url).url}...`));
 
     try {
-      // 1. Download session data
-      const sessionData = await this.downloadSession(url);
+      // 1. Download and decrypt session data
+      const sessionData = await this.downloadSession(url, options);
 
       // 2. Validate session data
       this.validateSessionData(sessionData);
@@ -298,93 +715,293 @@ class SessionSharing {
   }
 
   /**
-   * Download session data from URL
-   * @param {string} url - URL to download from
+   * Download session data from a share link, decrypting it if it's a bundle. Links
+   * are http(s) URLs, or the path of a bundle in a shared folder (see
+   * DirectoryShareTarget), which is read as a local file like an import.
+   * @param {string} url - Share link; a #key=... fragment is used as the key
+   * @param {Object} [secrets] - { passphrase, key }, and askPassphrase: an async function
+   *   asked for the passphrase of a locked bundle when none was given, so the bundle
+   *   isn't downloaded again to try it
    * @returns {Promise<Object>} Session data
+   * @throws {ShareBundleError} When the bundle can't be decrypted
+   * @throws {ShareTargetError} For URLs other than http(s) and failed downloads
    */
-  async downloadSession(url) {
-    try {
-      // Use curl to download (works with x0.at and other services)
-      const { stdout, stderr } = await execAsync(`curl -L "${url}"`, {
-        maxBuffer: 50 * 1024 * 1024 // 50MB buffer for large sessions
-      });
-
-      if (stderr && !stdout) {
-        throw new Error(`Download failed: ${stderr}`);
+  async downloadSession(url, secrets = {}) {
+    const link = splitShareUrl(url);
+    let content;
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(link.url)) {
+      content = await fetchSharedFile(link.url);
+    } else {
+      try {
+        content = await fs.readFile(link.url);
+      } catch (error) {
+        throw new SessionFileError(`Could not read ${link.url}: ${error.message}`);
       }
+    }
 
-      // Parse JSON response
-      const sessionData = JSON.parse(stdout);
-      return sessionData;
+    let parsed;
+    try {
+      parsed = parseExport(content.toString('utf8'));
+    } catch {
+      throw new SessionFileError('Invalid session file - corrupted or not a Claude Code session');
+    }
+
+    if (!isEncryptedBundle(parsed)) {
+      return parsed;
+    }
+    const key = secrets.key || link.key;
+    try {
+      return await decryptBundle(parsed, { passphrase: secrets.passphrase, key });
     } catch (error) {
-      if (error.message.includes('Unexpected token')) {
-        throw new Error('Invalid session file - corrupted or not a Claude Code session');
-      }
-      throw error;
+      if (!(error instanceof ShareBundleError && error.code === 'PASSPHRASE_REQUIRED' && secrets.askPassphrase)) throw error;
     }
+    return decryptBundle(parsed, { passphrase: await secrets.askPassphrase(), key });
   }
 
   /**
    * Validate session data structure
    * @param {Object} sessionData - Session data to validate
-   * @throws {Error} If validation fails
+   * @throws {SessionFileError} If validation fails
    */
   validateSessionData(sessionData) {
-    if (!sessionData.version) {
-      throw new Error('Invalid session file - missing version');
+    if (!sessionData || !sessionData.version) {
+      throw new SessionFileError('Invalid session file - missing version');
     }
 
     if (!sessionData.conversation || !sessionData.conversation.id) {
-      throw new Error('Invalid session file - missing conversation data');
+      throw new SessionFileError('Invalid session file - missing conversation data');
     }
 
     if (!sessionData.messages || !Array.isArray(sessionData.messages)) {
-      throw new Error('Invalid session file - missing or invalid messages');
+      throw new SessionFileError('Invalid session file - missing or invalid messages');
     }
 
     if (sessionData.messages.length === 0) {
-      throw new Error('Invalid session file - no messages found');
+      throw new SessionFileError('Invalid session file - no messages found');
+    }
+
+    // The ID becomes the file name
+    if (typeof sessionData.conversation.id !== 'string' || !SESSION_ID_PATTERN.test(sessionData.conversation.id)) {
+      throw new SessionFileError('Invalid session file - conversation ID is not a valid session ID');
+    }
+
+    // Subagent IDs become file names too
+    if (sessionData.subagents !== undefined) {
+      const valid = Array.isArray(sessionData.subagents) && sessionData.subagents.every(subagent =>
+        subagent && typeof subagent.id === 'string' && SESSION_ID_PATTERN.test(subagent.id) && Array.isArray(subagent.messages));
+      if (!valid) {
+        throw new SessionFileError('Invalid session file - invalid subagent transcripts');
+      }
+    }
+  }
+
+  /**
+   * Read an uploaded session file: an export from exportSessionData() or writeFullExport(),
+   * or a raw Claude Code transcript (.jsonl) wrapped in the same format
+   * @param {string} text - File content
+   * @param {string} [filename] - Uploaded file name, the session ID of a transcript without one
+   * @returns {Object} Validated session data
+   * @throws {SessionFileError} If the file is neither
+   */
+  parseSessionFile(text, filename = '') {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+      throw new SessionFileError('Invalid session file - the file is empty');
+    }
+
+    // An export is a single JSON object; a one-line transcript parses as JSON too
+    let sessionData = null;
+    try {
+      const parsed = parseExport(trimmed);
+      if (parsed && parsed.version && parsed.conversation && Array.isArray(parsed.messages)) {
+        sessionData = parsed;
+      }
+    } catch {
+      // Not one JSON document, so read it as JSONL below
+    }
+
+    if (!sessionData) {
+      sessionData = this._sessionDataFromTranscript(trimmed.split('\n'), filename);
+    }
+
+    this.validateSessionData(sessionData);
+    return sessionData;
+  }
+
+  /**
+   * Read an uploaded session file like parseSessionFile(), decrypting it first
+   * if it's an encrypted share bundle
+   * @param {string} text - File content
+   * @param {string} [filename] - Uploaded file name
+   * @param {Object} [secrets] - { passphrase, key } for bundles
+   * @returns {Promise<Object>} Validated session data
+   * @throws {SessionFileError|ShareBundleError} If the file can't be read or decrypted
+   */
+  async openSessionFile(text, filename = '', secrets = {}) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(String(text || ''));
+    } catch {
+      // Not a bundle; parseSessionFile() reports what's wrong with it
+    }
+    if (!isEncryptedBundle(parsed)) {
+      return this.parseSessionFile(text, filename);
+    }
+
+    const sessionData = await decryptBundle(parsed, secrets);
+    this.validateSessionData(sessionData);
+    return sessionData;
+  }
+
+  /**
+   * Wrap the entries of a raw transcript in the export format
+   * @private
+   */
+  _sessionDataFromTranscript(lines, filename) {
+    const entries = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(parseLine(line));
+      } catch {
+        throw new SessionFileError(`Invalid session file - line ${index + 1} is not JSON`);
+      }
+    });
+
+    const withSession = entries.find(entry => entry.sessionId);
+    const withCwd = entries.find(entry => entry.cwd);
+    const withModel = entries.find(entry => entry.type === 'assistant' && entry.message?.model);
+    const timestamps = entries.map(entry => entry.timestamp).filter(Boolean);
+
+    return {
+      version: '1.0.0',
+      exported_at: null,
+      conversation: {
+        id: withSession ? withSession.sessionId : path.basename(filename || '', '.jsonl'),
+        project: withCwd ? path.basename(withCwd.cwd) : 'shared-session',
+        cwd: withCwd ? withCwd.cwd : null,
+        created: timestamps[0] || null,
+        lastModified: timestamps[timestamps.length - 1] || null,
+        messageCount: entries.filter(entry => entry.type === 'user' || entry.type === 'assistant').length,
+        model: withModel ? withModel.message.model : null
+      },
+      messages: entries,
+      metadata: {
+        exportTool: 'claude-code',
+        description: 'Claude Code transcript'
+      }
+    };
+  }
+
+  /**
+   * Summarize session data for a look before installing it
+   * @param {Object} sessionData - Validated session data
+   * @returns {Object} { conversationId, project, cwd, model, created, lastModified, messageCount,
+   *   lineCount, subagentCount, firstPrompt, wasLimited, exportedAt, exportTool }
+   */
+  previewSession(sessionData) {
+    const { conversation, messages } = sessionData;
+
+    let firstPrompt = null;
+    for (const entry of messages) {
+      if (entry.type !== 'user' || entry.isMeta) continue;
+      const content = entry.message?.content;
+      const text = typeof content === 'string'
+        ? content
+        : (Array.isArray(content) ? content.filter(block => block.type === 'text').map(block => block.text).join('\n') : '');
+      if (text.trim()) {
+        firstPrompt = text.trim().slice(0, PREVIEW_PROMPT_CHARS);
+        break;
+      }
     }
+
+    return {
+      conversationId: conversation.id,
+      project: conversation.project || 'shared-session',
+      cwd: conversation.cwd || messages.find(entry => entry.cwd)?.cwd || null,
+      model: conversation.model || null,
+      created: conversation.created || null,
+      lastModified: conversation.lastModified || null,
+      messageCount: messages.filter(entry => entry.type === 'user' || entry.type === 'assistant').length,
+      lineCount: messages.length,
+      subagentCount: (sessionData.subagents || []).length,
+      firstPrompt,
+      wasLimited: conversation.wasLimited === true,
+      exportedAt: sessionData.exported_at || null,
+      exportTool: sessionData.metadata?.exportTool || null
+    };
   }
 
   /**
    * Install session in Claude Code directory structure
-   * @param {Object} sessionData - Session data to install
+   * @param {Object} sessionData - Session data to install, or an encrypted bundle of it
    * @param {Object} options - Installation options
+   * @param {string} [options.claudeDir] - Claude data directory (default ~/.claude)
+   * @param {string} [options.projectDir] - Project folder to install into, under claudeDir/projects
+   * @param {string} [options.cwd] - Working directory to file the session under: replaces the
+   *   session's own, and picks the project folder Claude Code uses for it if projectDir isn't given
+   * @param {boolean} [options.overwrite] - Set to false to refuse replacing an existing session
+   *   (the error has code SESSION_EXISTS)
+   * @param {string} [options.projectPath] - Project path recorded in settings.json, which is
+   *   only written into a project folder the import creates
+   * @param {string} [options.passphrase] - Opens a bundle locked with a passphrase
+   * @param {string} [options.key] - Opens a bundle shared with a key in its link
    * @returns {Promise<Object>} Installation result
+   * @throws {ShareBundleError} When a bundle can't be decrypted
    */
   async installSession(sessionData, options = {}) {
-    const homeDir = os.homedir();
-    const claudeDir = path.join(homeDir, '.claude');
+    if (isEncryptedBundle(sessionData)) {
+      sessionData = await decryptBundle(sessionData, options);
+      this.validateSessionData(sessionData);
+    }
+    const claudeDir = options.claudeDir || path.join(os.homedir(), '.claude');
 
     // Determine project directory
-    const projectName = sessionData.conversation.project || 'shared-session';
-    const projectDirName = this.sanitizeProjectName(projectName);
-
-    // Create project directory structure
     // Format: ~/.claude/projects/-path-to-project/
-    const projectDir = path.join(claudeDir, 'projects', projectDirName);
+    let projectDir;
+    if (options.projectDir) {
+      projectDir = options.projectDir;
+    } else if (options.cwd) {
+      projectDir = path.join(claudeDir, 'projects', this.encodeProjectPath(options.cwd));
+    } else {
+      const projectName = sessionData.conversation.project || 'shared-session';
+      projectDir = path.join(claudeDir, 'projects', this.sanitizeProjectName(projectName));
+    }
+    const newProject = !await fs.pathExists(projectDir);
     await fs.ensureDir(projectDir);
 
     // Generate conversation filename with original ID
     const conversationId = sessionData.conversation.id;
     const conversationFile = path.join(projectDir, `${conversationId}.jsonl`);
 
-    // Convert messages back to JSONL format (one JSON object per line)
-    const jsonlContent = sessionData.messages
-      .map(msg => JSON.stringify(msg))
-      .join('\n');
+    if (options.overwrite === false && await fs.pathExists(conversationFile)) {
+      const error = new Error(`Session ${conversationId} already exists in ${projectDir}`);
+      error.code = 'SESSION_EXISTS';
+      throw error;
+    }
+
+    // Convert messages back to JSONL format (one JSON object per line), writing the lines
+    // they were read from as they were unless the working directory changes
+    const toJsonl = messages => messages
+      .map(msg => options.cwd && msg.cwd ? JSON.stringify({ ...msg, cwd: options.cwd }) : entryLine(msg))
+      .join('\n') + '\n';
 
     // Write conversation file
-    await fs.writeFile(conversationFile, jsonlContent, 'utf8');
+    await fs.writeFile(conversationFile, toJsonl(sessionData.messages), 'utf8');
 
     console.log(chalk.gray(`📝 Created conversation file: ${conversationFile}`));
 
-    // Create or update settings.json
-    const settingsFile = path.join(projectDir, 'settings.json');
+    // Subagent transcripts go where Claude Code keeps them, next to the session file
+    for (const subagent of sessionData.subagents || []) {
+      const subagentFile = path.join(projectDir, conversationId, SUBAGENT_FOLDER, `${subagent.id}.jsonl`);
+      await fs.outputFile(subagentFile, toJsonl(subagent.messages), 'utf8');
+    }
+
+    // Describe a project folder made for the import; one that was already there may be
+    // a real project, and its settings.json is left as it is
     const settings = {
       projectName: sessionData.conversation.project,
-      projectPath: options.projectPath || process.cwd(),
+      projectPath: options.projectPath || options.cwd || process.cwd(),
       sharedSession: true,
       originalExport: {
         exportedAt: sessionData.exported_at,
@@ -394,9 +1011,11 @@ class SessionSharing {
       importedAt: new Date().toISOString()
     };
 
-    await fs.writeFile(settingsFile, JSON.stringify(settings, null, 2), 'utf8');
-
-    console.log(chalk.gray(`⚙️  Created settings file: ${settingsFile}`));
+    if (newProject) {
+      const settingsFile = path.join(projectDir, 'settings.json');
+      await fs.writeFile(settingsFile, JSON.stringify(settings, null, 2), 'utf8');
+      console.log(chalk.gray(`⚙️  Created settings file: ${settingsFile}`));
+    }
 
     return {
       success: true,
@@ -404,7 +1023,8 @@ class SessionSharing {
       projectDir,
       projectPath: settings.projectPath,
       conversationId,
-      messageCount: sessionData.messages.length
+      messageCount: sessionData.messages.length,
+      subagentCount: (sessionData.subagents || []).length
     };
   }
 
@@ -440,6 +1060,16 @@ class SessionSharing {
     }
   }
 
+  /**
+   * Name of the folder under ~/.claude/projects that Claude Code keeps a working
+   * directory's sessions in: every character other than a letter or digit becomes "-"
+   * @param {string} cwd - Absolute working directory
+   * @returns {string} Folder name (/Users/me/my_app is -Users-me-my-app)
+   */
+  encodeProjectPath(cwd) {
+    return cwd.replace(/[^a-zA-Z0-9]/g, '-');
+  }
+
   /**
    * Sanitize project name for directory usage
    * @param {string} projectName - Original project name
@@ -455,3 +1085,5 @@ class SessionSharing {
 }
 
 module.exports = SessionSharing;
+module.exports.SessionFileError = SessionFileError;
+module.exports.BULK_EXPORT_FORMATS = BULK_EXPORT_FORMATS;
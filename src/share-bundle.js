@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { parseExport, stringifyExport } = require('./transcript-lines');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BUNDLE_FORMAT = 'claude-session-bundle';
+const BUNDLE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+// Shortest passphrase a bundle can be locked with
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// About 100 ms and 32 MB per derivation, so guessing passphrases is slow
+const SCRYPT_COST = { N: 2 ** 15, r: 8, p: 1 };
+
+// Bundles come from other people and their header is read before it can be
+// authenticated: refuse costs that would tie up the machine. Memory is counted as
+// OpenSSL does, 128·r·(N + p + 2) bytes, which also caps the time a derivation takes.
+const MAX_SCRYPT_N = 2 ** 17;
+const MAX_SCRYPT_R = 8;
+const MAX_SCRYPT_P = 2;
+const MAX_SCRYPT_MEMORY = 64 * 1024 * 1024;
+
+// A decrypted session is at most this big, however well it compressed
+const MAX_SESSION_BYTES = 512 * 1024 * 1024;
+
+/**
+ * A bundle that can't be made or opened. `code` says why: PASSPHRASE_TOO_SHORT,
+ * PASSPHRASE_REQUIRED, KEY_REQUIRED, DECRYPT_FAILED (wrong passphrase or key, or a
+ * changed bundle) or INVALID_BUNDLE.
+ */
+class ShareBundleError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ShareBundleError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether a parsed file is an encrypted bundle rather than a session export
+ * @param {*} value - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncryptedBundle(value) {
+  return Boolean(value && typeof value === 'object' && value.format === BUNDLE_FORMAT);
+}
+
+/**
+ * Encrypt a session export with AES-256-GCM. With a passphrase the key is derived
+ * from it with scrypt; without one a random key is made, to be handed over in the
+ * fragment of the share link (see splitShareUrl()), which browsers and HTTP clients
+ * never send to the host.
+ *
+ * The bundle is JSON: { format, version, cipher, key, iv, tag, data }, where key
+ * says how the key is made ({ type: 'passphrase', kdf: 'scrypt', salt, N, r, p } or
+ * { type: 'random' }) and data is the gzipped export, encrypted. Everything but the
+ * ciphertext is authenticated along with it.
+ * @param {Object} sessionData - Session export
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Passphrase to derive the key from
+ * @returns {Promise<Object>} { bundle, key } with key the base64url random key, or null
+ * @throws {ShareBundleError} For passphrases shorter than MIN_PASSPHRASE_LENGTH
+ */
+async function encryptBundle(sessionData, options = {}) {
+  let key;
+  let keyInfo;
+  // An empty passphrase is too short, not a request to share with a key in the link
+  const locked = options.passphrase != null;
+  if (locked && String(options.passphrase).length < MIN_PASSPHRASE_LENGTH) {
+    throw new ShareBundleError(`Passphrases need at least ${MIN_PASSPHRASE_LENGTH} characters`, 'PASSPHRASE_TOO_SHORT');
+  }
+  if (locked) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    keyInfo = { type: 'passphrase', kdf: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_COST };
+    key = await deriveKey(options.passphrase, keyInfo);
+  } else {
+    keyInfo = { type: 'random' };
+    key = crypto.randomBytes(KEY_BYTES);
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const header = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, cipher: CIPHER, key: keyInfo };
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(additionalData(header));
+  // Transcript entries go in as the lines they were read from (see transcript-lines.js)
+  const data = Buffer.concat([cipher.update(await gzip(stringifyExport(sessionData))), cipher.final()]);
+
+  return {
+    bundle: { ...header, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') },
+    key: locked ? null : key.toString('base64url')
+  };
+}
+
+/**
+ * Decrypt a bundle made by encryptBundle()
+ * @param {Object} bundle - Parsed bundle
+ * @param {Object} [secrets]
+ * @param {string} [secrets.passphrase] - For bundles locked with a passphrase
+ * @param {string} [secrets.key] - Base64url key, for bundles shared with a link
+ * @returns {Promise<Object>} The session export
+ * @throws {ShareBundleError} When the secret is missing or wrong, or the bundle is damaged
+ */
+async function decryptBundle(bundle, secrets = {}) {
+  if (!isEncryptedBundle(bundle) || bundle.version !== BUNDLE_VERSION || bundle.cipher !== CIPHER ||
+      !bundle.key || typeof bundle.iv !== 'string' || typeof bundle.tag !== 'string' || typeof bundle.data !== 'string') {
+    throw new ShareBundleError('Not a session bundle this version can open', 'INVALID_BUNDLE');
+  }
+
+  let key;
+  if (bundle.key.type === 'passphrase') {
+    if (!secrets.passphrase) {
+      throw new ShareBundleError('This session is protected with a passphrase', 'PASSPHRASE_REQUIRED');
+    }
+    key = await deriveKey(secrets.passphrase, bundle.key);
+  } else if (bundle.key.type === 'random') {
+    if (!secrets.key) {
+      throw new ShareBundleError('This session needs the key from the end of its share link (#key=...)', 'KEY_REQUIRED');
+    }
+    key = Buffer.from(secrets.key, 'base64url');
+    if (key.length !== KEY_BYTES) {
+      throw new ShareBundleError('The key in the share link is incomplete', 'DECRYPT_FAILED');
+    }
+  } else {
+    throw new ShareBundleError(`Unknown bundle key type: ${bundle.key.type}`, 'INVALID_BUNDLE');
+  }
+
+  const header = { format: bundle.format, version: bundle.version, cipher: bundle.cipher, key: bundle.key };
+  let compressed;
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(bundle.iv, 'base64'));
+    decipher.setAAD(additionalData(header));
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+    compressed = Buffer.concat([decipher.update(Buffer.from(bundle.data, 'base64')), decipher.final()]);
+  } catch {
+    throw new ShareBundleError('Wrong passphrase or key, or the bundle was changed', 'DECRYPT_FAILED');
+  }
+
+  try {
+    return parseExport((await gunzip(compressed, { maxOutputLength: MAX_SESSION_BYTES })).toString('utf8'));
+  } catch (error) {
+    throw new ShareBundleError(`The bundle holds no readable session: ${error.message}`, 'INVALID_BUNDLE');
+  }
+}
+
+/**
+ * Separate the key from a share link: https://host/file#key=... gives the URL to
+ * fetch and the key
+ * @param {string} link - Share link
+ * @returns {{url: string, key: string|null}}
+ */
+function splitShareUrl(link) {
+  const hash = link.indexOf('#');
+  if (hash < 0) {
+    return { url: link, key: null };
+  }
+  const key = new URLSearchParams(link.slice(hash + 1)).get('key');
+  return { url: link.slice(0, hash), key: key || null };
+}
+
+/** @private */
+async function deriveKey(passphrase, keyInfo) {
+  const { N, r, p } = keyInfo;
+  const valid = keyInfo.kdf === 'scrypt' && typeof keyInfo.salt === 'string' &&
+    Number.isInteger(N) && N > 1 && N <= MAX_SCRYPT_N && (N & (N - 1)) === 0 &&
+    Number.isInteger(r) && r >= 1 && r <= MAX_SCRYPT_R &&
+    Number.isInteger(p) && p >= 1 && p <= MAX_SCRYPT_P &&
+    128 * r * (N + p + 2) <= MAX_SCRYPT_MEMORY;
+  if (!valid) {
+    throw new ShareBundleError('Unsupported passphrase settings in the bundle', 'INVALID_BUNDLE');
+  }
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(passphrase).normalize('NFC'), Buffer.from(keyInfo.salt, 'base64'), KEY_BYTES,
+      { N, r, p, maxmem: MAX_SCRYPT_MEMORY }, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+/**
+ * The bundle header as authenticated with the ciphertext, in a fixed key order
+ * @private
+ */
+function additionalData(header) {
+  return Buffer.from(JSON.stringify([header.format, header.version, header.cipher, header.key]), 'utf8');
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  MIN_PASSPHRASE_LENGTH,
+  ShareBundleError,
+  decryptBundle,
+  encryptBundle,
+  isEncryptedBundle,
+  splitShareUrl
+};
@@ -0,0 +1,199 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// The public paste host sessions were always shared through; files are kept 3-100 days
+const PUBLIC_SHARE_URL = 'https://x0.at';
+
+// Shared bundles are fetched at most this big
+const MAX_DOWNLOAD_BYTES = 256 * 1024 * 1024;
+
+const TARGET_TYPES = ['x0', 'http', 'directory'];
+
+/**
+ * A share target that can't be set up, or an upload or download that failed
+ */
+class ShareTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareTargetError';
+  }
+}
+
+/**
+ * HttpShareTarget - Uploads to a paste host or self-hosted endpoint as a
+ * multipart form, the way `curl -F file=@bundle.json <url>` does. The response
+ * is the file's URL, as plain text or as JSON with a `url` field.
+ */
+class HttpShareTarget {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.url - Endpoint to POST to
+   * @param {string} [settings.field] - Form field holding the file (default 'file')
+   * @param {Object} [settings.headers] - Extra request headers, such as Authorization
+   */
+  constructor(settings) {
+    if (typeof settings.url !== 'string' || !/^https?:\/\//.test(settings.url)) {
+      throw new ShareTargetError(`Share upload URL must start with http:// or https://: ${settings.url}`);
+    }
+    this.name = settings.url === PUBLIC_SHARE_URL ? 'x0' : 'http';
+    this.url = settings.url;
+    this.field = settings.field || 'file';
+    this.headers = settings.headers || {};
+  }
+
+  /**
+   * Upload a file
+   * @param {Buffer} content - File content
+   * @param {string} filename - File name sent with it
+   * @returns {Promise<string>} URL the file can be fetched from
+   */
+  async upload(content, filename) {
+    const form = new FormData();
+    form.append(this.field, new Blob([content], { type: 'application/json' }), filename);
+
+    let response;
+    try {
+      response = await fetch(this.url, { method: 'POST', body: form, headers: this.headers });
+    } catch (error) {
+      throw new ShareTargetError(`Could not reach ${this.url}: ${error.cause?.message || error.message}`);
+    }
+    const text = (await response.text()).trim();
+    if (!response.ok) {
+      throw new ShareTargetError(`Upload to ${this.url} failed with HTTP ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    let url = text;
+    if (text.startsWith('{')) {
+      try {
+        url = JSON.parse(text).url;
+      } catch {
+        // Not JSON after all; checked as a URL below
+      }
+    }
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      throw new ShareTargetError(`Invalid response from ${this.url}: ${text.slice(0, 200)}`);
+    }
+    return url;
+  }
+}
+
+/**
+ * DirectoryShareTarget - Writes bundles to a folder: a synced or shared drive,
+ * or one a web server publishes under `baseUrl`. Without a baseUrl the "link" is
+ * the file's path, which `clone` reads as a local file.
+ */
+class DirectoryShareTarget {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.dir - Folder the bundles are written to
+   * @param {string} [settings.baseUrl] - URL the folder is served at; file paths without it
+   */
+  constructor(settings) {
+    if (typeof settings.dir !== 'string' || settings.dir === '') {
+      throw new ShareTargetError('A directory share target needs a "dir"');
+    }
+    this.name = 'directory';
+    this.dir = settings.dir;
+    this.baseUrl = settings.baseUrl ? settings.baseUrl.replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * Write a file
+   * @param {Buffer} content - File content
+   * @param {string} filename - Name of the file in the folder
+   * @returns {Promise<string>} URL of the file, or its path
+   */
+  async upload(content, filename) {
+    const filePath = path.join(this.dir, path.basename(filename));
+    await fs.outputFile(filePath, content);
+    return this.baseUrl ? `${this.baseUrl}/${encodeURIComponent(path.basename(filename))}` : filePath;
+  }
+}
+
+/**
+ * Make the target shares are uploaded to, from the "share" config setting:
+ *
+ *   { "target": "x0" }                                    the public host (default)
+ *   { "target": "http", "url": "https://paste.example.com/upload", "field": "file", "headers": {} }
+ *   { "target": "directory", "dir": "~/Shared/sessions", "baseUrl": "https://files.example.com/sessions" }
+ *
+ * Anything else with an async upload(content, filename) method returning a URL
+ * can be passed to SessionSharing in place of one of these.
+ * @param {Object} [settings] - Share settings
+ * @returns {HttpShareTarget|DirectoryShareTarget}
+ * @throws {ShareTargetError} For unknown targets or missing settings
+ */
+function createShareTarget(settings = {}) {
+  const type = (settings && settings.target) || 'x0';
+  switch (type) {
+    case 'x0':
+      return new HttpShareTarget({ url: PUBLIC_SHARE_URL });
+    case 'http':
+      return new HttpShareTarget(settings);
+    case 'directory':
+      return new DirectoryShareTarget(settings);
+    default:
+      throw new ShareTargetError(`Unknown share target: ${type} (use ${TARGET_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Fetch a shared file. Only http(s) URLs are fetched: a link someone sent must not
+ * be able to point at files on this machine.
+ * @param {string} url - URL without the #key fragment
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Largest body accepted (default 256 MB)
+ * @returns {Promise<Buffer>} File content
+ * @throws {ShareTargetError} For other URLs, failed requests and files that are too big
+ */
+async function fetchSharedFile(url, options = {}) {
+  const maxBytes = options.maxBytes || MAX_DOWNLOAD_BYTES;
+  const tooBig = () => new ShareTargetError(`Shared file is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+  if (!/^https?:\/\//i.test(url)) {
+    throw new ShareTargetError(`Share links must be http:// or https:// URLs: ${url}`);
+  }
+
+  const controller = new AbortController();
+  let response;
+  try {
+    response = await fetch(url, { redirect: 'follow', signal: controller.signal });
+  } catch (error) {
+    throw new ShareTargetError(`Could not reach ${url}: ${error.cause?.message || error.message}`);
+  }
+  if (!response.ok) {
+    controller.abort();
+    throw new ShareTargetError(`Download failed with HTTP ${response.status}`);
+  }
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    controller.abort();
+    throw tooBig();
+  }
+
+  // Content-Length may be missing or wrong (chunked responses), so count as the body arrives
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        controller.abort();
+        throw tooBig();
+      }
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    if (error instanceof ShareTargetError) throw error;
+    throw new ShareTargetError(`Download from ${url} failed: ${error.cause?.message || error.message}`);
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  DirectoryShareTarget,
+  HttpShareTarget,
+  PUBLIC_SHARE_URL,
+  ShareTargetError,
+  TARGET_TYPES,
+  createShareTarget,
+  fetchSharedFile
+};
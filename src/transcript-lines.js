@@ -0,0 +1,197 @@
+/**
+ * Transcript entries that remember the line they were read from. Installing an
+ * imported session writes these lines back as they were, where serializing the
+ * parsed entries again could reorder keys, drop whitespace or reformat numbers.
+ */
+const SOURCE_LINES = new WeakMap();
+
+/**
+ * Record the text an entry was parsed from. Text spanning several lines (a
+ * pretty-printed export) can't be a transcript line and isn't kept.
+ * @param {Object} entry - Parsed entry
+ * @param {string} text - Its JSON text
+ * @returns {Object} The entry
+ */
+function rememberLine(entry, text) {
+  if (entry && typeof entry === 'object' && !/[\r\n]/.test(text)) {
+    SOURCE_LINES.set(entry, text);
+  }
+  return entry;
+}
+
+/**
+ * The transcript line for an entry: the text it was read from, or its JSON
+ * @param {Object} entry - Transcript entry
+ * @returns {string}
+ */
+function entryLine(entry) {
+  return SOURCE_LINES.get(entry) ?? JSON.stringify(entry);
+}
+
+/**
+ * Parse a JSONL line, remembering its text
+ * @param {string} line - JSONL line
+ * @returns {Object} The entry
+ * @throws {SyntaxError} If the line isn't JSON
+ */
+function parseLine(line) {
+  const text = line.trim();
+  return rememberLine(JSON.parse(text), text);
+}
+
+/**
+ * Parse a session export, remembering the text of each entry in its `messages`
+ * and in the `messages` of each of its `subagents`
+ * @param {string} text - Export JSON
+ * @returns {*} The parsed export
+ * @throws {SyntaxError} If the text isn't JSON
+ */
+function parseExport(text) {
+  const value = JSON.parse(text);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+
+  const members = objectMembers(text, skipWhitespace(text, 0));
+  rememberElements(text, members.get('messages'), value.messages);
+  const subagents = members.get('subagents');
+  if (subagents !== undefined && Array.isArray(value.subagents) && text[subagents] === '[') {
+    arrayElements(text, subagents).forEach(([start], index) => {
+      const subagent = value.subagents[index];
+      if (subagent && typeof subagent === 'object' && text[start] === '{') {
+        rememberElements(text, objectMembers(text, start).get('messages'), subagent.messages);
+      }
+    });
+  }
+  return value;
+}
+
+/** @private */
+function rememberElements(text, start, entries) {
+  if (start === undefined || !Array.isArray(entries) || text[start] !== '[') return;
+  arrayElements(text, start).forEach(([elementStart, elementEnd], index) => {
+    rememberLine(entries[index], text.slice(elementStart, elementEnd));
+  });
+}
+
+/**
+ * Serialize a session export like JSON.stringify(), writing each entry of its
+ * `messages` and of its subagents' `messages` as the text it was read from, so
+ * parseExport() gets the same lines back
+ * @param {Object} sessionData - Session export
+ * @returns {string} Export JSON
+ */
+function stringifyExport(sessionData) {
+  if (!sessionData || typeof sessionData !== 'object' || !Array.isArray(sessionData.messages)) {
+    return JSON.stringify(sessionData);
+  }
+
+  const entries = list => `[${list.map(entryLine).join(',')}]`;
+  const { messages, subagents, ...rest } = sessionData;
+  let text = JSON.stringify(rest).slice(0, -1);
+  const separator = () => (text.endsWith('{') ? '' : ',');
+  text += `${separator()}"messages":${entries(messages)}`;
+  if (Array.isArray(subagents)) {
+    const items = subagents.map(subagent => {
+      if (!subagent || typeof subagent !== 'object' || !Array.isArray(subagent.messages)) {
+        return JSON.stringify(subagent);
+      }
+      const { messages: subagentMessages, ...fields } = subagent;
+      const head = JSON.stringify(fields).slice(0, -1);
+      return `${head}${head.endsWith('{') ? '' : ','}"messages":${entries(subagentMessages)}}`;
+    });
+    text += `,"subagents":[${items.join(',')}]`;
+  } else if (subagents !== undefined) {
+    text += `,"subagents":${JSON.stringify(subagents)}`;
+  }
+  return `${text}}`;
+}
+
+// A minimal scanner over JSON that JSON.parse() already accepted, to find where
+// values start and end
+
+/** @private */
+function skipWhitespace(text, index) {
+  while (index < text.length && ' \t\n\r'.includes(text[index])) index++;
+  return index;
+}
+
+/**
+ * @private
+ * @returns {number} Index after the string starting at index
+ */
+function skipString(text, index) {
+  let end = index;
+  for (;;) {
+    end = text.indexOf('"', end + 1);
+    let backslashes = 0;
+    while (text[end - 1 - backslashes] === '\\') backslashes++;
+    if (backslashes % 2 === 0) return end + 1;
+  }
+}
+
+/**
+ * @private
+ * @returns {number} Index after the value starting at index
+ */
+function skipValue(text, index) {
+  const char = text[index];
+  if (char === '"') return skipString(text, index);
+  if (char === '{' || char === '[') {
+    const close = char === '{' ? '}' : ']';
+    let next = skipWhitespace(text, index + 1);
+    while (text[next] !== close) {
+      if (char === '{') {
+        next = skipWhitespace(text, skipString(text, next));  // the key
+        next = skipWhitespace(text, next + 1);  // past the colon
+      }
+      next = skipWhitespace(text, skipValue(text, next));
+      if (text[next] === ',') next = skipWhitespace(text, next + 1);
+    }
+    return next + 1;
+  }
+  while (index < text.length && !',]} \t\n\r'.includes(text[index])) index++;
+  return index;
+}
+
+/**
+ * @private
+ * @returns {Map<string, number>} Start index of each member's value, by key
+ */
+function objectMembers(text, index) {
+  const members = new Map();
+  let next = skipWhitespace(text, index + 1);
+  while (text[next] === '"') {
+    const keyEnd = skipString(text, next);
+    const key = JSON.parse(text.slice(next, keyEnd));
+    const valueStart = skipWhitespace(text, skipWhitespace(text, keyEnd) + 1);
+    members.set(key, valueStart);
+    next = skipWhitespace(text, skipValue(text, valueStart));
+    if (text[next] === ',') next = skipWhitespace(text, next + 1);
+  }
+  return members;
+}
+
+/**
+ * @private
+ * @returns {Array<Array<number>>} [start, end] of each element
+ */
+function arrayElements(text, index) {
+  const elements = [];
+  let next = skipWhitespace(text, index + 1);
+  while (text[next] !== ']') {
+    const end = skipValue(text, next);
+    elements.push([next, end]);
+    next = skipWhitespace(text, end);
+    if (text[next] === ',') next = skipWhitespace(text, next + 1);
+  }
+  return elements;
+}
+
+module.exports = {
+  entryLine,
+  parseExport,
+  parseLine,
+  rememberLine,
+  stringifyExport
+};
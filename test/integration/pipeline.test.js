@@ -114,6 +114,34 @@ describe('Pipeline Integration', () => {
       expect(toolNames).toContain('Bash');
     });
 
+    it('finds the sessions that read or wrote a file', async () => {
+      await setupFixturesInProjectsDir(projectsDir, {
+        encodedPath: '-Users-testuser-tools-project',
+        fixtures: ['with-tools.jsonl', 'simple.jsonl'],
+      });
+
+      await indexer.runFullIndex();
+
+      const results = db.getFileTouches('test-project/package.json');
+
+      expect(results.length).toBe(1);
+      expect(results[0].operations).toEqual({ Read: 1, Write: 1 });
+    });
+
+    it('builds the Bash command history', async () => {
+      await setupFixturesInProjectsDir(projectsDir, {
+        encodedPath: '-Users-testuser-tools-project',
+        fixtures: ['with-tools.jsonl'],
+      });
+
+      await indexer.runFullIndex();
+
+      const { commands } = db.getBashCommands({ query: 'npm' });
+
+      expect(commands.length).toBe(1);
+      expect(commands[0]).toMatchObject({ command: 'npm install', exitCode: 0, isError: false, outputPreview: 'added 0 packages in 1s' });
+    });
+
     it('handles multiple projects correctly', async () => {
       // Setup multiple projects
       await setupFixturesInProjectsDir(projectsDir, {
@@ -347,6 +375,43 @@ describe('Pipeline Integration', () => {
       expect(results.length).toBeGreaterThanOrEqual(1);
     });
 
+    it('points search results at the matching message', async () => {
+      await setupFixturesInProjectsDir(projectsDir, {
+        fixtures: ['simple.jsonl'],
+      });
+
+      await indexer.runFullIndex();
+
+      const results = db.searchConversationsWithSnippets('reverse');
+      expect(results.length).toBe(1);
+      expect(results[0].matches[0].messageId).toMatch(/^msg_/);
+      expect(['user', 'assistant']).toContain(results[0].matches[0].role);
+    });
+
+    it('finds content beyond the conversation-level size cap', async () => {
+      const projectDir = path.join(projectsDir, '-long-project');
+      await fs.ensureDir(projectDir);
+
+      // 80 messages of ~2KB each, with a unique marker at the very end
+      const lines = [];
+      for (let i = 0; i < 80; i++) {
+        const text = i === 79 ? `${'filler '.repeat(300)} needleword` : 'filler '.repeat(300);
+        lines.push(JSON.stringify({
+          type: 'user',
+          uuid: `uuid-${i}`,
+          timestamp: new Date(Date.UTC(2024, 0, 1, 0, i)).toISOString(),
+          message: { role: 'user', content: text },
+        }));
+      }
+      await fs.writeFile(path.join(projectDir, 'long-session.jsonl'), lines.join('\n'));
+
+      await indexer.runFullIndex();
+
+      const results = db.searchConversationsWithSnippets('needleword');
+      expect(results.length).toBe(1);
+      expect(results[0].matches[0].messageUuid).toBe('uuid-79');
+    });
+
     it('handles special characters in search - regression test', async () => {
       await setupFixturesInProjectsDir(projectsDir, {
         fixtures: ['simple.jsonl'],
@@ -0,0 +1,164 @@
+/**
+ * ConversationTree Unit Tests
+ *
+ * Tests for branch reconstruction from parentUuid chains:
+ * - Linear conversations
+ * - Rewinds that leave abandoned attempts
+ * - Compaction boundaries linked by logicalParentUuid
+ * - Entries that aren't conversation messages
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const ConversationTree = require('../../src/analytics/core/ConversationTree');
+
+function user(uuid, parentUuid, text, timestamp = '2025-01-01T10:00:00.000Z') {
+  return { type: 'user', uuid, parentUuid, timestamp, message: { role: 'user', content: text } };
+}
+
+function assistant(uuid, parentUuid, text, timestamp = '2025-01-01T10:00:01.000Z') {
+  return {
+    type: 'assistant',
+    uuid,
+    parentUuid,
+    timestamp,
+    message: { role: 'assistant', content: [{ type: 'text', text }] },
+  };
+}
+
+describe('ConversationTree', () => {
+  it('follows a linear conversation without branch points', () => {
+    const tree = new ConversationTree([
+      user('u1', null, 'Hello'),
+      assistant('a1', 'u1', 'Hi'),
+      user('u2', 'a1', 'Fix the bug'),
+      assistant('a2', 'u2', 'Done'),
+    ]);
+
+    const result = tree.toJSON();
+    expect(result.hasTree).toBe(true);
+    expect(result.activeLeafUuid).toBe('a2');
+    expect(result.activePath).toEqual(['u1', 'a1', 'u2', 'a2']);
+    expect(result.branchPoints).toEqual([]);
+    expect(result.abandonedMessageCount).toBe(0);
+  });
+
+  it('reports the attempt abandoned by a rewind', () => {
+    const tree = new ConversationTree([
+      user('u1', null, 'Refactor the parser'),
+      assistant('a1', 'u1', 'Starting with the lexer', '2025-01-01T10:00:01.000Z'),
+      user('u2', 'a1', 'Rewrite it in Rust', '2025-01-01T10:01:00.000Z'),
+      assistant('a2', 'u2', 'Rewriting...', '2025-01-01T10:01:05.000Z'),
+      // The user rewound to a1 and asked for something else
+      user('u3', 'a1', 'Just add tests instead', '2025-01-01T10:05:00.000Z'),
+      assistant('a3', 'u3', 'Adding tests', '2025-01-01T10:05:02.000Z'),
+    ]);
+
+    const result = tree.toJSON();
+    expect(result.activePath).toEqual(['u1', 'a1', 'u3', 'a3']);
+    expect(result.abandonedMessageCount).toBe(2);
+    expect(result.branchPoints).toHaveLength(1);
+
+    const [point] = result.branchPoints;
+    expect(point.uuid).toBe('a1');
+    expect(point.activeChildUuid).toBe('u3');
+    expect(point.resumedAtUuid).toBe('u3');
+    expect(point.branches).toEqual([
+      {
+        uuid: 'u2',
+        messageCount: 2,
+        messageUuids: ['u2', 'a2'],
+        startedAt: '2025-01-01T10:01:00.000Z',
+        endedAt: '2025-01-01T10:01:05.000Z',
+        preview: 'Rewrite it in Rust',
+      },
+    ]);
+  });
+
+  it('keeps forks inside an abandoned attempt as part of that attempt', () => {
+    const tree = new ConversationTree([
+      user('u1', null, 'Start'),
+      user('u2', 'u1', 'First try'),
+      assistant('a2', 'u2', 'Answer'),
+      user('u3', 'u2', 'Nested retry'),
+      user('u4', 'u1', 'Second try'),
+    ]);
+
+    const points = tree.getBranchPoints();
+    expect(points).toHaveLength(1);
+    expect(points[0].branches[0].messageUuids).toEqual(['u2', 'a2', 'u3']);
+  });
+
+  it('follows logicalParentUuid across a compaction boundary', () => {
+    const tree = new ConversationTree([
+      user('u1', null, 'Before compaction'),
+      assistant('a1', 'u1', 'Reply'),
+      { type: 'system', subtype: 'compact_boundary', uuid: 's1', parentUuid: null, logicalParentUuid: 'a1' },
+      user('u2', 's1', 'After compaction'),
+    ]);
+
+    expect(tree.roots.map(node => node.uuid)).toEqual(['u1']);
+    expect(tree.toJSON().activePath).toEqual(['u1', 'a1', 'u2']);
+  });
+
+  it('does not count tool results or system entries as messages', () => {
+    const tree = new ConversationTree([
+      user('u1', null, 'Run the tests'),
+      {
+        type: 'assistant',
+        uuid: 'a1',
+        parentUuid: 'u1',
+        message: { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: {} }] },
+      },
+      {
+        type: 'user',
+        uuid: 'r1',
+        parentUuid: 'a1',
+        message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }] },
+      },
+      // A system entry hanging off the branch point isn't an abandoned attempt
+      { type: 'system', uuid: 's1', parentUuid: 'u1' },
+    ]);
+
+    const result = tree.toJSON();
+    expect(result.activePath).toEqual(['u1', 'a1']);
+    expect(result.branchPoints).toEqual([]);
+    expect(tree.nodes.get('a1').preview).toBe('[Bash]');
+  });
+
+  it('ignores sidechain entries and entries without a uuid', () => {
+    const tree = new ConversationTree([
+      { type: 'summary', summary: 'Session title', leafUuid: 'a1' },
+      user('u1', null, 'Hello'),
+      { ...assistant('sc1', 'u1', 'Agent work'), isSidechain: true },
+      assistant('a1', 'u1', 'Hi'),
+    ]);
+
+    expect(tree.nodes.size).toBe(2);
+    expect(tree.getBranchPoints()).toEqual([]);
+  });
+
+  it('parses JSONL content and skips invalid lines', () => {
+    const content = [
+      JSON.stringify(user('u1', null, 'Hello')),
+      '{not json',
+      JSON.stringify(assistant('a1', 'u1', 'Hi')),
+      '',
+    ].join('\n');
+
+    const tree = ConversationTree.fromJsonl(content);
+    expect(tree.toJSON().activePath).toEqual(['u1', 'a1']);
+  });
+
+  it('returns an empty tree for files without uuids', () => {
+    const tree = ConversationTree.fromJsonl(JSON.stringify({ type: 'summary', summary: 'Old file' }));
+
+    expect(tree.toJSON()).toEqual({
+      hasTree: false,
+      activeLeafUuid: null,
+      activePath: [],
+      branchPoints: [],
+      abandonedMessageCount: 0,
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * CostCalculator Unit Tests
+ *
+ * Tests for per-model cost estimation including:
+ * - Model price lookup and fallbacks
+ * - Usage aggregation and deduplication
+ * - Cost breakdowns per model and token class
+ * - Price overrides
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+// Import CostCalculator
+const CostCalculator = require('../../src/analytics/core/CostCalculator');
+
+describe('CostCalculator', () => {
+  let calculator;
+
+  beforeEach(() => {
+    calculator = new CostCalculator();
+  });
+
+  describe('getModelPricing()', () => {
+    it('matches dated model IDs by their longest prefix', () => {
+      expect(calculator.getModelPricing('claude-opus-4-5-20251101')).toMatchObject({ key: 'claude-opus-4-5', match: 'exact', input: 5, output: 25 });
+      expect(calculator.getModelPricing('claude-opus-4-20250514')).toMatchObject({ key: 'claude-opus-4', input: 15, output: 75 });
+      expect(calculator.getModelPricing('claude-3-5-haiku-20241022')).toMatchObject({ key: 'claude-3-5-haiku', input: 0.8 });
+    });
+
+    it('falls back to the model family for unknown releases', () => {
+      const pricing = calculator.getModelPricing('claude-sonnet-9-20300101');
+
+      expect(pricing.match).toBe('family');
+      expect(pricing.key).toBe('claude-sonnet-4-5');
+    });
+
+    it('uses the default model for unrecognized IDs', () => {
+      expect(calculator.getModelPricing(null).match).toBe('default');
+      expect(calculator.getModelPricing('gpt-4').match).toBe('default');
+    });
+  });
+
+  describe('aggregateUsage()', () => {
+    it('counts each message id once and skips synthetic and user messages', () => {
+      const usage = { input_tokens: 100, output_tokens: 10 };
+      const messages = [
+        { id: 'msg_1', role: 'assistant', model: 'claude-sonnet-4-5', usage },
+        { id: 'msg_1', role: 'assistant', model: 'claude-sonnet-4-5', usage },
+        { id: 'msg_2', role: 'assistant', model: 'claude-haiku-4-5', usage },
+        { id: 'msg_3', role: 'assistant', model: '<synthetic>', usage },
+        { id: 'msg_4', role: 'user', usage },
+      ];
+
+      const totals = calculator.aggregateUsage(messages);
+
+      expect(Object.keys(totals).sort()).toEqual(['claude-haiku-4-5', 'claude-sonnet-4-5']);
+      expect(totals['claude-sonnet-4-5']).toMatchObject({ messages: 1, input: 100, output: 10 });
+    });
+
+    it('tracks 1-hour cache writes separately', () => {
+      const totals = calculator.aggregateUsage([{
+        id: 'msg_1',
+        role: 'assistant',
+        model: 'claude-sonnet-4-5',
+        usage: { cache_creation_input_tokens: 1000, cache_creation: { ephemeral_1h_input_tokens: 400 } },
+      }]);
+
+      expect(totals['claude-sonnet-4-5']).toMatchObject({ cacheCreation: 1000, cacheCreation1h: 400 });
+    });
+  });
+
+  describe('calculateCost()', () => {
+    it('prices each model at its own rates', () => {
+      const cost = calculator.calculateCost({
+        'claude-opus-4-5-20251101': { messages: 1, input: 1000000, output: 1000000 },
+        'claude-haiku-4-5-20251001': { messages: 1, input: 1000000, output: 1000000 },
+      });
+
+      expect(cost.total).toBeCloseTo(36); // (5 + 25) + (1 + 5)
+      expect(cost.breakdown.input).toBeCloseTo(6);
+      expect(cost.breakdown.output).toBeCloseTo(30);
+      expect(cost.byModel.map(entry => entry.model)).toEqual(['claude-opus-4-5-20251101', 'claude-haiku-4-5-20251001']);
+    });
+
+    it('prices cache writes by TTL and cache reads separately', () => {
+      const cost = calculator.calculateCost({
+        'claude-sonnet-4-5': { cacheCreation: 2000000, cacheCreation1h: 1000000, cacheRead: 10000000 },
+      });
+
+      expect(cost.breakdown.cacheWrite).toBeCloseTo(3.75 + 6);
+      expect(cost.breakdown.cacheRead).toBeCloseTo(3);
+    });
+
+    it('returns zero for no usage', () => {
+      expect(calculator.calculateCost({})).toEqual({
+        total: 0,
+        breakdown: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 },
+        byModel: [],
+      });
+    });
+  });
+
+  describe('price overrides', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+      tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pricing-test-'));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await fs.remove(tempDir);
+    });
+
+    it('merges overrides from a pricing file with the defaults', async () => {
+      const pricingPath = path.join(tempDir, 'pricing.json');
+      await fs.writeJson(pricingPath, {
+        'claude-sonnet-4-5': { input: 2 },
+        'claude-custom': { input: 1, output: 2, cacheWrite: 0, cacheRead: 0 },
+      });
+
+      const custom = new CostCalculator({ pricingPath });
+
+      expect(custom.getModelPricing('claude-sonnet-4-5')).toMatchObject({ input: 2, output: 15 });
+      expect(custom.getModelPricing('claude-custom-1')).toMatchObject({ key: 'claude-custom', input: 1 });
+    });
+
+    it('keeps the defaults when the pricing file is invalid', async () => {
+      const pricingPath = path.join(tempDir, 'pricing.json');
+      await fs.writeJson(pricingPath, { 'claude-sonnet-4-5': { input: 'cheap' } });
+
+      const custom = new CostCalculator({ pricingPath });
+
+      expect(custom.getModelPricing('claude-sonnet-4-5').input).toBe(3);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('ignores a missing pricing file', () => {
+      const custom = new CostCalculator({ pricingPath: path.join(tempDir, 'missing.json') });
+
+      expect(custom.getPricingTable()).toEqual(CostCalculator.DEFAULT_PRICING);
+    });
+  });
+});
@@ -9,7 +9,14 @@
  * - Project name resolution
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+const DatabaseManager = require('../../src/analytics/data/DatabaseManager');
+const { SearchQuery } = require('../../src/analytics/data/SearchQuery');
+const TextSimilarity = require('../../src/analytics/core/TextSimilarity');
 const {
   createTestDatabase,
   createMockConversation,
@@ -54,6 +61,14 @@ describe('DatabaseManager', () => {
       expect(tables.name).toBe('conversation_fts');
     });
 
+    it('creates per-message FTS5 table', () => {
+      const table = db.db.prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='message_fts'"
+      ).get();
+
+      expect(table).toBeDefined();
+    });
+
     it('creates required indexes', () => {
       const indexes = db.db.prepare(
         "SELECT name FROM sqlite_master WHERE type='index'"
@@ -165,6 +180,39 @@ describe('DatabaseManager', () => {
       expect(readTool.total_calls).toBe(5);
     });
 
+    it('stores cache creation and cache read tokens', () => {
+      const conv = createMockConversation({
+        id: 'test-cache-001',
+        tokenUsage: { total: 1000, input: 600, output: 400, cacheCreation: 2500, cacheRead: 90000 },
+      });
+      db.upsertConversation(conv, 'cached content');
+
+      const result = db.getConversation('test-cache-001');
+      expect(result.tokenUsage.cacheCreation).toBe(2500);
+      expect(result.tokenUsage.cacheRead).toBe(90000);
+    });
+
+    it('stores per-model token usage', () => {
+      const conv = createMockConversation({
+        id: 'test-models-001',
+        modelUsage: {
+          'claude-opus-4-5-20251101': { messages: 2, input: 100, output: 200, cacheCreation: 300, cacheCreation1h: 100, cacheRead: 400 },
+          'claude-haiku-4-5-20251001': { messages: 1, input: 10, output: 20, cacheCreation: 0, cacheCreation1h: 0, cacheRead: 0 },
+        },
+      });
+      db.upsertConversation(conv, 'multi-model content');
+
+      const usage = db.getModelUsage(['test-models-001']).get('test-models-001');
+      expect(Object.keys(usage).sort()).toEqual(['claude-haiku-4-5-20251001', 'claude-opus-4-5-20251101']);
+      expect(usage['claude-opus-4-5-20251101']).toEqual({
+        messages: 2, input: 100, output: 200, cacheCreation: 300, cacheCreation1h: 100, cacheRead: 400,
+      });
+
+      // Re-indexing replaces rather than accumulates
+      db.upsertConversation({ ...conv, modelUsage: { 'claude-sonnet-4-5': { messages: 1, input: 5 } } }, 'content');
+      expect(Object.keys(db.getModelUsage(['test-models-001']).get('test-models-001'))).toEqual(['claude-sonnet-4-5']);
+    });
+
     it('handles subagent conversations', () => {
       const conv = createMockConversation({
         id: 'parent-001_agent-1',
@@ -288,6 +336,430 @@ describe('DatabaseManager', () => {
     });
   });
 
+  describe('git branch and version facets', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({
+        id: 'on-main',
+        facets: { gitBranch: { main: 4 }, version: { '1.0.9': 4 } },
+      }), 'Fix the login bug');
+      db.upsertConversation(createMockConversation({
+        id: 'on-feature',
+        facets: { gitBranch: { 'feature/login': 3, main: 1 }, version: { '1.0.10': 4 } },
+      }), 'Fix the login form');
+      db.upsertConversation(createMockConversation({ id: 'no-metadata' }), 'Fix the login page');
+    });
+
+    it('filters conversations by git branch and version', () => {
+      expect(db.getConversations({ gitBranch: 'main' }).map(c => c.id).sort()).toEqual(['on-feature', 'on-main']);
+      expect(db.getConversations({ gitBranch: 'main', version: '1.0.10' }).map(c => c.id)).toEqual(['on-feature']);
+      expect(db.getConversations({ gitBranch: 'release' })).toEqual([]);
+    });
+
+    it('filters full-text search results by git branch', () => {
+      const results = db.searchConversationsWithSnippets('login', { gitBranch: 'feature/login' });
+
+      expect(results.map(r => r.id)).toEqual(['on-feature']);
+    });
+
+    it('counts conversations per facet value, with versions newest first', () => {
+      expect(db.getFacets()).toEqual({
+        gitBranches: [{ value: 'main', conversations: 2 }, { value: 'feature/login', conversations: 1 }],
+        versions: [{ value: '1.0.10', conversations: 1 }, { value: '1.0.9', conversations: 1 }],
+        sources: [],
+      });
+      expect(db.getConversationFacets(['on-feature', 'no-metadata'])).toEqual(new Map([
+        ['on-feature', { gitBranches: ['feature/login', 'main'], versions: ['1.0.10'] }],
+      ]));
+    });
+
+    it('replaces facets on reindex and removes them with the conversation', () => {
+      db.upsertConversation(createMockConversation({
+        id: 'on-main',
+        facets: { gitBranch: { develop: 2 } },
+      }), 'Fix the login bug');
+      expect(db.getConversationFacets(['on-main']).get('on-main')).toEqual({ gitBranches: ['develop'], versions: [] });
+
+      db.removeConversation('on-feature');
+      expect(db.getFacets().versions).toEqual([]);
+    });
+  });
+
+  describe('data root sources', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({
+        id: 'work-session', filePath: '/roots/work/projects/-app/work-session.jsonl', source: 'work',
+      }), 'Deploy the billing service');
+      db.upsertConversation(createMockConversation({
+        id: 'laptop-session', filePath: '/roots/laptop/projects/-app/laptop-session.jsonl', source: 'laptop',
+      }), 'Deploy the blog');
+      db.upsertConversation(createMockConversation({
+        id: 'older-session', filePath: '/roots/laptop/projects/-app/older-session.jsonl',
+      }), 'Deploy the docs');
+    });
+
+    it('filters listings, search and counts by source', () => {
+      expect(db.getConversations({ source: 'work' }).map(c => c.id)).toEqual(['work-session']);
+      expect(db.searchConversationsWithSnippets('deploy', { source: 'laptop' }).map(r => r.id)).toEqual(['laptop-session']);
+      expect(db.searchWithQuery(SearchQuery.parse('deploy source:work')).map(r => r.id)).toEqual(['work-session']);
+      expect(db.getFacets().sources).toEqual([
+        { value: 'laptop', conversations: 1 },
+        { value: 'work', conversations: 1 },
+      ]);
+    });
+
+    it('labels conversations under a directory that have another or no source', () => {
+      expect(db.setSourceForPath('/roots/laptop/projects', 'laptop')).toBe(1);
+      expect(db.setSourceForPath('/roots/laptop/projects', 'laptop')).toBe(0);
+
+      expect(db.getConversation('older-session').source).toBe('laptop');
+      expect(db.getConversation('work-session').source).toBe('work');
+    });
+  });
+
+  describe('searchWithQuery()', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({
+        id: 'api-bash',
+        project: 'api-server',
+        created: new Date('2026-09-10T12:00:00Z'),
+        toolUsage: { total: 2, tools: { Bash: 2 } },
+        modelUsage: { 'claude-opus-4-5': { messages: 2, input: 10 } },
+      }), 'Retry the flaky deploy', [
+        { uuid: 'u1', messageId: null, role: 'user', timestamp: null, content: 'Retry the flaky deploy' },
+        { uuid: 'a1', messageId: 'msg_1', role: 'assistant', timestamp: null, content: 'Running the deploy again' },
+      ]);
+      db.upsertConversation(createMockConversation({
+        id: 'api-read',
+        project: 'api-server',
+        created: new Date('2026-08-01T12:00:00Z'),
+        toolUsage: { total: 1, tools: { Read: 1 } },
+        modelUsage: { 'claude-sonnet-4-5': { messages: 1, input: 10 } },
+      }), 'Deploy the docs', [
+        { uuid: 'u2', messageId: null, role: 'user', timestamp: null, content: 'Deploy the docs' },
+      ]);
+      db.upsertConversation(createMockConversation({
+        id: 'web',
+        project: 'web-app',
+        created: new Date('2026-09-15T12:00:00Z'),
+        toolUsage: { total: 1, tools: { Bash: 1 } },
+      }), 'Deploy the site', [
+        { uuid: 'u3', messageId: null, role: 'user', timestamp: null, content: 'Deploy the site' },
+      ]);
+    });
+
+    const search = (text, options) => db.searchWithQuery(SearchQuery.parse(text), options).map(r => r.id).sort();
+
+    it('combines text with project, tool, model and date filters', () => {
+      expect(search('deploy project:api')).toEqual(['api-bash', 'api-read']);
+      expect(search('deploy tool:bash')).toEqual(['api-bash', 'web']);
+      expect(search('deploy model:opus')).toEqual(['api-bash']);
+      expect(search('deploy after:2026-09-01 before:2026-09-12')).toEqual(['api-bash']);
+    });
+
+    it('matches phrases, excludes words and restricts text to a role', () => {
+      expect(search('"the docs"')).toEqual(['api-read']);
+      expect(search('deploy -flaky -"the site"')).toEqual(['api-read']);
+      expect(search('again role:user')).toEqual([]);
+      expect(search('again role:assistant')).toEqual(['api-bash']);
+    });
+
+    it('lists conversations matching only filters, newest first', () => {
+      const results = db.searchWithQuery(SearchQuery.parse('-project:web tool:Read'));
+
+      expect(results.map(r => r.id)).toEqual(['api-read']);
+      expect(results[0]).toMatchObject({ snippet: '', matchCount: 0, matches: [] });
+    });
+
+    it('suggests indexed values for autocomplete', () => {
+      expect(db.getSearchFieldValues('project', 'API')).toEqual([{ value: 'api-server', conversations: 2 }]);
+      expect(db.getSearchFieldValues('tool', '')).toEqual([
+        { value: 'Bash', conversations: 2 },
+        { value: 'Read', conversations: 1 },
+      ]);
+      expect(db.getSearchFieldValues('unknown', '')).toEqual([]);
+    });
+  });
+
+  describe('message-level search', () => {
+    beforeEach(() => {
+      const conv = createMockConversation({ id: 'msg-search-1' });
+      db.upsertConversation(conv, 'conversation blob', [
+        { uuid: 'uuid-1', messageId: 'msg_1', role: 'user', timestamp: '2024-01-15T10:00:00.000Z', content: 'How do I configure webpack aliases?' },
+        { uuid: 'uuid-2', messageId: 'msg_2', role: 'assistant', timestamp: '2024-01-15T10:00:05.000Z', content: 'Add a resolve section to the config.' },
+        { uuid: 'uuid-3', messageId: 'msg_3', role: 'assistant', timestamp: '2024-01-15T10:01:00.000Z', content: 'Webpack webpack webpack - aliases are resolved at build time.' },
+      ]);
+    });
+
+    it('returns the matching messages with their ids, role and timestamp', () => {
+      const results = db.searchConversationsWithSnippets('webpack');
+
+      expect(results.length).toBe(1);
+      expect(results[0].matchCount).toBe(2);
+      expect(results[0].matches.map(m => m.messageUuid).sort()).toEqual(['uuid-1', 'uuid-3']);
+
+      const match = results[0].matches.find(m => m.messageUuid === 'uuid-1');
+      expect(match.messageId).toBe('msg_1');
+      expect(match.role).toBe('user');
+      expect(match.timestamp).toBe('2024-01-15T10:00:00.000Z');
+      expect(match.snippet).toContain('{{MATCH}}');
+    });
+
+    it('orders matches by BM25 and uses the best one as the conversation snippet', () => {
+      const results = db.searchConversationsWithSnippets('webpack');
+      const { matches } = results[0];
+
+      expect(matches[0].relevance).toBeLessThanOrEqual(matches[1].relevance);
+      expect(results[0].snippet).toBe(matches[0].snippet);
+      expect(results[0].relevance).toBe(matches[0].relevance);
+    });
+
+    it('limits matches per conversation', () => {
+      const results = db.searchConversationsWithSnippets('webpack', { matchesPerConversation: 1 });
+
+      expect(results[0].matches.length).toBe(1);
+      expect(results[0].matchCount).toBe(2);
+    });
+
+    it('replaces message entries on re-index', () => {
+      const conv = createMockConversation({ id: 'msg-search-1' });
+      db.upsertConversation(conv, 'conversation blob', [
+        { uuid: 'uuid-9', messageId: 'msg_9', role: 'user', content: 'Something else entirely' },
+      ]);
+
+      expect(db.searchConversationsWithSnippets('webpack')).toEqual([]);
+      expect(db.searchConversationsWithSnippets('entirely')[0].matches[0].messageUuid).toBe('uuid-9');
+    });
+
+    it('removes message entries with the conversation', () => {
+      db.removeConversation('msg-search-1');
+
+      const count = db.db.prepare('SELECT COUNT(*) as count FROM message_fts').get().count;
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('tool input and output search', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({ id: 'in-tools' }), 'blob', [
+        { uuid: 't-1', messageId: 'msg_t1', role: 'assistant', content: 'Let me check the logs.', toolInput: 'Bash\ngrep -rn ECONNRESET logs/' },
+        { uuid: 't-1', messageId: 'msg_t1', role: 'assistant', content: '', toolOutput: 'logs/api.log:12: ECONNRESET from upstream' },
+      ]);
+      db.upsertConversation(createMockConversation({ id: 'in-prose' }), 'blob', [
+        { uuid: 'p-1', messageId: 'msg_p1', role: 'user', content: 'Why do I keep seeing ECONNRESET in production?' },
+      ]);
+    });
+
+    it('matches tool calls and output, ranked below prose, and says where each match is', () => {
+      const results = db.searchConversationsWithSnippets('econnreset');
+
+      expect(results.map(r => r.id)).toEqual(['in-prose', 'in-tools']);
+      expect(results[0].matches[0].field).toBe('prose');
+      expect(results[1].matches.map(m => m.field).sort()).toEqual(['toolInput', 'toolOutput']);
+      expect(results[1].snippet).toContain('{{MATCH}}ECONNRESET{{/MATCH}}');
+    });
+
+    it('scopes the search to prose or tools', () => {
+      expect(db.searchConversationsWithSnippets('econnreset', { scope: 'prose' }).map(r => r.id)).toEqual(['in-prose']);
+      expect(db.searchConversationsWithSnippets('econnreset', { scope: 'tools' }).map(r => r.id)).toEqual(['in-tools']);
+      expect(db.searchWithQuery(SearchQuery.parse('grep logs'), { scope: 'tools' }).map(r => r.id)).toEqual(['in-tools']);
+      expect(db.searchWithQuery(SearchQuery.parse('grep logs'), { scope: 'prose' })).toEqual([]);
+    });
+
+    it('rejects unknown scopes', () => {
+      expect(() => db.searchWithQuery(SearchQuery.parse('econnreset'), { scope: 'code' })).toThrow('Unknown search scope');
+    });
+  });
+
+  describe('typo-tolerant search', () => {
+    const addSession = (id, ...contents) => {
+      db.upsertConversation(createMockConversation({ id }), contents.join('\n'),
+        contents.map((content, i) => ({ uuid: `${id}-${i}`, messageId: `${id}-${i}`, role: 'user', content })));
+    };
+
+    beforeEach(() => {
+      addSession('webpack', 'How do I configure webpack aliases?', 'The webpack config needs a resolve block');
+      addSession('hydration', 'React hydration mismatch on the dashboard', 'Hydration errors come from the server render');
+      addSession('flaky', 'The checkout test is flaky', 'Still flaky after the retry', 'Flaky again on CI');
+    });
+
+    it('finds conversations through a close spelling and marks them fuzzy', () => {
+      const results = db.searchConversationsWithSnippets('webpak');
+
+      expect(results.map(r => r.id)).toEqual(['webpack']);
+      expect(results[0]).toMatchObject({ fuzzy: true, corrections: { webpak: ['webpack'] }, searchTerm: 'webpack' });
+      expect(results[0].snippet).toContain('{{MATCH}}webpack{{/MATCH}}');
+    });
+
+    it('allows two edits in longer words, including swapped letters', () => {
+      expect(db.searchConversationsWithSnippets('hydartoin').map(r => r.id)).toEqual(['hydration']);
+    });
+
+    it('ranks exact matches ahead of fuzzy ones and leaves common words alone', () => {
+      addSession('flakey', 'Flakey spelled the other way');
+
+      const results = db.searchConversationsWithSnippets('flakey');
+      expect(results.map(r => [r.id, r.fuzzy])).toEqual([['flakey', false], ['flaky', true]]);
+
+      // Three messages contain "flaky", so it's never corrected
+      expect(db.searchConversationsWithSnippets('flaky').every(r => !r.fuzzy)).toBe(true);
+    });
+
+    it('applies to parsed queries, but not to phrases or when turned off', () => {
+      const parsed = db.searchWithQuery(SearchQuery.parse('webpak config'));
+      expect(parsed.map(r => [r.id, r.fuzzy])).toEqual([['webpack', true]]);
+
+      expect(db.searchWithQuery(SearchQuery.parse('"webpak"'))).toEqual([]);
+      expect(db.searchConversationsWithSnippets('webpak', { fuzzy: false })).toEqual([]);
+    });
+
+    it('skips short words and words unlike anything indexed', () => {
+      expect(db.searchConversationsWithSnippets('tset')).toEqual([]);
+      expect(db.searchConversationsWithSnippets('zzyzx')).toEqual([]);
+    });
+  });
+
+  describe('getFileTouches()', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({
+        id: 'older-session',
+        fileTouches: [
+          { filePath: '/repo/src/index.js', operation: 'Read', messageUuid: 'u1', timestamp: '2025-01-01T10:00:00Z' },
+        ],
+      }), 'content');
+      db.upsertConversation(createMockConversation({
+        id: 'newer-session',
+        fileTouches: [
+          { filePath: '/repo/src/index.js', operation: 'Read', messageUuid: 'u2', timestamp: '2025-02-01T10:00:00Z' },
+          { filePath: '/repo/src/index.js', operation: 'Edit', messageUuid: 'u3', timestamp: '2025-02-01T10:05:00Z' },
+          { filePath: '/repo/src/other_index.js', operation: 'Write', messageUuid: 'u4', timestamp: '2025-02-01T10:06:00Z' },
+        ],
+      }), 'content');
+    });
+
+    it('lists conversations that touched a file, most recent first', () => {
+      const results = db.getFileTouches('/repo/src/index.js');
+
+      expect(results.map(r => r.conversation.id)).toEqual(['newer-session', 'older-session']);
+      expect(results[0].operations).toEqual({ Edit: 1, Read: 1 });
+      expect(results[0].touches[0]).toMatchObject({ operation: 'Edit', messageUuid: 'u3' });
+      expect(results[0].lastTouched.toISOString()).toBe('2025-02-01T10:05:00.000Z');
+    });
+
+    it('matches relative paths as a suffix without treating _ as a wildcard', () => {
+      expect(db.getFileTouches('src/index.js').length).toBe(2);
+      expect(db.getFileTouches('./src/index.js').length).toBe(2);
+      expect(db.getFileTouches('other_index.js').map(r => r.conversation.id)).toEqual(['newer-session']);
+      expect(db.getFileTouches('rc/index.js').length).toBe(0);
+    });
+
+    it('replaces touches on re-index and removes them with the conversation', () => {
+      db.upsertConversation(createMockConversation({ id: 'newer-session', fileTouches: [] }), 'content');
+      db.removeConversation('older-session');
+
+      expect(db.getFileTouches('/repo/src/index.js')).toEqual([]);
+    });
+  });
+
+  describe('getSimilarConversations()', () => {
+    const addSession = (id, texts, files = [], overrides = {}) => {
+      db.upsertConversation(createMockConversation({ id, terms: TextSimilarity.extractTerms(texts, files), ...overrides }), texts.join('\n'));
+    };
+
+    beforeEach(() => {
+      addSession('flaky-1', ['The checkout spec is flaky again, timeout waiting for the payment iframe'], ['/repo/test/checkout.spec.js']);
+      addSession('flaky-2', ['Retry logic for the flaky checkout spec; payment iframe timeout on CI'], ['/repo/test/checkout.spec.js']);
+      addSession('docs', ['Rewrite the README installation section and badges']);
+      addSession('styles', ['Dark mode colors for the sidebar and header badges']);
+      addSession('flaky-agent', ['Investigate flaky checkout payment iframe timeout'], [], { isSubagent: true, parentId: 'flaky-1' });
+    });
+
+    it('ranks sessions sharing distinctive words and files first', () => {
+      const results = db.getSimilarConversations('flaky-1');
+
+      expect(results[0].conversation.id).toBe('flaky-2');
+      expect(results[0].score).toBeGreaterThan(0.3);
+      expect(results[0].sharedTerms).toEqual(expect.arrayContaining(['flaky', 'checkout', 'iframe']));
+      expect(results[0].sharedFiles).toEqual(['/repo/test/checkout.spec.js']);
+      expect(results.map(r => r.conversation.id)).not.toContain('docs');
+    });
+
+    it('leaves out the session itself and its own subagents', () => {
+      expect(db.getSimilarConversations('flaky-1', { includeSubagents: true }).map(r => r.conversation.id))
+        .not.toContain('flaky-agent');
+      expect(db.getSimilarConversations('flaky-2', { includeSubagents: true }).map(r => r.conversation.id))
+        .toContain('flaky-agent');
+      expect(db.getSimilarConversations('flaky-2').map(r => r.conversation.id)).not.toContain('flaky-agent');
+    });
+
+    it('adds appended terms and removes them with the conversation', () => {
+      db.upsertConversation(createMockConversation({
+        id: 'docs',
+        terms: TextSimilarity.extractTerms(['Also the checkout spec flaky timeout in the payment iframe'])
+      }), 'more', null, { append: true });
+
+      const count = db.db.prepare("SELECT count FROM conversation_terms WHERE conversation_id = 'docs' AND term = 'readme'").get().count;
+      expect(count).toBe(1);
+      expect(db.getSimilarConversations('flaky-1').map(r => r.conversation.id)).toContain('docs');
+
+      db.removeConversation('flaky-2');
+      expect(db.db.prepare("SELECT COUNT(*) as count FROM conversation_terms WHERE conversation_id = 'flaky-2'").get().count).toBe(0);
+    });
+
+    it('returns nothing for a conversation without terms', () => {
+      expect(db.getSimilarConversations('missing')).toEqual([]);
+    });
+  });
+
+  describe('getBashCommands()', () => {
+    beforeEach(() => {
+      db.upsertConversation(createMockConversation({
+        id: 'api-session',
+        project: 'api-server',
+        bashCommands: [
+          { toolUseId: 't1', messageId: 'm1', command: 'npm run migrate', timestamp: '2025-01-10T10:00:00Z', exitCode: 0, isError: false, outputPreview: 'done' },
+          { toolUseId: 't2', messageId: 'm2', command: 'npm run migrate -- --force', timestamp: '2025-01-12T10:00:00Z', exitCode: 1, isError: true, outputPreview: 'Exit code 1' },
+        ],
+      }), 'content');
+      db.upsertConversation(createMockConversation({
+        id: 'web-session',
+        project: 'web-client',
+        bashCommands: [
+          { toolUseId: 't3', messageId: 'm3', command: 'ls 100%_done', timestamp: '2025-01-11T10:00:00Z', exitCode: null, isError: null, outputPreview: null },
+        ],
+      }), 'content');
+    });
+
+    it('returns commands newest first with their outcome', () => {
+      const { commands, total } = db.getBashCommands();
+
+      expect(total).toBe(3);
+      expect(commands.map(c => c.command)).toEqual(['npm run migrate -- --force', 'ls 100%_done', 'npm run migrate']);
+      expect(commands[0]).toMatchObject({ conversationId: 'api-session', project: 'api-server', messageId: 'm2', exitCode: 1, isError: true });
+      expect(commands[1].isError).toBeNull();
+    });
+
+    it('filters by command text, project, date and failures', () => {
+      expect(db.getBashCommands({ query: 'migrate' }).total).toBe(2);
+      expect(db.getBashCommands({ query: '%_' }).commands.map(c => c.command)).toEqual(['ls 100%_done']);
+      expect(db.getBashCommands({ project: 'WEB' }).total).toBe(1);
+      expect(db.getBashCommands({ dateFrom: '2025-01-11T00:00:00Z', dateTo: '2025-01-11T23:59:59Z' }).total).toBe(1);
+      expect(db.getBashCommands({ failedOnly: true }).commands.map(c => c.toolUseId)).toEqual(['t2']);
+    });
+
+    it('paginates', () => {
+      const page = db.getBashCommands({ limit: 1, offset: 1 });
+
+      expect(page.total).toBe(3);
+      expect(page.commands.map(c => c.toolUseId)).toEqual(['t3']);
+    });
+
+    it('removes commands with the conversation', () => {
+      db.removeConversation('api-session');
+
+      expect(db.getBashCommands().total).toBe(1);
+    });
+  });
+
   describe('Subagent Filtering', () => {
     beforeEach(() => {
       // Insert parent conversation
@@ -428,9 +900,8 @@ describe('DatabaseManager', () => {
     });
   });
 
-  describe('_migrateSubagentColumns()', () => {
-    it('adds is_subagent and parent_id columns if missing', () => {
-      // Columns should already exist after initialization
+  describe('Schema migrations', () => {
+    it('adds is_subagent and parent_id columns', () => {
       const columns = db.db.prepare("PRAGMA table_info(conversations)").all();
       const columnNames = columns.map(c => c.name);
 
@@ -447,6 +918,72 @@ describe('DatabaseManager', () => {
       expect(indexNames).toContain('idx_conversations_parent');
       expect(indexNames).toContain('idx_conversations_subagent');
     });
+
+    it('brings a new database to the latest schema version', () => {
+      const info = db.getSchemaInfo();
+
+      expect(info.version).toBe(info.latestVersion);
+      expect(info.migrations.map(m => m.version)).toEqual(
+        Array.from({ length: info.latestVersion }, (_, i) => i + 1)
+      );
+      expect(info.migrations[0].appliedAt).toBeInstanceOf(Date);
+    });
+
+    it('upgrades a pre-versioning database and schedules a reindex', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'legacy-db-'));
+      const dbPath = path.join(tempDir, 'legacy.db');
+
+      // Schema as written by releases before versioned migrations (user_version 0)
+      const legacy = new Database(dbPath);
+      legacy.exec(`
+        CREATE TABLE conversations (
+          id TEXT PRIMARY KEY, file_path TEXT UNIQUE NOT NULL, filename TEXT NOT NULL, project TEXT,
+          message_count INTEGER DEFAULT 0, file_size INTEGER DEFAULT 0, last_modified INTEGER NOT NULL,
+          created INTEGER NOT NULL, tokens_total INTEGER DEFAULT 0, tokens_input INTEGER DEFAULT 0,
+          tokens_output INTEGER DEFAULT 0, primary_model TEXT, indexed_at INTEGER NOT NULL,
+          is_subagent INTEGER DEFAULT 0, parent_id TEXT
+        );
+        CREATE TABLE file_index (file_path TEXT PRIMARY KEY, mtime INTEGER NOT NULL, size INTEGER NOT NULL, indexed_at INTEGER NOT NULL);
+        INSERT INTO conversations (id, file_path, filename, last_modified, created, indexed_at)
+          VALUES ('parent_agent-1', '/p/parent/subagents/agent-1.jsonl', 'agent-1.jsonl', 1, 1, 1);
+        INSERT INTO file_index VALUES ('/p/parent/subagents/agent-1.jsonl', 1, 100, 1);
+      `);
+      legacy.close();
+
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      const upgraded = new DatabaseManager(dbPath);
+      await upgraded.initialize();
+      vi.restoreAllMocks();
+
+      try {
+        const info = upgraded.getSchemaInfo();
+        expect(info.version).toBe(info.latestVersion);
+
+        const columnNames = upgraded.db.prepare('PRAGMA table_info(conversations)').all().map(c => c.name);
+        expect(columnNames).toContain('cwd');
+        expect(columnNames).toContain('tokens_cache_read');
+
+        // Existing data is kept and migrated
+        const agent = upgraded.getConversation('parent_agent-1');
+        expect(agent.isSubagent).toBe(true);
+        expect(agent.parentId).toBe('parent');
+
+        // New per-message/per-model data can only come from the files
+        expect(upgraded.needsIndexing('/p/parent/subagents/agent-1.jsonl', 1, 100)).toBe(true);
+      } finally {
+        upgraded.close();
+        await fs.remove(tempDir);
+      }
+    });
+
+    it('does not re-run migrations or reindex on restart', async () => {
+      const conv = createMockConversation({ id: 'restart-001' });
+      db.upsertConversation(conv, 'content');
+
+      db._createSchema();
+
+      expect(db.needsIndexing(conv.filePath, conv.lastModified.getTime(), conv.fileSize)).toBe(false);
+    });
   });
 
   describe('removeConversation() / removeFile()', () => {
@@ -454,12 +991,14 @@ describe('DatabaseManager', () => {
       const conv = createMockConversation({
         id: 'to-remove',
         toolUsage: { total: 2, tools: { Read: 2 } },
+        modelUsage: { 'claude-sonnet-4-5': { messages: 1, input: 10 } },
       });
       db.upsertConversation(conv, 'Content to remove');
 
       db.removeConversation('to-remove');
 
       expect(db.getConversation('to-remove')).toBeNull();
+      expect(db.getModelUsage(['to-remove']).size).toBe(0);
 
       // Verify FTS entry is removed
       const ftsResults = db.searchConversations('Content to remove');
@@ -500,7 +1039,7 @@ describe('DatabaseManager', () => {
           project: `project-${i}`,
           messageCount: i * 10,
           fileSize: i * 1000,
-          tokenUsage: { total: i * 500, input: i * 300, output: i * 200 },
+          tokenUsage: { total: i * 500, input: i * 300, output: i * 200, cacheCreation: i * 1000, cacheRead: i * 4000 },
           lastModified: new Date(), // Recent
         });
         db.upsertConversation(conv, `Stats content ${i}`);
@@ -516,6 +1055,27 @@ describe('DatabaseManager', () => {
       expect(summary.totalProjects).toBe(3);
     });
 
+    it('totals every token class', () => {
+      const summary = db.getSummary();
+
+      expect(summary.totalInputTokens).toBe(1800);
+      expect(summary.totalOutputTokens).toBe(1200);
+      expect(summary.totalCacheCreationTokens).toBe(6000);
+      expect(summary.totalCacheReadTokens).toBe(24000);
+    });
+
+    it('sums per-model usage across conversations', () => {
+      for (let i = 1; i <= 2; i++) {
+        db.upsertConversation(createMockConversation({
+          id: `model-conv-${i}`,
+          modelUsage: { 'claude-sonnet-4-5': { messages: i, input: i * 100, output: i * 10 } },
+        }), 'content');
+      }
+
+      const totals = db.getModelUsageStats();
+      expect(totals['claude-sonnet-4-5']).toMatchObject({ messages: 3, input: 300, output: 30 });
+    });
+
     it('counts active conversations in last 24 hours', () => {
       const summary = db.getSummary();
 
@@ -540,6 +1100,39 @@ describe('DatabaseManager', () => {
       expect(projects).toContain('project-2');
       expect(projects).toContain('project-3');
     });
+
+    it('restricts statistics to recent conversations of a project', () => {
+      db.upsertConversation(createMockConversation({
+        id: 'old-conv',
+        project: 'project-1',
+        messageCount: 100,
+        tokenUsage: { total: 9000 },
+        lastModified: new Date('2025-01-01T00:00:00Z'),
+      }), 'Old content');
+      const since = new Date('2026-01-01T00:00:00Z').getTime();
+
+      expect(db.getSummary({ since }).totalConversations).toBe(3);
+      expect(db.getSummary({ project: 'project-1' }).totalMessages).toBe(110);
+      expect(db.getSummary({ since, project: 'project-1' })).toMatchObject({ totalConversations: 1, totalMessages: 10, activeToday: 1 });
+      expect(db.getToolUsageStats({ project: 'project-2' }).find(t => t.tool_name === 'Read').total_calls).toBe(3);
+      expect(db.getProjectStats({ since })).toEqual([
+        { project: 'project-1', conversations: 1, messages: 10, tokens: 500 },
+        { project: 'project-2', conversations: 1, messages: 20, tokens: 1000 },
+        { project: 'project-3', conversations: 1, messages: 30, tokens: 1500 },
+      ]);
+    });
+
+    it('sums per-model usage for each project', () => {
+      db.upsertConversation(createMockConversation({
+        id: 'model-conv',
+        project: 'project-1',
+        modelUsage: { 'claude-sonnet-4-5': { messages: 2, input: 100, output: 10 } },
+      }), 'content');
+
+      const usage = db.getProjectModelUsage({ project: 'project-1' });
+      expect([...usage.keys()]).toEqual(['project-1']);
+      expect(usage.get('project-1')['claude-sonnet-4-5']).toMatchObject({ messages: 2, input: 100, output: 10 });
+    });
   });
 
   describe('File Index Tracking', () => {
@@ -582,6 +1175,16 @@ describe('DatabaseManager', () => {
       // Different size - needs re-indexing
       expect(db.needsIndexing(filePath, mtime, size + 100)).toBe(true);
     });
+
+    it('marks every tracked file for a full re-parse without forgetting it', () => {
+      const lastModified = new Date();
+      db.upsertConversation(createMockConversation({ id: 'reparse', filePath: '/test/reparse.jsonl', lastModified }), 'Content');
+
+      expect(db.invalidateFileIndex()).toBe(1);
+      expect(db.needsIndexing('/test/reparse.jsonl', lastModified.getTime(), 5000)).toBe(true);
+      expect(db.getFileIndexState('/test/reparse.jsonl')).toMatchObject({ byteOffset: 0, parseState: null });
+      expect(db.getIndexedFilePaths().has('/test/reparse.jsonl')).toBe(true);
+    });
   });
 
   describe('Database Operations', () => {
@@ -0,0 +1,171 @@
+/**
+ * ExplorerConfig Unit Tests
+ *
+ * Tests for data roots, port and database settings:
+ * - Command line flag parsing
+ * - Config file roots and precedence of flags, environment and file
+ * - Validation of root names and paths
+ * - Transcript archive settings
+ * - Redaction rules
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+
+const { ExplorerConfig, ConfigError, DEFAULT_PORT } = require('../../src/explorer-config');
+const { normalizeRoots, rootForPath, DataRootError } = require('../../src/analytics/data/DataRoots');
+
+describe('ExplorerConfig', () => {
+  let tempDir;
+  let configPath;
+
+  // Keep the user's own config file and environment out of the tests
+  const load = (argv = [], env = {}) => ExplorerConfig.load({
+    argv,
+    env: { CLAUDE_EXPLORER_CONFIG: configPath, ...env },
+  });
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'explorer-config-'));
+    configPath = path.join(tempDir, 'config.json');
+    await fs.writeJson(configPath, {});
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('parseArgs()', () => {
+    it('reads value flags, repeated roots, negated booleans and other arguments', () => {
+      const flags = ExplorerConfig.parseArgs(['--root', 'work=/w', '--root=/p', '--port=9000', '--no-open', 'extra']);
+
+      expect(flags).toEqual({ root: ['work=/w', '/p'], port: '9000', open: false, command: {}, _: ['extra'] });
+    });
+
+    it('collects the flags a subcommand declares', () => {
+      const flags = ExplorerConfig.parseArgs(['term', '--format', 'json', '--no-index', '--root=/r'], {
+        value: ['format'],
+        boolean: ['index'],
+      });
+
+      expect(flags.command).toEqual({ format: 'json', index: false });
+      expect(flags.root).toEqual(['/r']);
+      expect(() => ExplorerConfig.parseArgs(['--format', 'json'])).toThrow('Unknown option: --format');
+    });
+
+    it('rejects unknown flags and missing values', () => {
+      expect(() => ExplorerConfig.parseArgs(['--colour'])).toThrow(ConfigError);
+      expect(() => ExplorerConfig.parseArgs(['--db'])).toThrow('--db needs a value');
+    });
+  });
+
+  describe('parseRootSpec()', () => {
+    it('names a bare path after its directory', () => {
+      expect(ExplorerConfig.parseRootSpec('/home/me/.claude-work')).toEqual({ name: 'claude-work', path: '/home/me/.claude-work' });
+      expect(ExplorerConfig.parseRootSpec('laptop=/sync/.claude')).toEqual({ name: 'laptop', path: '/sync/.claude' });
+    });
+  });
+
+  describe('load()', () => {
+    it('falls back to CLAUDE_CONFIG_DIR and the default port', () => {
+      const config = load([], { CLAUDE_CONFIG_DIR: '/srv/claude' });
+
+      expect(config.roots).toEqual([{ name: 'default', path: '/srv/claude', projectsDir: '/srv/claude/projects' }]);
+      expect(config.port).toBe(DEFAULT_PORT);
+      expect(config.dbPath).toBeNull();
+      expect(config.open).toBe(true);
+    });
+
+    it('resolves config file roots and database relative to the config file', async () => {
+      await fs.writeJson(configPath, {
+        port: 9100,
+        dbPath: 'data/conversations.db',
+        roots: [{ name: 'work', path: 'work-claude' }, { name: 'personal', path: '/home/me/.claude' }],
+      });
+
+      const config = load();
+
+      expect(config.roots.map(root => [root.name, root.path])).toEqual([
+        ['work', path.join(tempDir, 'work-claude')],
+        ['personal', '/home/me/.claude'],
+      ]);
+      expect(config.port).toBe(9100);
+      expect(config.dbPath).toBe(path.join(tempDir, 'data', 'conversations.db'));
+      expect(config.configPath).toBe(configPath);
+    });
+
+    it('lets flags override the environment and config file', async () => {
+      await fs.writeJson(configPath, { port: 9100, roots: [{ name: 'work', path: '/work' }] });
+
+      const config = load(['--root', 'other=/other', '--port', '9200', '--db', '/tmp/x.db'], { CLAUDE_DB_PATH: '/env.db' });
+
+      expect(config.roots.map(root => root.name)).toEqual(['other']);
+      expect(config.port).toBe(9200);
+      expect(config.dbPath).toBe('/tmp/x.db');
+    });
+
+    it('turns the archive on by default and reads its settings', async () => {
+      expect(load().archive).toEqual({ dir: null, compress: false, retentionDays: null });
+      expect(load(['--no-archive']).archive).toBeNull();
+
+      await fs.writeJson(configPath, { archive: { dir: 'archive', compress: true, retentionDays: 90 } });
+      expect(load().archive).toEqual({ dir: path.join(tempDir, 'archive'), compress: true, retentionDays: 90 });
+      expect(load(['--archive-dir', '/srv/archive']).archive.dir).toBe('/srv/archive');
+
+      await fs.writeJson(configPath, { archive: false });
+      expect(load().archive).toBeNull();
+      expect(load([], { CLAUDE_ARCHIVE_DIR: '/env/archive' }).archive).toBeNull();
+    });
+
+    it('reads redaction rules, rejecting ones that cannot be used', async () => {
+      expect(load().redaction).toEqual({ rules: [], disable: [] });
+
+      const rules = [{ name: 'customer-id', pattern: 'CUST-\\d{6}' }];
+      await fs.writeJson(configPath, { redaction: { rules, disable: ['email'] } });
+      expect(load().redaction).toEqual({ rules, disable: ['email'] });
+
+      await fs.writeJson(configPath, { redaction: { rules: [{ name: 'bad', pattern: '[' }] } });
+      expect(() => load()).toThrow(ConfigError);
+    });
+
+    it('reads the share target, resolving its folder against the config file', async () => {
+      expect(load().share).toEqual({ target: 'x0' });
+
+      await fs.writeJson(configPath, { share: { target: 'directory', dir: 'shared' } });
+      expect(load().share).toEqual({ target: 'directory', dir: path.join(tempDir, 'shared') });
+
+      await fs.writeJson(configPath, { share: { target: 'gist' } });
+      expect(() => load()).toThrow(ConfigError);
+    });
+
+    it('reports invalid settings as ConfigError', async () => {
+      expect(() => load(['--port', '99999'])).toThrow('Invalid port: 99999');
+      expect(() => load(['--root', 'a=/data', '--root', 'b=/data/nested'])).toThrow(ConfigError);
+      expect(() => load(['--config', path.join(tempDir, 'missing.json')])).toThrow(ConfigError);
+
+      await fs.writeJson(configPath, { archive: { retentionDays: 'forever' } });
+      expect(() => load()).toThrow('Invalid archive retentionDays: forever');
+
+      await fs.writeFile(configPath, '{ "roots": ');
+      expect(() => load()).toThrow('is not valid JSON');
+    });
+  });
+});
+
+describe('DataRoots', () => {
+  it('rejects repeated and invalid root names', () => {
+    expect(() => normalizeRoots([{ name: 'work', path: '/a' }, { name: 'Work', path: '/b' }])).toThrow(DataRootError);
+    expect(() => normalizeRoots([{ name: 'my work', path: '/a' }])).toThrow('Invalid data root name');
+    expect(() => normalizeRoots([])).toThrow('At least one data root is required');
+  });
+
+  it('finds the root a session file belongs to', () => {
+    const roots = normalizeRoots([{ name: 'work', path: '/a' }, { name: 'laptop', path: '/ab' }]);
+
+    expect(rootForPath(roots, '/ab/projects/-app/s.jsonl').name).toBe('laptop');
+    expect(rootForPath(roots, '/a/projects/-app/s.jsonl').name).toBe('work');
+    expect(rootForPath(roots, '/a/todos/s.jsonl')).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * ExportArchive Unit Tests
+ *
+ * Tests for the streaming archive writer behind bulk exports:
+ * - Zip entries, checked against their central directory and CRC
+ * - tar.gz entries, including long names
+ * - Output closed mid-export
+ */
+
+import { describe, it, expect } from 'vitest';
+const zlib = require('zlib');
+const { Writable, PassThrough } = require('stream');
+
+const ExportArchive = require('../../src/export-archive');
+const { ExportArchiveError, writeChunk } = require('../../src/export-archive');
+
+const collect = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  output.buffer = () => Buffer.concat(chunks);
+  return output;
+};
+
+const write = async (format, files) => {
+  const output = collect();
+  const archive = new ExportArchive(output, format);
+  for (const [name, content] of files) {
+    await archive.addFile(name, content, new Date('2026-10-01T12:00:00Z'));
+  }
+  await archive.finish();
+  return output.buffer();
+};
+
+// Read the files of a zip through its central directory
+const readZip = buffer => {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const local = buffer.readUInt32LE(offset + 42);
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26);
+    const content = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+    files[name] = { content: content.toString('utf8'), crc };
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+// Read the files of a tar.gz from its headers
+const readTarGz = buffer => {
+  const tar = zlib.gunzipSync(buffer);
+  const files = {};
+  let offset = 0;
+  while (offset < tar.length && tar[offset] !== 0) {
+    const text = (start, length) => tar.toString('utf8', offset + start, offset + start + length).replace(/\0.*$/s, '');
+    const prefix = text(345, 155);
+    const name = prefix ? `${prefix}/${text(0, 100)}` : text(0, 100);
+    const size = parseInt(text(124, 12), 8);
+    files[name] = tar.toString('utf8', offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+};
+
+describe('ExportArchive', () => {
+  const files = [
+    ['api/one.json', '{"id":"one"}\n'],
+    ['web/two.md', '# Two\n'.repeat(500)],
+    ['index.json', '{}'],
+  ];
+
+  it('writes a zip whose entries inflate back to the files', async () => {
+    const zip = readZip(await write('zip', files));
+
+    expect(Object.keys(zip)).toEqual(['api/one.json', 'web/two.md', 'index.json']);
+    expect(zip['web/two.md'].content).toBe(files[1][1]);
+    // CRC-32 of '{}'
+    expect(zip['index.json'].crc).toBe(0xa3a6bf43);
+  });
+
+  it('writes a tar.gz, splitting long names into prefix and name', async () => {
+    const longName = `${'project-'.repeat(15)}/session.html`;
+    const tar = readTarGz(await write('tar.gz', [...files, [longName, '<p>hi</p>']]));
+
+    expect(tar['api/one.json']).toBe('{"id":"one"}\n');
+    expect(tar['web/two.md']).toBe(files[1][1]);
+    expect(tar[longName]).toBe('<p>hi</p>');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => new ExportArchive(collect(), 'rar')).toThrow(ExportArchiveError);
+  });
+
+  it('stops waiting for a full output once it is closed', async () => {
+    const output = new PassThrough({ highWaterMark: 4 });
+    const pending = writeChunk(output, Buffer.alloc(64));
+    output.destroy();
+
+    await expect(pending).rejects.toThrow('The output was closed before the export finished');
+    await expect(writeChunk(output, 'more')).rejects.toThrow(ExportArchiveError);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * HeadlessCli Unit Tests
+ *
+ * Tests for the command line subcommands run without the server:
+ * - search, show, stats and export output in text, JSON and NDJSON
+ * - Sharing and cloning through a local share target
+ * - Abbreviated conversation IDs
+ * - Argument errors
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const path = require('path');
+const fs = require('fs-extra');
+const { createTempProjectsDir, setupFixturesInProjectsDir } = require('../helpers/test-db');
+
+const { HeadlessCli, CliError } = require('../../src/headless-cli');
+const { normalizeRoots } = require('../../src/analytics/data/DataRoots');
+
+describe('HeadlessCli', () => {
+  let projects;
+  let config;
+  let output;
+  let prompt;
+
+  const run = async (command, args = [], options = {}) => {
+    output = '';
+    const cli = new HeadlessCli(config, {
+      stdout: { write: chunk => { output += chunk; } },
+      now: new Date('2026-10-19T12:00:00Z'),
+      prompt,
+    });
+    await cli.run(command, args, options);
+    return output;
+  };
+
+  beforeEach(async () => {
+    // The backend and indexer log progress
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    projects = await createTempProjectsDir();
+    await setupFixturesInProjectsDir(projects.projectsDir, {
+      encodedPath: '-Users-testuser-projects-cli',
+      fixtures: ['simple.jsonl', 'with-tools.jsonl'],
+    });
+
+    config = {
+      roots: normalizeRoots([{ name: 'work', path: projects.claudeDir }]),
+      dbPath: path.join(projects.claudeDir, 'test.db'),
+      verbose: false,
+    };
+    await run('reindex');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await projects.cleanup();
+  });
+
+  describe('search', () => {
+    it('prints matching conversations with plain-text snippets', async () => {
+      const text = await run('search', ['package.json'], { scope: 'prose' });
+
+      expect(text).toContain('with-tools');
+      expect(text).toContain('user: Can you read the contents of my package.json file?');
+      expect(text).not.toContain('{{MATCH}}');
+    });
+
+    it('writes one JSON object per result with --format ndjson', async () => {
+      const lines = (await run('search', ['file'], { format: 'ndjson' })).trim().split('\n');
+      const results = lines.map(line => JSON.parse(line));
+
+      expect(results.map(result => result.id)).toEqual(['with-tools']);
+      expect(results[0]).toMatchObject({ source: 'work', project: expect.any(String) });
+      expect(results[0].matches.map(match => match.field)).toContain('toolOutput');
+    });
+
+    it('rejects an empty query and an unknown scope', async () => {
+      await expect(run('search', [])).rejects.toThrow('search needs a query');
+      await expect(run('search', ['file'], { scope: 'everything' })).rejects.toThrow(CliError);
+    });
+  });
+
+  describe('show', () => {
+    it('prints a conversation found by an ID prefix', async () => {
+      const text = await run('show', ['with-t']);
+
+      expect(text).toContain('· with-tools');
+      expect(text).toContain('Source: work');
+      expect(text).toContain('⚙ Read: {"file_path":"/Users/testuser/projects/test-project/package.json"}');
+    });
+
+    it('prints the last messages as JSON', async () => {
+      const data = JSON.parse(await run('show', ['simple'], { format: 'json', limit: '1' }));
+
+      expect(data.conversation.id).toBe('simple');
+      expect(data.messages).toHaveLength(1);
+      expect(data.messages[0].role).toBe('assistant');
+    });
+
+    it('reports unknown and ambiguous IDs', async () => {
+      await expect(run('show', ['nope'])).rejects.toThrow('Conversation not found: nope');
+      await fs.copy(path.join(projects.projectsDir, '-Users-testuser-projects-cli', 'simple.jsonl'),
+        path.join(projects.projectsDir, '-Users-testuser-projects-cli', 'simplest.jsonl'));
+      await expect(run('show', ['simp'])).rejects.toThrow('Conversation ID simp is ambiguous: simple, simplest');
+    });
+  });
+
+  describe('stats', () => {
+    it('totals conversations since a date as NDJSON records', async () => {
+      const records = (await run('stats', [], { format: 'ndjson', since: '7d' }))
+        .trim().split('\n').map(line => JSON.parse(line));
+
+      expect(records[0]).toMatchObject({ type: 'summary', since: '2026-10-12T12:00:00.000Z', conversations: 2 });
+      expect(records.filter(record => record.type === 'project')).toHaveLength(1);
+      expect(records.filter(record => record.type === 'tool').map(record => record.tool).sort()).toEqual(['Bash', 'Read', 'Write']);
+    });
+
+    it('prints a readable summary and rejects a bad --since', async () => {
+      const text = await run('stats', [], { project: 'nothing-here' });
+
+      expect(text).toContain('Conversations   0');
+      await expect(run('stats', [], { since: 'last week' })).rejects.toThrow('Invalid --since value');
+    });
+  });
+
+  describe('export', () => {
+    it('writes the whole conversation as Markdown, JSON or HTML', async () => {
+      expect(await run('export', ['simple'])).toContain('# Previous Conversation Context');
+      expect(await run('export', ['simple'], { format: 'html' })).toContain('<!DOCTYPE html>');
+
+      const outputPath = path.join(projects.claudeDir, 'out', 'simple.json');
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      await run('export', ['simple'], { format: 'json', output: outputPath });
+      const data = await fs.readJson(outputPath);
+      expect(data.conversation.id).toBe('simple');
+      expect(data.conversation.wasLimited).toBe(false);
+    });
+
+    it('copies the transcript verbatim with --format jsonl', async () => {
+      const original = await fs.readFile(path.join(projects.projectsDir, '-Users-testuser-projects-cli', 'with-tools.jsonl'), 'utf8');
+
+      expect(await run('export', ['with-tools'], { format: 'jsonl' })).toBe(original);
+      expect(JSON.parse(await run('export', ['with-tools'], { format: 'json', full: true })).messages)
+        .toEqual(original.trim().split('\n').map(line => JSON.parse(line)));
+    });
+
+    it('rejects unknown formats and options a full export does not take', async () => {
+      await expect(run('export', ['simple'], { format: 'pdf' })).rejects.toThrow('--format must be one of: md, json, jsonl, html');
+      await expect(run('export', ['simple'], { format: 'jsonl', subagents: true })).rejects.toThrow('--subagents needs --format json');
+      await expect(run('export', ['simple'], { format: 'md', full: true })).rejects.toThrow(CliError);
+      await expect(run('export', ['simple'], { format: 'jsonl', limit: '5' })).rejects.toThrow('--limit does not apply to full exports');
+    });
+  });
+
+  describe('share and clone', () => {
+    it('shares through the configured target and clones the link into the first root', async () => {
+      config.share = { target: 'directory', dir: path.join(projects.claudeDir, 'shared') };
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const link = (await run('share', ['simple'])).trim();
+      expect(link).toMatch(/^\/.+\.json#key=[\w-]+$/);
+
+      await expect(run('clone', [link.split('#')[0]])).rejects.toThrow(CliError);
+      const text = await run('clone', [link], { cwd: '/Users/testuser/projects/copy' });
+      expect(text).toContain(`Cloned simple to ${path.join(projects.projectsDir, '-Users-testuser-projects-copy', 'simple.jsonl')}`);
+      expect(text).toContain('claude --resume simple');
+      await expect(run('clone', [link], { cwd: '/Users/testuser/projects/copy' })).rejects.toThrow('use --overwrite to replace it');
+    });
+
+    it('asks for the passphrase instead of taking it as an argument', async () => {
+      config.share = { target: 'directory', dir: path.join(projects.claudeDir, 'shared') };
+      vi.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const answers = ['correct horse', 'correct horse', 'short', 'short', 'one passphrase', 'another one', ''];
+      prompt = vi.fn(async () => answers.shift());
+
+      await expect(run('share', ['simple', 'correct horse'], { passphrase: true })).rejects.toThrow('--passphrase takes no value');
+      const link = (await run('share', ['simple'], { passphrase: true })).trim();
+      await expect(run('share', ['simple'], { passphrase: true })).rejects.toThrow('at least 8 characters');
+      await expect(run('share', ['simple'], { passphrase: true })).rejects.toThrow('The passphrases do not match');
+      await expect(run('share', ['simple'], { passphrase: true })).rejects.toThrow('No passphrase entered');
+
+      expect(link).not.toContain('#key=');
+      prompt = vi.fn(async () => 'correct horse');
+      const text = await run('clone', [link], { cwd: '/Users/testuser/projects/locked' });
+      expect(prompt).toHaveBeenCalledTimes(1);
+      expect(text).toContain('Cloned simple');
+      prompt = undefined;
+    });
+  });
+
+  describe('reindex', () => {
+    it('re-parses every file with --full', async () => {
+      const incremental = JSON.parse(await run('reindex', [], { format: 'json' }));
+      const full = JSON.parse(await run('reindex', [], { format: 'json', full: true }));
+
+      expect(incremental).toMatchObject({ filesIndexed: 0, filesSkipped: 2, full: false });
+      expect(full).toMatchObject({ filesIndexed: 2, full: true });
+    });
+  });
+});
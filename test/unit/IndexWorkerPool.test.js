@@ -0,0 +1,58 @@
+/**
+ * IndexWorkerPool Unit Tests
+ *
+ * Tests for the worker thread pool used by full index runs:
+ * - Parsing on workers
+ * - Error propagation
+ * - Shutdown
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+const os = require('os');
+
+// Import IndexWorkerPool
+const IndexWorkerPool = require('../../src/analytics/data/IndexWorkerPool');
+const { getConversationFixturePath } = require('../helpers/test-db');
+
+describe('IndexWorkerPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = new IndexWorkerPool({ size: 2, claudeDir: os.tmpdir() });
+  });
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  it('parses files on worker threads', async () => {
+    const fixturePath = getConversationFixturePath('simple.jsonl');
+
+    const results = await Promise.all([
+      pool.parse(fixturePath, 0, null),
+      pool.parse(fixturePath, 0, null),
+      pool.parse(fixturePath, 0, null),
+    ]);
+
+    for (const { resume, parseResult, headHash } of results) {
+      expect(resume).toBe(false);
+      expect(parseResult.messageCount).toBe(6);
+      expect(parseResult.endOffset).toBeGreaterThan(0);
+      expect(headHash).toMatch(/^[0-9a-f]{40}$/);
+    }
+  });
+
+  it('rejects with the error from the worker', async () => {
+    await expect(pool.parse('/nonexistent/file.jsonl', 0, null)).rejects.toMatchObject({ code: 'ENOENT' });
+
+    // The worker is still usable afterwards
+    const { parseResult } = await pool.parse(getConversationFixturePath('simple.jsonl'), 0, null);
+    expect(parseResult.messageCount).toBe(6);
+  });
+
+  it('rejects new work once closed', async () => {
+    await pool.close();
+
+    await expect(pool.parse(getConversationFixturePath('simple.jsonl'), 0, null)).rejects.toThrow('closed');
+  });
+});
@@ -8,9 +8,10 @@
  * - Tool name extraction
  * - Project path extraction
  * - Malformed file handling
+ * - Transcript archive copies of indexed and deleted files
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 const path = require('path');
 const fs = require('fs-extra');
 const {
@@ -23,6 +24,7 @@ const {
 
 // Import Indexer
 const Indexer = require('../../src/analytics/data/Indexer');
+const TranscriptArchive = require('../../src/analytics/data/TranscriptArchive');
 
 describe('Indexer', () => {
   let db;
@@ -109,6 +111,27 @@ describe('Indexer', () => {
       expect(result.messageCount).toBe(6);
     });
 
+    it('counts similar-session terms from message text and touched files', async () => {
+      const result = await indexer._parseJsonlStreaming(getConversationFixturePath('with-tools.jsonl'));
+
+      expect(result.terms.description).toBeGreaterThan(0);
+      expect(result.terms['file:/Users/testuser/projects/test-project/package.json']).toBe(2);
+      expect(result.terms.the).toBeUndefined();
+    });
+
+    it('indexes tool calls and their results under the calling message', async () => {
+      const result = await indexer._parseJsonlStreaming(getConversationFixturePath('with-tools.jsonl'));
+
+      const call = result.messages.find(m => m.messageId === 'msg_asst_003' && m.toolInput);
+      expect(call.toolInput).toContain('Write\n/Users/testuser/projects/test-project/package.json');
+      expect(call.toolInput).toContain('"description": "A test project"');
+      expect(call.content).toContain('add a description field');
+
+      const output = result.messages.find(m => m.toolOutput === 'File written successfully');
+      expect(output).toMatchObject({ messageId: 'msg_asst_003', role: 'assistant', content: '', toolInput: '' });
+      expect(result.messages.filter(m => m.toolOutput)).toHaveLength(3);
+    });
+
     it('calculates token usage from assistant messages', async () => {
       const fixturePath = getConversationFixturePath('simple.jsonl');
       const result = await indexer._parseJsonlStreaming(fixturePath);
@@ -118,6 +141,36 @@ describe('Indexer', () => {
       expect(result.tokenUsage.total).toBe(result.tokenUsage.input + result.tokenUsage.output);
     });
 
+    it('accumulates per-model usage once per API message id', async () => {
+      const filePath = path.join(projectsDir, 'multi-model.jsonl');
+      const usage = { input_tokens: 100, output_tokens: 50, cache_read_input_tokens: 1000 };
+      const lines = [
+        // One response split over two content-block lines repeating the same usage
+        { type: 'assistant', uuid: 'a1', message: { id: 'msg_1', role: 'assistant', model: 'claude-opus-4-5-20251101', content: [{ type: 'text', text: 'a' }], usage } },
+        { type: 'assistant', uuid: 'a2', message: { id: 'msg_1', role: 'assistant', model: 'claude-opus-4-5-20251101', content: [{ type: 'tool_use', id: 't1', name: 'Read', input: {} }], usage } },
+        { type: 'assistant', uuid: 'a3', message: { id: 'msg_2', role: 'assistant', model: 'claude-haiku-4-5-20251001', content: [{ type: 'text', text: 'b' }], usage } },
+        { type: 'assistant', uuid: 'a4', message: { id: 'msg_3', role: 'assistant', model: '<synthetic>', content: [{ type: 'text', text: 'c' }], usage } },
+      ];
+      await fs.writeFile(filePath, lines.map(line => JSON.stringify(line)).join('\n'));
+
+      const result = await indexer._parseJsonlStreaming(filePath);
+
+      expect(Object.keys(result.modelUsage).sort()).toEqual(['claude-haiku-4-5-20251001', 'claude-opus-4-5-20251101']);
+      expect(result.modelUsage['claude-opus-4-5-20251101']).toMatchObject({ messages: 1, input: 100, output: 50, cacheRead: 1000 });
+      expect(result.modelUsage['claude-haiku-4-5-20251001'].messages).toBe(1);
+    });
+
+    it('totals cache creation and cache read tokens once per API message id', async () => {
+      const fixturePath = getConversationFixturePath('cache-tokens.jsonl');
+      const result = await indexer._parseJsonlStreaming(fixturePath);
+
+      // msg_cache_001 is split over three lines that repeat its usage
+      expect(result.tokenUsage).toMatchObject({ input: 50, output: 120, cacheCreation: 1200, cacheRead: 101200 });
+      expect(result.modelUsage['claude-sonnet-4-20250514']).toMatchObject({ messages: 2, cacheCreation: 1200, cacheRead: 101200 });
+      // Cache tokens are tracked separately and not folded into the total
+      expect(result.tokenUsage.total).toBe(result.tokenUsage.input + result.tokenUsage.output);
+    });
+
     it('extracts primary model from messages', async () => {
       const fixturePath = getConversationFixturePath('simple.jsonl');
       const result = await indexer._parseJsonlStreaming(fixturePath);
@@ -143,6 +196,19 @@ describe('Indexer', () => {
       expect(result.searchableContent).toContain('JavaScript');
     });
 
+    it('collects per-message entries for message-level search', async () => {
+      const fixturePath = getConversationFixturePath('simple.jsonl');
+      const result = await indexer._parseJsonlStreaming(fixturePath);
+
+      expect(result.messages.length).toBe(6);
+      expect(result.messages[0]).toMatchObject({
+        messageId: 'msg_user_001',
+        role: 'user',
+        timestamp: '2024-01-15T10:00:00.000Z',
+      });
+      expect(result.messages[3].content).toContain('reverse a string');
+    });
+
     it('handles malformed JSONL gracefully', async () => {
       const fixturePath = getConversationFixturePath('malformed.jsonl');
       const result = await indexer._parseJsonlStreaming(fixturePath);
@@ -197,6 +263,62 @@ describe('Indexer', () => {
     });
   });
 
+  describe('_extractFileTouches()', () => {
+    it('extracts file paths from file tools only', () => {
+      const content = [
+        { type: 'tool_use', id: 't1', name: 'Read', input: { file_path: '/repo/a.js' } },
+        { type: 'tool_use', id: 't2', name: 'MultiEdit', input: { file_path: '/repo/b.js', edits: [] } },
+        { type: 'tool_use', id: 't3', name: 'NotebookEdit', input: { notebook_path: '/repo/c.ipynb' } },
+        { type: 'tool_use', id: 't4', name: 'Bash', input: { command: 'cat /repo/d.js' } },
+        { type: 'tool_use', id: 't5', name: 'Write', input: {} },
+      ];
+      const result = indexer._extractFileTouches(content);
+
+      expect(result).toEqual([
+        { filePath: '/repo/a.js', operation: 'Read' },
+        { filePath: '/repo/b.js', operation: 'MultiEdit' },
+        { filePath: '/repo/c.ipynb', operation: 'NotebookEdit' },
+      ]);
+    });
+
+    it('records the timestamp of each touch while parsing', async () => {
+      const fixturePath = getConversationFixturePath('with-tools.jsonl');
+      const result = await indexer._parseJsonlStreaming(fixturePath);
+
+      expect(result.fileTouches.map(t => t.operation)).toEqual(['Read', 'Write']);
+      expect(result.fileTouches[0].filePath).toBe('/Users/testuser/projects/test-project/package.json');
+      expect(result.fileTouches[0].timestamp).toBeTruthy();
+    });
+  });
+
+  describe('Bash command extraction', () => {
+    it('pairs each Bash command with its tool result', async () => {
+      const filePath = path.join(projectsDir, 'bash.jsonl');
+      const lines = [
+        { type: 'assistant', uuid: 'a1', timestamp: '2025-03-01T10:00:00Z', message: { id: 'msg_1', role: 'assistant', content: [
+          { type: 'tool_use', id: 'toolu_ok', name: 'Bash', input: { command: 'npm run migrate', description: 'Run migrations' } },
+          { type: 'tool_use', id: 'toolu_fail', name: 'Bash', input: { command: 'npm test' } },
+        ] } },
+        { type: 'user', uuid: 'u1', message: { role: 'user', content: [
+          { type: 'tool_result', tool_use_id: 'toolu_ok', content: 'Migrated 3 tables' },
+          { type: 'tool_result', tool_use_id: 'toolu_fail', is_error: true, content: [{ type: 'text', text: 'Exit code 2\n1 test failed' }] },
+        ] } },
+        { type: 'assistant', uuid: 'a2', message: { id: 'msg_2', role: 'assistant', content: [
+          { type: 'tool_use', id: 'toolu_pending', name: 'Bash', input: { command: 'sleep 100' } },
+        ] } },
+      ];
+      await fs.writeFile(filePath, lines.map(line => JSON.stringify(line)).join('\n'));
+
+      const result = await indexer._parseJsonlStreaming(filePath);
+
+      expect(result.bashCommands).toEqual([
+        { toolUseId: 'toolu_ok', command: 'npm run migrate', description: 'Run migrations', messageId: 'msg_1', timestamp: '2025-03-01T10:00:00Z', exitCode: 0, isError: false, outputPreview: 'Migrated 3 tables' },
+        { toolUseId: 'toolu_fail', command: 'npm test', description: null, messageId: 'msg_1', timestamp: '2025-03-01T10:00:00Z', exitCode: 2, isError: true, outputPreview: 'Exit code 2\n1 test failed' },
+        { toolUseId: 'toolu_pending', command: 'sleep 100', description: null, messageId: 'msg_2', timestamp: null, exitCode: null, isError: null, outputPreview: null },
+      ]);
+    });
+  });
+
   describe('_extractToolNames()', () => {
     it('extracts tool names from tool_use blocks', () => {
       const content = [
@@ -465,4 +587,469 @@ describe('Indexer', () => {
       expect(result.error).toBeDefined();
     });
   });
+
+  describe('incremental indexing', () => {
+    const toJsonl = (lines) => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    const usage = { input_tokens: 10, output_tokens: 5 };
+
+    const userLine = (uuid, text) => ({ type: 'user', uuid, message: { role: 'user', content: text } });
+    const assistantLine = (uuid, id, content) => ({
+      type: 'assistant',
+      uuid,
+      message: { id, role: 'assistant', model: 'claude-sonnet-4-5', content, usage },
+    });
+
+    let filePath;
+    let conversationId;
+
+    beforeEach(async () => {
+      [filePath] = await setupFixturesInProjectsDir(projectsDir, {
+        fixtures: ['simple.jsonl'],
+      });
+      conversationId = path.basename(filePath, '.jsonl');
+      await indexer.indexSingleFile(filePath);
+    });
+
+    const countMessages = () => db.db
+      .prepare('SELECT COUNT(*) as count FROM message_fts WHERE conversation_id = ?')
+      .get(conversationId).count;
+
+    it('parses only appended lines and keeps the totals of a full parse', async () => {
+      await fs.appendFile(filePath, toJsonl([
+        userLine('u10', 'What about zebracorn strings?'),
+        assistantLine('a10', 'msg_new', [{ type: 'text', text: 'Zebracorn strings reverse the same way.' }]),
+        assistantLine('a11', 'msg_new', [{ type: 'tool_use', id: 'toolu_new', name: 'Read', input: { file_path: '/tmp/z.js' } }]),
+      ]));
+
+      const result = await indexer.indexSingleFile(filePath);
+      const fullParse = await indexer._parseJsonlStreaming(filePath);
+      const conversation = db.getConversation(conversationId);
+
+      expect(result.mode).toBe('append');
+      expect(conversation.messageCount).toBe(fullParse.messageCount);
+      expect(conversation.tokenUsage).toMatchObject(fullParse.tokenUsage);
+      expect(countMessages()).toBe(fullParse.messages.length);
+      expect(db.getModelUsage([conversationId]).get(conversationId)).toEqual(fullParse.modelUsage);
+      expect(db.getFileTouches('/tmp/z.js')).toHaveLength(1);
+
+      // Both the original and the appended content stay searchable
+      expect(db.searchConversations('zebracorn').map(c => c.id)).toEqual([conversationId]);
+      expect(db.searchConversations('reverse').map(c => c.id)).toEqual([conversationId]);
+    });
+
+    it('counts a response split across an append once', async () => {
+      await fs.appendFile(filePath, toJsonl([
+        assistantLine('a10', 'msg_split', [{ type: 'text', text: 'Reading it now.' }]),
+      ]));
+      await indexer.indexSingleFile(filePath);
+      const before = db.getConversation(conversationId).tokenUsage;
+
+      await fs.appendFile(filePath, toJsonl([
+        assistantLine('a11', 'msg_split', [{ type: 'tool_use', id: 'toolu_split', name: 'Read', input: { file_path: '/tmp/s.js' } }]),
+      ]));
+      const result = await indexer.indexSingleFile(filePath);
+
+      expect(result.mode).toBe('append');
+      expect(db.getConversation(conversationId).tokenUsage).toMatchObject({ input: before.input, output: before.output });
+      expect(db.getConversation(conversationId).tokenUsage).toMatchObject((await indexer._parseJsonlStreaming(filePath)).tokenUsage);
+    });
+
+    it('falls back to a full parse when the file is rewritten', async () => {
+      await fs.writeFile(filePath, toJsonl([
+        userLine('u1', 'A different session'),
+        assistantLine('a1', 'msg_1', [{ type: 'text', text: 'Rewritten from the start' }]),
+      ]));
+
+      const result = await indexer.indexSingleFile(filePath);
+
+      expect(result.mode).toBe('full');
+      expect(db.getConversation(conversationId).messageCount).toBe(2);
+      expect(countMessages()).toBe(2);
+      expect(db.searchConversations('reverse')).toHaveLength(0);
+    });
+
+    it('leaves an unfinished last line for the next parse', async () => {
+      const line = JSON.stringify(userLine('u10', 'Half written zebracorn line'));
+      const { messageCount } = db.getConversation(conversationId);
+
+      await fs.appendFile(filePath, line.slice(0, 20));
+      await indexer.indexSingleFile(filePath);
+      expect(db.getConversation(conversationId).messageCount).toBe(messageCount);
+
+      await fs.appendFile(filePath, line.slice(20) + '\n');
+      const result = await indexer.indexSingleFile(filePath);
+
+      expect(result.mode).toBe('append');
+      expect(db.getConversation(conversationId).messageCount).toBe(messageCount + 1);
+      expect(db.searchConversations('zebracorn')).toHaveLength(1);
+    });
+
+    it('attaches a Bash result that arrives in a later append', async () => {
+      await fs.appendFile(filePath, toJsonl([
+        assistantLine('a10', 'msg_bash', [{ type: 'tool_use', id: 'toolu_bash', name: 'Bash', input: { command: 'npm test' } }]),
+      ]));
+      await indexer.indexSingleFile(filePath);
+      expect(db.getBashCommands().commands[0]).toMatchObject({ command: 'npm test', isError: null });
+
+      await fs.appendFile(filePath, toJsonl([{
+        type: 'user',
+        uuid: 'u11',
+        message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_bash', is_error: true, content: 'Exit code 1\nFAIL' }] },
+      }]));
+      await indexer.indexSingleFile(filePath);
+
+      const { commands } = db.getBashCommands();
+      expect(commands).toHaveLength(1);
+      expect(commands[0]).toMatchObject({ command: 'npm test', exitCode: 1, isError: true });
+    });
+
+    it('carries only the newest Bash calls still waiting for a result', async () => {
+      const bashLine = n => assistantLine(`a${n}`, `msg_${n}`, [{ type: 'tool_use', id: `toolu_${n}`, name: 'Bash', input: { command: `echo ${n}` } }]);
+      await fs.appendFile(filePath, toJsonl(Array.from({ length: 80 }, (_, n) => bashLine(n))));
+      await indexer.indexSingleFile(filePath);
+      await fs.appendFile(filePath, toJsonl(Array.from({ length: 80 }, (_, n) => bashLine(n + 80))));
+      await indexer.indexSingleFile(filePath);
+
+      const { pendingCommandIds } = db.getFileIndexState(filePath).parseState;
+
+      expect(pendingCommandIds).toHaveLength(100);
+      expect(pendingCommandIds[0]).toBe('toolu_60');
+      expect(pendingCommandIds[99]).toBe('toolu_159');
+    });
+  });
+
+  describe('session chains', () => {
+    const toJsonl = (lines) => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    const userLine = (uuid, parentUuid, text) => ({ type: 'user', uuid, parentUuid, message: { role: 'user', content: text } });
+    const summaryLine = (leafUuid) => ({ type: 'summary', summary: 'Refactor the parser', leafUuid });
+
+    let sessionDir;
+
+    beforeEach(async () => {
+      sessionDir = path.join(projectsDir, '-Users-test-chain');
+      await fs.ensureDir(sessionDir);
+      await fs.writeFile(path.join(sessionDir, 'first.jsonl'), toJsonl([
+        userLine('u1', null, 'Refactor the parser'),
+        userLine('u2', 'u1', 'Keep going'),
+      ]));
+      // Resumed session: summaries of the first session, then new work
+      await fs.writeFile(path.join(sessionDir, 'second.jsonl'), toJsonl([
+        summaryLine('u2'),
+        userLine('u3', 'u2', 'Continue where we left off'),
+      ]));
+    });
+
+    it('links a resumed session to the session its summary points at', async () => {
+      // Indexed newest first: links resolve whatever order files are indexed in
+      await indexer.indexSingleFile(path.join(sessionDir, 'second.jsonl'));
+      await indexer.indexSingleFile(path.join(sessionDir, 'first.jsonl'));
+
+      expect(db.getSessionLinks()).toEqual([{ predecessorId: 'first', successorId: 'second' }]);
+    });
+
+    it('ignores summaries of the session itself and keeps links across appends', async () => {
+      await indexer.runFullIndex();
+      await fs.appendFile(path.join(sessionDir, 'second.jsonl'), toJsonl([
+        summaryLine('u4'),
+        userLine('u4', 'u3', 'Done'),
+      ]));
+
+      const result = await indexer.indexSingleFile(path.join(sessionDir, 'second.jsonl'));
+
+      expect(result.mode).toBe('append');
+      expect(db.getSessionLinks()).toEqual([{ predecessorId: 'first', successorId: 'second' }]);
+    });
+
+    it('drops the link when the earlier session is removed', async () => {
+      await indexer.runFullIndex();
+
+      db.removeFile(path.join(sessionDir, 'first.jsonl'));
+
+      expect(db.getSessionLinks()).toEqual([]);
+    });
+  });
+
+  describe('git branch and version facets', () => {
+    const toJsonl = (lines) => lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    const userLine = (uuid, gitBranch, version) => ({
+      type: 'user', uuid, gitBranch, version, message: { role: 'user', content: 'Hello' },
+    });
+
+    let sessionFile;
+
+    beforeEach(async () => {
+      const sessionDir = path.join(projectsDir, '-Users-test-facets');
+      await fs.ensureDir(sessionDir);
+      sessionFile = path.join(sessionDir, 'facets.jsonl');
+      await fs.writeFile(sessionFile, toJsonl([
+        userLine('u1', 'main', '1.0.80'),
+        userLine('u2', 'feature/login', '1.0.80'),
+        userLine('u3', 'feature/login', '1.0.80'),
+        // Entries without metadata (or a blank branch outside a repo) aren't counted
+        userLine('u4', '', undefined),
+      ]));
+    });
+
+    it('records every git branch and CLI version, most used first', async () => {
+      await indexer.indexSingleFile(sessionFile);
+
+      expect(db.getConversationFacets(['facets']).get('facets')).toEqual({
+        gitBranches: ['feature/login', 'main'],
+        versions: ['1.0.80'],
+      });
+    });
+
+    it('adds the metadata of appended lines to the existing counts', async () => {
+      await indexer.indexSingleFile(sessionFile);
+      await fs.appendFile(sessionFile, toJsonl([
+        userLine('u5', 'main', '1.0.81'),
+        userLine('u6', 'main', '1.0.81'),
+      ]));
+
+      const result = await indexer.indexSingleFile(sessionFile);
+
+      expect(result.mode).toBe('append');
+      expect(db.getFacets()).toEqual({
+        gitBranches: [{ value: 'feature/login', conversations: 1 }, { value: 'main', conversations: 1 }],
+        versions: [{ value: '1.0.81', conversations: 1 }, { value: '1.0.80', conversations: 1 }],
+        sources: [{ value: 'default', conversations: 1 }],
+      });
+      expect(db.getConversationFacets(['facets']).get('facets').gitBranches).toEqual(['main', 'feature/login']);
+    });
+  });
+
+  describe('data roots', () => {
+    const encodedPath = '-Users-testuser-projects-roots';
+    let secondRoot;
+
+    beforeEach(async () => {
+      secondRoot = await createTempProjectsDir();
+      await setupFixturesInProjectsDir(projectsDir, { encodedPath, fixtures: ['simple.jsonl'] });
+      await setupFixturesInProjectsDir(secondRoot.projectsDir, { encodedPath, fixtures: ['simple.jsonl', 'with-tools.jsonl'] });
+
+      indexer = new Indexer(db, claudeDir, {
+        roots: [
+          { name: 'work', path: claudeDir },
+          { name: 'laptop', path: secondRoot.claudeDir },
+        ],
+      });
+    });
+
+    afterEach(async () => {
+      await secondRoot.cleanup();
+    });
+
+    it('labels conversations with their root and indexes a session found twice from the first root', async () => {
+      const stats = await indexer.runFullIndex();
+
+      expect(stats.filesScanned).toBe(2);
+      const sources = Object.fromEntries(db.getConversations().map(conv => [conv.id, conv.source]));
+      expect(sources).toEqual({ simple: 'work', 'with-tools': 'laptop' });
+      expect(db.getConversation('simple').filePath.startsWith(projectsDir)).toBe(true);
+      expect(db.getFacets().sources).toEqual([
+        { value: 'laptop', conversations: 1 },
+        { value: 'work', conversations: 1 },
+      ]);
+    });
+
+    it('skips live updates to a session shadowed by an earlier root', async () => {
+      const result = await indexer.indexSingleFile(path.join(secondRoot.projectsDir, encodedPath, 'simple.jsonl'));
+
+      expect(result).toEqual({ success: true, mode: 'skipped', shadowedBy: 'work' });
+      expect(db.getConversation('simple')).toBeNull();
+    });
+
+    it('keeps the conversations of a root whose directory is missing', async () => {
+      await indexer.runFullIndex();
+      await fs.remove(secondRoot.projectsDir);
+
+      const stats = await indexer.runFullIndex();
+
+      expect(stats.filesRemoved).toBe(0);
+      expect(db.getConversation('with-tools').source).toBe('laptop');
+    });
+
+    it('relabels existing conversations when a root is renamed', async () => {
+      await indexer.runFullIndex();
+
+      const renamed = new Indexer(db, claudeDir, {
+        roots: [
+          { name: 'office', path: claudeDir },
+          { name: 'laptop', path: secondRoot.claudeDir },
+        ],
+      });
+      await renamed.runFullIndex();
+
+      expect(db.getConversation('simple').source).toBe('office');
+    });
+  });
+
+  describe('transcript archive', () => {
+    const encodedPath = '-Users-testuser-projects-archive';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let archiveDir;
+    let filePath;
+
+    const archiveIndexer = (options = {}) => new Indexer(db, claudeDir, {
+      workers: 0,
+      progressStream: null,
+      archive: new TranscriptArchive({ dir: archiveDir, ...options }),
+    });
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      archiveDir = path.join(claudeDir, 'archive');
+      [filePath] = await setupFixturesInProjectsDir(projectsDir, { encodedPath, fixtures: ['simple.jsonl'] });
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('copies indexed files and adds appended lines to a compressed copy', async () => {
+      indexer = archiveIndexer({ compress: true });
+      await indexer.indexSingleFile(filePath);
+
+      const archivePath = path.join(archiveDir, 'default', encodedPath, 'simple.jsonl.gz');
+      expect(await TranscriptArchive.readText(archivePath)).toBe(await fs.readFile(filePath, 'utf8'));
+
+      await fs.appendFile(filePath, JSON.stringify({ type: 'user', uuid: 'u10', message: { role: 'user', content: 'zebracorn' } }) + '\n');
+      const result = await indexer.indexSingleFile(filePath);
+
+      expect(result.mode).toBe('append');
+      expect(await TranscriptArchive.readText(archivePath)).toBe(await fs.readFile(filePath, 'utf8'));
+      expect(db.getArchiveState(filePath)).toMatchObject({ archivePath, archiveBytes: (await fs.stat(filePath)).size });
+    });
+
+    it('keeps a deleted session searchable and reads it from the archive', async () => {
+      indexer = archiveIndexer();
+      await indexer.runFullIndex();
+      const content = await fs.readFile(filePath, 'utf8');
+      await fs.remove(filePath);
+
+      const stats = await indexer.runFullIndex();
+      const conversation = db.getConversation('simple');
+
+      expect(stats).toMatchObject({ filesArchived: 1, filesRemoved: 0 });
+      expect(conversation.archivedAt).toBeInstanceOf(Date);
+      expect(await fs.readFile(conversation.archivePath, 'utf8')).toBe(content);
+      expect(db.searchConversations('reverse').map(conv => conv.id)).toEqual(['simple']);
+
+      // A session that comes back is read from the original again
+      await fs.writeFile(filePath, content);
+      await indexer.runFullIndex();
+      expect(db.getConversation('simple').archivedAt).toBeNull();
+    });
+
+    it('archives unchanged sessions indexed before archiving was turned on', async () => {
+      await indexer.runFullIndex();
+      expect(db.getArchiveState(filePath).archivePath).toBeNull();
+
+      const stats = await archiveIndexer().runFullIndex();
+
+      expect(stats.filesSkipped).toBe(1);
+      expect(await fs.pathExists(path.join(archiveDir, 'default', encodedPath, 'simple.jsonl'))).toBe(true);
+    });
+
+    it('drops archived sessions inactive for longer than the retention period', async () => {
+      const longAgo = new Date(Date.now() - 60 * DAY_MS);
+      await fs.utimes(filePath, longAgo, longAgo);
+      indexer = archiveIndexer({ retentionDays: 30 });
+      await indexer.runFullIndex();
+      const { archivePath } = db.getArchiveState(filePath);
+
+      // Only archived sessions are pruned, not old ones that still exist
+      expect((await indexer.runFullIndex()).archivesPruned).toBe(0);
+
+      await fs.remove(filePath);
+      const stats = await indexer.runFullIndex();
+
+      expect(stats).toMatchObject({ filesArchived: 1, archivesPruned: 1 });
+      expect(db.getConversation('simple')).toBeNull();
+      expect(await fs.pathExists(archivePath)).toBe(false);
+    });
+
+    it('removes deleted sessions when archiving is off', async () => {
+      await indexer.runFullIndex();
+      await fs.remove(filePath);
+
+      const stats = await indexer.runFullIndex();
+
+      expect(stats).toMatchObject({ filesArchived: 0, filesRemoved: 1 });
+      expect(db.getConversation('simple')).toBeNull();
+    });
+  });
+
+  describe('worker thread indexing', () => {
+    // Enough sessions to go past the threshold for starting workers
+    const setupSessions = async (count) => {
+      const projectDir = path.join(projectsDir, '-Users-testuser-many-sessions');
+      await fs.ensureDir(projectDir);
+      for (let i = 0; i < count; i++) {
+        await fs.copy(getConversationFixturePath('with-tools.jsonl'), path.join(projectDir, `session-${i}.jsonl`));
+      }
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('parses on worker threads with the same results as the main thread', async () => {
+      await setupSessions(24);
+      const progress = [];
+      const pooled = new Indexer(db, claudeDir, { workers: 2, onProgress: p => progress.push(p) });
+
+      const stats = await pooled.runFullIndex();
+      const inline = await indexer._parseJsonlStreaming(getConversationFixturePath('with-tools.jsonl'));
+
+      expect(stats).toMatchObject({ filesIndexed: 24, errors: 0 });
+      expect(progress.find(p => p.state === 'indexing').workers).toBe(2);
+      expect(db.getConversationCount()).toBe(24);
+
+      const conversation = db.getConversation('session-7');
+      expect(conversation.messageCount).toBe(inline.messageCount);
+      expect(conversation.tokenUsage).toMatchObject(inline.tokenUsage);
+      expect(db.getBashCommands({ limit: 100 }).total).toBe(24 * inline.bashCommands.length);
+    });
+
+    it('reports progress through to completion', async () => {
+      await setupSessions(3);
+      const progress = [];
+      const reporting = new Indexer(db, claudeDir, { workers: 0, onProgress: p => progress.push(p) });
+
+      await reporting.runFullIndex();
+
+      expect(progress[0].state).toBe('scanning');
+      expect(progress.some(p => p.state === 'indexing' && p.filesTotal === 3)).toBe(true);
+      expect(progress[progress.length - 1]).toMatchObject({ state: 'complete', filesDone: 3, percent: 100, errors: 0 });
+      expect(reporting.getProgress().state).toBe('complete');
+    });
+
+    it('joins a run that is already in progress', async () => {
+      await setupSessions(2);
+
+      const [first, second] = await Promise.all([indexer.runFullIndex(), indexer.runFullIndex()]);
+
+      expect(second).toBe(first);
+      expect(first.filesIndexed).toBe(2);
+    });
+
+    it('serializes concurrent updates to the same file', async () => {
+      const [filePath] = await setupFixturesInProjectsDir(projectsDir, { fixtures: ['simple.jsonl'] });
+      await indexer.indexSingleFile(filePath);
+      await fs.appendFile(filePath, JSON.stringify({ type: 'user', uuid: 'u10', message: { role: 'user', content: 'One more question' } }) + '\n');
+
+      await Promise.all([indexer.indexSingleFile(filePath), indexer.indexSingleFile(filePath)]);
+
+      const fullParse = await indexer._parseJsonlStreaming(filePath);
+      const { count } = db.db.prepare('SELECT COUNT(*) as count FROM message_fts WHERE conversation_id = ?').get('simple');
+      expect(count).toBe(fullParse.messages.length);
+      expect(db.getConversation('simple').messageCount).toBe(fullParse.messageCount);
+    });
+  });
 });
@@ -0,0 +1,83 @@
+/**
+ * Local Request Guard Unit Tests
+ *
+ * Tests for turning away writes other web pages or hosts could make:
+ * - Host names this machine is reached at
+ * - Origin, custom header and body type checks
+ */
+
+import { describe, it, expect } from 'vitest';
+const os = require('os');
+const express = require('express');
+const request = require('supertest');
+
+const { isLocalHostname, localJsonWriteGuard, localWriteGuard } = require('../../src/local-request');
+
+describe('local request guard', () => {
+  describe('isLocalHostname()', () => {
+    it.each(['localhost', 'app.localhost', '127.0.0.1', '192.168.1.20', '[::1]', os.hostname(), `${os.hostname()}.local`])(
+      'accepts %s', hostname => {
+        expect(isLocalHostname(hostname)).toBe(true);
+      });
+
+    it('refuses other names', () => {
+      expect(isLocalHostname('attacker.example.com')).toBe(false);
+    });
+  });
+
+  describe('localWriteGuard()', () => {
+    const app = express();
+    app.post('/write', localWriteGuard, express.text({ type: 'application/octet-stream' }), (req, res) => res.json({ body: req.body }));
+
+    const post = () => request(app).post('/write')
+      .set('Host', 'localhost:9876')
+      .set('Content-Type', 'application/octet-stream')
+      .set('X-Chat-Explorer-Import', '1');
+
+    it('lets the explorer page and local scripts through', async () => {
+      expect((await post().set('Origin', 'http://localhost:9876').send('{"a":1}')).body).toEqual({ body: '{"a":1}' });
+      expect((await post().send('{}')).status).toBe(200);
+    });
+
+    it('turns away other origins and hosts', async () => {
+      expect((await post().set('Origin', 'https://attacker.example.com').send('{}')).status).toBe(403);
+      expect((await post().set('Origin', 'null').send('{}')).status).toBe(403);
+      expect((await post().set('Host', 'attacker.example.com:9876').send('{}')).status).toBe(403);
+    });
+
+    it('needs the custom header and a body type forms cannot send', async () => {
+      const plain = await request(app).post('/write').set('Host', 'localhost:9876')
+        .set('Content-Type', 'text/plain').set('X-Chat-Explorer-Import', '1').send('{}');
+      const withoutHeader = await request(app).post('/write').set('Host', 'localhost:9876')
+        .set('Content-Type', 'application/octet-stream').send('{}');
+
+      expect(plain.status).toBe(415);
+      expect(withoutHeader.body.error).toBe('Missing X-Chat-Explorer-Import header');
+    });
+  });
+
+  describe('localJsonWriteGuard()', () => {
+    const app = express();
+    app.post('/share', localJsonWriteGuard, express.json(), (req, res) => res.json({ body: req.body }));
+
+    it('lets the explorer page send JSON', async () => {
+      const response = await request(app).post('/share').set('Host', 'localhost:9876')
+        .set('Origin', 'http://localhost:9876').set('X-Chat-Explorer-Import', '1').send({ redact: true });
+
+      expect(response.body).toEqual({ body: { redact: true } });
+    });
+
+    it('turns away the form posts and cross-origin requests other pages can make', async () => {
+      const form = await request(app).post('/share').set('Host', 'localhost:9876')
+        .set('Origin', 'https://attacker.example.com').set('Content-Type', 'text/plain').send('{}');
+      const crossOrigin = await request(app).post('/share').set('Host', 'localhost:9876')
+        .set('Origin', 'https://attacker.example.com').set('X-Chat-Explorer-Import', '1').send({});
+      const plain = await request(app).post('/share').set('Host', 'localhost:9876')
+        .set('X-Chat-Explorer-Import', '1').set('Content-Type', 'text/plain').send('{}');
+
+      expect(form.status).toBe(403);
+      expect(crossOrigin.status).toBe(403);
+      expect(plain.status).toBe(415);
+    });
+  });
+});
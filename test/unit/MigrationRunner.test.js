@@ -0,0 +1,119 @@
+/**
+ * MigrationRunner Unit Tests
+ *
+ * Tests for versioned schema migrations including:
+ * - Ordering and user_version tracking
+ * - Transactional rollback on failure
+ * - Migration records and forced reindexing
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const Database = require('better-sqlite3');
+
+// Import MigrationRunner
+const MigrationRunner = require('../../src/analytics/data/MigrationRunner');
+
+describe('MigrationRunner', () => {
+  let db;
+  let tempDir;
+
+  const createItems = {
+    version: 1,
+    name: 'create_items',
+    up(database) {
+      database.exec('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      database.exec('CREATE TABLE file_index (file_path TEXT PRIMARY KEY)');
+    }
+  };
+
+  const addColor = {
+    version: 2,
+    name: 'add_color',
+    up(database) {
+      database.exec('ALTER TABLE items ADD COLUMN color TEXT');
+    }
+  };
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'migration-test-'));
+    db = new Database(path.join(tempDir, 'test.db'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    db.close();
+    await fs.remove(tempDir);
+  });
+
+  it('applies migrations in version order and records them', () => {
+    const runner = new MigrationRunner(db, [addColor, createItems]);
+
+    const result = runner.run();
+
+    expect(result).toMatchObject({ fromVersion: 0, toVersion: 2, applied: ['create_items', 'add_color'] });
+    expect(runner.getCurrentVersion()).toBe(2);
+    expect(runner.getAppliedMigrations().map(m => m.name)).toEqual(['create_items', 'add_color']);
+  });
+
+  it('only runs migrations newer than the current version', () => {
+    new MigrationRunner(db, [createItems]).run();
+
+    const up = vi.fn();
+    const runner = new MigrationRunner(db, [createItems, { version: 2, name: 'next', up }]);
+    const result = runner.run();
+
+    expect(result.applied).toEqual(['next']);
+    expect(up).toHaveBeenCalledTimes(1);
+    expect(runner.run().applied).toEqual([]);
+  });
+
+  it('rolls back a failed migration and stops', () => {
+    const failing = {
+      version: 2,
+      name: 'half_done',
+      up(database) {
+        database.exec('ALTER TABLE items ADD COLUMN color TEXT');
+        throw new Error('boom');
+      }
+    };
+    const never = { version: 3, name: 'never', up: vi.fn() };
+    const runner = new MigrationRunner(db, [createItems, failing, never]);
+
+    expect(() => runner.run()).toThrow('Migration 2 (half_done) failed: boom');
+
+    expect(runner.getCurrentVersion()).toBe(1);
+    const columns = db.prepare('PRAGMA table_info(items)').all().map(c => c.name);
+    expect(columns).not.toContain('color');
+    expect(never.up).not.toHaveBeenCalled();
+  });
+
+  it('clears file tracking for migrations that need a reindex', () => {
+    new MigrationRunner(db, [createItems]).run();
+    db.prepare('INSERT INTO file_index VALUES (?)').run('/a.jsonl');
+
+    const result = new MigrationRunner(db, [createItems, { ...addColor, reindex: 'item colors' }]).run();
+
+    expect(result.reindexReasons).toEqual(['item colors']);
+    expect(db.prepare('SELECT COUNT(*) as count FROM file_index').get().count).toBe(0);
+  });
+
+  it('leaves a database from a newer release untouched', () => {
+    db.pragma('user_version = 9');
+    const runner = new MigrationRunner(db, [createItems]);
+
+    const result = runner.run();
+
+    expect(result.applied).toEqual([]);
+    expect(runner.getCurrentVersion()).toBe(9);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('rejects duplicate versions', () => {
+    expect(() => new MigrationRunner(db, [createItems, { ...addColor, version: 1 }])).toThrow('Duplicate migration version: 1');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * RawSearch Unit Tests
+ *
+ * Tests for literal and regex search over the raw JSONL files:
+ * - Pattern compilation and validation
+ * - Matches in tool inputs and outputs
+ * - Streaming, limits and cancellation
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// Import RawSearch
+const RawSearch = require('../../src/analytics/data/RawSearch');
+const { getConversationFixturePath } = require('../helpers/test-db');
+
+const fixture = (name) => ({ path: getConversationFixturePath(name), conversationId: name, project: 'test-project' });
+
+describe('RawSearch', () => {
+  describe('compile', () => {
+    it('escapes literal text', () => {
+      const { source, flags } = RawSearch.compile('package.json (v1)');
+
+      expect(new RegExp(source, flags).test('PACKAGE.JSON (V1)')).toBe(true);
+      expect(new RegExp(source, flags).test('packageXjson (v1)')).toBe(false);
+    });
+
+    it('keeps regex syntax in regex mode and honours case sensitivity', () => {
+      const { source, flags } = RawSearch.compile('ERR_[A-Z_]+', { mode: 'regex', caseSensitive: true });
+
+      expect(flags).toBe('');
+      expect(new RegExp(source, flags).test('ERR_MODULE_NOT_FOUND')).toBe(true);
+      expect(new RegExp(source, flags).test('err_module')).toBe(false);
+    });
+
+    it('rejects empty, invalid and empty-matching patterns', () => {
+      expect(() => RawSearch.compile('')).toThrow(expect.objectContaining({ code: 'INVALID_PATTERN' }));
+      expect(() => RawSearch.compile('(unclosed', { mode: 'regex' })).toThrow(expect.objectContaining({ code: 'INVALID_PATTERN' }));
+      expect(() => RawSearch.compile('a*', { mode: 'regex' })).toThrow('matches empty text');
+      expect(() => RawSearch.compile('x', { mode: 'fuzzy' })).toThrow('Unknown search mode');
+    });
+  });
+
+  describe('run', () => {
+    it('finds matches in tool inputs', async () => {
+      const matches = [];
+      const search = new RawSearch([fixture('with-tools.jsonl')], RawSearch.compile('"description": "A test project"'), {
+        onResults: (batch) => matches.push(...batch)
+      });
+
+      const summary = await search.run();
+
+      expect(summary).toMatchObject({ filesSearched: 1, totalFiles: 1, cancelled: false, truncated: false });
+      expect(summary.matchCount).toBe(matches.length);
+      const input = matches.find(m => m.label === 'Write input');
+      expect(input).toMatchObject({
+        conversationId: 'with-tools.jsonl',
+        line: 6,
+        messageId: 'msg_asst_003',
+        location: 'message.content[1].input.content'
+      });
+      expect(input.snippet.slice(input.matchStart, input.matchStart + input.matchLength)).toBe('"description": "A test project"');
+    });
+
+    it('finds matches in tool results', async () => {
+      const matches = [];
+      const search = new RawSearch([fixture('with-tools.jsonl')], RawSearch.compile('written succ'), {
+        onResults: (batch) => matches.push(...batch)
+      });
+
+      await search.run();
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({ label: 'tool result', line: 7, location: 'message.content[0].content' });
+    });
+
+    it('searches every file and skips ones that no longer exist', async () => {
+      const files = [fixture('simple.jsonl'), { path: '/nonexistent/file.jsonl', conversationId: 'gone' }, fixture('with-tools.jsonl')];
+      const search = new RawSearch(files, RawSearch.compile('help', {}));
+
+      const summary = await search.run();
+
+      expect(summary.filesSearched).toBe(3);
+      expect(summary.matchCount).toBeGreaterThan(0);
+    });
+
+    it('stops at maxMatches', async () => {
+      const search = new RawSearch([fixture('simple.jsonl'), fixture('with-tools.jsonl')], RawSearch.compile('e', {}), { maxMatches: 3 });
+
+      const summary = await search.run();
+
+      expect(summary.matchCount).toBe(3);
+      expect(summary.truncated).toBe(true);
+    });
+
+    it('resolves with cancelled when cancelled', async () => {
+      const search = new RawSearch([fixture('simple.jsonl')], RawSearch.compile('help', {}));
+
+      const running = search.run();
+      search.cancel();
+
+      await expect(running).resolves.toMatchObject({ cancelled: true });
+    });
+  });
+});
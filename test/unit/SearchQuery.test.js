@@ -0,0 +1,135 @@
+/**
+ * SearchQuery Unit Tests
+ *
+ * Tests for the search box syntax:
+ * - Parsing words, phrases, field filters and exclusions
+ * - Errors for malformed queries
+ * - Compiling to FTS5 MATCH and SQL conditions
+ * - Autocomplete suggestions
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { SearchQuery, QuerySyntaxError } = require('../../src/analytics/data/SearchQuery');
+
+describe('SearchQuery', () => {
+  describe('parse()', () => {
+    it('separates text, phrases, filters and exclusions', () => {
+      const query = SearchQuery.parse('project:api tool:Bash model:opus after:2026-09-01 role:user "exact phrase" -excluded retry');
+
+      expect(query.filters).toEqual([
+        { field: 'project', value: 'api', negated: false },
+        { field: 'tool', value: 'Bash', negated: false },
+        { field: 'model', value: 'opus', negated: false },
+        { field: 'after', value: '2026-09-01', negated: false },
+        { field: 'role', value: 'user', negated: false },
+      ]);
+      expect(query.terms).toEqual([
+        { text: 'exact phrase', phrase: true, negated: false },
+        { text: 'excluded', phrase: false, negated: true },
+        { text: 'retry', phrase: false, negated: false },
+      ]);
+      expect(query.getText()).toBe('exact phrase retry');
+    });
+
+    it('reads quoted filter values and negated filters', () => {
+      const query = SearchQuery.parse('PROJECT:"my app" -tool:Write -"not this"');
+
+      expect(query.filters).toEqual([
+        { field: 'project', value: 'my app', negated: false },
+        { field: 'tool', value: 'Write', negated: true },
+      ]);
+      expect(query.terms).toEqual([{ text: 'not this', phrase: true, negated: true }]);
+      expect(query.hasText()).toBe(false);
+    });
+
+    it('searches unknown fields and punctuation as text', () => {
+      const query = SearchQuery.parse('TypeError: https://example.com/a-b foo-bar');
+
+      expect(query.filters).toEqual([]);
+      expect(query.terms.map(term => term.text)).toEqual(['TypeError:', 'https://example.com/a-b', 'foo-bar']);
+    });
+
+    it.each([
+      ['"unterminated phrase', /Unterminated quote/, 0],
+      ['retry project:', /Missing value for project:/, 6],
+      ['after:yesterday', /Invalid date for after: "yesterday" \(use YYYY-MM-DD\)/, 0],
+      ['before:2026-02-31', /Invalid date for before:/, 0],
+      ['role:system', /Invalid role: "system" \(use user or assistant\)/, 0],
+      ['retry - more', /Nothing to exclude/, 6],
+    ])('rejects %s', (text, message, position) => {
+      let error;
+      try {
+        SearchQuery.parse(text);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(QuerySyntaxError);
+      expect(error.message).toMatch(message);
+      expect(error.position).toBe(position);
+    });
+  });
+
+  describe('compiling', () => {
+    it('quotes every text part in the FTS5 expression', () => {
+      const query = SearchQuery.parse('retry "exact phrase" say"hi NOT file.js');
+
+      expect(query.toFtsMatch()).toBe('"retry" "exact phrase" "say""hi" "NOT" "file.js"');
+      expect(SearchQuery.parse('project:api').toFtsMatch()).toBeNull();
+    });
+
+    it('offers corrected spellings for plain words only', () => {
+      const query = SearchQuery.parse('webpak "webpak config" -webpak');
+
+      expect(query.getWords()).toEqual(['webpak']);
+      expect(query.toFtsMatch(new Map([['webpak', ['webpack']]]))).toBe('("webpak" OR "webpack") AND "webpak config"');
+    });
+
+    it('turns filters and exclusions into conversation conditions', () => {
+      const { conditions, params } = SearchQuery.parse('project:a_b -model:opus before:2026-01-01 -flaky -"half done"').toSql('c');
+
+      expect(conditions).toEqual([
+        "c.project LIKE ? ESCAPE '\\'",
+        "NOT (EXISTS (SELECT 1 FROM model_usage m WHERE m.conversation_id = c.id AND m.model LIKE ? ESCAPE '\\'))",
+        'c.created < ?',
+        'NOT (c.id IN (SELECT conversation_id FROM conversation_fts WHERE conversation_fts MATCH ?))',
+      ]);
+      expect(params).toEqual(['%a\\_b%', '%opus%', Date.parse('2026-01-01'), '"flaky" OR "half done"']);
+    });
+
+    it('applies role filters to messages', () => {
+      expect(SearchQuery.parse('retry -role:assistant').toMessageSql()).toEqual({
+        conditions: ['role <> ?'],
+        params: ['assistant'],
+      });
+    });
+  });
+
+  describe('suggest()', () => {
+    const lookupValues = (field, prefix) => [
+      { value: `${prefix}one`, conversations: 3 },
+      { value: 'with space', conversations: 1 },
+    ];
+
+    it('suggests field names for a partial word', () => {
+      expect(SearchQuery.suggest('-pro', lookupValues)).toEqual([
+        { insert: '-project:', label: 'project:', description: 'Project name contains' },
+      ]);
+    });
+
+    it('suggests indexed values for a field, quoting values with spaces', () => {
+      expect(SearchQuery.suggest('tool:Ba', lookupValues)).toEqual([
+        { insert: 'tool:Baone', label: 'Baone', description: '3 conversations' },
+        { insert: 'tool:"with space"', label: 'with space', description: '1 conversation' },
+      ]);
+    });
+
+    it('suggests fixed values without a lookup, and nothing for dates', () => {
+      const noLookup = () => { throw new Error('should not look up'); };
+
+      expect(SearchQuery.suggest('role:a', noLookup).map(s => s.insert)).toEqual(['role:assistant']);
+      expect(SearchQuery.suggest('after:2026', noLookup)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * SessionChains Unit Tests
+ *
+ * Tests for grouping resumed sessions:
+ * - Chain membership and ordering
+ * - Collapsing chains in conversation lists
+ * - Combined totals
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const SessionChains = require('../../src/analytics/core/SessionChains');
+
+function session(id, created, lastModified, overrides = {}) {
+  return {
+    id,
+    project: 'parser',
+    messageCount: 10,
+    tokens: 1000,
+    tokenUsage: { total: 1000, input: 600, output: 400, cacheCreation: 50, cacheRead: 200 },
+    estimatedCost: 0.5,
+    created: new Date(created),
+    lastModified: new Date(lastModified),
+    isSubagent: false,
+    parentId: null,
+    ...overrides,
+  };
+}
+
+describe('SessionChains', () => {
+  const links = [
+    { predecessorId: 'first', successorId: 'second' },
+    { predecessorId: 'second', successorId: 'third' },
+  ];
+
+  it('orders a chain by its links rather than by creation time', () => {
+    const chains = new SessionChains(links);
+    // File creation times can be wrong (copied or restored files)
+    const byId = new Map([
+      ['first', session('first', '2025-01-03', '2025-01-03')],
+      ['second', session('second', '2025-01-02', '2025-01-02')],
+      ['third', session('third', '2025-01-01', '2025-01-04')],
+    ]);
+
+    expect(chains.getOrderedIds('third', byId)).toEqual(['first', 'second', 'third']);
+    expect(chains.describe('second', byId)).toEqual({
+      id: 'first',
+      length: 3,
+      position: 2,
+      sessionIds: ['first', 'second', 'third'],
+      previousIds: ['first'],
+      nextIds: ['third'],
+    });
+  });
+
+  it('treats unlinked sessions as chains of one', () => {
+    const chains = new SessionChains(links);
+
+    expect(chains.isChained('other')).toBe(false);
+    expect(chains.getOrderedIds('other')).toEqual(['other']);
+    expect(chains.describe('other')).toBeNull();
+  });
+
+  it('orders sessions resumed from the same point by creation time, and survives loops', () => {
+    const forked = new SessionChains([
+      { predecessorId: 'root', successorId: 'later' },
+      { predecessorId: 'root', successorId: 'earlier' },
+    ]);
+    const byId = new Map([
+      ['root', session('root', '2025-01-01', '2025-01-01')],
+      ['later', session('later', '2025-01-03', '2025-01-03')],
+      ['earlier', session('earlier', '2025-01-02', '2025-01-02')],
+    ]);
+    expect(forked.getOrderedIds('root', byId)).toEqual(['root', 'earlier', 'later']);
+
+    const loop = new SessionChains([
+      { predecessorId: 'a', successorId: 'b' },
+      { predecessorId: 'b', successorId: 'a' },
+    ]);
+    expect(loop.getOrderedIds('a').sort()).toEqual(['a', 'b']);
+  });
+
+  it('collapses a chain into its newest session with combined totals', () => {
+    const chains = new SessionChains(links);
+    const conversations = [
+      session('third', '2025-01-03', '2025-01-03T12:00:00Z'),
+      session('unrelated', '2025-01-02', '2025-01-02T12:00:00Z'),
+      session('second', '2025-01-02', '2025-01-02T10:00:00Z'),
+      session('first', '2025-01-01', '2025-01-01T10:00:00Z'),
+    ];
+
+    const grouped = chains.group(conversations);
+
+    expect(grouped.map(conv => conv.id)).toEqual(['third', 'unrelated']);
+    expect(grouped[0]).toMatchObject({
+      messageCount: 30,
+      tokens: 3000,
+      tokenUsage: { total: 3000, input: 1800, output: 1200, cacheReadTokens: 600 },
+      estimatedCost: 1.5,
+      chain: { id: 'first', length: 3, sessionIds: ['first', 'second', 'third'] },
+    });
+    expect(grouped[0].created.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(grouped[0].lastModified.toISOString()).toBe('2025-01-03T12:00:00.000Z');
+    expect(grouped[1].chain).toBeUndefined();
+  });
+
+  it('moves subagents of collapsed sessions under the chain entry', () => {
+    const chains = new SessionChains(links);
+    const conversations = [
+      session('third', '2025-01-03', '2025-01-03'),
+      session('second', '2025-01-02', '2025-01-02'),
+      session('second_agent-1', '2025-01-02', '2025-01-02', { isSubagent: true, parentId: 'second' }),
+    ];
+
+    const grouped = chains.group(conversations);
+
+    expect(grouped.map(conv => [conv.id, conv.parentId])).toEqual([
+      ['third', null],
+      ['second_agent-1', 'third'],
+    ]);
+    expect(conversations[2].parentId).toBe('second');
+  });
+});
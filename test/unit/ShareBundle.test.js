@@ -0,0 +1,223 @@
+/**
+ * Share Bundle Unit Tests
+ *
+ * Tests for encrypted share bundles and the targets they're uploaded to:
+ * - Round trips with a passphrase and with a key in the link
+ * - Wrong secrets and changed bundles
+ * - Splitting the key off a share link
+ * - Directory and HTTP targets, and fetching what they return
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const { decryptBundle, encryptBundle, isEncryptedBundle, splitShareUrl } = require('../../src/share-bundle');
+const {
+  DirectoryShareTarget,
+  HttpShareTarget,
+  ShareTargetError,
+  createShareTarget,
+  fetchSharedFile,
+} = require('../../src/share-targets');
+
+const sessionData = {
+  version: '1.0.0',
+  conversation: { id: 'abc', project: 'api' },
+  messages: [{ role: 'user', content: 'Hello' }],
+};
+
+describe('share bundles', () => {
+  describe('encryptBundle() and decryptBundle()', () => {
+    it('round-trips with a random key, keeping the session out of the bundle', async () => {
+      const { bundle, key } = await encryptBundle(sessionData);
+
+      expect(isEncryptedBundle(bundle)).toBe(true);
+      expect(bundle.key).toEqual({ type: 'random' });
+      expect(JSON.stringify(bundle)).not.toContain('Hello');
+      expect(Buffer.from(key, 'base64url')).toHaveLength(32);
+      expect(await decryptBundle(bundle, { key })).toEqual(sessionData);
+    });
+
+    it('round-trips with a passphrase and returns no key', async () => {
+      const { bundle, key } = await encryptBundle(sessionData, { passphrase: 'correct horse' });
+
+      expect(key).toBeNull();
+      expect(bundle.key).toMatchObject({ type: 'passphrase', kdf: 'scrypt', N: 32768, r: 8, p: 1 });
+      expect(await decryptBundle(bundle, { passphrase: 'correct horse' })).toEqual(sessionData);
+    });
+
+    it('rejects short passphrases, including empty ones', async () => {
+      await expect(encryptBundle(sessionData, { passphrase: 'short' })).rejects.toMatchObject({ code: 'PASSPHRASE_TOO_SHORT' });
+      await expect(encryptBundle(sessionData, { passphrase: '' })).rejects.toMatchObject({ code: 'PASSPHRASE_TOO_SHORT' });
+    });
+
+    it('asks for the missing secret', async () => {
+      const locked = (await encryptBundle(sessionData, { passphrase: 'correct horse' })).bundle;
+      const linked = (await encryptBundle(sessionData)).bundle;
+
+      await expect(decryptBundle(locked)).rejects.toMatchObject({ code: 'PASSPHRASE_REQUIRED' });
+      await expect(decryptBundle(linked)).rejects.toMatchObject({ code: 'KEY_REQUIRED' });
+    });
+
+    it('fails on a wrong passphrase or key, and on changed bundles', async () => {
+      const locked = (await encryptBundle(sessionData, { passphrase: 'correct horse' })).bundle;
+      const { bundle, key } = await encryptBundle(sessionData);
+      const data = Buffer.from(bundle.data, 'base64');
+      data[0] ^= 1;
+
+      await expect(decryptBundle(locked, { passphrase: 'wrong horse' })).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+      await expect(decryptBundle(bundle, { key: (await encryptBundle(sessionData)).key })).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+      await expect(decryptBundle({ ...bundle, data: data.toString('base64') }, { key })).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+      // The header is authenticated too
+      await expect(decryptBundle({ ...locked, key: { ...locked.key, N: 16384 } }, { passphrase: 'correct horse' }))
+        .rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+    });
+
+    it('refuses bundles it cannot open without trying', async () => {
+      const { bundle } = await encryptBundle(sessionData, { passphrase: 'correct horse' });
+
+      await expect(decryptBundle({ ...bundle, version: 2 }, { passphrase: 'correct horse' })).rejects.toMatchObject({ code: 'INVALID_BUNDLE' });
+      await expect(decryptBundle({ ...bundle, key: { ...bundle.key, N: 2 ** 30 } }, { passphrase: 'correct horse' }))
+        .rejects.toMatchObject({ code: 'INVALID_BUNDLE' });
+    });
+
+    it('refuses passphrase settings that would take too much memory or time, before deriving a key', async () => {
+      const { bundle } = await encryptBundle(sessionData, { passphrase: 'correct horse' });
+      const scrypt = vi.spyOn(crypto, 'scrypt');
+
+      try {
+        for (const cost of [{ N: 2 ** 20 }, { r: 32 }, { p: 4 }, { N: 2 ** 17 }, { N: 2 ** 16, p: 2 }]) {
+          await expect(decryptBundle({ ...bundle, key: { ...bundle.key, ...cost } }, { passphrase: 'correct horse' }))
+            .rejects.toMatchObject({ code: 'INVALID_BUNDLE' });
+        }
+        expect(scrypt).not.toHaveBeenCalled();
+      } finally {
+        scrypt.mockRestore();
+      }
+    });
+  });
+
+  describe('splitShareUrl()', () => {
+    it('separates the key in the fragment from the URL to fetch', () => {
+      expect(splitShareUrl('https://x0.at/AbCd.json#key=s3cr-t_')).toEqual({ url: 'https://x0.at/AbCd.json', key: 's3cr-t_' });
+      expect(splitShareUrl('https://x0.at/AbCd.json')).toEqual({ url: 'https://x0.at/AbCd.json', key: null });
+    });
+  });
+});
+
+describe('share targets', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'share-target-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  describe('createShareTarget()', () => {
+    it('uploads to the public host unless told otherwise', () => {
+      expect(createShareTarget()).toMatchObject({ name: 'x0', url: 'https://x0.at' });
+      expect(createShareTarget({ target: 'directory', dir })).toBeInstanceOf(DirectoryShareTarget);
+    });
+
+    it('rejects unknown targets and missing settings', () => {
+      expect(() => createShareTarget({ target: 's3' })).toThrow('Unknown share target: s3');
+      expect(() => createShareTarget({ target: 'http', url: 'ftp://example.com' })).toThrow(ShareTargetError);
+      expect(() => createShareTarget({ target: 'directory' })).toThrow('needs a "dir"');
+    });
+  });
+
+  describe('DirectoryShareTarget', () => {
+    it('writes the file inside the folder and returns its path', async () => {
+      const target = new DirectoryShareTarget({ dir });
+
+      const link = await target.upload(Buffer.from('{"a":1}'), '../bundle.json');
+
+      expect(link).toBe(path.join(dir, 'bundle.json'));
+      expect(await fs.readFile(link, 'utf8')).toBe('{"a":1}');
+    });
+
+    it('links under the base URL the folder is served at', async () => {
+      const target = new DirectoryShareTarget({ dir, baseUrl: 'https://files.example.com/sessions/' });
+
+      expect(await target.upload(Buffer.from('{}'), 'bundle.json')).toBe('https://files.example.com/sessions/bundle.json');
+    });
+  });
+
+  describe('HttpShareTarget', () => {
+    let server;
+    let baseUrl;
+    let reply;
+    let received;
+
+    beforeEach(async () => {
+      received = null;
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          if (req.method === 'POST') {
+            received = { headers: req.headers, body };
+          }
+          if (req.url === '/chunked') {
+            // No Content-Length: the size is only known as the body arrives
+            res.writeHead(200);
+            res.write('x'.repeat(600));
+            res.end('x'.repeat(600));
+            return;
+          }
+          const [status, text] = req.method === 'POST' ? reply : [200, '{"format":"shared"}'];
+          res.writeHead(status);
+          res.end(text);
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('posts the file as a form and reads the URL from text or JSON', async () => {
+      const target = new HttpShareTarget({ url: `${baseUrl}/upload`, field: 'upload', headers: { Authorization: 'Bearer t' } });
+
+      reply = [200, `${baseUrl}/f/1.json\n`];
+      expect(await target.upload(Buffer.from('{"a":1}'), 'bundle.json')).toBe(`${baseUrl}/f/1.json`);
+      expect(received.headers.authorization).toBe('Bearer t');
+      expect(received.body).toContain('name="upload"; filename="bundle.json"');
+      expect(received.body).toContain('{"a":1}');
+
+      reply = [201, JSON.stringify({ url: `${baseUrl}/f/2.json` })];
+      expect(await target.upload(Buffer.from('{}'), 'bundle.json')).toBe(`${baseUrl}/f/2.json`);
+      expect((await fetchSharedFile(`${baseUrl}/f/2.json`)).toString()).toBe('{"format":"shared"}');
+    });
+
+    it('stops reading a download once it passes the size limit', async () => {
+      await expect(fetchSharedFile(`${baseUrl}/chunked`, { maxBytes: 1000 })).rejects.toThrow('Shared file is larger than');
+      expect(await fetchSharedFile(`${baseUrl}/chunked`, { maxBytes: 2000 })).toHaveLength(1200);
+    });
+
+    it('fetches only http and https links', async () => {
+      await fs.writeFile(path.join(dir, 'secret.json'), '{}');
+
+      await expect(fetchSharedFile(`file://${path.join(dir, 'secret.json')}`)).rejects.toThrow('must be http:// or https://');
+      await expect(fetchSharedFile('ftp://example.com/bundle.json')).rejects.toThrow(ShareTargetError);
+    });
+
+    it('fails on error statuses and responses without a URL', async () => {
+      const target = new HttpShareTarget({ url: `${baseUrl}/upload` });
+
+      reply = [413, 'Too large'];
+      await expect(target.upload(Buffer.from('{}'), 'bundle.json')).rejects.toThrow('failed with HTTP 413: Too large');
+      reply = [200, 'ok'];
+      await expect(target.upload(Buffer.from('{}'), 'bundle.json')).rejects.toThrow(ShareTargetError);
+    });
+  });
+});
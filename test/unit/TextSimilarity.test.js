@@ -0,0 +1,84 @@
+/**
+ * TextSimilarity Unit Tests
+ *
+ * Tests for the offline similar-session scoring:
+ * - Term extraction from message text and touched files
+ * - TF-IDF weighting
+ * - Cosine ranking with shared terms
+ */
+
+import { describe, it, expect } from 'vitest';
+
+// Import TextSimilarity
+const TextSimilarity = require('../../src/analytics/core/TextSimilarity');
+
+describe('TextSimilarity', () => {
+  describe('tokenize', () => {
+    it('keeps identifiers whole and drops stopwords and numbers', () => {
+      expect(TextSimilarity.tokenize('Got ERR_MODULE_NOT_FOUND in src/utils/date-format.js on line 42'))
+        .toEqual(['err_module_not_found', 'src', 'utils', 'date', 'format', 'line']);
+    });
+
+    it('handles empty input', () => {
+      expect(TextSimilarity.tokenize('')).toEqual([]);
+      expect(TextSimilarity.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('extractTerms', () => {
+    it('counts words and touched files separately', () => {
+      const terms = TextSimilarity.extractTerms(
+        ['flaky test', 'the flaky test again'],
+        ['/repo/a.test.js', '/repo/a.test.js']
+      );
+
+      expect(terms).toEqual({ flaky: 2, test: 2, 'file:/repo/a.test.js': 2 });
+    });
+
+    it('keeps only the most frequent words', () => {
+      const text = Array.from({ length: 400 }, (_, i) => `word${String.fromCharCode(97 + (i % 26))}${i}`).join(' ');
+      const terms = TextSimilarity.extractTerms([text, 'repeated repeated']);
+
+      expect(Object.keys(terms).length).toBe(300);
+      expect(terms.repeated).toBe(2);
+    });
+  });
+
+  describe('weight', () => {
+    it('gives no weight to terms every session has', () => {
+      expect(TextSimilarity.weight(5, 10, 10)).toBe(0);
+      expect(TextSimilarity.weight(1, 1, 10)).toBeGreaterThan(TextSimilarity.weight(1, 5, 10));
+      expect(TextSimilarity.weight(4, 1, 10)).toBeGreaterThan(TextSimilarity.weight(1, 1, 10));
+    });
+  });
+
+  describe('rank', () => {
+    const documentFrequency = new Map([
+      ['flaky', 2], ['checkout', 2], ['readme', 1], ['common', 4], ['file:/repo/checkout.spec.js', 2]
+    ]);
+
+    it('orders candidates by cosine similarity and reports what they share', () => {
+      const candidates = new Map([
+        ['docs', { readme: 3, common: 1 }],
+        ['flaky', { flaky: 2, checkout: 1, common: 1, 'file:/repo/checkout.spec.js': 1 }]
+      ]);
+
+      const results = TextSimilarity.rank(
+        { flaky: 1, checkout: 1, common: 2, 'file:/repo/checkout.spec.js': 1 },
+        candidates, documentFrequency, 4
+      );
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        id: 'flaky',
+        sharedTerms: ['flaky', 'checkout'],
+        sharedFiles: ['/repo/checkout.spec.js']
+      });
+      expect(results[0].score).toBeGreaterThan(0.9);
+    });
+
+    it('returns nothing when the target has no distinctive terms', () => {
+      expect(TextSimilarity.rank({ common: 3 }, new Map([['a', { common: 1 }]]), documentFrequency, 4)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Transcript Lines Unit Tests
+ *
+ * Tests for keeping the text transcript entries were read from:
+ * - Entries of an export's messages and subagents
+ * - Strings with escaped quotes and brackets
+ * - Pretty-printed exports and changed entries
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { entryLine, parseExport, parseLine } = require('../../src/transcript-lines');
+
+describe('transcript lines', () => {
+  it('keeps the text of each entry in an export and its subagents', () => {
+    const first = '{"type":"user","text":"a \\" ] } , [ {","n":1.50}';
+    const second = '{ "type" : "assistant", "2": 0, "b": [1, {"c": null}] }';
+    const nested = '{"agent":true,"x":1e3}';
+    const text = `{"version":"1.1.0","conversation":{"id":"s"},"messages":[\n${first},\n${second}\n],` +
+      `"subagents":[\n{"messages":[${nested}],"id":"agent-1"}\n],"metadata":{"messages":[]}}`;
+
+    const sessionData = parseExport(text);
+
+    expect(sessionData.messages.map(entryLine)).toEqual([first, second]);
+    expect(entryLine(sessionData.subagents[0].messages[0])).toBe(nested);
+  });
+
+  it('serializes entries it has no single-line text for', () => {
+    const sessionData = parseExport(JSON.stringify({ messages: [{ b: 1, a: 2 }] }, null, 2));
+
+    expect(entryLine(sessionData.messages[0])).toBe('{"b":1,"a":2}');
+    expect(entryLine({ ...parseLine(' {"a": 1} ') })).toBe('{"a":1}');
+    expect(entryLine(parseLine(' {"a": 1} '))).toBe('{"a": 1}');
+  });
+});